@@ -0,0 +1,174 @@
+/**
+ * Role and permission definitions for admin users
+ */
+
+const PERMISSIONS = {
+  EMPLOYEES_READ: 'employees:read',
+  EMPLOYEES_WRITE: 'employees:write',
+  EMPLOYEES_DELETE: 'employees:delete',
+  EMPLOYEES_PURGE: 'employees:purge',
+  EMPLOYEES_EXPORT: 'employees:export',
+  EMPLOYEES_SENSITIVE: 'employees:sensitive',
+  ANALYTICS_READ: 'analytics:read',
+  CERTIFICATES_READ: 'certificates:read',
+  CERTIFICATES_ISSUE: 'certificates:issue',
+  CERTIFICATES_REVOKE: 'certificates:revoke',
+  OFFER_LETTERS_READ: 'offer_letters:read',
+  OFFER_LETTERS_ISSUE: 'offer_letters:issue',
+  OFFER_LETTERS_MANAGE: 'offer_letters:manage',
+  VERIFY_BULK: 'verify:bulk',
+  MONITORING_READ: 'monitoring:read',
+  AUDIT_READ: 'audit:read',
+  USERS_MANAGE: 'users:manage',
+  SETTINGS_MANAGE: 'settings:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  super_admin: ALL_PERMISSIONS,
+  hr_manager: [
+    PERMISSIONS.EMPLOYEES_READ,
+    PERMISSIONS.EMPLOYEES_WRITE,
+    PERMISSIONS.EMPLOYEES_DELETE,
+    PERMISSIONS.EMPLOYEES_EXPORT,
+    PERMISSIONS.EMPLOYEES_SENSITIVE,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.CERTIFICATES_READ,
+    PERMISSIONS.OFFER_LETTERS_READ,
+    PERMISSIONS.VERIFY_BULK
+  ],
+  issuer: [
+    PERMISSIONS.CERTIFICATES_READ,
+    PERMISSIONS.CERTIFICATES_ISSUE,
+    PERMISSIONS.CERTIFICATES_REVOKE,
+    PERMISSIONS.OFFER_LETTERS_READ,
+    PERMISSIONS.OFFER_LETTERS_ISSUE,
+    PERMISSIONS.OFFER_LETTERS_MANAGE
+  ],
+  viewer: [
+    PERMISSIONS.EMPLOYEES_READ,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.CERTIFICATES_READ,
+    PERMISSIONS.OFFER_LETTERS_READ
+  ],
+  auditor: [
+    PERMISSIONS.EMPLOYEES_READ,
+    PERMISSIONS.EMPLOYEES_EXPORT,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.CERTIFICATES_READ,
+    PERMISSIONS.OFFER_LETTERS_READ,
+    PERMISSIONS.MONITORING_READ,
+    PERMISSIONS.AUDIT_READ
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions that may be granted to API keys used by machine clients
+const API_KEY_SCOPES = [
+  PERMISSIONS.EMPLOYEES_READ,
+  PERMISSIONS.VERIFY_BULK,
+  PERMISSIONS.CERTIFICATES_ISSUE
+];
+
+// Accounts created before roles existed carry the generic 'admin' role
+const ROLE_ALIASES = {
+  admin: 'super_admin'
+};
+
+/**
+ * Resolve a stored role to one of the known roles
+ * @param {string} role - Role stored on the user
+ * @returns {string|null} - Known role or null
+ */
+function normalizeRole(role) {
+  const resolved = ROLE_ALIASES[role] || role;
+  return ROLES.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Check if a role name is assignable
+ * @param {string} role - Role to check
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * List permissions granted to a role
+ * @param {string} role - Role stored on the user
+ * @returns {string[]} - Granted permissions
+ */
+function getPermissionsForRole(role) {
+  const resolved = normalizeRole(role);
+  return resolved ? [...ROLE_PERMISSIONS[resolved]] : [];
+}
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - Role stored on the user
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+/**
+ * Check if a scope may be granted to an API key
+ * @param {string} scope - Scope to check
+ * @returns {boolean}
+ */
+function isValidApiKeyScope(scope) {
+  return API_KEY_SCOPES.includes(scope);
+}
+
+/**
+ * Departments a user is restricted to
+ * @param {object} user - Authenticated user
+ * @returns {string[]|null} - Allowed departments, or null when unrestricted
+ */
+function getDepartmentScope(user) {
+  if (!user || !Array.isArray(user.departments) || user.departments.length === 0) {
+    return null;
+  }
+  return user.departments;
+}
+
+/**
+ * Build a Mongo filter limiting employees to the user's departments
+ * @param {object} user - Authenticated user
+ * @returns {object} - Filter fragment (empty when unrestricted)
+ */
+function buildDepartmentFilter(user) {
+  const scope = getDepartmentScope(user);
+  return scope ? { department: { $in: scope } } : {};
+}
+
+/**
+ * Check if a department is within the user's scope
+ * @param {object} user - Authenticated user
+ * @param {string} department - Department to check
+ * @returns {boolean}
+ */
+function isDepartmentInScope(user, department) {
+  const scope = getDepartmentScope(user);
+  return !scope || scope.includes(department);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  normalizeRole,
+  isValidRole,
+  getPermissionsForRole,
+  roleHasPermission,
+  isValidApiKeyScope,
+  getDepartmentScope,
+  buildDepartmentFilter,
+  isDepartmentInScope
+};
@@ -0,0 +1,161 @@
+/**
+ * Append-only, hash-chained audit trail.
+ * Each event stores the hash of the previous event, so editing or deleting a stored
+ * event breaks the chain from that point on and shows up in verifyAuditChain().
+ */
+
+const crypto = require('crypto');
+const { AuditEvent } = require('./database');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Never copy these into the audit trail; only record that they changed
+const REDACTED_FIELDS = ['salary', 'bank_account', 'aadhar_number', 'pan_number', 'password_hash'];
+const IGNORED_FIELDS = ['_id', 'created_at', 'updated_at', 'qr_code'];
+const REDACTED_VALUE = '[redacted]';
+
+// JSON with sorted object keys so the same event always hashes the same way
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeEventHash(event) {
+  const payload = canonicalize({
+    sequence: event.sequence,
+    timestamp: new Date(event.timestamp).toISOString(),
+    actor: event.actor,
+    actor_type: event.actor_type,
+    action: event.action,
+    entity_type: event.entity_type,
+    entity_id: event.entity_id,
+    changes: event.changes,
+    metadata: event.metadata,
+    request_id: event.request_id,
+    ip: event.ip,
+    prev_hash: event.prev_hash
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Strip Mongo/Date types so the stored value is exactly what was hashed
+function toJsonValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {object|null} before - Record before the change (null on create)
+ * @param {object|null} after - Record after the change (null on delete)
+ * @returns {object} - { field: { from, to } } for every changed field
+ */
+function diffRecords(before, after) {
+  const previous = toJsonValue(before) || {};
+  const next = toJsonValue(after) || {};
+  const changes = {};
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field) || field.endsWith('_bidx')) {
+      continue;
+    }
+    const from = previous[field] === undefined ? null : previous[field];
+    const to = next[field] === undefined ? null : next[field];
+    if (canonicalize(from) === canonicalize(to)) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from === null ? null : REDACTED_VALUE, to: to === null ? null : REDACTED_VALUE }
+      : { from, to };
+  }
+  return changes;
+}
+
+// Appends are serialized in-process; the unique sequence index catches other processes
+let appendQueue = Promise.resolve();
+
+async function writeEvent(fields) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select({ sequence: 1, hash: 1 }).lean();
+    const event = {
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      prev_hash: last ? last.hash : GENESIS_HASH
+    };
+    event.hash = computeEventHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      if (error?.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Append an event to the audit trail
+ * @param {object} entry - { actor, actorType, action, entityType, entityId, before, after, changes, metadata, requestId, ip }
+ * @returns {Promise<object>} - Stored event
+ */
+function appendAuditEvent(entry) {
+  const fields = {
+    timestamp: new Date(),
+    actor: entry.actor || null,
+    actor_type: entry.actorType || 'user',
+    action: entry.action,
+    entity_type: entry.entityType,
+    entity_id: entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+    changes: toJsonValue(entry.changes || diffRecords(entry.before || null, entry.after || null)),
+    metadata: toJsonValue(entry.metadata || null),
+    request_id: entry.requestId || null,
+    ip: entry.ip || null
+  };
+
+  const result = appendQueue.then(() => writeEvent(fields));
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Recompute every hash in sequence order
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt?: number, reason?: string}>}
+ */
+async function verifyAuditChain() {
+  let expectedPrevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+  for await (const event of cursor) {
+    if (event.sequence !== expectedSequence) {
+      return { valid: false, checked, brokenAt: expectedSequence, reason: 'Missing event' };
+    }
+    if (event.prev_hash !== expectedPrevHash) {
+      return { valid: false, checked, brokenAt: event.sequence, reason: 'Previous hash does not match' };
+    }
+    if (computeEventHash(event) !== event.hash) {
+      return { valid: false, checked, brokenAt: event.sequence, reason: 'Event contents were modified' };
+    }
+    expectedPrevHash = event.hash;
+    expectedSequence += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked };
+}
+
+module.exports = {
+  appendAuditEvent,
+  verifyAuditChain,
+  diffRecords,
+  computeEventHash
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, params, (error, derivedKey) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(derivedKey);
+    });
+  });
+}
+
+// Hash a password with scrypt, storing parameters and salt alongside the key
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derivedKey.toString('base64')}`;
+}
+
+// Well-formed hash that no password matches; checked when there is no account so failed logins take as long either way
+const DUMMY_PASSWORD_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${crypto.randomBytes(16).toString('base64')}$${crypto.randomBytes(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+// Verify a password against a stored scrypt hash
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) {
+    return false;
+  }
+
+  const parts = storedHash.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, saltB64, keyB64] = parts;
+  const expected = Buffer.from(keyB64, 'base64');
+
+  try {
+    const derivedKey = await scryptAsync(password, Buffer.from(saltB64, 'base64'), {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    });
+    return derivedKey.length === expected.length && crypto.timingSafeEqual(derivedKey, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check password strength requirements
+function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    return { valid: false, error: 'Password is required' };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { valid: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return { valid: false, error: 'Password must contain both letters and numbers' };
+  }
+  return { valid: true };
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a SHA-256 hash of the whole token is stored
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function parseRefreshToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const separator = token.indexOf('.');
+  if (separator <= 0) {
+    return null;
+  }
+  return { sessionId: token.slice(0, separator) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Random token for password reset and invitation links
+function generateUserToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// API keys are "idk_<prefix>_<secret>"; the prefix is stored in clear to look the key up and to show in the UI
+const API_KEY_PATTERN = /^(idk_[a-f0-9]{8})_[A-Za-z0-9_-]{20,}$/;
+
+function generateApiKey() {
+  const prefix = `idk_${crypto.randomBytes(4).toString('hex')}`;
+  return { prefix, key: `${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+}
+
+function parseApiKeyPrefix(key) {
+  const match = typeof key === 'string' ? key.match(API_KEY_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+// Strip the key hash from an API key document
+function toPublicApiKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes || [],
+    rate_limit: apiKey.rate_limit,
+    expires_at: apiKey.expires_at,
+    last_used_at: apiKey.last_used_at,
+    last_used_ip: apiKey.last_used_ip,
+    revoked_at: apiKey.revoked_at,
+    created_by: apiKey.created_by,
+    created_at: apiKey.created_at
+  };
+}
+
+// Strip secrets from a user document before returning it to clients
+function toPublicUser(user) {
+  if (!user) {
+    return null;
+  }
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    departments: user.departments || [],
+    status: user.status,
+    auth_provider: user.auth_provider || 'local',
+    two_factor_enabled: Boolean(user.totp_enabled),
+    failed_login_count: user.failed_login_count || 0,
+    locked_until: user.locked_until || null,
+    last_login_at: user.last_login_at,
+    created_by: user.created_by,
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+module.exports = {
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  toPublicUser,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  generateUserToken,
+  generateApiKey,
+  parseApiKeyPrefix,
+  toPublicApiKey,
+  MIN_PASSWORD_LENGTH
+};
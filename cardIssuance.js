@@ -0,0 +1,114 @@
+/**
+ * Physical ID cards.
+ * Every printed card is an issuance with its own serial, which is what the card's QR code encodes,
+ * so one lost card can be revoked while the person and their other cards stay valid.
+ */
+
+const crypto = require('crypto');
+const { CardIssuance, getNextSequenceValue } = require('./database');
+const { isCardExpired } = require('./cardValidity');
+
+const CARD_ISSUE_REASONS = ['new', 'renewal', 'lost', 'damaged', 'id_change'];
+// superseded is set automatically when a newer card is issued
+const CARD_REVOCATION_REASONS = ['lost', 'stolen', 'damaged', 'returned'];
+const CARD_SERIAL_PATTERN = /^CRD-[0-9A-F]{10}$/;
+const MAX_SERIAL_ATTEMPTS = 5;
+
+function generateCardSerial() {
+  return `CRD-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+function isCardSerial(value) {
+  return CARD_SERIAL_PATTERN.test(value);
+}
+
+/**
+ * Issue the next card version for an employee; their previously active cards are revoked as superseded
+ * @param {object} employee - Employee with id, uuid and employee_id
+ * @param {{reason: string, actor?: string}} options
+ * @returns {Promise<object>} - New CardIssuance document
+ */
+async function issueCard(employee, { reason, actor = null }) {
+  const now = new Date();
+  await CardIssuance.updateMany(
+    { employee_row_id: employee.id, status: 'active' },
+    { status: 'revoked', revoked_at: now, revoked_by: actor, revocation_reason: 'superseded' }
+  );
+
+  const latest = await CardIssuance.findOne({ employee_row_id: employee.id }, { version: 1 }).sort({ version: -1 }).lean();
+  const version = latest ? latest.version + 1 : 1;
+
+  for (let attempt = 1; attempt <= MAX_SERIAL_ATTEMPTS; attempt++) {
+    try {
+      return await CardIssuance.create({
+        id: await getNextSequenceValue('card_issuances'),
+        serial: generateCardSerial(),
+        employee_row_id: employee.id,
+        employee_uuid: employee.uuid,
+        employee_id: employee.employee_id,
+        version,
+        reason,
+        issued_at: now,
+        issued_by: actor
+      });
+    } catch (error) {
+      if (error?.code !== 11000 || attempt === MAX_SERIAL_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Revoke one card without touching the person's record
+ * @param {object} card - CardIssuance document
+ * @param {{reason: string, note?: string, actor?: string}} options
+ */
+async function revokeCard(card, { reason, note = null, actor = null }) {
+  card.status = 'revoked';
+  card.revoked_at = new Date();
+  card.revoked_by = actor;
+  card.revocation_reason = reason;
+  card.revocation_note = note;
+  return card.save();
+}
+
+// Verify-response fields for an identifier that matched one of the employee's previous ID numbers
+function describeSupersededId(employee, identifier) {
+  const alias = (employee.previous_ids || []).find(previous => previous.employee_id === identifier);
+  if (!alias) {
+    return {};
+  }
+  return {
+    superseded: true,
+    requested_id: alias.employee_id,
+    superseded_by: employee.employee_id,
+    superseded_at: alias.valid_until
+  };
+}
+
+// Cards printed before serials existed encode the person's UUID and cannot be revoked one by one,
+// so once a numbered card has been issued a UUID lookup is treated as an old card.
+// Typed-in ID numbers and previous-ID aliases keep verifying as before
+function describeLegacyCardLookup(employee, card, identifier) {
+  if (card || !employee.card_version || employee.uuid !== identifier) {
+    return null;
+  }
+  return {
+    card_superseded: true,
+    employee_id: employee.employee_id,
+    person_status: isCardExpired(employee) ? 'expired' : employee.status,
+    current_card_version: employee.card_version
+  };
+}
+
+module.exports = {
+  CARD_ISSUE_REASONS,
+  CARD_REVOCATION_REASONS,
+  isCardSerial,
+  issueCard,
+  revokeCard,
+  describeSupersededId,
+  describeLegacyCardLookup
+};
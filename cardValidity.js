@@ -0,0 +1,122 @@
+/**
+ * ID card validity periods.
+ * Dates are YYYY-MM-DD strings like joining_date, and valid_until is the last day the card is valid.
+ * A card without valid_until never expires.
+ */
+
+const { Employee } = require('./database');
+const { appendAuditEvent } = require('./auditLog');
+const { appendEmployeeRevision } = require('./employeeHistory');
+const logger = require('./logger');
+
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function todayString() {
+  return toDateString(new Date());
+}
+
+/**
+ * Last valid day of a period of whole months, e.g. 6 months from 2025-01-15 ends on 2025-07-14
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} months
+ * @returns {string}
+ */
+function addValidityMonths(fromDate, months) {
+  const date = new Date(`${fromDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return toDateString(date);
+}
+
+/**
+ * New end of a card extended by whole months: from the day after its current end, or from today once it has lapsed
+ * @param {string|null} validUntil - Current end
+ * @param {number} months
+ * @returns {string}
+ */
+function extendValidity(validUntil, months, today = todayString()) {
+  if (!validUntil || validUntil < today) {
+    return addValidityMonths(today, months);
+  }
+  const nextDay = new Date(`${validUntil}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return addValidityMonths(toDateString(nextDay), months);
+}
+
+/**
+ * Validity of a newly issued card: given dates win, otherwise the person type's default period from valid_from
+ * @param {object|null} personType - PersonType with default_validity_months
+ * @param {{validFrom?: string, validUntil?: string}} dates
+ * @returns {{valid_from: string, valid_until: string|null}}
+ */
+function resolveValidity(personType, { validFrom, validUntil } = {}) {
+  const from = validFrom || todayString();
+  const months = personType?.default_validity_months;
+  return {
+    valid_from: from,
+    valid_until: validUntil || (months ? addValidityMonths(from, months) : null)
+  };
+}
+
+function isCardExpired(employee, today = todayString()) {
+  return Boolean(employee.valid_until) && employee.valid_until < today;
+}
+
+/**
+ * Move active employees whose card validity has passed to status "expired"
+ * @returns {Promise<number>} - Number of cards expired
+ */
+async function expireCards(now = new Date()) {
+  const due = await Employee.find({ status: 'active', valid_until: { $ne: null, $lt: toDateString(now) } });
+
+  for (const employee of due) {
+    const before = employee.toObject();
+    employee.status = 'expired';
+    await employee.save();
+
+    try {
+      await appendAuditEvent({
+        actor: 'system',
+        actorType: 'system',
+        action: 'employee.expire',
+        entityType: 'employee',
+        entityId: employee.id,
+        before: { status: before.status },
+        after: { status: employee.status },
+        metadata: { valid_until: employee.valid_until }
+      });
+      await appendEmployeeRevision(employee, { action: 'expire', actor: 'system', before });
+    } catch (error) {
+      logger.error('Failed to record card expiry', { employeeId: employee.id, error: error.message });
+    }
+  }
+  return due.length;
+}
+
+// Runs the expiry sweep now and then hourly; the timer does not keep the process alive
+function startExpirySweep() {
+  const sweep = () => expireCards()
+    .then((count) => {
+      if (count > 0) {
+        logger.info('Expired ID cards past their validity', { count });
+      }
+    })
+    .catch(error => logger.error('Card expiry sweep failed', { error: error.message }));
+
+  sweep();
+  return setInterval(sweep, EXPIRY_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  todayString,
+  addValidityMonths,
+  extendValidity,
+  resolveValidity,
+  isCardExpired,
+  expireCards,
+  startExpirySweep
+};
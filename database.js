@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encryptedFieldsPlugin } = require('./fieldEncryption');
 
 const DEFAULT_DB_NAME = 'idsyncro';
 
@@ -9,6 +10,8 @@ const counterSchema = new mongoose.Schema({
   value: { type: Number, default: 0 }
 }, { versionKey: false });
 
+// Sequence behind each ID format. `year` holds the counter scope: the two-digit year for
+// formats that reset yearly, 'all' for formats that never reset, or 'dept:<name>' per department
 const employeeIdCounterSchema = new mongoose.Schema({
   type: { type: String, required: true },
   year: { type: String, required: true },
@@ -16,6 +19,15 @@ const employeeIdCounterSchema = new mongoose.Schema({
 }, { versionKey: false });
 employeeIdCounterSchema.index({ type: 1, year: 1 }, { unique: true });
 
+// An ID number the employee held before a type change issued a new one; it still verifies, as superseded
+const previousEmployeeIdSchema = new mongoose.Schema({
+  employee_id: { type: String, required: true },
+  type: { type: String, default: null },
+  valid_from: { type: Date, default: null },
+  valid_until: { type: Date, required: true },
+  reason: { type: String, default: null }
+}, { _id: false });
+
 const employeeSchema = new mongoose.Schema({
   id: { type: Number, unique: true },
   uuid: { type: String, unique: true, required: true },
@@ -23,7 +35,8 @@ const employeeSchema = new mongoose.Schema({
   name: { type: String, required: true },
   designation: { type: String, required: true },
   department: { type: String, required: true },
-  type: { type: String, required: true, enum: ['employee', 'intern'] },
+  // Code of a PersonType
+  type: { type: String, required: true },
   employment_type: { type: String, default: 'full_time' },
   work_location: { type: String, default: null },
   status: { type: String, default: 'active' },
@@ -41,18 +54,65 @@ const employeeSchema = new mongoose.Schema({
   aadhar_number: { type: String, default: null },
   pan_number: { type: String, default: null },
   blood_group: { type: String, default: null },
-  manager: { type: String, default: null }
+  manager: { type: String, default: null },
+  // Card validity (YYYY-MM-DD, see cardValidity.js); no valid_until means the card does not expire
+  valid_from: { type: String, default: null },
+  valid_until: { type: String, default: null },
+  // Current physical card (see cardIssuance.js); qr_code encodes its serial. Older cards encode the uuid
+  card_serial: { type: String, default: null },
+  card_version: { type: Number, default: null },
+  // Values for admin-defined fields, keyed by CustomFieldDefinition.key
+  custom_fields: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Oldest first
+  previous_ids: { type: [previousEmployeeIdSchema], default: [] },
+  deleted_at: { type: Date, default: null },
+  deleted_by: { type: String, default: null },
+  deletion_reason: { type: String, default: null }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
   versionKey: false
 });
 
+// Encrypted at rest; see fieldEncryption.js
+const ENCRYPTED_EMPLOYEE_FIELDS = ['aadhar_number', 'pan_number', 'bank_account', 'salary'];
+const BLIND_INDEXED_EMPLOYEE_FIELDS = ['aadhar_number', 'pan_number', 'bank_account'];
 
+employeeSchema.plugin(encryptedFieldsPlugin, {
+  fields: ENCRYPTED_EMPLOYEE_FIELDS,
+  blindIndexFields: BLIND_INDEXED_EMPLOYEE_FIELDS
+});
+
+// Archived employees are hidden from every query unless it filters on deleted_at or calls .withArchived()
+employeeSchema.query.withArchived = function withArchived() {
+  this._includeArchived = true;
+  return this;
+};
+
+employeeSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndDelete', 'deleteOne', 'deleteMany'],
+  function excludeArchived(next) {
+    const filter = this.getFilter();
+    if (!this._includeArchived && !('deleted_at' in filter)) {
+      this.where({ deleted_at: null });
+    }
+    next();
+  }
+);
 
 employeeSchema.index({ type: 1 });
+employeeSchema.index({ 'previous_ids.employee_id': 1 });
+employeeSchema.index({ deleted_at: 1 });
 employeeSchema.index({ status: 1 });
 employeeSchema.index({ department: 1 });
 employeeSchema.index({ name: 1 });
+employeeSchema.index({ joining_date: 1 });
+employeeSchema.index({ valid_until: 1 });
+employeeSchema.index({ created_at: -1 });
+// MongoDB allows one text index per collection; weights rank identifier and name hits first
+employeeSchema.index(
+  { employee_id: 'text', name: 'text', email: 'text', designation: 'text', department: 'text' },
+  { name: 'employee_text', weights: { employee_id: 10, name: 8, email: 5, designation: 2, department: 2 } }
+);
 
 const certificateSchema = new mongoose.Schema({
   id: { type: Number, unique: true },
@@ -79,6 +139,10 @@ const certificateSchema = new mongoose.Schema({
 certificateSchema.index({ person_uuid: 1 });
 certificateSchema.index({ status: 1 });
 certificateSchema.index({ batch_id: 1 });
+certificateSchema.index(
+  { certificate_code: 'text', name: 'text', certificate_type: 'text' },
+  { name: 'certificate_text', weights: { certificate_code: 10, name: 8, certificate_type: 2 } }
+);
 
 const certificateBatchSchema = new mongoose.Schema({
   batch_id: { type: String, unique: true, required: true },
@@ -119,14 +183,58 @@ const offerLetterSchema = new mongoose.Schema({
   import_timestamp: { type: String, default: null },
   generated_timestamp: { type: String, default: null },
   generated_by: { type: String, default: null },
-  status: { type: String, default: 'active' }
+  status: { type: String, default: 'active' },
+  // Copied out of offer_data so they can be text indexed
+  candidate_name: { type: String, default: null },
+  designation: { type: String, default: null }
 }, {
   timestamps: false,
   versionKey: false
 });
 
+// offer_data comes from spreadsheets, so the same column can appear under several names
+function extractOfferSearchFields(offerDataJson) {
+  let offerData = {};
+  try {
+    offerData = JSON.parse(offerDataJson || '{}') || {};
+  } catch (error) {
+    offerData = {};
+  }
+  return {
+    candidate_name: offerData.candidate_name || offerData['Candidate Name'] || offerData.name || null,
+    designation: offerData.designation || offerData.Designation || null
+  };
+}
+
+offerLetterSchema.pre('save', function copyOfferSearchFields(next) {
+  if (this.isModified('offer_data')) {
+    this.set(extractOfferSearchFields(this.offer_data));
+  }
+  next();
+});
+
+offerLetterSchema.pre('insertMany', function copyOfferSearchFieldsOnInsert(next, docs) {
+  (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+    Object.assign(doc, extractOfferSearchFields(doc.offer_data));
+  });
+  next();
+});
+
+offerLetterSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function copyOfferSearchFieldsOnUpdate(next) {
+  const update = this.getUpdate();
+  const target = update?.$set || update;
+  if (target && typeof target.offer_data === 'string') {
+    Object.assign(target, extractOfferSearchFields(target.offer_data));
+  }
+  next();
+});
+
 offerLetterSchema.index({ status: 1 });
 offerLetterSchema.index({ batch_id: 1 });
+offerLetterSchema.index(
+  { offer_letter_number: 'text', candidate_name: 'text', designation: 'text' },
+  { name: 'offer_letter_text', weights: { offer_letter_number: 10, candidate_name: 8, designation: 2 } }
+);
 
 const offerLetterBatchSchema = new mongoose.Schema({
   batch_id: { type: String, unique: true, required: true },
@@ -141,6 +249,339 @@ const offerLetterBatchSchema = new mongoose.Schema({
   versionKey: false
 });
 
+const userSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  email: { type: String, unique: true, required: true, lowercase: true, trim: true },
+  name: { type: String, default: null },
+  password_hash: { type: String, default: null },
+  auth_provider: { type: String, default: 'local', enum: ['local', 'oidc'] },
+  oidc_issuer: { type: String, default: null },
+  oidc_subject: { type: String, default: null },
+  role: { type: String, default: 'viewer' },
+  departments: { type: [String], default: [] },
+  status: { type: String, default: 'active', enum: ['active', 'disabled', 'invited'] },
+  last_login_at: { type: Date, default: null },
+  totp_enabled: { type: Boolean, default: false },
+  totp_secret: { type: String, default: null },
+  totp_pending_secret: { type: String, default: null },
+  totp_last_used_step: { type: Number, default: null },
+  recovery_code_hashes: { type: [String], default: [] },
+  failed_login_count: { type: Number, default: 0 },
+  last_failed_login_at: { type: Date, default: null },
+  locked_until: { type: Date, default: null },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+userSchema.index({ status: 1 });
+userSchema.index({ oidc_issuer: 1, oidc_subject: 1 }, { unique: true, partialFilterExpression: { oidc_subject: { $type: 'string' } } });
+
+const sessionSchema = new mongoose.Schema({
+  session_id: { type: String, unique: true, required: true },
+  user_id: { type: Number, required: true },
+  refresh_token_hash: { type: String, required: true },
+  previous_token_hash: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  ip: { type: String, default: null },
+  last_seen_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date, default: null },
+  revoked_reason: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only audit trail; each event carries the hash of the one before it (see auditLog.js)
+const auditEventSchema = new mongoose.Schema({
+  sequence: { type: Number, unique: true, required: true },
+  timestamp: { type: Date, required: true },
+  actor: { type: String, default: null },
+  actor_type: { type: String, default: 'user', enum: ['user', 'api_key', 'system'] },
+  action: { type: String, required: true },
+  entity_type: { type: String, required: true },
+  entity_id: { type: String, default: null },
+  changes: { type: mongoose.Schema.Types.Mixed, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  request_id: { type: String, default: null },
+  ip: { type: String, default: null },
+  prev_hash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+auditEventSchema.index({ entity_type: 1, entity_id: 1, sequence: -1 });
+auditEventSchema.index({ actor: 1, sequence: -1 });
+auditEventSchema.index({ action: 1, sequence: -1 });
+auditEventSchema.index({ timestamp: -1 });
+
+function rejectAuditMutation(next) {
+  next(new Error('Audit events are append-only'));
+}
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  rejectAuditMutation
+);
+auditEventSchema.pre('save', function preventAuditOverwrite(next) {
+  if (!this.isNew) {
+    return rejectAuditMutation(next);
+  }
+  next();
+});
+
+// Saved versions of an employee record (see employeeHistory.js)
+const employeeRevisionSchema = new mongoose.Schema({
+  employee_row_id: { type: Number, required: true },
+  revision: { type: Number, required: true },
+  action: { type: String, required: true },
+  actor: { type: String, default: null },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  changes: { type: mongoose.Schema.Types.Mixed, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false,
+  minimize: false
+});
+
+employeeRevisionSchema.index({ employee_row_id: 1, revision: -1 }, { unique: true });
+
+// A person moving to another type (e.g. an intern hired as an employee), with the role they held before
+const employeeConversionSchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  employee_row_id: { type: Number, required: true },
+  from_type: { type: String, required: true },
+  to_type: { type: String, required: true },
+  // employee_id, designation, department, employment_type and joining_date before and after
+  previous: { type: mongoose.Schema.Types.Mixed, required: true },
+  current: { type: mongoose.Schema.Types.Mixed, required: true },
+  certificate_code: { type: String, default: null },
+  converted_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+employeeConversionSchema.index({ employee_row_id: 1, created_at: -1 });
+
+// One printed ID card; its serial is what the card's QR code encodes
+const cardIssuanceSchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  serial: { type: String, unique: true, required: true },
+  employee_row_id: { type: Number, required: true },
+  employee_uuid: { type: String, required: true },
+  // ID number printed on this card
+  employee_id: { type: String, required: true },
+  version: { type: Number, required: true },
+  reason: { type: String, required: true, enum: ['new', 'renewal', 'lost', 'damaged', 'id_change'] },
+  status: { type: String, default: 'active', enum: ['active', 'revoked'] },
+  issued_at: { type: Date, required: true },
+  issued_by: { type: String, default: null },
+  revoked_at: { type: Date, default: null },
+  revoked_by: { type: String, default: null },
+  revocation_reason: { type: String, default: null, enum: [null, 'superseded', 'lost', 'stolen', 'damaged', 'returned'] },
+  revocation_note: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+cardIssuanceSchema.index({ employee_row_id: 1, version: -1 });
+cardIssuanceSchema.index({ employee_row_id: 1, status: 1 });
+
+// A status change decided in advance (resignation date, leave period); applied by the status scheduler
+const scheduledStatusChangeSchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  employee_row_id: { type: Number, required: true },
+  status: { type: String, required: true },
+  // YYYY-MM-DD; the change applies from the start of this day
+  effective_date: { type: String, required: true },
+  // Last day of a temporary status such as on_leave; the next day the record returns to return_status
+  end_date: { type: String, default: null },
+  // Defaults to the status the record had when the change was applied
+  return_status: { type: String, default: null },
+  previous_status: { type: String, default: null },
+  note: { type: String, default: null },
+  state: { type: String, default: 'pending', enum: ['pending', 'applying', 'in_effect', 'ending', 'completed', 'cancelled', 'skipped'] },
+  created_by: { type: String, default: null },
+  // When the scheduler moved the change into applying/ending; old claims are released and retried
+  claimed_at: { type: Date, default: null },
+  applied_at: { type: Date, default: null },
+  ended_at: { type: Date, default: null },
+  cancelled_at: { type: Date, default: null },
+  cancelled_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+scheduledStatusChangeSchema.index({ state: 1, effective_date: 1 });
+scheduledStatusChangeSchema.index({ state: 1, end_date: 1 });
+scheduledStatusChangeSchema.index({ employee_row_id: 1, effective_date: -1 });
+
+// One step of the offboarding checklist; each new offboarding copies the items in sort order
+const offboardingItemSchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  key: { type: String, unique: true, required: true },
+  label: { type: String, required: true },
+  // Carried out when the step is checked off: revoke_card revokes the person's active cards as returned
+  action: { type: String, default: null, enum: [null, 'revoke_card'] },
+  default_assignee: { type: String, default: null },
+  // Days after the offboarding opens that the step is due
+  due_days: { type: Number, default: 7 },
+  sort_order: { type: Number, default: 0 },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+const offboardingTaskSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: true },
+  action: { type: String, default: null },
+  assignee: { type: String, default: null },
+  // YYYY-MM-DD
+  due_date: { type: String, default: null },
+  completed_at: { type: Date, default: null },
+  completed_by: { type: String, default: null },
+  note: { type: String, default: null }
+}, { _id: false });
+
+// Checklist opened when an employee is terminated or resigns
+const offboardingSchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  employee_row_id: { type: Number, required: true },
+  trigger_status: { type: String, required: true },
+  status: { type: String, default: 'open', enum: ['open', 'completed', 'cancelled'] },
+  items: { type: [offboardingTaskSchema], default: [] },
+  started_by: { type: String, default: null },
+  completed_at: { type: Date, default: null },
+  cancelled_at: { type: Date, default: null },
+  cancelled_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+offboardingSchema.index({ employee_row_id: 1, created_at: -1 });
+offboardingSchema.index({ status: 1, created_at: 1 });
+
+// Admin-defined extra fields for employee records
+const customFieldDefinitionSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  key: { type: String, unique: true, required: true },
+  label: { type: String, required: true },
+  field_type: { type: String, required: true, enum: ['text', 'number', 'date', 'select'] },
+  options: { type: [String], default: [] },
+  required: { type: Boolean, default: false },
+  validation_regex: { type: String, default: null },
+  // ID types the field applies to; empty means every type
+  applies_to: { type: [String], default: [] },
+  show_on_card: { type: Boolean, default: false },
+  public_on_verify: { type: Boolean, default: false },
+  sort_order: { type: Number, default: 0 },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Kinds of people that get IDs (employee, intern, contractor, visitor, ...)
+const personTypeSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  code: { type: String, unique: true, required: true },
+  label: { type: String, required: true },
+  // Type code used by the {TYPE} token of ID formats
+  id_prefix: { type: String, required: true },
+  default_employment_type: { type: String, default: 'full_time' },
+  // Card validity given to new IDs when no end date is entered; null means cards do not expire
+  default_validity_months: { type: Number, default: null },
+  card_color: { type: String, default: '#667eea' },
+  card_template: { type: String, default: 'gradient', enum: ['gradient', 'solid'] },
+  // Shown on the public verify page instead of the label
+  verify_label: { type: String, default: null },
+  icon: { type: String, default: null },
+  sort_order: { type: Number, default: 0 },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Employee ID number format for one ID type (see idFormats.js for the template tokens)
+const idFormatSchema = new mongoose.Schema({
+  type: { type: String, unique: true, required: true },
+  template: { type: String, required: true },
+  org_code: { type: String, default: '' },
+  type_code: { type: String, default: '' },
+  reset_policy: { type: String, required: true, enum: ['yearly', 'never', 'per_department'] },
+  check_digit: { type: String, default: 'none', enum: ['none', 'luhn', 'verhoeff'] },
+  updated_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Single-use password reset and invitation tokens; only the SHA-256 hash is stored
+const userTokenSchema = new mongoose.Schema({
+  token_hash: { type: String, unique: true, required: true },
+  user_id: { type: Number, required: true },
+  purpose: { type: String, required: true, enum: ['password_reset', 'invite'] },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+userTokenSchema.index({ user_id: 1, purpose: 1 });
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Pending SSO logins: PKCE verifier and nonce between the redirect and the callback,
+// then a one-time handoff code the frontend exchanges for tokens
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: { type: String, unique: true, required: true },
+  nonce: { type: String, required: true },
+  code_verifier: { type: String, required: true },
+  handoff_code_hash: { type: String, default: null },
+  user_id: { type: Number, default: null },
+  expires_at: { type: Date, required: true }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+oidcLoginStateSchema.index({ handoff_code_hash: 1 }, { sparse: true });
+oidcLoginStateSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// API keys for machine clients; only the SHA-256 hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  id: { type: Number, unique: true, required: true },
+  name: { type: String, required: true },
+  prefix: { type: String, unique: true, required: true },
+  key_hash: { type: String, required: true },
+  scopes: { type: [String], default: [] },
+  rate_limit: { type: Number, default: null },
+  expires_at: { type: Date, default: null },
+  last_used_at: { type: Date, default: null },
+  last_used_ip: { type: String, default: null },
+  revoked_at: { type: Date, default: null },
+  created_by: { type: String, default: null }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
 const Counter = mongoose.model('Counter', counterSchema);
 const EmployeeIdCounter = mongoose.model('EmployeeIdCounter', employeeIdCounterSchema);
 const Employee = mongoose.model('Employee', employeeSchema);
@@ -149,6 +590,34 @@ const CertificateBatch = mongoose.model('CertificateBatch', certificateBatchSche
 const OfferLetterStaging = mongoose.model('OfferLetterStaging', offerLetterStagingSchema);
 const OfferLetter = mongoose.model('OfferLetter', offerLetterSchema);
 const OfferLetterBatch = mongoose.model('OfferLetterBatch', offerLetterBatchSchema);
+const User = mongoose.model('User', userSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+const EmployeeRevision = mongoose.model('EmployeeRevision', employeeRevisionSchema);
+const EmployeeConversion = mongoose.model('EmployeeConversion', employeeConversionSchema);
+const CardIssuance = mongoose.model('CardIssuance', cardIssuanceSchema);
+const ScheduledStatusChange = mongoose.model('ScheduledStatusChange', scheduledStatusChangeSchema);
+const OffboardingItem = mongoose.model('OffboardingItem', offboardingItemSchema);
+const Offboarding = mongoose.model('Offboarding', offboardingSchema);
+const CustomFieldDefinition = mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
+const IdFormat = mongoose.model('IdFormat', idFormatSchema);
+const PersonType = mongoose.model('PersonType', personTypeSchema);
+
+// Types that existed before person types were configurable
+const DEFAULT_PERSON_TYPES = [
+  { code: 'employee', label: 'Employee', id_prefix: 'EMP', default_employment_type: 'full_time', default_validity_months: null, card_color: '#667eea', verify_label: 'Full-time Employee', icon: '👔', sort_order: 0 },
+  { code: 'intern', label: 'Intern', id_prefix: 'INT', default_employment_type: 'intern', default_validity_months: 6, card_color: '#9b59b6', verify_label: 'Intern', icon: '🎓', sort_order: 1 }
+];
+
+const DEFAULT_OFFBOARDING_ITEMS = [
+  { key: 'card_returned', label: 'ID card returned', action: 'revoke_card', due_days: 0, sort_order: 0 },
+  { key: 'assets_returned', label: 'Assets returned', due_days: 7, sort_order: 1 },
+  { key: 'certificates_issued', label: 'Certificates issued', due_days: 14, sort_order: 2 },
+  { key: 'experience_letter', label: 'Experience letter generated', due_days: 14, sort_order: 3 }
+];
 
 function resolveMongoUri() {
   if (process.env.MONGODB_URI) {
@@ -170,6 +639,33 @@ async function connectDB() {
   return mongoose.connection;
 }
 
+// Offer letters saved before candidate_name/designation existed
+async function backfillOfferLetterSearchFields() {
+  const rows = await OfferLetter.find({ candidate_name: { $exists: false } }, { id: 1, offer_data: 1 }).lean();
+  for (const row of rows) {
+    await OfferLetter.updateOne({ id: row.id }, { $set: extractOfferSearchFields(row.offer_data) });
+  }
+  return rows.length;
+}
+
+async function seedPersonTypes() {
+  for (const personType of DEFAULT_PERSON_TYPES) {
+    if (!(await PersonType.exists({ code: personType.code }))) {
+      await PersonType.create({ id: await getNextSequenceValue('person_types'), ...personType, created_by: 'bootstrap' });
+    }
+  }
+}
+
+// Only an empty checklist is seeded, so default steps an admin removed stay removed
+async function seedOffboardingItems() {
+  if (await OffboardingItem.exists({})) {
+    return;
+  }
+  for (const item of DEFAULT_OFFBOARDING_ITEMS) {
+    await OffboardingItem.create({ id: await getNextSequenceValue('offboarding_items'), ...item, created_by: 'bootstrap' });
+  }
+}
+
 async function getNextSequenceValue(name) {
   const next = await Counter.findOneAndUpdate(
     { name },
@@ -179,21 +675,6 @@ async function getNextSequenceValue(name) {
   return next.value;
 }
 
-async function generateEmployeeCode(type) {
-  const normalizedType = type === 'intern' ? 'intern' : 'employee';
-  const typeCode = normalizedType === 'employee' ? 'EMP' : 'INT';
-  const year = new Date().getFullYear().toString().slice(-2);
-  const counter = await EmployeeIdCounter.findOneAndUpdate(
-    { type: normalizedType, year },
-    { $inc: { counter: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
-  );
-  if (counter.counter > 9999) {
-    throw new Error('Maximum ID limit (9999) reached for this year');
-  }
-  return `SWT-${year}-${typeCode}-${counter.counter.toString().padStart(4, '0')}`;
-}
-
 module.exports = {
   connectDB,
   Employee,
@@ -202,8 +683,27 @@ module.exports = {
   OfferLetter,
   OfferLetterBatch,
   OfferLetterStaging,
+  User,
+  Session,
+  ApiKey,
+  OidcLoginState,
+  UserToken,
+  AuditEvent,
+  EmployeeRevision,
+  EmployeeConversion,
+  CardIssuance,
+  ScheduledStatusChange,
+  OffboardingItem,
+  Offboarding,
+  CustomFieldDefinition,
+  IdFormat,
+  PersonType,
+  ENCRYPTED_EMPLOYEE_FIELDS,
+  BLIND_INDEXED_EMPLOYEE_FIELDS,
   Counter,
   EmployeeIdCounter,
   getNextSequenceValue,
-  generateEmployeeCode
+  seedPersonTypes,
+  seedOffboardingItems,
+  backfillOfferLetterSearchFields
 };
@@ -0,0 +1,130 @@
+/**
+ * Revision history for employee records.
+ * Every saved change stores a full snapshot (sensitive fields stay encrypted) together with the
+ * field-level diff against the previous revision, so any revision can be inspected or restored.
+ */
+
+const { EmployeeRevision, ENCRYPTED_EMPLOYEE_FIELDS } = require('./database');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+const { diffRecords } = require('./auditLog');
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Derived or bookkeeping fields that are not part of a revision
+const SNAPSHOT_EXCLUDED_FIELDS = ['_id', 'qr_code', 'card_serial', 'card_version', 'previous_ids', 'created_at', 'updated_at'];
+
+// Plain copy of an employee (hydrated or lean) with sensitive fields in clear
+function toSnapshot(employee) {
+  const raw = typeof employee.toObject === 'function' ? employee.toObject() : employee;
+  const snapshot = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (!SNAPSHOT_EXCLUDED_FIELDS.includes(field) && !field.endsWith('_bidx')) {
+      snapshot[field] = value instanceof Date ? value.toISOString() : value;
+    }
+  }
+  return snapshot;
+}
+
+function sealSnapshot(snapshot) {
+  const sealed = { ...snapshot };
+  ENCRYPTED_EMPLOYEE_FIELDS.forEach((field) => {
+    if (sealed[field]) {
+      sealed[field] = encryptValue(sealed[field]);
+    }
+  });
+  return sealed;
+}
+
+function openSnapshot(sealed) {
+  const snapshot = { ...sealed };
+  ENCRYPTED_EMPLOYEE_FIELDS.forEach((field) => {
+    if (snapshot[field]) {
+      snapshot[field] = decryptValue(snapshot[field]);
+    }
+  });
+  return snapshot;
+}
+
+async function insertRevision(employeeRowId, fields) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await EmployeeRevision.findOne({ employee_row_id: employeeRowId })
+      .sort({ revision: -1 })
+      .lean();
+    const previous = last ? openSnapshot(last.snapshot) : null;
+    const changes = diffRecords(previous, fields.snapshot);
+
+    // Saving without any field changes does not create a revision
+    if (last && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    try {
+      return await EmployeeRevision.create({
+        employee_row_id: employeeRowId,
+        revision: last ? last.revision + 1 : 1,
+        action: fields.action,
+        actor: fields.actor || null,
+        snapshot: sealSnapshot(fields.snapshot),
+        changes,
+        metadata: fields.metadata || null
+      });
+    } catch (error) {
+      if (error?.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Save the current state of an employee as a new revision
+ * @param {object} employee - Employee document or lean object after the change
+ * @param {{action: string, actor?: string, metadata?: object, before?: object}} options
+ *   before - state prior to the change; stored as a baseline when the record has no history yet
+ * @returns {Promise<object|null>} - Stored revision, or null when nothing changed
+ */
+async function appendEmployeeRevision(employee, { action, actor, metadata, before }) {
+  const employeeRowId = employee.id;
+
+  if (before && !(await EmployeeRevision.exists({ employee_row_id: employeeRowId }))) {
+    await insertRevision(employeeRowId, { action: 'baseline', actor: null, snapshot: toSnapshot(before) });
+  }
+
+  return insertRevision(employeeRowId, { action, actor, metadata, snapshot: toSnapshot(employee) });
+}
+
+/**
+ * Revisions of an employee, newest first, without snapshots
+ * @param {number} employeeRowId - Numeric employee row ID
+ */
+function listEmployeeRevisions(employeeRowId) {
+  return EmployeeRevision.find({ employee_row_id: employeeRowId }, { snapshot: 0, _id: 0 })
+    .sort({ revision: -1 })
+    .lean();
+}
+
+/**
+ * Snapshot of one revision with sensitive fields decrypted
+ * @returns {Promise<object|null>}
+ */
+async function getRevisionSnapshot(employeeRowId, revision) {
+  const stored = await EmployeeRevision.findOne({ employee_row_id: employeeRowId, revision }).lean();
+  return stored ? openSnapshot(stored.snapshot) : null;
+}
+
+/**
+ * Remove every revision of an employee, e.g. when the record is purged
+ * @param {number} employeeRowId - Numeric employee row ID
+ * @param {{session?: object}} options - Mongoose session to delete within a transaction
+ */
+function deleteEmployeeRevisions(employeeRowId, { session } = {}) {
+  return EmployeeRevision.deleteMany({ employee_row_id: employeeRowId }, { session });
+}
+
+module.exports = {
+  appendEmployeeRevision,
+  listEmployeeRevisions,
+  getRevisionSnapshot,
+  deleteEmployeeRevisions
+};
@@ -0,0 +1,272 @@
+/**
+ * AES-256-GCM encryption for sensitive employee fields.
+ * Stored values look like enc:v<version>:<iv>:<tag>:<ciphertext> (base64url parts), so records
+ * written with an older key keep working after FIELD_ENCRYPTION_KEY_VERSION moves on.
+ * Exact-match lookups go through an HMAC-SHA256 blind index kept in <field>_bidx.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const PREFIX = 'enc';
+const ENCRYPTED_PATTERN = /^enc:v(\d+):([\w-]+):([\w-]+):([\w-]*)$/;
+
+// Values are normalized before hashing so formatting differences still match
+const BLIND_INDEX_NORMALIZERS = {
+  aadhar_number: value => value.replace(/\D/g, ''),
+  pan_number: value => value.replace(/\s/g, '').toUpperCase(),
+  bank_account: value => value.replace(/\s/g, '')
+};
+
+function decodeKey(value, label) {
+  const trimmed = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${label} must be 32 bytes, given as 64 hex characters or base64`);
+  }
+  return key;
+}
+
+// FIELD_ENCRYPTION_KEYS="1:<key>,2:<key>"
+function parseKeyring(value) {
+  const keys = new Map();
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator), 10);
+    if (separator === -1 || !Number.isInteger(version) || version <= 0) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <version>:<key>');
+    }
+    keys.set(version, decodeKey(entry.slice(separator + 1), `Field encryption key v${version}`));
+  }
+  return keys;
+}
+
+const keyring = parseKeyring(process.env.FIELD_ENCRYPTION_KEYS);
+const activeKeyVersion = parseInt(process.env.FIELD_ENCRYPTION_KEY_VERSION, 10) || Math.max(0, ...keyring.keys());
+const blindIndexKey = process.env.FIELD_BLIND_INDEX_KEY
+  ? decodeKey(process.env.FIELD_BLIND_INDEX_KEY, 'FIELD_BLIND_INDEX_KEY')
+  : null;
+
+if (keyring.size > 0 && !keyring.has(activeKeyVersion)) {
+  throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${activeKeyVersion} is not in FIELD_ENCRYPTION_KEYS`);
+}
+
+function isEncryptionConfigured() {
+  return keyring.size > 0 && Boolean(blindIndexKey);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+}
+
+// Key version an encrypted value was written with, or null for plaintext
+function getKeyVersion(value) {
+  const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function encryptValue(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return plaintext;
+  }
+  if (!keyring.has(activeKeyVersion)) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured; sensitive fields cannot be saved');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyring.get(activeKeyVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIX, `v${activeKeyVersion}`, iv.toString('base64url'), tag.toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+// Plaintext left over from before encryption was enabled is returned unchanged
+function decryptValue(stored) {
+  const match = typeof stored === 'string' ? stored.match(ENCRYPTED_PATTERN) : null;
+  if (!match) {
+    return stored;
+  }
+
+  const version = parseInt(match[1], 10);
+  const key = keyring.get(version);
+  if (!key) {
+    throw new Error(`Field encryption key v${version} is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(match[2], 'base64url'));
+  decipher.setAuthTag(Buffer.from(match[3], 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(match[4], 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Keyed hash of a field value for exact-match lookups
+ * @param {string} field - Field name (each field hashes into its own namespace)
+ * @param {string} value - Plaintext value
+ * @returns {string|null}
+ */
+function computeBlindIndex(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (!blindIndexKey) {
+    throw new Error('FIELD_BLIND_INDEX_KEY is not configured; sensitive fields cannot be indexed');
+  }
+  const normalize = BLIND_INDEX_NORMALIZERS[field] || (item => item.trim());
+  return crypto.createHmac('sha256', blindIndexKey).update(`${field}:${normalize(String(value))}`).digest('hex');
+}
+
+function blindIndexPath(field) {
+  return `${field}_bidx`;
+}
+
+// Rewrite { field: value } conditions on blind-indexed fields into lookups on <field>_bidx
+function rewriteFilter(filter, blindIndexFields) {
+  if (!filter || typeof filter !== 'object') {
+    return;
+  }
+  for (const operator of ['$or', '$and', '$nor']) {
+    if (Array.isArray(filter[operator])) {
+      filter[operator].forEach(condition => rewriteFilter(condition, blindIndexFields));
+    }
+  }
+  for (const field of blindIndexFields) {
+    if (!(field in filter)) {
+      continue;
+    }
+    const condition = filter[field];
+    if (typeof condition === 'string') {
+      filter[blindIndexPath(field)] = computeBlindIndex(field, condition);
+    } else if (condition && Array.isArray(condition.$in)) {
+      filter[blindIndexPath(field)] = { $in: condition.$in.map(value => computeBlindIndex(field, value)) };
+    } else if (condition === null) {
+      filter[blindIndexPath(field)] = null;
+    } else {
+      throw new Error(`Only exact-match queries are supported on encrypted field ${field}`);
+    }
+    delete filter[field];
+  }
+}
+
+function encryptFields(target, fields, blindIndexFields) {
+  for (const field of fields) {
+    if (!(field in target) || isEncrypted(target[field])) {
+      continue;
+    }
+    if (blindIndexFields.includes(field)) {
+      target[blindIndexPath(field)] = computeBlindIndex(field, target[field]);
+    }
+    target[field] = encryptValue(target[field]);
+  }
+}
+
+function decryptFields(record, fields) {
+  if (!record || typeof record !== 'object') {
+    return;
+  }
+  for (const field of fields) {
+    if (isEncrypted(record[field])) {
+      record[field] = decryptValue(record[field]);
+    }
+  }
+}
+
+/**
+ * Mongoose plugin that encrypts fields on write and decrypts them on read, including lean queries
+ * @param {mongoose.Schema} schema
+ * @param {{fields: string[], blindIndexFields?: string[]}} options
+ */
+function encryptedFieldsPlugin(schema, { fields, blindIndexFields = [] }) {
+  for (const field of blindIndexFields) {
+    schema.add({ [blindIndexPath(field)]: { type: String, default: null, select: false } });
+    schema.index({ [blindIndexPath(field)]: 1 });
+  }
+
+  // Keep hydrated documents in plaintext; remember what was stored for the migration command
+  schema.post('init', function decryptOnLoad(doc) {
+    doc.$locals.storedKeyVersions = {};
+    for (const field of fields) {
+      const stored = doc.get(field);
+      doc.$locals.storedKeyVersions[field] = getKeyVersion(stored);
+      if (isEncrypted(stored)) {
+        doc.set(field, decryptValue(stored));
+        doc.unmarkModified(field);
+      }
+    }
+  });
+
+  schema.pre('save', function encryptOnSave(next) {
+    try {
+      for (const field of fields) {
+        if (!this.isNew && !this.isModified(field)) {
+          continue;
+        }
+        const value = this.get(field);
+        if (blindIndexFields.includes(field)) {
+          this.set(blindIndexPath(field), computeBlindIndex(field, value));
+        }
+        this.set(field, isEncrypted(value) ? value : encryptValue(value));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('save', function decryptAfterSave(doc) {
+    for (const field of fields) {
+      if (isEncrypted(doc.get(field))) {
+        doc.set(field, decryptValue(doc.get(field)));
+        doc.unmarkModified(field);
+      }
+    }
+  });
+
+  schema.pre('insertMany', function encryptOnInsert(next, docs) {
+    try {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => encryptFields(doc, fields, blindIndexFields));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const filterHooks = ['find', 'findOne', 'countDocuments', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+  schema.pre(filterHooks, function rewriteEncryptedQuery(next) {
+    try {
+      rewriteFilter(this.getFilter(), blindIndexFields);
+
+      const update = this.getUpdate();
+      if (update) {
+        encryptFields(update, fields, blindIndexFields);
+        if (update.$set) {
+          encryptFields(update.$set, fields, blindIndexFields);
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Hydrated results are handled by the init hook; lean results are plain objects
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function decryptLeanResults(result) {
+    if (!this.mongooseOptions().lean || !result) {
+      return;
+    }
+    (Array.isArray(result) ? result : [result]).forEach(record => decryptFields(record, fields));
+  });
+}
+
+module.exports = {
+  encryptedFieldsPlugin,
+  isEncryptionConfigured,
+  isEncrypted,
+  getKeyVersion,
+  encryptValue,
+  decryptValue,
+  computeBlindIndex,
+  rewriteFilter,
+  activeKeyVersion
+};
@@ -10,14 +10,29 @@ import Certificates from './components/Certificates';
 import OfferLetters from './components/OfferLetters';
 import PrivateRoute from './components/PrivateRoute';
 import Login from './components/Login';
+import Users from './components/Users';
+import Sessions from './components/Sessions';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import ApiKeys from './components/ApiKeys';
+import AuditLog from './components/AuditLog';
+import CustomFields from './components/CustomFields';
+import IdFormats from './components/IdFormats';
+import PersonTypes from './components/PersonTypes';
+import Offboardings from './components/Offboardings';
+import OffboardingChecklist from './components/OffboardingChecklist';
+import GlobalSearch from './components/GlobalSearch';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
 import { ToastProvider } from './components/Toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { buildVerifyPortalUrl } from './config';
+import { PERMISSIONS } from './utils/permissions';
 import './App.css';
 
 function Navigation({ onLogout }) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const location = useLocation();
+  const { hasPermission } = useAuth();
   const verifyPortalUrl = buildVerifyPortalUrl('/verify');
   
   const isActive = (path) => {
@@ -50,10 +65,43 @@ function Navigation({ onLogout }) {
       </button>
       
       <div className={`nav-links ${mobileMenuOpen ? 'mobile-open' : ''}`}>
+        <GlobalSearch onNavigate={closeMobileMenu} />
         <Link to="/" className={isActive('/')} onClick={closeMobileMenu}>Dashboard</Link>
-        <Link to="/employees" className={isActive('/employees')} onClick={closeMobileMenu}>Manage IDs</Link>
-        <Link to="/certificates" className={isActive('/certificates')} onClick={closeMobileMenu}>Certificates</Link>
-        <Link to="/offer-letters" className={isActive('/offer-letters')} onClick={closeMobileMenu}>Offer Letters</Link>
+        {hasPermission(PERMISSIONS.EMPLOYEES_READ) && (
+          <Link to="/employees" className={isActive('/employees')} onClick={closeMobileMenu}>Manage IDs</Link>
+        )}
+        {hasPermission(PERMISSIONS.EMPLOYEES_READ) && (
+          <Link to="/offboarding" className={isActive('/offboarding')} onClick={closeMobileMenu}>Offboarding</Link>
+        )}
+        {hasPermission(PERMISSIONS.CERTIFICATES_READ) && (
+          <Link to="/certificates" className={isActive('/certificates')} onClick={closeMobileMenu}>Certificates</Link>
+        )}
+        {hasPermission(PERMISSIONS.OFFER_LETTERS_READ) && (
+          <Link to="/offer-letters" className={isActive('/offer-letters')} onClick={closeMobileMenu}>Offer Letters</Link>
+        )}
+        {hasPermission(PERMISSIONS.USERS_MANAGE) && (
+          <Link to="/users" className={isActive('/users')} onClick={closeMobileMenu}>Users</Link>
+        )}
+        {hasPermission(PERMISSIONS.USERS_MANAGE) && (
+          <Link to="/api-keys" className={isActive('/api-keys')} onClick={closeMobileMenu}>API Keys</Link>
+        )}
+        {hasPermission(PERMISSIONS.SETTINGS_MANAGE) && (
+          <Link to="/custom-fields" className={isActive('/custom-fields')} onClick={closeMobileMenu}>Custom Fields</Link>
+        )}
+        {hasPermission(PERMISSIONS.SETTINGS_MANAGE) && (
+          <Link to="/id-formats" className={isActive('/id-formats')} onClick={closeMobileMenu}>ID Formats</Link>
+        )}
+        {hasPermission(PERMISSIONS.SETTINGS_MANAGE) && (
+          <Link to="/person-types" className={isActive('/person-types')} onClick={closeMobileMenu}>Person Types</Link>
+        )}
+        {hasPermission(PERMISSIONS.SETTINGS_MANAGE) && (
+          <Link to="/offboarding-checklist" className={isActive('/offboarding-checklist')} onClick={closeMobileMenu}>Offboarding Checklist</Link>
+        )}
+        {hasPermission(PERMISSIONS.AUDIT_READ) && (
+          <Link to="/audit" className={isActive('/audit')} onClick={closeMobileMenu}>Audit Log</Link>
+        )}
+        <Link to="/sessions" className={isActive('/sessions')} onClick={closeMobileMenu}>Sessions</Link>
+        <Link to="/security" className={isActive('/security')} onClick={closeMobileMenu}>Security</Link>
         <a
           href={verifyPortalUrl}
           className={isActive('/verify')}
@@ -113,14 +161,27 @@ function AppContent() {
           ) : (
             <>
               <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/accept-invite" element={<ResetPassword invite />} />
               <Route path="/verify/*" element={<VerifyPortalRedirect />} />
               <Route path="/" element={<PrivateRoute><ProfessionalDashboard /></PrivateRoute>} />
-              <Route path="/create" element={<PrivateRoute><CreateEmployee /></PrivateRoute>} />
-              <Route path="/employees" element={<PrivateRoute><EmployeeList /></PrivateRoute>} />
-              <Route path="/edit/:id" element={<PrivateRoute><EditEmployee /></PrivateRoute>} />
-              <Route path="/certificates/*" element={<PrivateRoute><Certificates /></PrivateRoute>} />
-              <Route path="/offer-letters/*" element={<PrivateRoute><OfferLetters /></PrivateRoute>} />
-              <Route path="/bulk-upload" element={<PrivateRoute><BulkUpload /></PrivateRoute>} />
+              <Route path="/create" element={<PrivateRoute permission={PERMISSIONS.EMPLOYEES_WRITE}><CreateEmployee /></PrivateRoute>} />
+              <Route path="/employees" element={<PrivateRoute permission={PERMISSIONS.EMPLOYEES_READ}><EmployeeList /></PrivateRoute>} />
+              <Route path="/edit/:id" element={<PrivateRoute permission={PERMISSIONS.EMPLOYEES_WRITE}><EditEmployee /></PrivateRoute>} />
+              <Route path="/certificates/*" element={<PrivateRoute permission={PERMISSIONS.CERTIFICATES_READ}><Certificates /></PrivateRoute>} />
+              <Route path="/offer-letters/*" element={<PrivateRoute permission={PERMISSIONS.OFFER_LETTERS_READ}><OfferLetters /></PrivateRoute>} />
+              <Route path="/bulk-upload" element={<PrivateRoute permission={PERMISSIONS.EMPLOYEES_WRITE}><BulkUpload /></PrivateRoute>} />
+              <Route path="/users" element={<PrivateRoute permission={PERMISSIONS.USERS_MANAGE}><Users /></PrivateRoute>} />
+              <Route path="/api-keys" element={<PrivateRoute permission={PERMISSIONS.USERS_MANAGE}><ApiKeys /></PrivateRoute>} />
+              <Route path="/custom-fields" element={<PrivateRoute permission={PERMISSIONS.SETTINGS_MANAGE}><CustomFields /></PrivateRoute>} />
+              <Route path="/id-formats" element={<PrivateRoute permission={PERMISSIONS.SETTINGS_MANAGE}><IdFormats /></PrivateRoute>} />
+              <Route path="/person-types" element={<PrivateRoute permission={PERMISSIONS.SETTINGS_MANAGE}><PersonTypes /></PrivateRoute>} />
+              <Route path="/offboarding" element={<PrivateRoute permission={PERMISSIONS.EMPLOYEES_READ}><Offboardings /></PrivateRoute>} />
+              <Route path="/offboarding-checklist" element={<PrivateRoute permission={PERMISSIONS.SETTINGS_MANAGE}><OffboardingChecklist /></PrivateRoute>} />
+              <Route path="/audit" element={<PrivateRoute permission={PERMISSIONS.AUDIT_READ}><AuditLog /></PrivateRoute>} />
+              <Route path="/sessions" element={<PrivateRoute><Sessions /></PrivateRoute>} />
+              <Route path="/security" element={<PrivateRoute><TwoFactorSettings /></PrivateRoute>} />
               <Route path="*" element={<Navigate to={isAuthenticated ? '/' : '/login'} replace />} />
             </>
           )}
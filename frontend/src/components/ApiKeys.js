@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const EMPTY_FORM = { name: '', scopes: [], expires_at: '', rate_limit: '' };
+
+const SCOPE_LABELS = {
+  'employees:read': 'Read employees',
+  'verify:bulk': 'Bulk verification',
+  'certificates:issue': 'Issue certificates'
+};
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const getKeyStatus = (apiKey) => {
+  if (apiKey.revoked_at) return { label: 'REVOKED', background: '#f8d7da', color: '#721c24' };
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return { label: 'EXPIRED', background: '#fff3cd', color: '#856404' };
+  }
+  return { label: 'ACTIVE', background: '#d4edda', color: '#155724' };
+};
+
+const ApiKeys = () => {
+  const toast = useToast();
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+
+  const fetchScopes = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/api-keys/scopes');
+      setScopes(response.data);
+    } catch (error) {
+      console.error('Error fetching scopes:', error);
+    }
+  }, []);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/api-keys');
+      setApiKeys(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch API keys');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchApiKeys();
+    fetchScopes();
+  }, [fetchApiKeys, fetchScopes]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleScope = (scope) => {
+    setFormState((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.post('/api/api-keys', {
+        ...formState,
+        expires_at: formState.expires_at || null,
+        rate_limit: formState.rate_limit || null
+      });
+      setNewKey(response.data);
+      toast.success('API key created');
+      setFormState(EMPTY_FORM);
+      setShowForm(false);
+      fetchApiKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const revokeKey = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Clients using it will stop working immediately.`)) return;
+
+    try {
+      await axios.delete(`/api/api-keys/${apiKey.id}`);
+      toast.success('API key revoked');
+      fetchApiKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const copyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+      toast.success('API key copied');
+    } catch (error) {
+      toast.error('Copy failed. Select the key and copy it manually.');
+    }
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading API keys...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>🔑 API Keys</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Keys for payroll, background-check and other machine clients</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : '➕ New API Key'}
+        </button>
+      </div>
+
+      {newKey && (
+        <div style={{ padding: '1.5rem', background: '#d4edda', color: '#155724', borderRadius: '8px', marginBottom: '2rem' }}>
+          <strong>Copy the key for "{newKey.name}" now. It will not be shown again.</strong>
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginTop: '0.75rem' }}>
+            <code style={{ flex: 1, padding: '0.75rem', background: 'white', borderRadius: '6px', wordBreak: 'break-all' }}>
+              {newKey.key}
+            </code>
+            <button className="btn btn-primary" onClick={copyKey}>Copy</button>
+            <button className="btn btn-secondary" onClick={() => setNewKey(null)}>Done</button>
+          </div>
+          <p style={{ margin: '0.75rem 0 0' }}>Send it in the <code>X-API-Key</code> header.</p>
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+        >
+          <label>
+            Name
+            <input type="text" name="name" value={formState.name} onChange={handleChange} required placeholder="Payroll sync" style={inputStyle} />
+          </label>
+          <label>
+            Expires on
+            <input type="date" name="expires_at" value={formState.expires_at} onChange={handleChange} style={inputStyle} />
+          </label>
+          <label>
+            Requests per 15 minutes
+            <input type="number" name="rate_limit" min="1" value={formState.rate_limit} onChange={handleChange} placeholder="Default" style={inputStyle} />
+          </label>
+          <fieldset style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '0.5rem 1rem' }}>
+            <legend>Scopes</legend>
+            {scopes.map(scope => (
+              <label key={scope} style={{ display: 'block' }}>
+                <input type="checkbox" checked={formState.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                {' '}{SCOPE_LABELS[scope] || scope}
+              </label>
+            ))}
+          </fieldset>
+          <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+            <button type="submit" className="btn btn-primary" disabled={saving || formState.scopes.length === 0}>
+              {saving ? 'Creating...' : 'Create Key'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>Name</th>
+              <th style={cellStyle}>Key</th>
+              <th style={cellStyle}>Scopes</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Expires</th>
+              <th style={cellStyle}>Last Used</th>
+              <th style={cellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.length === 0 && (
+              <tr>
+                <td colSpan="7" style={{ ...cellStyle, textAlign: 'center', color: '#6c757d' }}>No API keys yet</td>
+              </tr>
+            )}
+            {apiKeys.map(apiKey => {
+              const status = getKeyStatus(apiKey);
+              return (
+                <tr key={apiKey.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                  <td style={{ ...cellStyle, fontWeight: '600' }}>
+                    {apiKey.name}
+                    <div style={{ fontSize: '0.8rem', color: '#6c757d', fontWeight: 'normal' }}>by {apiKey.created_by || '—'}</div>
+                  </td>
+                  <td style={cellStyle}><code>{apiKey.prefix}_…</code></td>
+                  <td style={cellStyle}>{apiKey.scopes.map(scope => SCOPE_LABELS[scope] || scope).join(', ')}</td>
+                  <td style={cellStyle}>
+                    <span style={{ padding: '0.25rem 0.75rem', borderRadius: '12px', fontSize: '0.85rem', fontWeight: '600', background: status.background, color: status.color }}>
+                      {status.label}
+                    </span>
+                  </td>
+                  <td style={cellStyle}>{apiKey.expires_at ? new Date(apiKey.expires_at).toLocaleDateString() : 'Never'}</td>
+                  <td style={cellStyle}>
+                    {apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'Never'}
+                    {apiKey.last_used_ip && <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{apiKey.last_used_ip}</div>}
+                  </td>
+                  <td style={cellStyle}>
+                    {!apiKey.revoked_at && (
+                      <button
+                        onClick={() => revokeKey(apiKey)}
+                        style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const EMPTY_FILTERS = { actor: '', action: '', entity_type: '', entity_id: '', from: '', to: '' };
+
+const ENTITY_TYPES = [
+  { value: 'employee', label: 'Employees' },
+  { value: 'card', label: 'ID Cards' },
+  { value: 'certificate', label: 'Certificates' },
+  { value: 'offer_letter', label: 'Offer Letters' },
+  { value: 'custom_field', label: 'Custom Fields' },
+  { value: 'id_format', label: 'ID Formats' },
+  { value: 'person_type', label: 'Person Types' },
+  { value: 'offboarding', label: 'Offboardings' },
+  { value: 'offboarding_item', label: 'Offboarding Checklist' }
+];
+
+const ACTIONS = [
+  'employee.create',
+  'employee.update',
+  'employee.delete',
+  'employee.archive',
+  'employee.restore',
+  'employee.purge',
+  'employee.reveal',
+  'employee.rollback',
+  'employee.convert',
+  'employee.renew',
+  'employee.expire',
+  'employee.schedule_status',
+  'employee.cancel_scheduled_status',
+  'employee.scheduled_status',
+  'employee.bulk_status',
+  'employee.bulk_type',
+  'card.issue',
+  'card.revoke',
+  'certificate.create',
+  'certificate.revoke',
+  'offer_letter.create',
+  'offer_letter.update',
+  'offer_letter.delete',
+  'custom_field.create',
+  'custom_field.update',
+  'custom_field.delete',
+  'id_format.update',
+  'person_type.create',
+  'person_type.update',
+  'person_type.delete',
+  'offboarding.open',
+  'offboarding.update_item',
+  'offboarding.complete',
+  'offboarding.reopen',
+  'offboarding.cancel',
+  'offboarding_item.create',
+  'offboarding_item.update',
+  'offboarding_item.delete'
+];
+
+const ACTION_COLORS = {
+  create: { background: '#d4edda', color: '#155724' },
+  update: { background: '#cce5ff', color: '#004085' },
+  delete: { background: '#f8d7da', color: '#721c24' },
+  archive: { background: '#f8d7da', color: '#721c24' },
+  purge: { background: '#f8d7da', color: '#721c24' },
+  restore: { background: '#d4edda', color: '#155724' },
+  rollback: { background: '#fff3cd', color: '#856404' },
+  revoke: { background: '#f8d7da', color: '#721c24' },
+  reveal: { background: '#fff3cd', color: '#856404' }
+};
+
+const cellStyle = { padding: '0.75rem 1rem', textAlign: 'left', verticalAlign: 'top' };
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const getActionColor = (action = '') => {
+  const verb = action.split('.').pop();
+  return ACTION_COLORS[verb] || { background: '#e2e3e5', color: '#383d41' };
+};
+
+const AuditLog = () => {
+  const toast = useToast();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ events: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [chainStatus, setChainStatus] = useState(null);
+
+  useEffect(() => {
+    fetchEvents();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [appliedFilters, page]);
+
+  const fetchEvents = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(appliedFilters).filter(([, value]) => value));
+      const response = await axios.get('/api/audit', { params: { ...params, page } });
+      setResult(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch audit events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const applyFilters = (event) => {
+    event.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const verifyChain = async () => {
+    setVerifying(true);
+    try {
+      const response = await axios.get('/api/audit/verify');
+      setChainStatus(response.data);
+      if (response.data.valid) {
+        toast.success(`Audit chain intact (${response.data.checked} events checked)`);
+      } else {
+        toast.error(`Audit chain broken at event #${response.data.brokenAt}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to verify audit chain');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>📜 Audit Log</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Every change to employees, certificates and offer letters</p>
+        </div>
+        <button className="btn btn-secondary" onClick={verifyChain} disabled={verifying}>
+          {verifying ? 'Verifying...' : '🔗 Verify Chain'}
+        </button>
+      </div>
+
+      {chainStatus && (
+        <div
+          style={{
+            padding: '1rem 1.5rem',
+            borderRadius: '8px',
+            marginBottom: '2rem',
+            background: chainStatus.valid ? '#d4edda' : '#f8d7da',
+            color: chainStatus.valid ? '#155724' : '#721c24'
+          }}
+        >
+          {chainStatus.valid
+            ? `Hash chain intact: ${chainStatus.checked} events checked.`
+            : `Hash chain broken at event #${chainStatus.brokenAt}: ${chainStatus.reason}. ${chainStatus.checked} events before it are intact.`}
+        </div>
+      )}
+
+      <form
+        onSubmit={applyFilters}
+        style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+      >
+        <label>
+          Actor
+          <input type="text" name="actor" value={filters.actor} onChange={handleChange} placeholder="Email or api-key:name" style={inputStyle} />
+        </label>
+        <label>
+          Action
+          <select name="action" value={filters.action} onChange={handleChange} style={inputStyle}>
+            <option value="">All actions</option>
+            {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+          </select>
+        </label>
+        <label>
+          Record type
+          <select name="entity_type" value={filters.entity_type} onChange={handleChange} style={inputStyle}>
+            <option value="">All types</option>
+            {ENTITY_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+          </select>
+        </label>
+        <label>
+          Record ID
+          <input type="text" name="entity_id" value={filters.entity_id} onChange={handleChange} style={inputStyle} />
+        </label>
+        <label>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleChange} style={inputStyle} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleChange} style={inputStyle} />
+        </label>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+          <button type="submit" className="btn btn-primary">Search</button>
+          <button type="button" className="btn btn-secondary" onClick={clearFilters}>Clear</button>
+        </div>
+      </form>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>#</th>
+              <th style={cellStyle}>Time</th>
+              <th style={cellStyle}>Actor</th>
+              <th style={cellStyle}>Action</th>
+              <th style={cellStyle}>Record</th>
+              <th style={cellStyle}>Changes</th>
+              <th style={cellStyle}>Request</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && (
+              <tr>
+                <td colSpan="7" style={{ ...cellStyle, textAlign: 'center', color: '#6c757d' }}>Loading audit events...</td>
+              </tr>
+            )}
+            {!loading && result.events.length === 0 && (
+              <tr>
+                <td colSpan="7" style={{ ...cellStyle, textAlign: 'center', color: '#6c757d' }}>No audit events match these filters</td>
+              </tr>
+            )}
+            {!loading && result.events.map(event => {
+              const changes = Object.entries(event.changes || {});
+              const isExpanded = expanded === event.sequence;
+              const actionColor = getActionColor(event.action);
+              return (
+                <tr key={event.sequence} style={{ borderBottom: '1px solid #dee2e6' }}>
+                  <td style={{ ...cellStyle, color: '#6c757d' }}>{event.sequence}</td>
+                  <td style={cellStyle}>{new Date(event.timestamp).toLocaleString()}</td>
+                  <td style={cellStyle}>
+                    {event.actor || 'system'}
+                    {event.actor_type === 'api_key' && <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>API key</div>}
+                  </td>
+                  <td style={cellStyle}>
+                    <span style={{ padding: '0.25rem 0.75rem', borderRadius: '12px', fontSize: '0.85rem', fontWeight: '600', ...actionColor }}>
+                      {event.action}
+                    </span>
+                    {event.metadata?.bulk && <div style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '0.25rem' }}>bulk</div>}
+                    {event.metadata?.reason && (
+                      <div style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '0.25rem' }}>
+                        {event.metadata.field}: “{event.metadata.reason}”
+                      </div>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{event.entity_type} {event.entity_id}</td>
+                  <td style={cellStyle}>
+                    {changes.length === 0 && <span style={{ color: '#6c757d' }}>—</span>}
+                    {changes.length > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => setExpanded(isExpanded ? null : event.sequence)}
+                        style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', padding: 0 }}
+                      >
+                        {isExpanded ? 'Hide' : 'Show'} {changes.length} field{changes.length === 1 ? '' : 's'}
+                      </button>
+                    )}
+                    {isExpanded && (
+                      <table style={{ marginTop: '0.5rem', fontSize: '0.85rem', borderCollapse: 'collapse' }}>
+                        <tbody>
+                          {changes.map(([field, change]) => (
+                            <tr key={field}>
+                              <td style={{ padding: '0.25rem 0.5rem', fontWeight: '600' }}>{field}</td>
+                              <td style={{ padding: '0.25rem 0.5rem', color: '#721c24', wordBreak: 'break-all' }}>{formatValue(change.from)}</td>
+                              <td style={{ padding: '0.25rem 0.5rem' }}>→</td>
+                              <td style={{ padding: '0.25rem 0.5rem', color: '#155724', wordBreak: 'break-all' }}>{formatValue(change.to)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, fontSize: '0.8rem', color: '#6c757d' }}>
+                    {event.ip || '—'}
+                    {event.request_id && <div><code>{event.request_id}</code></div>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem' }}>
+        <span style={{ color: '#6c757d' }}>{result.total} events</span>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <button className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>Previous</button>
+          <span>Page {page} of {Math.max(result.pages, 1)}</span>
+          <button className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= result.pages || loading}>Next</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
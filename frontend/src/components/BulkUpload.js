@@ -1,7 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import ExcelJS from 'exceljs';
 import { useToast } from './Toast';
+import { appliesToType } from '../utils/customFields';
+import { usePersonTypes } from '../utils/personTypes';
+
+// Excel returns dates as Date objects; custom date fields expect YYYY-MM-DD
+const toCellText = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value));
+
+// Custom field values from a row, matching columns by label or key
+const readCustomFields = (row, definitions, type) => Object.fromEntries(
+  definitions
+    .filter(definition => appliesToType(definition, type))
+    .map(definition => [definition.key, row[definition.label] ?? row[definition.key]])
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => [key, toCellText(value)])
+);
 
 const BulkUpload = () => {
   const toast = useToast();
@@ -9,6 +23,14 @@ const BulkUpload = () => {
   const [preview, setPreview] = useState([]);
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
+  const [customFields, setCustomFields] = useState([]);
+  const personTypes = usePersonTypes();
+
+  useEffect(() => {
+    axios.get('/api/custom-fields')
+      .then(response => setCustomFields(response.data))
+      .catch(error => console.error('Error fetching custom fields:', error));
+  }, []);
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
@@ -47,6 +69,7 @@ const BulkUpload = () => {
         'Address': '123 Main St',
         'Date of Birth': '1990-01-01',
         'Joining Date': '2023-01-01',
+        'Valid Until': '',
         'Manager': 'Jane Smith',
         'Blood Group': 'O+',
         'Emergency Contact': 'Jane Doe',
@@ -54,7 +77,8 @@ const BulkUpload = () => {
         'Salary': '50000',
         'Bank Account': '1234567890',
         'Aadhar Number': '123456789012',
-        'PAN Number': 'ABCDE1234F'
+        'PAN Number': 'ABCDE1234F',
+        ...Object.fromEntries(customFields.map(definition => [definition.label, '']))
       }
     ];
     
@@ -118,18 +142,24 @@ const BulkUpload = () => {
               throw new Error('Missing required fields: Name, Department, or Email');
             }
             
+            // The Type column may hold a person type code or its label
+            const typeValue = String(row.Type || 'employee').trim().toLowerCase();
+            const type = personTypes.find(personType => personType.label.toLowerCase() === typeValue)?.code || typeValue;
             const employeeData = {
               name: row.Name,
-              type: row.Type?.toLowerCase() || 'employee',
+              type,
               department: row.Department,
               designation: row.Designation || 'Employee',
-              employment_type: 'full_time',
+              // Left out, the server uses the person type's default employment type
+              employment_type: row['Employment Type'] || undefined,
               work_location: row['Work Location'] || 'Head Office',
               email: row.Email,
               phone: row.Phone,
               address: row.Address,
               date_of_birth: row['Date of Birth'],
               joining_date: row['Joining Date'],
+              // Blank uses the person type's default card validity
+              valid_until: row['Valid Until'] || undefined,
               manager: row.Manager,
               blood_group: row['Blood Group'],
               emergency_contact: row['Emergency Contact'],
@@ -137,7 +167,8 @@ const BulkUpload = () => {
               salary: row.Salary,
               bank_account: row['Bank Account'],
               aadhar_number: row['Aadhar Number'],
-              pan_number: row['PAN Number']
+              pan_number: row['PAN Number'],
+              custom_fields: readCustomFields(row, customFields, type)
             };
 
             await axios.post('/api/employees', employeeData);
@@ -7,19 +7,26 @@ import CreateCertificate from './CreateCertificate';
 import BulkCertificate from './BulkCertificate';
 import ManageCertificates from './ManageCertificates';
 import { buildVerifyPortalUrl } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const Certificates = () => {
+  const { hasPermission } = useAuth();
+  const canIssue = hasPermission(PERMISSIONS.CERTIFICATES_ISSUE);
+
   return (
     <Routes>
       <Route path="/" element={<CertificateHome />} />
-      <Route path="/create" element={<CreateCertificate />} />
-      <Route path="/bulk" element={<BulkCertificate />} />
+      {canIssue && <Route path="/create" element={<CreateCertificate />} />}
+      {canIssue && <Route path="/bulk" element={<BulkCertificate />} />}
       <Route path="/manage" element={<ManageCertificates />} />
     </Routes>
   );
 };
 
 const CertificateHome = () => {
+  const { hasPermission } = useAuth();
+  const canIssue = hasPermission(PERMISSIONS.CERTIFICATES_ISSUE);
   const [loading, setLoading] = useState(false);
   const verifyCertificateUrl = buildVerifyPortalUrl('/verify?type=certificate');
 
@@ -71,17 +78,21 @@ const CertificateHome = () => {
       </div>
 
       <div className="certificates-actions">
-        <Link to="/certificates/create" className="cert-action-card">
-          <div className="cert-icon">➕</div>
-          <h3>Create Certificate</h3>
-          <p>Generate single certificate manually</p>
-        </Link>
+        {canIssue && (
+          <Link to="/certificates/create" className="cert-action-card">
+            <div className="cert-icon">➕</div>
+            <h3>Create Certificate</h3>
+            <p>Generate single certificate manually</p>
+          </Link>
+        )}
 
-        <Link to="/certificates/bulk" className="cert-action-card">
-          <div className="cert-icon">📊</div>
-          <h3>Bulk Certificates</h3>
-          <p>Generate certificates from Excel</p>
-        </Link>
+        {canIssue && (
+          <Link to="/certificates/bulk" className="cert-action-card">
+            <div className="cert-icon">📊</div>
+            <h3>Bulk Certificates</h3>
+            <p>Generate certificates from Excel</p>
+          </Link>
+        )}
 
         <Link to="/certificates/manage" className="cert-action-card">
           <div className="cert-icon">📋</div>
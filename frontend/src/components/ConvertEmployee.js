@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { appliesToType, pickCustomFieldValues } from '../utils/customFields';
+import { EMPLOYMENT_TYPES, usePersonTypes, findPersonType, getPersonTypeLabel, formatPersonTypeOption } from '../utils/personTypes';
+import CustomFieldInputs from './CustomFieldInputs';
+
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+// Hire an intern (or move anyone to another type) with their new role in one step
+const ConvertEmployee = ({ employee, onClose, onConverted }) => {
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const personTypes = usePersonTypes();
+  const canIssueCertificate = hasPermission(PERMISSIONS.CERTIFICATES_ISSUE);
+  const targetTypes = personTypes.filter(personType => personType.code !== employee.type);
+  const [formState, setFormState] = useState({
+    type: employee.type === 'employee' ? '' : 'employee',
+    designation: employee.designation || '',
+    employment_type: '',
+    joining_date: new Date().toISOString().split('T')[0],
+    salary: '',
+    issue_certificate: canIssueCertificate && employee.type === 'intern',
+    mentor: '',
+    technology: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [customFieldDefinitions, setCustomFieldDefinitions] = useState([]);
+  // Values of fields the new type shares with the current one are carried over
+  const [customFieldValues, setCustomFieldValues] = useState(employee.custom_fields || {});
+
+  const selectedType = formState.type || targetTypes[0]?.code || '';
+  const defaultEmploymentType = findPersonType(personTypes, selectedType)?.default_employment_type;
+  const activeCustomFields = customFieldDefinitions.filter(definition => appliesToType(definition, selectedType));
+
+  useEffect(() => {
+    axios.get('/api/custom-fields')
+      .then(response => setCustomFieldDefinitions(response.data))
+      .catch(error => console.error('Error fetching custom fields:', error));
+  }, []);
+
+  const handleCustomFieldChange = (key, value) => {
+    setCustomFieldValues(prev => ({ ...prev, [key]: value }));
+    setFormErrors(prev => ({ ...prev, [`custom_fields.${key}`]: '' }));
+  };
+
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const targetLabel = getPersonTypeLabel(personTypes, selectedType);
+    if (!window.confirm(`Convert ${employee.name} to ${targetLabel}? A new ID number is issued; ${employee.employee_id} keeps verifying as superseded.`)) return;
+
+    setSaving(true);
+    try {
+      const response = await axios.post(`/api/employees/${employee.id}/convert`, {
+        type: selectedType,
+        designation: formState.designation,
+        employment_type: formState.employment_type,
+        joining_date: formState.joining_date,
+        salary: formState.salary,
+        issue_certificate: formState.issue_certificate,
+        certificate: { mentor: formState.mentor, technology: formState.technology },
+        custom_fields: pickCustomFieldValues(activeCustomFields, customFieldValues)
+      });
+      toast.success(`${employee.name} is now ${response.data.employeeId}`);
+      if (response.data.certificateCode) {
+        toast.success(`Completion certificate ${response.data.certificateCode} issued`);
+      }
+      if (response.data.certificate_error) {
+        toast.error(`Certificate not issued: ${response.data.certificate_error}`);
+      }
+      onConverted();
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to convert employee');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '640px', maxHeight: '90vh', borderRadius: '20px', overflowY: 'auto', padding: '2rem' }}>
+        <h2 style={{ marginTop: 0 }}>🎓 Convert {employee.name}</h2>
+        <p style={{ color: '#6c757d' }}>
+          Currently {getPersonTypeLabel(personTypes, employee.type)} <code>{employee.employee_id}</code>.
+          The current role is kept in the record's history.
+        </p>
+
+        <form onSubmit={handleSubmit} style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem' }}>
+          <label>
+            New type
+            <select name="type" value={selectedType} onChange={handleChange} style={inputStyle}>
+              {targetTypes.map(personType => (
+                <option key={personType.code} value={personType.code}>{formatPersonTypeOption(personType)}</option>
+              ))}
+            </select>
+            {renderError('type')}
+          </label>
+          <label>
+            Designation
+            <input type="text" name="designation" value={formState.designation} onChange={handleChange} required style={inputStyle} />
+            {renderError('designation')}
+          </label>
+          <label>
+            Employment type
+            <select name="employment_type" value={formState.employment_type} onChange={handleChange} style={inputStyle}>
+              <option value="">Default for the type{defaultEmploymentType ? ` (${defaultEmploymentType})` : ''}</option>
+              {EMPLOYMENT_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            {renderError('employment_type')}
+          </label>
+          <label>
+            Joining date
+            <input type="date" name="joining_date" value={formState.joining_date} onChange={handleChange} required style={inputStyle} />
+            {renderError('joining_date')}
+          </label>
+          <label>
+            Salary
+            <input type="text" name="salary" value={formState.salary} onChange={handleChange} placeholder="Leave blank to keep the current one" style={inputStyle} />
+            {renderError('salary')}
+          </label>
+
+          <div style={{ gridColumn: '1 / -1' }}>
+            <CustomFieldInputs
+              definitions={activeCustomFields}
+              values={customFieldValues}
+              errors={formErrors}
+              onChange={handleCustomFieldChange}
+            />
+          </div>
+
+          {canIssueCertificate && (
+            <fieldset style={{ gridColumn: '1 / -1', border: '1px solid #ddd', borderRadius: '6px', padding: '0.5rem 1rem' }}>
+              <legend>Completion certificate</legend>
+              <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+                <input type="checkbox" name="issue_certificate" checked={formState.issue_certificate} onChange={handleChange} />
+                {' '}Issue an internship completion certificate
+              </label>
+              {formState.issue_certificate && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                  <input type="text" name="mentor" value={formState.mentor} onChange={handleChange} placeholder="Mentor (optional)" style={inputStyle} />
+                  <input type="text" name="technology" value={formState.technology} onChange={handleChange} placeholder="Technology (optional)" style={inputStyle} />
+                </div>
+              )}
+            </fieldset>
+          )}
+
+          <div style={{ gridColumn: '1 / -1', display: 'flex', justifyContent: 'flex-end', gap: '0.75rem' }}>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving || !selectedType}>
+              {saving ? 'Converting...' : 'Convert'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ConvertEmployee;
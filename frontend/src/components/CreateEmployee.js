@@ -1,10 +1,14 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { validateField, formatInput, getPanPlaceholder } from '../utils/validation';
+import { appliesToType, pickCustomFieldValues } from '../utils/customFields';
+import { usePersonTypes, findPersonType, formatPersonTypeOption } from '../utils/personTypes';
+import CustomFieldInputs from './CustomFieldInputs';
 import { useToast } from './Toast';
 
 const CreateEmployee = () => {
   const toast = useToast();
+  const personTypes = usePersonTypes();
   const [formData, setFormData] = useState({
     name: '',
     designation: '',
@@ -24,22 +28,43 @@ const CreateEmployee = () => {
     aadhar_number: '',
     pan_number: '',
     blood_group: '',
-    manager: ''
+    manager: '',
+    valid_until: ''
   });
   const [photo, setPhoto] = useState(null);
   const [preview, setPreview] = useState(null);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [errors, setErrors] = useState({});
+  const [customFieldDefinitions, setCustomFieldDefinitions] = useState([]);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+
+  const activeCustomFields = customFieldDefinitions.filter(definition => appliesToType(definition, formData.type));
+
+  useEffect(() => {
+    axios.get('/api/custom-fields')
+      .then(response => setCustomFieldDefinitions(response.data))
+      .catch(error => console.error('Error fetching custom fields:', error));
+  }, []);
+
+  const handleCustomFieldChange = (key, value) => {
+    setCustomFieldValues(prev => ({ ...prev, [key]: value }));
+    setErrors(prev => ({ ...prev, [`custom_fields.${key}`]: '' }));
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     
     const formattedValue = formatInput(name, value);
+    // Switching the ID type picks that type's usual employment type
+    const typeDefaults = name === 'type'
+      ? { employment_type: findPersonType(personTypes, value)?.default_employment_type || formData.employment_type }
+      : {};
     
     setFormData({
       ...formData,
-      [name]: formattedValue
+      [name]: formattedValue,
+      ...typeDefaults
     });
 
     const validation = validateField(name, formattedValue);
@@ -90,6 +115,12 @@ const CreateEmployee = () => {
       }
     });
 
+    activeCustomFields.forEach(definition => {
+      if (definition.required && !String(customFieldValues[definition.key] || '').trim()) {
+        newErrors[`custom_fields.${definition.key}`] = `${definition.label} is required`;
+      }
+    });
+
     if (!photo) {
       newErrors.photo = 'Photo is required';
     }
@@ -120,6 +151,7 @@ const CreateEmployee = () => {
     Object.keys(formData).forEach(key => {
       submitData.append(key, formData[key]);
     });
+    submitData.append('custom_fields', JSON.stringify(pickCustomFieldValues(activeCustomFields, customFieldValues)));
     if (photo) {
       submitData.append('photo', photo);
     }
@@ -152,8 +184,10 @@ const CreateEmployee = () => {
         aadhar_number: '',
         pan_number: '',
         blood_group: '',
-        manager: ''
+        manager: '',
+        valid_until: ''
       });
+      setCustomFieldValues({});
       setPhoto(null);
       setPreview(null);
     } catch (error) {
@@ -213,8 +247,9 @@ const CreateEmployee = () => {
                   className={errors.type ? 'error' : ''}
                   required
                 >
-                  <option value="employee">👔 Employee</option>
-                  <option value="intern">🎓 Intern</option>
+                  {personTypes.map(personType => (
+                    <option key={personType.code} value={personType.code}>{formatPersonTypeOption(personType)}</option>
+                  ))}
                 </select>
                 {errors.type && <span className="error-text">{errors.type}</span>}
               </div>
@@ -332,6 +367,13 @@ const CreateEmployee = () => {
             </div>
           </div>
 
+          <CustomFieldInputs
+            definitions={activeCustomFields}
+            values={customFieldValues}
+            errors={errors}
+            onChange={handleCustomFieldChange}
+          />
+
           {/* Contact Information Section */}
           <div className="form-section">
             <div className="section-header">
@@ -420,6 +462,25 @@ const CreateEmployee = () => {
                 {errors.joining_date && <span className="error-text">{errors.joining_date}</span>}
               </div>
 
+              <div className="form-group">
+                <label>{formData.type === 'intern' ? 'Internship End Date (card valid until)' : 'Card Valid Until'}</label>
+                <input
+                  type="date"
+                  name="valid_until"
+                  value={formData.valid_until}
+                  onChange={handleInputChange}
+                  className={errors.valid_until ? 'error' : ''}
+                />
+                {errors.valid_until && <span className="error-text">{errors.valid_until}</span>}
+                {!formData.valid_until && (
+                  <small style={{ color: '#6c757d' }}>
+                    {findPersonType(personTypes, formData.type)?.default_validity_months
+                      ? `Defaults to ${findPersonType(personTypes, formData.type).default_validity_months} months from today`
+                      : 'Leave blank for a card that does not expire'}
+                  </small>
+                )}
+              </div>
+
               <div className="form-group">
                 <label>Blood Group</label>
                 <select
@@ -0,0 +1,49 @@
+import React from 'react';
+
+// Form section for the custom fields that apply to the selected ID type
+const CustomFieldInputs = ({ definitions, values, errors, onChange }) => {
+  if (definitions.length === 0) return null;
+
+  return (
+    <div className="form-section">
+      <div className="section-header">
+        <h3>🧩 Additional Details</h3>
+        <div className="section-line"></div>
+      </div>
+      <div className="form-grid">
+        {definitions.map(definition => {
+          const name = `custom_fields.${definition.key}`;
+          const value = values[definition.key] ?? '';
+          const error = errors[name];
+          const handleChange = (e) => onChange(definition.key, e.target.value);
+
+          return (
+            <div className="form-group" key={definition.key}>
+              <label>{definition.label}{definition.required && ' *'}</label>
+              {definition.field_type === 'select' ? (
+                <select name={name} value={value} onChange={handleChange} className={error ? 'error' : ''} required={definition.required}>
+                  <option value="">Select {definition.label}</option>
+                  {definition.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={definition.field_type === 'text' ? 'text' : definition.field_type}
+                  name={name}
+                  value={value}
+                  onChange={handleChange}
+                  className={error ? 'error' : ''}
+                  required={definition.required}
+                />
+              )}
+              {error && <span className="error-text">{error}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldInputs;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { CUSTOM_FIELD_TYPES } from '../utils/customFields';
+import { usePersonTypes, getPersonTypeLabel } from '../utils/personTypes';
+
+const EMPTY_FORM = {
+  key: '',
+  label: '',
+  field_type: 'text',
+  options: '',
+  required: false,
+  validation_regex: '',
+  applies_to: [],
+  show_on_card: false,
+  public_on_verify: false,
+  sort_order: 0
+};
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const CustomFields = () => {
+  const toast = useToast();
+  const personTypes = usePersonTypes();
+  const [definitions, setDefinitions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchDefinitions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchDefinitions = async () => {
+    try {
+      const response = await axios.get('/api/custom-fields');
+      setDefinitions(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch custom fields');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleIdType = (idType) => {
+    setFormState((prev) => ({
+      ...prev,
+      applies_to: prev.applies_to.includes(idType)
+        ? prev.applies_to.filter(item => item !== idType)
+        : [...prev.applies_to, idType]
+    }));
+  };
+
+  const openForm = (definition = null) => {
+    setEditingId(definition ? definition.id : null);
+    setFormState(definition
+      ? { ...EMPTY_FORM, ...definition, options: definition.options.join(', '), validation_regex: definition.validation_regex || '' }
+      : EMPTY_FORM);
+    setFormErrors({});
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormState(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    const payload = {
+      ...formState,
+      options: formState.options.split(',').map(option => option.trim()).filter(Boolean),
+      sort_order: parseInt(formState.sort_order, 10) || 0
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`/api/custom-fields/${editingId}`, payload);
+        toast.success('Custom field updated');
+      } else {
+        await axios.post('/api/custom-fields', payload);
+        toast.success('Custom field created');
+      }
+      closeForm();
+      fetchDefinitions();
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to save custom field');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteDefinition = async (definition) => {
+    if (!window.confirm(`Delete "${definition.label}"? Values already saved on employees are kept but no longer shown.`)) return;
+
+    try {
+      await axios.delete(`/api/custom-fields/${definition.id}`);
+      toast.success('Custom field deleted');
+      fetchDefinitions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete custom field');
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading custom fields...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>🧩 Custom Fields</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Extra details collected for each ID type, such as college name or vendor company</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => (showForm ? closeForm() : openForm())}>
+          {showForm ? 'Cancel' : '➕ New Field'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSave}
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+        >
+          <label>
+            Key
+            <input type="text" name="key" value={formState.key} onChange={handleChange} required disabled={Boolean(editingId)} placeholder="college_name" style={inputStyle} />
+            {renderError('key')}
+          </label>
+          <label>
+            Label
+            <input type="text" name="label" value={formState.label} onChange={handleChange} required placeholder="College Name" style={inputStyle} />
+            {renderError('label')}
+          </label>
+          <label>
+            Type
+            <select name="field_type" value={formState.field_type} onChange={handleChange} style={inputStyle}>
+              {CUSTOM_FIELD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            {renderError('field_type')}
+          </label>
+          {formState.field_type === 'select' && (
+            <label>
+              Options (comma separated)
+              <input type="text" name="options" value={formState.options} onChange={handleChange} placeholder="Option A, Option B" style={inputStyle} />
+              {renderError('options')}
+            </label>
+          )}
+          <label>
+            Validation pattern
+            <input type="text" name="validation_regex" value={formState.validation_regex} onChange={handleChange} placeholder="Optional, e.g. ^[A-Z]{3}\d+$" style={inputStyle} />
+            {renderError('validation_regex')}
+          </label>
+          <label>
+            Display order
+            <input type="number" name="sort_order" value={formState.sort_order} onChange={handleChange} style={inputStyle} />
+          </label>
+          <fieldset style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '0.5rem 1rem' }}>
+            <legend>Applies to</legend>
+            {personTypes.map(personType => (
+              <label key={personType.code} style={{ display: 'block' }}>
+                <input type="checkbox" checked={formState.applies_to.includes(personType.code)} onChange={() => toggleIdType(personType.code)} />
+                {' '}{personType.label}
+              </label>
+            ))}
+            <small style={{ color: '#6c757d' }}>None selected means every type</small>
+            {renderError('applies_to')}
+          </fieldset>
+          <fieldset style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '0.5rem 1rem' }}>
+            <legend>Options</legend>
+            <label style={{ display: 'block' }}>
+              <input type="checkbox" name="required" checked={formState.required} onChange={handleChange} /> Required
+            </label>
+            <label style={{ display: 'block' }}>
+              <input type="checkbox" name="show_on_card" checked={formState.show_on_card} onChange={handleChange} /> Show on ID card
+            </label>
+            <label style={{ display: 'block' }}>
+              <input type="checkbox" name="public_on_verify" checked={formState.public_on_verify} onChange={handleChange} /> Show on public verify page
+            </label>
+          </fieldset>
+          <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Field' : 'Create Field'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>Label</th>
+              <th style={cellStyle}>Key</th>
+              <th style={cellStyle}>Type</th>
+              <th style={cellStyle}>Applies To</th>
+              <th style={cellStyle}>Flags</th>
+              <th style={cellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {definitions.length === 0 && (
+              <tr>
+                <td colSpan="6" style={{ ...cellStyle, textAlign: 'center', color: '#6c757d' }}>No custom fields yet</td>
+              </tr>
+            )}
+            {definitions.map(definition => (
+              <tr key={definition.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>{definition.label}</td>
+                <td style={cellStyle}><code>{definition.key}</code></td>
+                <td style={cellStyle}>
+                  {CUSTOM_FIELD_TYPES.find(type => type.value === definition.field_type)?.label || definition.field_type}
+                  {definition.field_type === 'select' && (
+                    <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{definition.options.join(', ')}</div>
+                  )}
+                </td>
+                <td style={cellStyle}>{definition.applies_to.length > 0 ? definition.applies_to.map(code => getPersonTypeLabel(personTypes, code)).join(', ') : 'All types'}</td>
+                <td style={{ ...cellStyle, fontSize: '0.85rem' }}>
+                  {[
+                    definition.required && 'Required',
+                    definition.show_on_card && 'On card',
+                    definition.public_on_verify && 'Public'
+                  ].filter(Boolean).join(' · ') || '—'}
+                </td>
+                <td style={cellStyle}>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn btn-secondary" onClick={() => openForm(definition)}>Edit</button>
+                    <button
+                      onClick={() => deleteDefinition(definition)}
+                      style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFields;
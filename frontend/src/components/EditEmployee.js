@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { validateField, formatInput, getPanPlaceholder } from '../utils/validation';
+import { appliesToType, pickCustomFieldValues } from '../utils/customFields';
+import { usePersonTypes, formatPersonTypeOption } from '../utils/personTypes';
+import CustomFieldInputs from './CustomFieldInputs';
 import { useToast } from './Toast';
 import { UPLOADS_BASE_URL } from '../config';
 
@@ -9,6 +12,7 @@ const EditEmployee = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const toast = useToast();
+  const personTypes = usePersonTypes();
   const [formData, setFormData] = useState({
     name: '',
     designation: '',
@@ -29,19 +33,37 @@ const EditEmployee = () => {
     aadhar_number: '',
     pan_number: '',
     blood_group: '',
-    manager: ''
+    manager: '',
+    valid_until: ''
   });
   const [photo, setPhoto] = useState(null);
   const [preview, setPreview] = useState(null);
   const [existingPhoto, setExistingPhoto] = useState(null);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Masked values from the API; an empty input keeps the stored number
+  const [maskedValues, setMaskedValues] = useState({});
+  const [customFieldDefinitions, setCustomFieldDefinitions] = useState([]);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+
+  const activeCustomFields = customFieldDefinitions.filter(definition => appliesToType(definition, formData.type));
 
   useEffect(() => {
     fetchEmployee();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id]);
 
+  useEffect(() => {
+    axios.get('/api/custom-fields')
+      .then(response => setCustomFieldDefinitions(response.data))
+      .catch(error => console.error('Error fetching custom fields:', error));
+  }, []);
+
+  const handleCustomFieldChange = (key, value) => {
+    setCustomFieldValues(prev => ({ ...prev, [key]: value }));
+    setErrors(prev => ({ ...prev, [`custom_fields.${key}`]: '' }));
+  };
+
   const fetchEmployee = async () => {
     try {
       const response = await axios.get(`/api/employees/${id}`);
@@ -62,12 +84,19 @@ const EditEmployee = () => {
         date_of_birth: employee.date_of_birth || '',
         joining_date: employee.joining_date || '',
         salary: employee.salary || '',
+        bank_account: '',
+        aadhar_number: '',
+        pan_number: '',
+        blood_group: employee.blood_group || '',
+        manager: employee.manager || '',
+        valid_until: employee.valid_until || ''
+      });
+      setMaskedValues({
         bank_account: employee.bank_account || '',
         aadhar_number: employee.aadhar_number || '',
-        pan_number: employee.pan_number || '',
-        blood_group: employee.blood_group || '',
-        manager: employee.manager || ''
+        pan_number: employee.pan_number || ''
       });
+      setCustomFieldValues(employee.custom_fields || {});
       if (employee.photo) {
         setExistingPhoto(employee.photo);
         setPreview(`${UPLOADS_BASE_URL}/${employee.photo}`);
@@ -139,6 +168,12 @@ const EditEmployee = () => {
       }
     });
 
+    activeCustomFields.forEach(definition => {
+      if (definition.required && !String(customFieldValues[definition.key] || '').trim()) {
+        newErrors[`custom_fields.${definition.key}`] = `${definition.label} is required`;
+      }
+    });
+
     if (Object.keys(newErrors).length > 0) {
       setErrors(newErrors);
       setLoading(false);
@@ -163,8 +198,9 @@ const EditEmployee = () => {
 
     const submitData = new FormData();
     Object.keys(formData).forEach(key => {
-      submitData.append(key, formData[key]);
+      submitData.append(key, formData[key] || maskedValues[key] || '');
     });
+    submitData.append('custom_fields', JSON.stringify(pickCustomFieldValues(activeCustomFields, customFieldValues)));
     
     if (photo) {
       submitData.append('photo', photo);
@@ -223,8 +259,9 @@ const EditEmployee = () => {
                   className={errors.type ? 'error' : ''}
                   required
                 >
-                  <option value="employee">👔 Employee</option>
-                  <option value="intern">🎓 Intern</option>
+                  {personTypes.map(personType => (
+                    <option key={personType.code} value={personType.code}>{formatPersonTypeOption(personType)}</option>
+                  ))}
                 </select>
                 {errors.type && <span className="error-text">{errors.type}</span>}
               </div>
@@ -317,12 +354,20 @@ const EditEmployee = () => {
                   <option value="resigned">💼 Resigned</option>
                   <option value="on_leave">🏖️ On Leave</option>
                   <option value="suspended">⏸️ Suspended</option>
+                  <option value="expired">⌛ Expired</option>
                 </select>
                 {errors.status && <span className="error-text">{errors.status}</span>}
               </div>
             </div>
           </div>
 
+          <CustomFieldInputs
+            definitions={activeCustomFields}
+            values={customFieldValues}
+            errors={errors}
+            onChange={handleCustomFieldChange}
+          />
+
           {/* Contact Information Section */}
           <div className="form-section">
             <div className="section-header">
@@ -403,6 +448,19 @@ const EditEmployee = () => {
                 {errors.joining_date && <span className="error-text">{errors.joining_date}</span>}
               </div>
 
+              <div className="form-group">
+                <label>{formData.type === 'intern' ? 'Internship End Date (card valid until)' : 'Card Valid Until'}</label>
+                <input
+                  type="date"
+                  name="valid_until"
+                  value={formData.valid_until}
+                  onChange={handleInputChange}
+                  className={errors.valid_until ? 'error' : ''}
+                />
+                {errors.valid_until && <span className="error-text">{errors.valid_until}</span>}
+                <small style={{ color: '#6c757d' }}>Leave blank for a card that does not expire. Use Renew on the ID list to extend and reissue the QR.</small>
+              </div>
+
               <div className="form-group">
                 <label>Blood Group</label>
                 <select
@@ -497,7 +555,7 @@ const EditEmployee = () => {
                   value={formData.bank_account}
                   onChange={handleInputChange}
                   className={errors.bank_account ? 'error' : ''}
-                  placeholder="9-18 digits"
+                  placeholder={maskedValues.bank_account ? `${maskedValues.bank_account} (unchanged)` : '9-18 digits'}
                 />
                 {errors.bank_account && <span className="error-text">{errors.bank_account}</span>}
               </div>
@@ -510,7 +568,7 @@ const EditEmployee = () => {
                   value={formData.aadhar_number}
                   onChange={handleInputChange}
                   className={errors.aadhar_number ? 'error' : ''}
-                  placeholder="12 digits"
+                  placeholder={maskedValues.aadhar_number ? `${maskedValues.aadhar_number} (unchanged)` : '12 digits'}
                   maxLength="12"
                 />
                 {errors.aadhar_number && <span className="error-text">{errors.aadhar_number}</span>}
@@ -524,7 +582,7 @@ const EditEmployee = () => {
                   value={formData.pan_number}
                   onChange={handleInputChange}
                   className={`pan-input ${errors.pan_number ? 'error' : ''}`}
-                  placeholder="e.g., ABCDE1234F"
+                  placeholder={maskedValues.pan_number ? `${maskedValues.pan_number} (unchanged)` : 'e.g., ABCDE1234F'}
                   maxLength="10"
                 />
                 <div className="format-hint">
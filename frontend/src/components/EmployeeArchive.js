@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+
+const EmployeeArchive = ({ onRestored }) => {
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canPurge = hasPermission(PERMISSIONS.EMPLOYEES_PURGE);
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchArchived();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchArchived = async () => {
+    try {
+      const response = await axios.get('/api/employees/archived');
+      setEmployees(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch archived employees');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreEmployee = async (employee) => {
+    if (!window.confirm(`Restore ${employee.name} (${employee.employee_id})? The ID will verify again.`)) return;
+
+    setBusyId(employee.id);
+    try {
+      await axios.post(`/api/employees/${employee.id}/restore`);
+      toast.success(`${employee.name} restored`);
+      setEmployees(prev => prev.filter(item => item.id !== employee.id));
+      if (onRestored) onRestored();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore employee');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const purgeEmployee = async (employee) => {
+    const confirmation = window.prompt(
+      `Permanently delete ${employee.name}? Printed QR codes will stop resolving and this cannot be undone.\n\nType ${employee.employee_id} to confirm.`
+    );
+    if (confirmation === null) return;
+    if (confirmation.trim() !== employee.employee_id) {
+      toast.error('The ID did not match. Nothing was deleted.');
+      return;
+    }
+
+    setBusyId(employee.id);
+    try {
+      await axios.delete(`/api/employees/${employee.id}/purge`);
+      toast.success(`${employee.employee_id} permanently deleted`);
+      setEmployees(prev => prev.filter(item => item.id !== employee.id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to purge employee');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading archived employees...</div>;
+  }
+
+  return (
+    <div style={{ background: 'white', borderRadius: '12px', padding: '1.5rem', overflowX: 'auto' }}>
+      <p style={{ color: '#6c757d', marginTop: 0 }}>
+        Archived IDs are hidden from lists and report "record withdrawn" when verified.
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+            <th style={cellStyle}>Name</th>
+            <th style={cellStyle}>ID</th>
+            <th style={cellStyle}>Department</th>
+            <th style={cellStyle}>Archived</th>
+            <th style={cellStyle}>Reason</th>
+            <th style={cellStyle}>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {employees.length === 0 && (
+            <tr>
+              <td colSpan="6" style={{ ...cellStyle, textAlign: 'center', color: '#6c757d' }}>No archived employees</td>
+            </tr>
+          )}
+          {employees.map(employee => (
+            <tr key={employee.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+              <td style={{ ...cellStyle, fontWeight: '600' }}>{employee.name}</td>
+              <td style={cellStyle}><code>{employee.employee_id}</code></td>
+              <td style={cellStyle}>{employee.department}</td>
+              <td style={cellStyle}>
+                {new Date(employee.deleted_at).toLocaleString()}
+                <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>by {employee.deleted_by || '—'}</div>
+              </td>
+              <td style={cellStyle}>{employee.deletion_reason || '—'}</td>
+              <td style={cellStyle}>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => restoreEmployee(employee)}
+                    disabled={busyId === employee.id}
+                  >
+                    Restore
+                  </button>
+                  {canPurge && (
+                    <button
+                      onClick={() => purgeEmployee(employee)}
+                      disabled={busyId === employee.id}
+                      style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                    >
+                      Purge
+                    </button>
+                  )}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default EmployeeArchive;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const ISSUE_REASON_LABELS = {
+  new: 'New card',
+  renewal: 'Renewal',
+  lost: 'Replaces lost card',
+  damaged: 'Replaces damaged card',
+  id_change: 'ID number changed'
+};
+
+const REVOCATION_REASON_LABELS = {
+  superseded: 'replaced by a newer card',
+  lost: 'reported lost',
+  stolen: 'reported stolen',
+  damaged: 'damaged',
+  returned: 'returned'
+};
+
+const smallButtonStyle = { fontSize: '0.8rem', padding: '0.3rem 0.75rem' };
+
+// Printed cards of one employee; only the newest active card verifies
+const EmployeeCards = ({ employeeId, currentSerial, canManage, onChanged }) => {
+  const toast = useToast();
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    fetchCards();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [employeeId, currentSerial]);
+
+  const fetchCards = async () => {
+    try {
+      const response = await axios.get(`/api/employees/${employeeId}/cards`);
+      setCards(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch cards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const afterChange = async (message) => {
+    toast.success(message);
+    await fetchCards();
+    if (onChanged) onChanged();
+  };
+
+  const reportLost = async (card) => {
+    const reason = window.prompt('Why is this card being revoked? (lost, stolen, damaged or returned)', 'lost');
+    if (reason === null) return;
+    const note = window.prompt('Note (optional)', '') || undefined;
+    const reissue = reason.trim() !== 'returned' && window.confirm('Print a replacement card now?');
+
+    setWorking(true);
+    try {
+      const response = await axios.post(`/api/cards/${card.serial}/revoke`, { reason: reason.trim(), note, reissue });
+      await afterChange(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.reason || error.response?.data?.error || 'Failed to revoke card');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const reissue = async () => {
+    const reason = cards.length === 0 ? 'new' : 'damaged';
+    if (!window.confirm(cards.length === 0
+      ? 'Print a card with its own serial? Cards printed before serials keep verifying.'
+      : 'Print a replacement card? The current card stops verifying.')) return;
+
+    setWorking(true);
+    try {
+      const response = await axios.post(`/api/employees/${employeeId}/cards`, { reason });
+      await afterChange(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to issue card');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ color: '#6c757d' }}>Loading cards...</div>;
+  }
+
+  return (
+    <div>
+      {cards.length === 0 && <div style={{ color: '#6c757d', marginBottom: '0.75rem' }}>No serial-numbered card printed yet</div>}
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {cards.map(card => (
+          <li key={card.serial} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', padding: '0.5rem 0', borderBottom: '1px solid #eee' }}>
+            <div>
+              <strong>v{card.version}</strong> <code>{card.serial}</code>
+              <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                {ISSUE_REASON_LABELS[card.reason] || card.reason} · {new Date(card.issued_at).toLocaleDateString('en-IN')}
+              </div>
+              {card.status === 'revoked' && (
+                <div style={{ fontSize: '0.8rem', color: '#dc3545' }}>
+                  Revoked {new Date(card.revoked_at).toLocaleDateString('en-IN')}: {REVOCATION_REASON_LABELS[card.revocation_reason] || card.revocation_reason}
+                  {card.revocation_note && ` (${card.revocation_note})`}
+                </div>
+              )}
+            </div>
+            {card.status === 'active' ? (
+              canManage ? (
+                <button type="button" className="btn btn-secondary" onClick={() => reportLost(card)} disabled={working} style={smallButtonStyle}>
+                  Revoke / Report lost
+                </button>
+              ) : (
+                <span style={{ color: '#28a745', fontSize: '0.85rem' }}>Active</span>
+              )
+            ) : (
+              <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>Revoked</span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {canManage && (
+        <button type="button" className="btn btn-secondary" onClick={reissue} disabled={working} style={{ ...smallButtonStyle, marginTop: '0.75rem' }}>
+          🖨️ {cards.length === 0 ? 'Print serial card' : 'Reissue card'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmployeeCards;
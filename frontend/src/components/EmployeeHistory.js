@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const ACTION_LABELS = {
+  baseline: 'Record before history',
+  create: 'Created',
+  update: 'Edited',
+  archive: 'Archived',
+  restore: 'Restored',
+  rollback: 'Rolled back',
+  bulk_status: 'Status changed (bulk)',
+  bulk_type: 'Type changed (bulk)',
+  convert: 'Converted to another type',
+  renew: 'Card renewed',
+  expire: 'Card expired',
+  scheduled_status: 'Scheduled status change applied'
+};
+
+const formatDate = value => new Date(value).toLocaleDateString('en-IN');
+
+const describeScheduledChange = (change) => {
+  const status = change.status.replace('_', ' ');
+  return change.end_date
+    ? `${status} from ${formatDate(change.effective_date)} to ${formatDate(change.end_date)}`
+    : `${status} from ${formatDate(change.effective_date)}`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const EmployeeHistory = ({ employeeId, canRollback, onRolledBack, refreshKey }) => {
+  const toast = useToast();
+  const [revisions, setRevisions] = useState([]);
+  const [scheduled, setScheduled] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  useEffect(() => {
+    fetchHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [employeeId, refreshKey]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    try {
+      const [historyResponse, scheduleResponse] = await Promise.all([
+        axios.get(`/api/employees/${employeeId}/history`),
+        axios.get(`/api/employees/${employeeId}/status-changes`)
+      ]);
+      setRevisions(historyResponse.data);
+      setScheduled(scheduleResponse.data.filter(change => ['pending', 'in_effect'].includes(change.state)));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rollback = async (revision) => {
+    if (!window.confirm(`Restore every field to revision ${revision}? The current values are kept as a revision too.`)) return;
+
+    setRollingBack(revision);
+    try {
+      const response = await axios.post(`/api/employees/${employeeId}/rollback/${revision}`);
+      toast.success(response.data.message);
+      await fetchHistory();
+      if (onRolledBack) onRolledBack();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to roll back');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const cancelScheduled = async (change) => {
+    if (!window.confirm(`Cancel the scheduled change to ${describeScheduledChange(change)}?`)) return;
+
+    try {
+      const response = await axios.post(`/api/status-changes/${change.id}/cancel`);
+      toast.success(response.data.message);
+      await fetchHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel scheduled change');
+    }
+  };
+
+  if (loading) {
+    return <div style={{ color: '#6c757d' }}>Loading history...</div>;
+  }
+
+  if (revisions.length === 0 && scheduled.length === 0) {
+    return <div style={{ color: '#6c757d' }}>No changes recorded yet</div>;
+  }
+
+  return (
+    <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+      {scheduled.map(change => (
+        <li key={`scheduled-${change.id}`} style={{ borderLeft: '3px dashed #f39c12', padding: '0 0 1rem 1rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+            <div>
+              <strong>{change.state === 'pending' ? 'Scheduled' : 'In effect'}: {describeScheduledChange(change)}</strong>
+              <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                {change.note && `${change.note} · `}{change.created_by || 'system'}
+              </div>
+            </div>
+            {canRollback && change.state === 'pending' && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => cancelScheduled(change)}
+                style={{ fontSize: '0.8rem', padding: '0.3rem 0.75rem' }}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </li>
+      ))}
+      {revisions.map((item, index) => {
+        const changes = Object.entries(item.changes || {});
+        const isExpanded = expanded === item.revision;
+        return (
+          <li key={item.revision} style={{ borderLeft: '3px solid #dee2e6', padding: '0 0 1rem 1rem', position: 'relative' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <div>
+                <strong>#{item.revision} {ACTION_LABELS[item.action] || item.action}</strong>
+                {item.metadata?.from_revision && <span style={{ color: '#6c757d' }}> to #{item.metadata.from_revision}</span>}
+                <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                  {new Date(item.created_at).toLocaleString()} · {item.actor || 'system'}
+                </div>
+              </div>
+              {canRollback && index > 0 && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => rollback(item.revision)}
+                  disabled={rollingBack !== null}
+                  style={{ fontSize: '0.8rem', padding: '0.3rem 0.75rem' }}
+                >
+                  {rollingBack === item.revision ? 'Rolling back...' : 'Roll back to this'}
+                </button>
+              )}
+            </div>
+            {changes.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setExpanded(isExpanded ? null : item.revision)}
+                style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', padding: 0, fontSize: '0.85rem' }}
+              >
+                {isExpanded ? 'Hide' : 'Show'} {changes.length} field{changes.length === 1 ? '' : 's'}
+              </button>
+            )}
+            {isExpanded && (
+              <table style={{ marginTop: '0.5rem', fontSize: '0.85rem', borderCollapse: 'collapse' }}>
+                <tbody>
+                  {changes.map(([field, change]) => (
+                    <tr key={field}>
+                      <td style={{ padding: '0.25rem 0.5rem', fontWeight: '600' }}>{field}</td>
+                      <td style={{ padding: '0.25rem 0.5rem', color: '#721c24', wordBreak: 'break-all' }}>{formatValue(change.from)}</td>
+                      <td style={{ padding: '0.25rem 0.5rem' }}>→</td>
+                      <td style={{ padding: '0.25rem 0.5rem', color: '#155724', wordBreak: 'break-all' }}>{formatValue(change.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default EmployeeHistory;
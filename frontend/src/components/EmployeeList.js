@@ -1,9 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import IDCardViewer from './IDCardViewer';
+import EmployeeArchive from './EmployeeArchive';
+import EmployeeHistory from './EmployeeHistory';
+import ConvertEmployee from './ConvertEmployee';
+import EmployeeCards from './EmployeeCards';
+import ScheduleStatusChange from './ScheduleStatusChange';
+import EmployeeOffboarding from './EmployeeOffboarding';
 import { useToast } from './Toast';
-import { buildApiUrl, UPLOADS_BASE_URL, buildVerifyPortalUrl } from '../config';
+import { UPLOADS_BASE_URL, buildVerifyPortalUrl } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { appliesToType, formatCustomFieldValue } from '../utils/customFields';
+import { usePersonTypes, findPersonType, getPersonTypeLabel, formatPersonTypeOption } from '../utils/personTypes';
 
 // Load jsPDF
 if (typeof window !== 'undefined' && !window.jspdf) {
@@ -12,28 +22,77 @@ if (typeof window !== 'undefined' && !window.jspdf) {
   document.head.appendChild(script);
 }
 
+const SENSITIVE_FIELDS = [
+  { field: 'aadhar_number', label: 'Aadhar Number', className: 'info-value' },
+  { field: 'pan_number', label: 'PAN Number', className: 'info-value pan' },
+  { field: 'bank_account', label: 'Bank Account', className: 'info-value' }
+];
+
+// Filters kept in the URL so a filtered view can be bookmarked and survives a reload
+const FILTER_PARAMS = [
+  'q', 'type', 'status', 'department', 'employment_type', 'work_location', 'blood_group',
+  'joining_from', 'joining_to', 'created_from', 'created_to', 'sort'
+];
+
+const DEFAULT_SORT = '-created_at';
+
+const SORT_OPTIONS = [
+  { value: '-created_at', label: '📅 Date (Newest)' },
+  { value: 'created_at', label: '📅 Date (Oldest)' },
+  { value: 'name', label: '🔤 Name (A-Z)' },
+  { value: '-name', label: '🔤 Name (Z-A)' },
+  { value: 'employee_id', label: '🆔 ID Number' },
+  { value: 'department', label: '🏢 Department' },
+  { value: 'designation', label: '💼 Designation' },
+  { value: 'status', label: '📌 Status' },
+  { value: '-joining_date', label: '🗓️ Joining (Newest)' },
+  { value: 'joining_date', label: '🗓️ Joining (Oldest)' }
+];
+
+const sortField = (value) => value.replace(/^-/, '');
+
+const readFilters = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = Object.fromEntries(FILTER_PARAMS.map(key => [key, params.get(key) || '']));
+  // Older links use ?filter=employee|intern for the type
+  filters.type = filters.type || params.get('filter') || '';
+  filters.page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+  return filters;
+};
+
+const filterStyle = { width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' };
+const filterLabelStyle = { display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' };
+
 const EmployeeList = () => {
   const location = useLocation();
+  const navigate = useNavigate();
   const toast = useToast();
-  const [allEmployees, setAllEmployees] = useState([]);
-  const [filteredEmployees, setFilteredEmployees] = useState([]);
+  const { hasPermission } = useAuth();
+  const canWrite = hasPermission(PERMISSIONS.EMPLOYEES_WRITE);
+  const canReveal = hasPermission(PERMISSIONS.EMPLOYEES_SENSITIVE);
+  const canArchive = hasPermission(PERMISSIONS.EMPLOYEES_DELETE);
+  const filters = readFilters(location.search);
+  const [result, setResult] = useState({ employees: [], total: 0, pages: 0 });
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [fetching, setFetching] = useState(false);
+  const [searchTerm, setSearchTerm] = useState(filters.q);
   const [selectedIds, setSelectedIds] = useState([]);
   const [selectedEmployee, setSelectedEmployee] = useState(null);
+  const [revealedFields, setRevealedFields] = useState({});
   const [showIdCard, setShowIdCard] = useState(null);
   const [showAdvancedFilter, setShowAdvancedFilter] = useState(false);
-  const [statusFilter, setStatusFilter] = useState('all');
-  const [departmentFilter, setDepartmentFilter] = useState('all');
-  const [sortBy, setSortBy] = useState('date');
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
   const [departments, setDepartments] = useState([]);
-  const [printMode, setPrintMode] = useState(false);
-  const [servicesMode, setServicesMode] = useState(false);
+  const [customFields, setCustomFields] = useState([]);
+  const personTypes = usePersonTypes();
   const [newStatus, setNewStatus] = useState('active');
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [newType, setNewType] = useState('employee');
   const [showTypeModal, setShowTypeModal] = useState(false);
+  const [showConvertModal, setShowConvertModal] = useState(false);
+  // 'selected' schedules for the open record, 'bulk' for the checked rows
+  const [scheduleTarget, setScheduleTarget] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
     const openVerifyPortal = (identifier) => {
       if (!identifier) {
         return;
@@ -41,153 +100,164 @@ const EmployeeList = () => {
       const url = buildVerifyPortalUrl(`/verify/${identifier}`);
       window.open(url, '_blank', 'noopener,noreferrer');
     };
-  const [advancedFilters, setAdvancedFilters] = useState({
-    bloodGroup: 'all',
-    joiningDateFrom: '',
-    joiningDateTo: '',
-    salaryMin: '',
-    salaryMax: ''
-  });
-
-
+  const urlParams = new URLSearchParams(location.search);
+  const printMode = urlParams.get('print') === 'true';
+  const servicesMode = urlParams.get('services') === 'true';
+  const archiveMode = urlParams.get('archived') === 'true';
+  const filteredEmployees = result.employees;
+  const [primarySort = DEFAULT_SORT, secondarySort = ''] = (filters.sort || DEFAULT_SORT).split(',');
+  const selectedCustomFields = selectedEmployee
+    ? customFields.filter(definition =>
+      appliesToType(definition, selectedEmployee.type) && formatCustomFieldValue(definition, selectedEmployee.custom_fields?.[definition.key]))
+    : [];
 
   useEffect(() => {
-    // Handle URL parameters whenever location changes
-    const urlParams = new URLSearchParams(location.search);
-    const urlFilter = urlParams.get('filter');
-    const urlStatus = urlParams.get('status');
-    const urlPrint = urlParams.get('print');
-    const urlServices = urlParams.get('services');
-    
-    // Set filters from URL parameters
-    if (urlFilter) {
-      setFilter(urlFilter);
-    }
-    if (urlStatus) {
-      setStatusFilter(urlStatus);
-    }
-    setPrintMode(urlPrint === 'true');
-    setServicesMode(urlServices === 'true');
-  }, [location.search]);
-
+    setRevealedFields({});
+  }, [selectedEmployee]);
 
+  const revealField = async (field, label) => {
+    const reason = window.prompt(`Why do you need to see the full ${label}? This is recorded in the audit log.`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to reveal this field');
+      return;
+    }
 
-  const fetchAllEmployees = async () => {
     try {
-      const response = await axios.get('/api/employees');
-      const employees = response.data || [];
-      setAllEmployees(employees);
-      setFilteredEmployees(employees);
-      
-      // Extract departments
-      const uniqueDepts = [...new Set(employees.map(emp => emp.department).filter(Boolean))];
-      setDepartments(uniqueDepts);
+      const response = await axios.post(`/api/employees/${selectedEmployee.id}/reveal`, { field, reason: reason.trim() });
+      setRevealedFields(prev => ({ ...prev, [field]: response.data.value }));
     } catch (error) {
-      console.error('Error fetching employees:', error);
-      setAllEmployees([]);
-      setFilteredEmployees([]);
-    } finally {
-      setLoading(false);
+      toast.error(error.response?.data?.error || `Failed to reveal ${label}`);
     }
   };
 
-  const applyFilters = () => {
-    let filtered = [...allEmployees];
-
-    // Search filter
-    if (searchTerm.trim()) {
-      const search = searchTerm.toLowerCase();
-      filtered = filtered.filter(emp => 
-        emp.name.toLowerCase().includes(search) ||
-        emp.employee_id.toLowerCase().includes(search) ||
-        emp.department.toLowerCase().includes(search) ||
-        emp.designation.toLowerCase().includes(search) ||
-        (emp.email && emp.email.toLowerCase().includes(search)) ||
-        (emp.phone && emp.phone.includes(search))
-      );
+  // Merge changes into the URL; any filter change goes back to the first page
+  const updateFilters = (changes, { keepPage = false } = {}) => {
+    const params = new URLSearchParams(location.search);
+    params.delete('filter');
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value && value !== 'all') {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    if (!keepPage) {
+      params.delete('page');
     }
+    navigate({ search: params.toString() ? `?${params}` : '' }, { replace: true });
+  };
 
-    // Type filter
-    if (filter !== 'all') {
-      filtered = filtered.filter(emp => emp.type === filter);
-    }
+  const changeSort = (primary, secondary) => {
+    const fields = [primary, secondary].filter(Boolean);
+    const sort = fields.join(',');
+    updateFilters({ sort: sort === DEFAULT_SORT ? '' : sort });
+  };
 
-    // Status filter
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(emp => emp.status === statusFilter);
-    }
 
-    // Department filter
-    if (departmentFilter !== 'all') {
-      filtered = filtered.filter(emp => emp.department === departmentFilter);
+
+  const archiveEmployee = async (employee) => {
+    const reason = window.prompt(`Archive ${employee.name} (${employee.employee_id})? The ID will report "record withdrawn" when verified.\n\nReason (optional):`);
+    if (reason === null) return;
+
+    try {
+      await axios.delete(`/api/employees/${employee.id}`, { data: { reason: reason.trim() } });
+      toast.success(`${employee.name} archived`);
+      setSelectedEmployee(null);
+      fetchEmployees();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to archive employee');
     }
+  };
+
+  const renewCard = async (employee) => {
+    const validUntil = window.prompt(`Renew the ID card of ${employee.name}? A fresh QR code is issued.\n\nNew valid-until date (YYYY-MM-DD), or leave blank to extend by the type's default period:`);
+    if (validUntil === null) return;
 
-    // Advanced filters
-    if (advancedFilters.bloodGroup !== 'all') {
-      filtered = filtered.filter(emp => emp.blood_group === advancedFilters.bloodGroup);
+    try {
+      const response = await axios.post(`/api/employees/${employee.id}/renew`, validUntil.trim() ? { valid_until: validUntil.trim() } : {});
+      toast.success(response.data.message);
+      refreshSelectedEmployee();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.valid_until || error.response?.data?.error || 'Failed to renew card');
     }
+  };
 
-    if (advancedFilters.joiningDateFrom || advancedFilters.joiningDateTo) {
-      filtered = filtered.filter(emp => {
-        const joiningDate = new Date(emp.joining_date);
-        const fromDate = advancedFilters.joiningDateFrom ? new Date(advancedFilters.joiningDateFrom) : null;
-        const toDate = advancedFilters.joiningDateTo ? new Date(advancedFilters.joiningDateTo) : null;
-        
-        if (fromDate && toDate) return joiningDate >= fromDate && joiningDate <= toDate;
-        if (fromDate) return joiningDate >= fromDate;
-        if (toDate) return joiningDate <= toDate;
-        return true;
-      });
+  // Reload the open employee after a rollback so the modal shows the restored values
+  const refreshSelectedEmployee = async () => {
+    try {
+      const response = await axios.get(`/api/employees/${selectedEmployee.id}`);
+      setSelectedEmployee(response.data);
+      fetchEmployees();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reload employee');
     }
+  };
 
-    if (advancedFilters.salaryMin || advancedFilters.salaryMax) {
-      filtered = filtered.filter(emp => {
-        const salary = parseFloat(emp.salary) || 0;
-        const minSalary = parseFloat(advancedFilters.salaryMin) || 0;
-        const maxSalary = parseFloat(advancedFilters.salaryMax) || Infinity;
-        
-        return salary >= minSalary && salary <= maxSalary;
-      });
+  const fetchEmployees = async () => {
+    setFetching(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get('/api/employees/search', { params });
+      setResult(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch employees');
+      setResult({ employees: [], total: 0, pages: 0 });
+    } finally {
+      setFetching(false);
+      setLoading(false);
     }
+  };
 
-    // Sort
-    if (sortBy === 'name') {
-      filtered.sort((a, b) => a.name.localeCompare(b.name));
-    } else if (sortBy === 'id') {
-      filtered.sort((a, b) => a.employee_id.localeCompare(b.employee_id));
-    } else {
-      filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const fetchDepartments = async () => {
+    try {
+      const response = await axios.get('/api/departments');
+      setDepartments(response.data);
+    } catch (error) {
+      console.error('Error fetching departments:', error);
     }
+  };
 
-    setFilteredEmployees(filtered);
+  const fetchCustomFields = async () => {
+    try {
+      const response = await axios.get('/api/custom-fields');
+      setCustomFields(response.data);
+    } catch (error) {
+      console.error('Error fetching custom fields:', error);
+    }
   };
 
   useEffect(() => {
-    fetchAllEmployees();
+    fetchDepartments();
+    fetchCustomFields();
   }, []);
 
   useEffect(() => {
-    if (allEmployees.length > 0) {
-      applyFilters();
-    }
-  }, [allEmployees, filter, statusFilter, departmentFilter, sortBy, advancedFilters]);
+    fetchEmployees();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [location.search]);
 
+  // Keep the search box in step with the URL (back button, Clear Filters)
   useEffect(() => {
+    setSearchTerm(filters.q);
+  }, [filters.q]);
+
+  useEffect(() => {
+    if (searchTerm.trim() === filters.q) return undefined;
     const delayedSearch = setTimeout(() => {
-      if (allEmployees.length > 0) {
-        applyFilters();
-      }
+      updateFilters({ q: searchTerm.trim() });
     }, 300);
     return () => clearTimeout(delayedSearch);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [searchTerm]);
 
-
-
+  // Selection is kept across pages; this toggles the employees on the current page
   const handleSelectAll = (e) => {
+    const pageIds = filteredEmployees.map(emp => emp.id);
     if (e.target.checked) {
-      setSelectedIds(filteredEmployees.map(emp => emp.id));
+      setSelectedIds([...new Set([...selectedIds, ...pageIds])]);
     } else {
-      setSelectedIds([]);
+      setSelectedIds(selectedIds.filter(id => !pageIds.includes(id)));
     }
   };
 
@@ -199,23 +269,9 @@ const EmployeeList = () => {
     }
   };
 
-  const downloadIdCard = (id) => {
-    window.open(buildApiUrl(`/api/id-card/${id}`), '_blank');
-  };
-
   const clearFilters = () => {
     setSearchTerm('');
-    setFilter('all');
-    setStatusFilter('all');
-    setDepartmentFilter('all');
-    setSortBy('date');
-    setAdvancedFilters({
-      bloodGroup: 'all',
-      joiningDateFrom: '',
-      joiningDateTo: '',
-      salaryMin: '',
-      salaryMax: ''
-    });
+    updateFilters(Object.fromEntries(FILTER_PARAMS.map(key => [key, ''])));
   };
 
   const handlePrintSingle = async (employee) => {
@@ -259,13 +315,13 @@ const EmployeeList = () => {
         if (index > 0) doc.addPage();
         
         // Header
-        doc.setFillColor(102, 126, 234);
+        doc.setFillColor(findPersonType(personTypes, employee.type)?.card_color || '#667eea');
         doc.rect(0, 0, 210, 40, 'F');
         doc.setTextColor(255, 255, 255);
         doc.setFontSize(20);
         doc.text('SARAL WORKS', 105, 20, { align: 'center' });
         doc.setFontSize(12);
-        doc.text(`${employee.type.toUpperCase()} ID CARD`, 105, 30, { align: 'center' });
+        doc.text(`${getPersonTypeLabel(personTypes, employee.type).toUpperCase()} ID CARD`, 105, 30, { align: 'center' });
         
         // Employee Info
         doc.setTextColor(0, 0, 0);
@@ -328,7 +384,7 @@ const EmployeeList = () => {
       toast.success(`Successfully updated status of ${selectedIds.length} employee(s) to ${newStatus}`);
       setShowStatusModal(false);
       setSelectedIds([]);
-      fetchAllEmployees(); // Refresh data
+      fetchEmployees(); // Refresh data
     } catch (error) {
       console.error('Error updating status:', error);
       console.error('Error response:', error.response?.data);
@@ -347,15 +403,15 @@ const EmployeeList = () => {
 
     try {
       setLoading(true);
-      const response = await axios.patch('/api/bulk-type-update', {
+      await axios.patch('/api/bulk-type-update', {
         employeeIds: selectedIds,
         type: newType
       });
       
-      toast.success(`Successfully updated type of ${selectedIds.length} employee(s) to ${newType}`);
+      toast.success(`Successfully updated type of ${selectedIds.length} employee(s) to ${getPersonTypeLabel(personTypes, newType)}`);
       setShowTypeModal(false);
       setSelectedIds([]);
-      fetchAllEmployees(); // Refresh data
+      fetchEmployees(); // Refresh data
     } catch (error) {
       console.error('Error updating type:', error);
       const errorMessage = error.response?.data?.error || 'Error updating employee type. Please try again.';
@@ -365,23 +421,31 @@ const EmployeeList = () => {
     }
   };
 
-  const hasActiveFilters = searchTerm || filter !== 'all' || statusFilter !== 'all' || departmentFilter !== 'all' || sortBy !== 'date';
+  const hasActiveFilters = FILTER_PARAMS.some(key => filters[key]);
+  const pageSelected = filteredEmployees.length > 0 && filteredEmployees.every(emp => selectedIds.includes(emp.id));
 
   const getPageTitle = () => {
     if (printMode) return 'Print ID Cards';
     if (servicesMode) return 'Employee Services';
     
-    const urlParams = new URLSearchParams(location.search);
-    const urlFilter = urlParams.get('filter');
-    const urlStatus = urlParams.get('status');
-    
-    if (urlFilter === 'employee') return 'Employee IDs';
-    if (urlFilter === 'intern') return 'Intern IDs';
-    if (urlStatus === 'active') return 'Active IDs';
+    if (filters.type) return `${getPersonTypeLabel(personTypes, filters.type)} IDs`;
+    if (filters.status === 'active') return 'Active IDs';
     
     return 'Manage IDs';
   };
 
+  if (archiveMode && canArchive) {
+    return (
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <h1>🗄️ Archived IDs</h1>
+          <Link to="/employees" className="btn btn-secondary">← Back to IDs</Link>
+        </div>
+        <EmployeeArchive onRestored={fetchEmployees} />
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div style={{ textAlign: 'center', padding: '2rem' }}>
@@ -404,7 +468,7 @@ const EmployeeList = () => {
             >
               🖨️ Print Selected ({selectedIds.length})
             </button>
-          ) : servicesMode ? (
+          ) : servicesMode && canWrite ? (
             <div style={{ display: 'flex', gap: '0.5rem' }}>
               <button 
                 onClick={() => setShowTypeModal(true)}
@@ -420,13 +484,21 @@ const EmployeeList = () => {
               >
                 🔄 Change Status ({selectedIds.length})
               </button>
+              <button 
+                onClick={() => setScheduleTarget('bulk')}
+                className="btn btn-secondary"
+                disabled={selectedIds.length === 0}
+              >
+                📅 Schedule Status ({selectedIds.length})
+              </button>
             </div>
-          ) : (
+          ) : canWrite ? (
             <div style={{ display: 'flex', gap: '0.5rem' }}>
               <Link to="/create" className="btn btn-primary">Create New ID</Link>
               <Link to="/bulk-upload" className="btn btn-secondary">📤 Bulk Upload</Link>
+              {canArchive && <Link to="/employees?archived=true" className="btn btn-secondary">🗄️ Archive</Link>}
             </div>
-          )}
+          ) : null}
         </div>
         
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
@@ -470,23 +542,24 @@ const EmployeeList = () => {
             gap: '1rem'
           }}>
             <div>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Type</label>
+              <label style={filterLabelStyle}>Type</label>
               <select 
-                value={filter} 
-                onChange={(e) => setFilter(e.target.value)}
-                style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                value={filters.type || 'all'} 
+                onChange={(e) => updateFilters({ type: e.target.value })}
+                style={filterStyle}
               >
                 <option value="all">All Types</option>
-                <option value="employee">👔 Employees</option>
-                <option value="intern">🎓 Interns</option>
+                {personTypes.map(personType => (
+                  <option key={personType.code} value={personType.code}>{formatPersonTypeOption(personType)}</option>
+                ))}
               </select>
             </div>
             <div>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Status</label>
+              <label style={filterLabelStyle}>Status</label>
               <select 
-                value={statusFilter} 
-                onChange={(e) => setStatusFilter(e.target.value)}
-                style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                value={filters.status || 'all'} 
+                onChange={(e) => updateFilters({ status: e.target.value })}
+                style={filterStyle}
               >
                 <option value="all">All Status</option>
                 <option value="active">✅ Active</option>
@@ -495,14 +568,15 @@ const EmployeeList = () => {
                 <option value="resigned">💼 Resigned</option>
                 <option value="on_leave">🏖️ On Leave</option>
                 <option value="suspended">⏸️ Suspended</option>
+                <option value="expired">⌛ Expired</option>
               </select>
             </div>
             <div>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Department</label>
+              <label style={filterLabelStyle}>Department</label>
               <select 
-                value={departmentFilter} 
-                onChange={(e) => setDepartmentFilter(e.target.value)}
-                style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                value={filters.department || 'all'} 
+                onChange={(e) => updateFilters({ department: e.target.value })}
+                style={filterStyle}
               >
                 <option value="all">All Departments</option>
                 {departments.map(dept => (
@@ -511,15 +585,28 @@ const EmployeeList = () => {
               </select>
             </div>
             <div>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Sort By</label>
+              <label style={filterLabelStyle}>Sort By</label>
               <select 
-                value={sortBy} 
-                onChange={(e) => setSortBy(e.target.value)}
-                style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                value={primarySort} 
+                onChange={(e) => changeSort(e.target.value, sortField(secondarySort) === sortField(e.target.value) ? '' : secondarySort)}
+                style={filterStyle}
               >
-                <option value="date">📅 Date (Newest)</option>
-                <option value="name">🔤 Name (A-Z)</option>
-                <option value="id">🆔 ID Number</option>
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={filterLabelStyle}>Then By</label>
+              <select 
+                value={secondarySort} 
+                onChange={(e) => changeSort(primarySort, e.target.value)}
+                style={filterStyle}
+              >
+                <option value="">—</option>
+                {SORT_OPTIONS.filter(option => sortField(option.value) !== sortField(primarySort)).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
             </div>
             <div style={{ display: 'flex', alignItems: 'flex-end', gap: '0.5rem' }}>
@@ -539,11 +626,11 @@ const EmployeeList = () => {
                 🔄 Clear
               </button>
               <button 
-                onClick={() => setAdvancedFilters(prev => ({ ...prev, show: !prev.show }))}
+                onClick={() => setShowMoreFilters(!showMoreFilters)}
                 title="Advanced Filters"
                 style={{ 
                   padding: '0.5rem 1rem',
-                  background: advancedFilters.show ? '#764ba2' : '#667eea',
+                  background: showMoreFilters ? '#764ba2' : '#667eea',
                   color: 'white',
                   border: 'none',
                   borderRadius: '5px',
@@ -552,14 +639,14 @@ const EmployeeList = () => {
                   transition: '0.3s'
                 }}
               >
-                ⚙️ Filters {advancedFilters.show ? '▲' : '●'}
+                ⚙️ Filters {showMoreFilters ? '▲' : '●'}
               </button>
             </div>
           </div>
         )}
         
         {/* Advanced Filters Panel */}
-        {advancedFilters.show && (
+        {showMoreFilters && (
           <div style={{ 
             marginTop: '1rem', 
             padding: '1rem', 
@@ -570,11 +657,37 @@ const EmployeeList = () => {
             <h4 style={{ margin: '0 0 1rem 0', color: '#333', fontSize: '1rem' }}>🔍 Advanced Filters</h4>
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
               <div>
-                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Blood Group</label>
+                <label style={filterLabelStyle}>Employment Type</label>
+                <select 
+                  value={filters.employment_type || 'all'} 
+                  onChange={(e) => updateFilters({ employment_type: e.target.value })}
+                  style={filterStyle}
+                >
+                  <option value="all">All Employment Types</option>
+                  <option value="full_time">💼 Full-Time</option>
+                  <option value="part_time">⏰ Part-Time</option>
+                  <option value="contract">📋 Contract</option>
+                  <option value="intern">🎓 Intern</option>
+                </select>
+              </div>
+              <div>
+                <label style={filterLabelStyle}>Work Location</label>
+                <input 
+                  type="text" 
+                  placeholder="e.g. Head Office"
+                  defaultValue={filters.work_location}
+                  key={filters.work_location}
+                  onBlur={(e) => updateFilters({ work_location: e.target.value.trim() })}
+                  onKeyDown={(e) => e.key === 'Enter' && updateFilters({ work_location: e.target.value.trim() })}
+                  style={filterStyle}
+                />
+              </div>
+              <div>
+                <label style={filterLabelStyle}>Blood Group</label>
                 <select 
-                  value={advancedFilters.bloodGroup} 
-                  onChange={(e) => setAdvancedFilters({...advancedFilters, bloodGroup: e.target.value})}
-                  style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                  value={filters.blood_group || 'all'} 
+                  onChange={(e) => updateFilters({ blood_group: e.target.value })}
+                  style={filterStyle}
                 >
                   <option value="all">All Blood Groups</option>
                   <option value="A+">🩸 A+</option>
@@ -588,86 +701,42 @@ const EmployeeList = () => {
                 </select>
               </div>
               <div>
-                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Joining Date From</label>
+                <label style={filterLabelStyle}>Joining Date From</label>
                 <input 
                   type="date" 
-                  value={advancedFilters.joiningDateFrom}
-                  onChange={(e) => setAdvancedFilters({...advancedFilters, joiningDateFrom: e.target.value})}
-                  style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                  value={filters.joining_from}
+                  onChange={(e) => updateFilters({ joining_from: e.target.value })}
+                  style={filterStyle}
                 />
               </div>
               <div>
-                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Joining Date To</label>
+                <label style={filterLabelStyle}>Joining Date To</label>
                 <input 
                   type="date" 
-                  value={advancedFilters.joiningDateTo}
-                  onChange={(e) => setAdvancedFilters({...advancedFilters, joiningDateTo: e.target.value})}
-                  style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                  value={filters.joining_to}
+                  onChange={(e) => updateFilters({ joining_to: e.target.value })}
+                  style={filterStyle}
                 />
               </div>
               <div>
-                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Min Salary</label>
+                <label style={filterLabelStyle}>Created From</label>
                 <input 
-                  type="number" 
-                  placeholder="e.g. 25000"
-                  value={advancedFilters.salaryMin}
-                  onChange={(e) => setAdvancedFilters({...advancedFilters, salaryMin: e.target.value})}
-                  style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                  type="date" 
+                  value={filters.created_from}
+                  onChange={(e) => updateFilters({ created_from: e.target.value })}
+                  style={filterStyle}
                 />
               </div>
               <div>
-                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>Max Salary</label>
+                <label style={filterLabelStyle}>Created To</label>
                 <input 
-                  type="number" 
-                  placeholder="e.g. 100000"
-                  value={advancedFilters.salaryMax}
-                  onChange={(e) => setAdvancedFilters({...advancedFilters, salaryMax: e.target.value})}
-                  style={{ width: '100%', padding: '0.5rem', border: '2px solid #ddd', borderRadius: '5px' }}
+                  type="date" 
+                  value={filters.created_to}
+                  onChange={(e) => updateFilters({ created_to: e.target.value })}
+                  style={filterStyle}
                 />
               </div>
             </div>
-            <div style={{ marginTop: '1rem', display: 'flex', gap: '0.5rem' }}>
-              <button 
-                onClick={() => {
-                  applyFilters();
-                  setAdvancedFilters(prev => ({ ...prev, show: false }));
-                }}
-                style={{ 
-                  padding: '0.5rem 1rem', 
-                  background: '#28a745',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '5px',
-                  cursor: 'pointer',
-                  fontWeight: 'bold'
-                }}
-              >
-                ✅ Apply Advanced Filters
-              </button>
-              <button 
-                onClick={() => {
-                  setAdvancedFilters({
-                    bloodGroup: 'all',
-                    joiningDateFrom: '',
-                    joiningDateTo: '',
-                    salaryMin: '',
-                    salaryMax: '',
-                    show: true
-                  });
-                }}
-                style={{ 
-                  padding: '0.5rem 1rem', 
-                  background: '#6c757d',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '5px',
-                  cursor: 'pointer',
-                  fontWeight: 'bold'
-                }}
-              >
-                🔄 Reset Advanced
-              </button>
-            </div>
           </div>
         )}
       </div>
@@ -679,11 +748,11 @@ const EmployeeList = () => {
           <label>
             <input
               type="checkbox"
-              checked={selectedIds.length === filteredEmployees.length && filteredEmployees.length > 0}
+              checked={pageSelected}
               onChange={handleSelectAll}
               style={{ marginRight: '0.5rem' }}
             />
-            Select All ({filteredEmployees.length} items)
+            Select All on This Page ({filteredEmployees.length} items)
           </label>
           <div style={{ fontSize: '0.9rem', color: '#666' }}>
             {selectedIds.length > 0 && `${selectedIds.length} selected for ${printMode ? 'printing' : 'services'}`}
@@ -691,7 +760,7 @@ const EmployeeList = () => {
         </div>
       )}
 
-      <div className="employee-grid">
+      <div className="employee-grid" style={{ opacity: fetching ? 0.6 : 1 }}>
         {filteredEmployees.map(employee => (
           <div 
             key={employee.id} 
@@ -721,7 +790,7 @@ const EmployeeList = () => {
             )}
             <div className="employee-info-simple">
               <h3>{employee.name}</h3>
-              <p className="employee-type">{employee.type.charAt(0).toUpperCase() + employee.type.slice(1)}</p>
+              <p className="employee-type">{getPersonTypeLabel(personTypes, employee.type)}</p>
               <p>{employee.department}</p>
               <p>{employee.designation}</p>
             </div>
@@ -769,9 +838,32 @@ const EmployeeList = () => {
           <div style={{ marginTop: '1rem' }}>
             {hasActiveFilters ? (
               <button onClick={clearFilters} className="btn btn-primary">Clear Filters</button>
-            ) : (
+            ) : canWrite ? (
               <Link to="/create" className="btn btn-primary">Create First ID</Link>
-            )}
+            ) : null}
+          </div>
+        </div>
+      )}
+
+      {result.total > 0 && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem' }}>
+          <span style={{ color: '#6c757d' }}>{result.total} IDs</span>
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <button
+              className="btn btn-secondary"
+              onClick={() => updateFilters({ page: String(filters.page - 1) }, { keepPage: true })}
+              disabled={filters.page <= 1 || fetching}
+            >
+              Previous
+            </button>
+            <span>Page {filters.page} of {Math.max(result.pages, 1)}</span>
+            <button
+              className="btn btn-secondary"
+              onClick={() => updateFilters({ page: String(filters.page + 1) }, { keepPage: true })}
+              disabled={filters.page >= result.pages || fetching}
+            >
+              Next
+            </button>
           </div>
         </div>
       )}
@@ -819,7 +911,7 @@ const EmployeeList = () => {
                     </div>
                     <div className="info-badge type-badge">
                       <span className="badge-label">Type</span>
-                      <span className="badge-value">{selectedEmployee.type.charAt(0).toUpperCase() + selectedEmployee.type.slice(1)}</span>
+                      <span className="badge-value">{getPersonTypeLabel(personTypes, selectedEmployee.type)}</span>
                     </div>
                     <div className={`info-badge status-badge status-${selectedEmployee.status}`}>
                       <span className="badge-label">Status</span>
@@ -961,27 +1053,74 @@ const EmployeeList = () => {
                     <h3>Legal & Financial</h3>
                   </div>
                   <div className="card-content">
-                    {selectedEmployee.aadhar_number && (
-                      <div className="info-row">
-                        <span className="info-label">Aadhar Number</span>
-                        <span className="info-value">{selectedEmployee.aadhar_number}</span>
-                      </div>
-                    )}
-                    {selectedEmployee.pan_number && (
-                      <div className="info-row">
-                        <span className="info-label">PAN Number</span>
-                        <span className="info-value pan">{selectedEmployee.pan_number}</span>
-                      </div>
-                    )}
-                    {selectedEmployee.bank_account && (
-                      <div className="info-row">
-                        <span className="info-label">Bank Account</span>
-                        <span className="info-value">{selectedEmployee.bank_account}</span>
+                    {SENSITIVE_FIELDS.filter(({ field }) => selectedEmployee[field]).map(({ field, label, className }) => (
+                      <div className="info-row" key={field}>
+                        <span className="info-label">{label}</span>
+                        <span className={className}>
+                          {revealedFields[field] ?? selectedEmployee[field]}
+                          {canReveal && revealedFields[field] === undefined && (
+                            <button
+                              type="button"
+                              onClick={() => revealField(field, label)}
+                              style={{ marginLeft: '0.75rem', padding: '0.15rem 0.6rem', fontSize: '0.75rem', border: '1px solid #6c757d', borderRadius: '4px', background: 'white', cursor: 'pointer' }}
+                            >
+                              👁 Reveal
+                            </button>
+                          )}
+                        </span>
                       </div>
-                    )}
+                    ))}
                   </div>
                 </div>
                 
+                {/* Custom Fields */}
+                {selectedCustomFields.length > 0 && (
+                  <div className="detail-card">
+                    <div className="card-header">
+                      <div className="card-icon">🧩</div>
+                      <h3>Additional Details</h3>
+                    </div>
+                    <div className="card-content">
+                      {selectedCustomFields.map(definition => (
+                        <div className="info-row" key={definition.key}>
+                          <span className="info-label">{definition.label}</span>
+                          <span className="info-value">{formatCustomFieldValue(definition, selectedEmployee.custom_fields[definition.key])}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* ID Lineage */}
+                {selectedEmployee.previous_ids?.length > 0 && (
+                  <div className="detail-card">
+                    <div className="card-header">
+                      <div className="card-icon">🧬</div>
+                      <h3>ID Lineage</h3>
+                    </div>
+                    <div className="card-content">
+                      {selectedEmployee.previous_ids.map(previous => (
+                        <div className="info-row" key={previous.employee_id}>
+                          <span className="info-label" style={{ fontFamily: 'monospace' }}>{previous.employee_id}</span>
+                          <span className="info-value">
+                            {getPersonTypeLabel(personTypes, previous.type)}
+                            {' · '}
+                            {previous.valid_from ? new Date(previous.valid_from).toLocaleDateString('en-IN') : '—'}
+                            {' to '}
+                            {new Date(previous.valid_until).toLocaleDateString('en-IN')}
+                            {previous.reason === 'rollback' && ' (rolled back)'}
+                            {previous.reason === 'conversion' && ' (converted)'}
+                          </span>
+                        </div>
+                      ))}
+                      <div className="info-row">
+                        <span className="info-label" style={{ fontFamily: 'monospace' }}>{selectedEmployee.employee_id}</span>
+                        <span className="info-value">{getPersonTypeLabel(personTypes, selectedEmployee.type)} · current</span>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {/* System Information */}
                 <div className="detail-card">
                   <div className="card-header">
@@ -997,6 +1136,14 @@ const EmployeeList = () => {
                       <span className="info-label">Last Updated</span>
                       <span className="info-value">{new Date(selectedEmployee.updated_at || selectedEmployee.created_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
                     </div>
+                    <div className="info-row">
+                      <span className="info-label">Card Valid</span>
+                      <span className="info-value">
+                        {selectedEmployee.valid_until
+                          ? `${selectedEmployee.valid_from ? `${new Date(selectedEmployee.valid_from).toLocaleDateString('en-IN')} to ` : 'Until '}${new Date(selectedEmployee.valid_until).toLocaleDateString('en-IN')}`
+                          : 'No expiry'}
+                      </span>
+                    </div>
                     {selectedEmployee.uuid && (
                       <div className="info-row">
                         <span className="info-label">Verification UUID</span>
@@ -1005,20 +1152,88 @@ const EmployeeList = () => {
                     )}
                   </div>
                 </div>
+
+                <EmployeeOffboarding
+                  employeeId={selectedEmployee.id}
+                  canEdit={canWrite}
+                  refreshKey={selectedEmployee.status}
+                  onCardsRevoked={refreshSelectedEmployee}
+                />
+
+                {/* Printed Cards */}
+                <div className="detail-card">
+                  <div className="card-header">
+                    <div className="card-icon">🪪</div>
+                    <h3>Cards</h3>
+                  </div>
+                  <div className="card-content">
+                    <EmployeeCards
+                      employeeId={selectedEmployee.id}
+                      currentSerial={selectedEmployee.card_serial}
+                      canManage={canWrite}
+                      onChanged={refreshSelectedEmployee}
+                    />
+                  </div>
+                </div>
+
+                {/* Revision History */}
+                <div className="detail-card">
+                  <div className="card-header">
+                    <div className="card-icon">🕘</div>
+                    <h3>History</h3>
+                  </div>
+                  <div className="card-content">
+                    <EmployeeHistory
+                      employeeId={selectedEmployee.id}
+                      canRollback={canWrite}
+                      onRolledBack={refreshSelectedEmployee}
+                      refreshKey={historyVersion}
+                    />
+                  </div>
+                </div>
               </div>
             </div>
             
             {/* Action Buttons */}
             <div className="employee-details-actions">
               <div className="action-buttons">
-                <Link 
-                  to={`/edit/${selectedEmployee.id}`}
-                  className="action-btn primary"
-                  onClick={() => setSelectedEmployee(null)}
-                >
-                  <span className="btn-icon">✏️</span>
-                  <span>Edit Employee</span>
-                </Link>
+                {canWrite && (
+                  <Link 
+                    to={`/edit/${selectedEmployee.id}`}
+                    className="action-btn primary"
+                    onClick={() => setSelectedEmployee(null)}
+                  >
+                    <span className="btn-icon">✏️</span>
+                    <span>Edit Employee</span>
+                  </Link>
+                )}
+                {canWrite && (
+                  <button
+                    onClick={() => setShowConvertModal(true)}
+                    className="action-btn secondary"
+                  >
+                    <span className="btn-icon">🎓</span>
+                    <span>Convert Type</span>
+                  </button>
+                )}
+                {canWrite && (
+                  <button
+                    onClick={() => setScheduleTarget('selected')}
+                    className="action-btn secondary"
+                  >
+                    <span className="btn-icon">📅</span>
+                    <span>Schedule Status</span>
+                  </button>
+                )}
+                {canWrite && (selectedEmployee.valid_until || selectedEmployee.status === 'expired') && (
+                  <button
+                    onClick={() => renewCard(selectedEmployee)}
+                    className="action-btn secondary"
+                  >
+                    <span className="btn-icon">🔁</span>
+                    <span>Renew Card</span>
+                  </button>
+                )}
                 <button 
                   onClick={() => openVerifyPortal(selectedEmployee.uuid)}
                   className="action-btn secondary"
@@ -1036,12 +1251,58 @@ const EmployeeList = () => {
                   <span className="btn-icon">🆔</span>
                   <span>View ID Card</span>
                 </button>
+                {canArchive && (
+                  <button
+                    onClick={() => archiveEmployee(selectedEmployee)}
+                    className="action-btn secondary"
+                  >
+                    <span className="btn-icon">🗄️</span>
+                    <span>Archive</span>
+                  </button>
+                )}
               </div>
             </div>
           </div>
         </div>
       )}
 
+      {showConvertModal && selectedEmployee && (
+        <ConvertEmployee
+          employee={selectedEmployee}
+          onClose={() => setShowConvertModal(false)}
+          onConverted={() => {
+            setShowConvertModal(false);
+            refreshSelectedEmployee();
+          }}
+        />
+      )}
+
+      {scheduleTarget === 'selected' && selectedEmployee && (
+        <ScheduleStatusChange
+          employeeIds={[selectedEmployee.id]}
+          title={`Schedule a status change for ${selectedEmployee.name}`}
+          onClose={() => setScheduleTarget(null)}
+          onScheduled={() => {
+            setScheduleTarget(null);
+            setHistoryVersion(version => version + 1);
+            refreshSelectedEmployee();
+          }}
+        />
+      )}
+
+      {scheduleTarget === 'bulk' && (
+        <ScheduleStatusChange
+          employeeIds={selectedIds}
+          title={`Schedule a status change for ${selectedIds.length} employee(s)`}
+          onClose={() => setScheduleTarget(null)}
+          onScheduled={() => {
+            setScheduleTarget(null);
+            setSelectedIds([]);
+            fetchEmployees();
+          }}
+        />
+      )}
+
       {/* Type Change Modal */}
       {showTypeModal && (
         <div className="popup-overlay" onClick={() => setShowTypeModal(false)}>
@@ -1118,8 +1379,9 @@ const EmployeeList = () => {
                     transition: 'all 0.3s'
                   }}
                 >
-                  <option value="employee">👤 Employee - Full-time staff member</option>
-                  <option value="intern">🎓 Intern - Temporary trainee</option>
+                  {personTypes.map(personType => (
+                    <option key={personType.code} value={personType.code}>{formatPersonTypeOption(personType)}</option>
+                  ))}
                 </select>
               </div>
               
@@ -1276,6 +1538,7 @@ const EmployeeList = () => {
                   <option value="resigned">💼 Resigned - Employee left voluntarily</option>
                   <option value="on_leave">🏖️ On Leave - Temporary absence</option>
                   <option value="suspended">⏸️ Suspended - Temporarily suspended</option>
+                  <option value="expired">⌛ Expired - Card validity ended</option>
                 </select>
               </div>
               
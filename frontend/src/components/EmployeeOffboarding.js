@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const inputStyle = { padding: '0.3rem 0.5rem', border: '1px solid #ddd', borderRadius: '6px', fontSize: '0.85rem' };
+
+const formatDate = value => new Date(value).toLocaleDateString('en-IN');
+
+// Checklist of one offboarding; changes are saved as soon as they are made
+export const OffboardingTasks = ({ offboarding, canEdit, onUpdated }) => {
+  const toast = useToast();
+  const [savingKey, setSavingKey] = useState(null);
+  const editable = canEdit && offboarding.status !== 'cancelled';
+  const today = new Date().toISOString().split('T')[0];
+
+  const updateItem = async (item, changes) => {
+    setSavingKey(item.key);
+    try {
+      const response = await axios.patch(`/api/offboardings/${offboarding.id}/items/${item.key}`, changes);
+      if (changes.done !== undefined) {
+        toast.success(response.data.message);
+      }
+      onUpdated(response.data.offboarding, response.data.revoked_cards);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update checklist step');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const toggleDone = (item) => {
+    const done = !item.completed_at;
+    if (done && item.action === 'revoke_card'
+      && !window.confirm('Checking this off revokes the ID card, so it no longer verifies. Continue?')) return;
+    updateItem(item, { done });
+  };
+
+  const saveAssignee = (item, value) => {
+    if ((value.trim() || null) !== (item.assignee || null)) {
+      updateItem(item, { assignee: value });
+    }
+  };
+
+  if (offboarding.items.length === 0) {
+    return <div style={{ color: '#6c757d' }}>No checklist steps</div>;
+  }
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+      <tbody>
+        {offboarding.items.map(item => {
+          const overdue = !item.completed_at && item.due_date && item.due_date < today;
+          return (
+            <tr key={item.key} style={{ borderBottom: '1px solid #eee' }}>
+              <td style={{ padding: '0.5rem', width: '2rem' }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(item.completed_at)}
+                  onChange={() => toggleDone(item)}
+                  disabled={!editable || savingKey !== null}
+                />
+              </td>
+              <td style={{ padding: '0.5rem' }}>
+                <div style={{ fontWeight: '600', textDecoration: item.completed_at ? 'line-through' : 'none' }}>
+                  {item.label}{item.action === 'revoke_card' && ' 🪪'}
+                </div>
+                {item.completed_at && (
+                  <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                    Done {formatDate(item.completed_at)}{item.completed_by && ` by ${item.completed_by}`}
+                  </div>
+                )}
+              </td>
+              <td style={{ padding: '0.5rem' }}>
+                {editable ? (
+                  <input
+                    key={`${item.key}-${item.assignee || ''}`}
+                    type="text"
+                    defaultValue={item.assignee || ''}
+                    placeholder="Assignee"
+                    onBlur={(event) => saveAssignee(item, event.target.value)}
+                    style={inputStyle}
+                  />
+                ) : (item.assignee || '—')}
+              </td>
+              <td style={{ padding: '0.5rem', color: overdue ? '#dc3545' : 'inherit' }}>
+                {editable ? (
+                  <input
+                    type="date"
+                    value={item.due_date || ''}
+                    onChange={(event) => updateItem(item, { due_date: event.target.value })}
+                    style={{ ...inputStyle, color: overdue ? '#dc3545' : 'inherit' }}
+                  />
+                ) : (item.due_date ? formatDate(item.due_date) : '—')}
+                {overdue && <div style={{ fontSize: '0.75rem' }}>Overdue</div>}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+// Latest offboarding of an employee, shown in the details popup once they are terminated or resign
+const EmployeeOffboarding = ({ employeeId, canEdit, refreshKey, onCardsRevoked }) => {
+  const toast = useToast();
+  const [offboarding, setOffboarding] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchOffboarding();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [employeeId, refreshKey]);
+
+  const fetchOffboarding = async () => {
+    try {
+      const response = await axios.get(`/api/employees/${employeeId}/offboardings`);
+      setOffboarding(response.data[0] || null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch offboarding');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelOffboarding = async () => {
+    if (!window.confirm('Cancel this offboarding? Use this when the person is staying after all.')) return;
+
+    try {
+      const response = await axios.post(`/api/offboardings/${offboarding.id}/cancel`);
+      toast.success(response.data.message);
+      fetchOffboarding();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel offboarding');
+    }
+  };
+
+  const handleUpdated = (updated, revokedCards) => {
+    setOffboarding(updated);
+    if (revokedCards.length > 0 && onCardsRevoked) onCardsRevoked();
+  };
+
+  if (loading || !offboarding) {
+    return null;
+  }
+
+  return (
+    <div className="detail-card">
+      <div className="card-header">
+        <div className="card-icon">📦</div>
+        <h3>Offboarding</h3>
+      </div>
+      <div className="card-content">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+          <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>
+            {offboarding.trigger_status.replace('_', ' ')} · opened {formatDate(offboarding.created_at)} ·{' '}
+            {offboarding.status === 'open' ? `${offboarding.progress.done}/${offboarding.progress.total} done` : offboarding.status}
+          </span>
+          {canEdit && offboarding.status === 'open' && (
+            <button type="button" className="btn btn-secondary" onClick={cancelOffboarding} style={{ fontSize: '0.8rem', padding: '0.3rem 0.75rem' }}>
+              Cancel
+            </button>
+          )}
+        </div>
+        <OffboardingTasks offboarding={offboarding} canEdit={canEdit} onUpdated={handleUpdated} />
+      </div>
+    </div>
+  );
+};
+
+export default EmployeeOffboarding;
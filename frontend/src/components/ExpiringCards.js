@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { usePersonTypes, getPersonTypeLabel } from '../utils/personTypes';
+
+const EXPIRING_WITHIN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cellStyle = { padding: '0.75rem', textAlign: 'left' };
+
+const daysLeft = (validUntil) => {
+  const today = new Date(new Date().toISOString().split('T')[0]);
+  return Math.round((new Date(validUntil) - today) / DAY_MS);
+};
+
+// Dashboard widget: active cards whose validity ends within the next 30 days
+const ExpiringCards = () => {
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const personTypes = usePersonTypes();
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const canRenew = hasPermission(PERMISSIONS.EMPLOYEES_WRITE);
+
+  useEffect(() => {
+    fetchExpiring();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchExpiring = async () => {
+    try {
+      const response = await axios.get('/api/employees/expiring', { params: { days: EXPIRING_WITHIN_DAYS } });
+      setEmployees(response.data.employees);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch expiring cards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renew = async (employee) => {
+    if (!window.confirm(`Renew the card of ${employee.name} by the type's default period?`)) return;
+
+    try {
+      const response = await axios.post(`/api/employees/${employee.id}/renew`, {});
+      toast.success(`${employee.name}: ${response.data.message}`);
+      fetchExpiring();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to renew card');
+    }
+  };
+
+  return (
+    <div className="action-section">
+      <h2>⏳ Cards Expiring in {EXPIRING_WITHIN_DAYS} Days</h2>
+      {loading && <p style={{ color: '#6c757d' }}>Loading...</p>}
+      {!loading && employees.length === 0 && <p style={{ color: '#6c757d' }}>No cards expire in the next {EXPIRING_WITHIN_DAYS} days.</p>}
+      {!loading && employees.length > 0 && (
+        <div style={{ overflowX: 'auto', background: 'white', borderRadius: '12px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>ID</th>
+                <th style={cellStyle}>Type</th>
+                <th style={cellStyle}>Department</th>
+                <th style={cellStyle}>Valid Until</th>
+                {canRenew && <th style={cellStyle}></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map(employee => {
+                const remaining = daysLeft(employee.valid_until);
+                return (
+                  <tr key={employee.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                    <td style={{ ...cellStyle, fontWeight: '600' }}>{employee.name}</td>
+                    <td style={cellStyle}><code>{employee.employee_id}</code></td>
+                    <td style={cellStyle}>{getPersonTypeLabel(personTypes, employee.type)}</td>
+                    <td style={cellStyle}>{employee.department}</td>
+                    <td style={{ ...cellStyle, color: remaining <= 7 ? '#dc3545' : '#2c3e50' }}>
+                      {new Date(employee.valid_until).toLocaleDateString('en-IN')}
+                      {' '}({remaining === 0 ? 'today' : `${remaining} day${remaining === 1 ? '' : 's'}`})
+                    </td>
+                    {canRenew && (
+                      <td style={cellStyle}>
+                        <button className="btn btn-secondary" onClick={() => renew(employee)}>Renew</button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {!loading && employees.length > 0 && (
+        <p style={{ marginTop: '0.5rem' }}>
+          <Link to="/employees?status=expired">View expired cards</Link>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExpiringCards;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { API_BASE_URL } from '../config';
+
+const ForgotPassword = () => {
+  const toast = useToast();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/forgot`, { email });
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Unable to send reset email.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-wrapper">
+      <div className="auth-card">
+        <h1>Forgot password</h1>
+        {sent ? (
+          <p>If an account exists for <strong>{email}</strong>, we have sent a link to reset the password. Check your inbox.</p>
+        ) : (
+          <>
+            <p>Enter the email you sign in with and we will send you a reset link.</p>
+            <form onSubmit={handleSubmit}>
+              <label>
+                Email
+                <input
+                  type="email"
+                  name="email"
+                  value={email}
+                  onChange={(event) => setEmail(event.target.value)}
+                  required
+                  autoComplete="username"
+                  placeholder="admin@example.com"
+                />
+              </label>
+
+              <button type="submit" className="auth-submit-btn" disabled={submitting}>
+                {submitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          </>
+        )}
+        <p style={{ marginTop: '1rem' }}>
+          <Link to="/login">Back to sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
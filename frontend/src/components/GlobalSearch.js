@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+
+const MIN_QUERY_LENGTH = 2;
+
+const GROUPS = [
+  {
+    key: 'employees',
+    label: 'IDs',
+    getLink: hit => `/employees?q=${encodeURIComponent(hit.employee_id)}`,
+    getTitle: hit => hit.name,
+    getDetail: hit => `${hit.employee_id} · ${hit.designation} · ${hit.department}`
+  },
+  {
+    key: 'certificates',
+    label: 'Certificates',
+    getLink: hit => `/certificates/manage?code=${encodeURIComponent(hit.certificate_code)}`,
+    getTitle: hit => hit.name,
+    getDetail: hit => `${hit.certificate_code} · ${hit.certificate_type}`
+  },
+  {
+    key: 'offer_letters',
+    label: 'Offer Letters',
+    getLink: hit => `/offer-letters/manage?q=${encodeURIComponent(hit.offer_letter_number)}`,
+    getTitle: hit => hit.candidate_name || hit.offer_letter_number,
+    getDetail: hit => [hit.offer_letter_number, hit.designation].filter(Boolean).join(' · ')
+  }
+];
+
+const GlobalSearch = ({ onNavigate }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults(null);
+      return undefined;
+    }
+
+    const delayedSearch = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const response = await axios.get('/api/search', { params: { q: trimmed } });
+        setResults(response.data);
+      } catch (error) {
+        setResults({});
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+    return () => clearTimeout(delayedSearch);
+  }, [query]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selectHit = () => {
+    setOpen(false);
+    setQuery('');
+    if (onNavigate) onNavigate();
+  };
+
+  const groups = GROUPS.filter(group => results?.[group.key]?.length > 0);
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative', minWidth: '220px' }}>
+      <input
+        type="search"
+        placeholder="🔍 Search everything..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        style={{ width: '100%', padding: '0.5rem 0.75rem', border: '1px solid #ddd', borderRadius: '6px' }}
+      />
+      {open && query.trim().length >= MIN_QUERY_LENGTH && (
+        <div
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            right: 0,
+            width: '360px',
+            maxHeight: '70vh',
+            overflowY: 'auto',
+            background: 'white',
+            color: '#333',
+            borderRadius: '8px',
+            boxShadow: '0 4px 16px rgba(0,0,0,0.15)',
+            zIndex: 1000
+          }}
+        >
+          {searching && !results && <div style={{ padding: '1rem', color: '#6c757d' }}>Searching...</div>}
+          {results && groups.length === 0 && <div style={{ padding: '1rem', color: '#6c757d' }}>No matches</div>}
+          {groups.map(group => (
+            <div key={group.key}>
+              <div style={{ padding: '0.5rem 1rem', background: '#f8f9fa', fontSize: '0.8rem', fontWeight: '600', color: '#6c757d', textTransform: 'uppercase' }}>
+                {group.label}
+              </div>
+              {results[group.key].map(hit => (
+                <Link
+                  key={hit.id}
+                  to={group.getLink(hit)}
+                  onClick={selectHit}
+                  style={{ display: 'block', padding: '0.6rem 1rem', color: '#333', textDecoration: 'none', borderBottom: '1px solid #f1f1f1' }}
+                >
+                  <div style={{ fontWeight: '600' }}>{group.getTitle(hit)}</div>
+                  <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{group.getDetail(hit)}</div>
+                </Link>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { UPLOADS_BASE_URL } from '../config';
+import { formatCustomFieldValue } from '../utils/customFields';
+import { usePersonTypes, findPersonType, getPersonTypeLabel, getCardBackground } from '../utils/personTypes';
 
 const IDCardViewer = ({ employee, onClose }) => {
   const [isFlipped, setIsFlipped] = useState(false);
   const [currentEmployee, setCurrentEmployee] = useState(employee);
   const [loading, setLoading] = useState(false);
+  const [cardFields, setCardFields] = useState([]);
+  const personTypes = usePersonTypes();
 
   useEffect(() => {
     if (employee?.id) {
@@ -26,8 +30,19 @@ const IDCardViewer = ({ employee, onClose }) => {
     }
   };
 
+  const employeeType = currentEmployee?.type || employee?.type;
+
+  useEffect(() => {
+    if (!employeeType) return;
+    axios.get('/api/custom-fields', { params: { type: employeeType } })
+      .then(response => setCardFields(response.data.filter(definition => definition.show_on_card)))
+      .catch(error => console.error('Error fetching custom fields:', error));
+  }, [employeeType]);
+
   if (!employee) return null;
   const displayEmployee = currentEmployee || employee;
+  const customValues = displayEmployee.custom_fields || {};
+  const cardStyle = { background: getCardBackground(findPersonType(personTypes, displayEmployee.type)) };
 
   return (
     <div className="id-viewer-overlay" onClick={onClose}>
@@ -40,10 +55,10 @@ const IDCardViewer = ({ employee, onClose }) => {
         <div className="id-card-container">
           <div className={`id-card-flip ${isFlipped ? 'flipped' : ''}`} onClick={() => setIsFlipped(!isFlipped)}>
             {/* Front Side */}
-            <div className="id-card-front">
+            <div className="id-card-front" style={cardStyle}>
               <div className="id-card-header">
                 <div className="company-name">SARAL WORKS</div>
-                <div className="id-type">{displayEmployee.type.toUpperCase()} ID CARD</div>
+                <div className="id-type">{getPersonTypeLabel(personTypes, displayEmployee.type).toUpperCase()} ID CARD</div>
               </div>
               
               <div className="id-card-content">
@@ -61,7 +76,8 @@ const IDCardViewer = ({ employee, onClose }) => {
                   <div className="employee-name">{displayEmployee.name}</div>
                   <div className="employee-info">Department: {displayEmployee.department}</div>
                   {displayEmployee.designation && <div className="employee-info">Designation: {displayEmployee.designation}</div>}
-                  <div className="employee-info">Issued: {new Date(displayEmployee.created_at).toLocaleDateString()}</div>
+                  <div className="employee-info">Issued: {new Date(displayEmployee.valid_from || displayEmployee.created_at).toLocaleDateString()}</div>
+                  {displayEmployee.valid_until && <div className="employee-info">Valid until: {new Date(displayEmployee.valid_until).toLocaleDateString()}</div>}
                   <div className="employee-info">Status: <span className={`status-${displayEmployee.status || 'active'}`}>{(displayEmployee.status || 'active').toUpperCase()}</span></div>
                 </div>
               </div>
@@ -70,6 +86,7 @@ const IDCardViewer = ({ employee, onClose }) => {
                 <div className="qr-section">
                   <img src={displayEmployee.qr_code} alt="QR Code" className="qr-code" />
                   <div className="qr-label">SCAN TO VERIFY</div>
+                  {displayEmployee.card_serial && <div className="qr-label">{displayEmployee.card_serial} · v{displayEmployee.card_version}</div>}
                 </div>
               )}
               
@@ -78,7 +95,7 @@ const IDCardViewer = ({ employee, onClose }) => {
             </div>
 
             {/* Back Side */}
-            <div className="id-card-back">
+            <div className="id-card-back" style={cardStyle}>
               <div className="id-card-header">
                 <div className="company-name">SARAL WORKS</div>
                 <div className="id-type">EMPLOYEE DETAILS</div>
@@ -98,6 +115,11 @@ const IDCardViewer = ({ employee, onClose }) => {
                   {displayEmployee.emergency_phone && <div className="back-item">📞 {displayEmployee.emergency_phone}</div>}
                   {displayEmployee.salary && <div className="back-item">💰 ₹{displayEmployee.salary}</div>}
                   {displayEmployee.bank_account && <div className="back-item">🏦 {displayEmployee.bank_account}</div>}
+                  {cardFields.filter(definition => formatCustomFieldValue(definition, customValues[definition.key])).map(definition => (
+                    <div className="back-item" key={definition.key}>
+                      {definition.label}: {formatCustomFieldValue(definition, customValues[definition.key])}
+                    </div>
+                  ))}
                   {displayEmployee.address && <div className="back-item back-item-full">🏠 {displayEmployee.address}</div>}
                 </div>
                 
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { usePersonTypes, getPersonTypeLabel } from '../utils/personTypes';
+
+const RESET_POLICIES = [
+  { value: 'yearly', label: 'Every year' },
+  { value: 'never', label: 'Never' },
+  { value: 'per_department', label: 'Separate sequence per department' }
+];
+
+const CHECK_DIGITS = [
+  { value: 'none', label: 'None' },
+  { value: 'luhn', label: 'Luhn' },
+  { value: 'verhoeff', label: 'Verhoeff' }
+];
+
+const TOKENS = [
+  ['{ORG}', 'organisation code'],
+  ['{TYPE}', 'type code'],
+  ['{YY}', 'two-digit year'],
+  ['{YYYY}', 'four-digit year'],
+  ['{DEPT}', 'department code'],
+  ['{SEQ}', 'sequence ({SEQ:5} pads to 5 digits)'],
+  ['{CHK}', 'check digit, must come last']
+];
+
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const IdFormatCard = ({ format, typeLabel, onSaved }) => {
+  const toast = useToast();
+  const [formState, setFormState] = useState(format);
+  const [department, setDepartment] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const delayedPreview = setTimeout(async () => {
+      try {
+        const { template, org_code, type_code, reset_policy, check_digit } = formState;
+        const response = await axios.get(`/api/id-formats/${format.type}/preview`, {
+          params: { template, org_code, type_code, reset_policy, check_digit, department }
+        });
+        setPreview({ value: response.data.employee_id });
+        setFormErrors({});
+      } catch (error) {
+        setPreview({ error: error.response?.data?.error || 'Preview unavailable' });
+        setFormErrors(error.response?.data?.errors || {});
+      }
+    }, 400);
+    return () => clearTimeout(delayedPreview);
+  }, [formState, department, format.type]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!window.confirm('Save this format? IDs issued from now on use it; existing IDs keep their current number.')) return;
+
+    setSaving(true);
+    try {
+      const response = await axios.put(`/api/id-formats/${format.type}`, formState);
+      toast.success(`${typeLabel} format saved`);
+      onSaved(response.data);
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to save ID format');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  return (
+    <form onSubmit={handleSave} style={{ padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px', marginBottom: '1.5rem' }}>
+      <h3 style={{ marginTop: 0 }}>{typeLabel}</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+        <label style={{ gridColumn: '1 / -1' }}>
+          Template
+          <input type="text" name="template" value={formState.template} onChange={handleChange} required style={{ ...inputStyle, fontFamily: 'monospace' }} />
+          {renderError('template')}
+        </label>
+        <label>
+          Organisation code
+          <input type="text" name="org_code" value={formState.org_code} onChange={handleChange} style={inputStyle} />
+          {renderError('org_code')}
+        </label>
+        <label>
+          Type code
+          <input type="text" name="type_code" value={formState.type_code} onChange={handleChange} style={inputStyle} />
+          {renderError('type_code')}
+        </label>
+        <label>
+          Reset sequence
+          <select name="reset_policy" value={formState.reset_policy} onChange={handleChange} style={inputStyle}>
+            {RESET_POLICIES.map(policy => <option key={policy.value} value={policy.value}>{policy.label}</option>)}
+          </select>
+          {renderError('reset_policy')}
+        </label>
+        <label>
+          Check digit
+          <select name="check_digit" value={formState.check_digit} onChange={handleChange} style={inputStyle}>
+            {CHECK_DIGITS.map(algorithm => <option key={algorithm.value} value={algorithm.value}>{algorithm.label}</option>)}
+          </select>
+          {renderError('check_digit')}
+        </label>
+        <label>
+          Preview department
+          <input type="text" value={department} onChange={(e) => setDepartment(e.target.value)} placeholder="Only for {DEPT} formats" style={inputStyle} />
+        </label>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1rem', gap: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          Next ID:{' '}
+          {preview?.value
+            ? <strong style={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>{preview.value}</strong>
+            : <span style={{ color: '#6c757d' }}>{preview?.error || '...'}</span>}
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Format'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const IdFormats = () => {
+  const toast = useToast();
+  const personTypes = usePersonTypes();
+  const [formats, setFormats] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchFormats();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchFormats = async () => {
+    try {
+      const response = await axios.get('/api/id-formats');
+      setFormats(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch ID formats');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceFormat = (saved) => {
+    setFormats(prev => prev.map(format => (format.type === saved.type ? saved : format)));
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading ID formats...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <h1>🔢 ID Formats</h1>
+      <p style={{ color: '#6c757d' }}>
+        How new ID numbers are built for each type. Tokens:{' '}
+        {TOKENS.map(([token, description], index) => (
+          <span key={token}>
+            <code>{token}</code> {description}{index < TOKENS.length - 1 ? ', ' : ''}
+          </span>
+        ))}
+      </p>
+      {formats.map(format => (
+        <IdFormatCard
+          key={`${format.type}-${format.updated_at || ''}`}
+          format={format}
+          typeLabel={`${getPersonTypeLabel(personTypes, format.type)} IDs`}
+          onSaved={replaceFormat}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default IdFormats;
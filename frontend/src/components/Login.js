@@ -1,17 +1,70 @@
-import React, { useEffect, useState } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from './Toast';
+import { API_BASE_URL } from '../config';
+
+const SSO_REDIRECT_STORAGE_KEY = 'idsyncro_sso_redirect';
 
 const Login = () => {
-  const { login, initializing, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, loginWithSso, initializing, isAuthenticated } = useAuth();
   const toast = useToast();
   const navigate = useNavigate();
   const location = useLocation();
   const [formState, setFormState] = useState({ email: '', password: '' });
   const [submitting, setSubmitting] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [sso, setSso] = useState({ enabled: false, providerName: 'SSO' });
+  const ssoHandled = useRef(false);
+
+  const redirectPath = location.state?.from?.pathname || sessionStorage.getItem(SSO_REDIRECT_STORAGE_KEY) || '/';
 
-  const redirectPath = location.state?.from?.pathname || '/';
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/api/auth/oidc/config`)
+      .then((response) => setSso(response.data))
+      .catch(() => setSso({ enabled: false, providerName: 'SSO' }));
+  }, []);
+
+  // The backend sends SSO results back in the URL fragment
+  useEffect(() => {
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const ssoCode = params.get('sso_code');
+    const ssoError = params.get('sso_error');
+    if ((!ssoCode && !ssoError) || ssoHandled.current) {
+      return;
+    }
+    ssoHandled.current = true;
+    window.history.replaceState(null, '', location.pathname);
+
+    if (ssoError) {
+      toast.error(ssoError);
+      return;
+    }
+
+    setSubmitting(true);
+    loginWithSso(ssoCode)
+      .then((result) => {
+        if (result.twoFactorRequired) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
+        toast.success('Welcome back!');
+        navigate(redirectPath, { replace: true });
+        sessionStorage.removeItem(SSO_REDIRECT_STORAGE_KEY);
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.error || 'Unable to complete single sign-on.');
+      })
+      .finally(() => setSubmitting(false));
+  }, [location.hash, location.pathname, loginWithSso, navigate, redirectPath, toast]);
+
+  const startSso = () => {
+    sessionStorage.setItem(SSO_REDIRECT_STORAGE_KEY, redirectPath);
+    window.location.assign(`${API_BASE_URL}/api/auth/oidc/login`);
+  };
 
   useEffect(() => {
     if (!initializing && isAuthenticated) {
@@ -28,7 +81,11 @@ const Login = () => {
     event.preventDefault();
     setSubmitting(true);
     try {
-      await login(formState.email, formState.password);
+      const result = await login(formState.email, formState.password);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
       toast.success('Welcome back!');
       navigate(redirectPath, { replace: true });
     } catch (error) {
@@ -39,15 +96,74 @@ const Login = () => {
     }
   };
 
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      await verifyTwoFactor(challengeToken, code);
+      toast.success('Welcome back!');
+      navigate(redirectPath, { replace: true });
+      // Set when the code is asked for after SSO
+      sessionStorage.removeItem(SSO_REDIRECT_STORAGE_KEY);
+    } catch (error) {
+      const message = error.response?.data?.error || 'Unable to verify code.';
+      toast.error(message);
+      if (error.response?.status === 401 && /expired/i.test(message)) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleBack = () => {
+    setChallengeToken(null);
+    setCode('');
+  };
+
   if (!initializing && isAuthenticated) {
     return null;
   }
 
+  if (challengeToken) {
+    return (
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <h1>Two-factor verification</h1>
+          <p>Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+          <form onSubmit={handleVerify}>
+            <label>
+              Verification code
+              <input
+                type="text"
+                name="code"
+                value={code}
+                onChange={(event) => setCode(event.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode="text"
+                placeholder="123456"
+              />
+            </label>
+
+            <button type="submit" className="auth-submit-btn" disabled={submitting}>
+              {submitting ? 'Verifying...' : 'Verify'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleBack} style={{ marginTop: '0.75rem', width: '100%' }}>
+              Back
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-wrapper">
       <div className="auth-card">
         <h1>Sign in</h1>
-        <p>Enter the admin credentials to continue.</p>
+        <p>Sign in with your IDSyncro account to continue.</p>
         <form onSubmit={handleSubmit}>
           <label>
             Email
@@ -79,6 +195,16 @@ const Login = () => {
             {submitting ? 'Signing in...' : 'Sign in'}
           </button>
         </form>
+
+        <p style={{ marginTop: '1rem', textAlign: 'center' }}>
+          <Link to="/forgot-password">Forgot password?</Link>
+        </p>
+
+        {sso.enabled && (
+          <button type="button" className="btn btn-secondary" onClick={startSso} disabled={submitting} style={{ marginTop: '1rem', width: '100%' }}>
+            Sign in with {sso.providerName}
+          </button>
+        )}
       </div>
     </div>
   );
@@ -1,8 +1,15 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import { buildVerifyPortalUrl } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const ManageCertificates = () => {
+  const { hasPermission } = useAuth();
+  const location = useLocation();
+  // Set when arriving from the navbar search
+  const codeFilter = new URLSearchParams(location.search).get('code');
   const [certificates, setCertificates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
@@ -42,6 +49,7 @@ const ManageCertificates = () => {
   };
 
   const filteredCerts = certificates.filter(cert => {
+    if (codeFilter && cert.certificate_code !== codeFilter) return false;
     if (filter === 'all') return true;
     return cert.status === filter;
   });
@@ -55,7 +63,10 @@ const ManageCertificates = () => {
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
         <div>
           <h1>📋 Manage Certificates</h1>
-          <p style={{ color: '#6c757d', margin: 0 }}>Total: {certificates.length} certificates</p>
+          <p style={{ color: '#6c757d', margin: 0 }}>
+            Total: {certificates.length} certificates
+            {codeFilter && <> · Showing {codeFilter} · <Link to="/certificates/manage">Show all</Link></>}
+          </p>
         </div>
         
         <select
@@ -126,7 +137,7 @@ const ManageCertificates = () => {
                       >
                         Verify
                       </button>
-                      {cert.status === 'active' && (
+                      {cert.status === 'active' && hasPermission(PERMISSIONS.CERTIFICATES_REVOKE) && (
                         <button
                           onClick={() => revokeCertificate(cert.id)}
                           style={{
@@ -1,19 +1,33 @@
 import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import axios from 'axios';
 import ExcelJS from 'exceljs';
 import { saveAs } from 'file-saver';
 import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const ManageOfferLetters = () => {
   const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission(PERMISSIONS.OFFER_LETTERS_MANAGE);
   const [offerLetters, setOfferLetters] = useState([]);
   const [batches, setBatches] = useState([]);
   const [loading, setLoading] = useState(false);
   const [filter, setFilter] = useState('all');
+  const location = useLocation();
   const [searchTerm, setSearchTerm] = useState('');
   const [viewModal, setViewModal] = useState(null);
   const [editModal, setEditModal] = useState(null);
 
+  // The navbar search links here with ?q=<offer letter number>
+  useEffect(() => {
+    const query = new URLSearchParams(location.search).get('q');
+    if (query) {
+      setSearchTerm(query);
+    }
+  }, [location.search]);
+
   useEffect(() => {
     fetchOfferLetters();
     fetchBatches();
@@ -214,12 +228,16 @@ const ManageOfferLetters = () => {
                         <button onClick={() => handleView(offer)} className="btn-action btn-view" title="View">
                           👁️
                         </button>
-                        <button onClick={() => handleEdit(offer)} className="btn-action btn-edit" title="Edit">
-                          ✏️
-                        </button>
-                        <button onClick={() => handleDelete(offer.id)} className="btn-action btn-delete" title="Delete">
-                          🗑️
-                        </button>
+                        {canManage && (
+                          <button onClick={() => handleEdit(offer)} className="btn-action btn-edit" title="Edit">
+                            ✏️
+                          </button>
+                        )}
+                        {canManage && (
+                          <button onClick={() => handleDelete(offer.id)} className="btn-action btn-delete" title="Delete">
+                            🗑️
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+const EMPTY_FORM = {
+  key: '',
+  label: '',
+  action: '',
+  default_assignee: '',
+  due_days: 7,
+  sort_order: 0
+};
+
+const ACTIONS = [
+  { value: '', label: 'None (manual step)' },
+  { value: 'revoke_card', label: 'Revoke ID card when checked off' }
+];
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+// Settings page for the steps every new offboarding starts with
+const OffboardingChecklist = () => {
+  const toast = useToast();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchItems();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchItems = async () => {
+    try {
+      const response = await axios.get('/api/offboarding-items');
+      setItems(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch the offboarding checklist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const openForm = (item = null) => {
+    setEditingId(item ? item.id : null);
+    setFormState(item
+      ? { ...EMPTY_FORM, ...item, action: item.action || '', default_assignee: item.default_assignee || '' }
+      : EMPTY_FORM);
+    setFormErrors({});
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormState(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    const payload = {
+      ...formState,
+      due_days: parseInt(formState.due_days, 10),
+      sort_order: parseInt(formState.sort_order, 10) || 0
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`/api/offboarding-items/${editingId}`, payload);
+        toast.success('Checklist step updated');
+      } else {
+        await axios.post('/api/offboarding-items', payload);
+        toast.success('Checklist step added');
+      }
+      closeForm();
+      fetchItems();
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to save checklist step');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteItem = async (item) => {
+    if (!window.confirm(`Remove "${item.label}" from the checklist? Offboardings already open keep it.`)) return;
+
+    try {
+      await axios.delete(`/api/offboarding-items/${item.id}`);
+      toast.success('Checklist step deleted');
+      fetchItems();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete checklist step');
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading offboarding checklist...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>📦 Offboarding Checklist</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Steps opened for everyone whose status becomes terminated or resigned</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => (showForm ? closeForm() : openForm())}>
+          {showForm ? 'Cancel' : '➕ New Step'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSave}
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+        >
+          <label>
+            Key
+            <input type="text" name="key" value={formState.key} onChange={handleChange} required disabled={Boolean(editingId)} placeholder="laptop_returned" style={inputStyle} />
+            {renderError('key')}
+          </label>
+          <label>
+            Label
+            <input type="text" name="label" value={formState.label} onChange={handleChange} required placeholder="Laptop returned" style={inputStyle} />
+            {renderError('label')}
+          </label>
+          <label>
+            Action
+            <select name="action" value={formState.action} onChange={handleChange} style={inputStyle}>
+              {ACTIONS.map(action => <option key={action.value} value={action.value}>{action.label}</option>)}
+            </select>
+            {renderError('action')}
+          </label>
+          <label>
+            Default assignee
+            <input type="text" name="default_assignee" value={formState.default_assignee} onChange={handleChange} placeholder="it-desk@example.com" style={inputStyle} />
+            {renderError('default_assignee')}
+          </label>
+          <label>
+            Due after (days)
+            <input type="number" name="due_days" value={formState.due_days} onChange={handleChange} min="0" required style={inputStyle} />
+            {renderError('due_days')}
+          </label>
+          <label>
+            Display order
+            <input type="number" name="sort_order" value={formState.sort_order} onChange={handleChange} style={inputStyle} />
+          </label>
+          <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Step' : 'Add Step'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {items.length === 0 ? (
+        <p style={{ color: '#6c757d' }}>The checklist is empty, so offboardings close as soon as they open.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+                <th style={cellStyle}>Step</th>
+                <th style={cellStyle}>Key</th>
+                <th style={cellStyle}>Action</th>
+                <th style={cellStyle}>Default Assignee</th>
+                <th style={cellStyle}>Due</th>
+                <th style={cellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => (
+                <tr key={item.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                  <td style={{ ...cellStyle, fontWeight: '600' }}>{item.label}</td>
+                  <td style={cellStyle}><code>{item.key}</code></td>
+                  <td style={cellStyle}>{item.action === 'revoke_card' ? '🪪 Revokes the ID card' : '—'}</td>
+                  <td style={cellStyle}>{item.default_assignee || '—'}</td>
+                  <td style={cellStyle}>{item.due_days === 0 ? 'Same day' : `${item.due_days} day${item.due_days === 1 ? '' : 's'}`}</td>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button className="btn btn-secondary" onClick={() => openForm(item)}>Edit</button>
+                      <button
+                        onClick={() => deleteItem(item)}
+                        style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OffboardingChecklist;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { OffboardingTasks } from './EmployeeOffboarding';
+
+const STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const cellStyle = { padding: '0.75rem 1rem', textAlign: 'left', verticalAlign: 'top' };
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+// Report of offboardings with their progress; rows expand into the checklist
+const Offboardings = () => {
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission(PERMISSIONS.EMPLOYEES_WRITE);
+  const [status, setStatus] = useState('open');
+  const [offboardings, setOffboardings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchOffboardings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status]);
+
+  const fetchOffboardings = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/offboardings', { params: { status } });
+      setOffboardings(response.data.offboardings);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch offboardings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The updated offboarding comes back without its employee, so keep the one already loaded
+  const replaceOffboarding = (updated) => {
+    setOffboardings(prev => prev.map(item => (item.id === updated.id ? { ...item, ...updated } : item)));
+  };
+
+  const assigneesOf = offboarding => [...new Set(offboarding.items
+    .filter(item => !item.completed_at && item.assignee)
+    .map(item => item.assignee))];
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>📦 Offboarding</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Checklists opened when someone is terminated or resigns</p>
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} style={{ padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px' }}>
+          {STATUSES.map(item => <option key={item.value} value={item.value}>{item.label}</option>)}
+        </select>
+      </div>
+
+      {loading && <p style={{ color: '#6c757d' }}>Loading...</p>}
+      {!loading && offboardings.length === 0 && <p style={{ color: '#6c757d' }}>No {status} offboardings.</p>}
+      {!loading && offboardings.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>ID</th>
+                <th style={cellStyle}>Department</th>
+                <th style={cellStyle}>Reason</th>
+                <th style={cellStyle}>Opened</th>
+                <th style={cellStyle}>Progress</th>
+                <th style={cellStyle}>Next Due</th>
+                <th style={cellStyle}>Waiting On</th>
+              </tr>
+            </thead>
+            <tbody>
+              {offboardings.map(offboarding => (
+                <React.Fragment key={offboarding.id}>
+                  <tr
+                    onClick={() => setExpanded(expanded === offboarding.id ? null : offboarding.id)}
+                    style={{ borderBottom: '1px solid #dee2e6', cursor: 'pointer' }}
+                  >
+                    <td style={{ ...cellStyle, fontWeight: '600' }}>{offboarding.employee.name}</td>
+                    <td style={cellStyle}><code>{offboarding.employee.employee_id}</code></td>
+                    <td style={cellStyle}>{offboarding.employee.department}</td>
+                    <td style={cellStyle}>{offboarding.trigger_status}</td>
+                    <td style={cellStyle}>{formatDate(offboarding.created_at)}</td>
+                    <td style={cellStyle}>
+                      {offboarding.progress.done}/{offboarding.progress.total}
+                      {offboarding.progress.overdue > 0 && (
+                        <span style={{ color: '#dc3545' }}> · {offboarding.progress.overdue} overdue</span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>{formatDate(offboarding.progress.next_due)}</td>
+                    <td style={cellStyle}>{assigneesOf(offboarding).join(', ') || '—'}</td>
+                  </tr>
+                  {expanded === offboarding.id && (
+                    <tr style={{ background: '#f8f9fa' }}>
+                      <td colSpan={8} style={{ padding: '1rem 2rem' }}>
+                        <OffboardingTasks offboarding={offboarding} canEdit={canEdit} onUpdated={replaceOffboarding} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p style={{ marginTop: '1rem', color: '#6c757d', fontSize: '0.9rem' }}>
+        Open an employee from <Link to="/employees">Manage IDs</Link> to cancel their offboarding.
+      </p>
+    </div>
+  );
+};
+
+export default Offboardings;
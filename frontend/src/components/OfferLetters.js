@@ -4,9 +4,13 @@ import CreateOfferLetter from './CreateOfferLetter';
 import BulkOfferLetter from './BulkOfferLetter';
 import ManageOfferLetters from './ManageOfferLetters';
 import { buildVerifyPortalUrl } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const OfferLetters = () => {
   const location = useLocation();
+  const { hasPermission } = useAuth();
+  const canIssue = hasPermission(PERMISSIONS.OFFER_LETTERS_ISSUE);
   
   const isActive = (path) => {
     return location.pathname === path ? 'active-tab' : '';
@@ -20,12 +24,16 @@ const OfferLetters = () => {
       </div>
       
       <div className="certificates-tabs">
-        <Link to="/offer-letters/create" className={isActive('/offer-letters/create')}>
-          ➕ Create Single
-        </Link>
-        <Link to="/offer-letters/bulk" className={isActive('/offer-letters/bulk')}>
-          📤 Bulk Generation
-        </Link>
+        {canIssue && (
+          <Link to="/offer-letters/create" className={isActive('/offer-letters/create')}>
+            ➕ Create Single
+          </Link>
+        )}
+        {canIssue && (
+          <Link to="/offer-letters/bulk" className={isActive('/offer-letters/bulk')}>
+            📤 Bulk Generation
+          </Link>
+        )}
         <Link to="/offer-letters/manage" className={isActive('/offer-letters/manage')}>
           📋 Manage
         </Link>
@@ -40,10 +48,10 @@ const OfferLetters = () => {
       </div>
       
       <Routes>
-        <Route path="create" element={<CreateOfferLetter />} />
-        <Route path="bulk" element={<BulkOfferLetter />} />
+        {canIssue && <Route path="create" element={<CreateOfferLetter />} />}
+        {canIssue && <Route path="bulk" element={<BulkOfferLetter />} />}
         <Route path="manage" element={<ManageOfferLetters />} />
-        <Route path="/" element={<CreateOfferLetter />} />
+        <Route path="/" element={canIssue ? <CreateOfferLetter /> : <ManageOfferLetters />} />
       </Routes>
     </div>
   );
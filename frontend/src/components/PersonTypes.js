@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { EMPLOYMENT_TYPES, fetchPersonTypes, getCardBackground } from '../utils/personTypes';
+
+const EMPTY_FORM = {
+  code: '',
+  label: '',
+  id_prefix: '',
+  default_employment_type: 'full_time',
+  card_color: '#667eea',
+  card_template: 'gradient',
+  verify_label: '',
+  icon: '',
+  default_validity_months: '',
+  sort_order: 0
+};
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const PersonTypes = () => {
+  const toast = useToast();
+  const [personTypes, setPersonTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPersonTypes();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Refreshing the shared cache keeps the other pages' type lists in step with edits made here
+  const loadPersonTypes = async (refresh = false) => {
+    try {
+      setPersonTypes(await fetchPersonTypes(refresh));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch person types');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const openForm = (personType = null) => {
+    setEditingId(personType ? personType.id : null);
+    setFormState(personType
+      ? {
+        ...EMPTY_FORM,
+        ...personType,
+        verify_label: personType.verify_label || '',
+        icon: personType.icon || '',
+        default_validity_months: personType.default_validity_months ?? ''
+      }
+      : EMPTY_FORM);
+    setFormErrors({});
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormState(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    const payload = {
+      ...formState,
+      default_validity_months: formState.default_validity_months === '' ? null : parseInt(formState.default_validity_months, 10),
+      sort_order: parseInt(formState.sort_order, 10) || 0
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`/api/person-types/${editingId}`, payload);
+        toast.success('Person type updated');
+      } else {
+        await axios.post('/api/person-types', payload);
+        toast.success('Person type created');
+      }
+      closeForm();
+      loadPersonTypes(true);
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to save person type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePersonType = async (personType) => {
+    if (!window.confirm(`Delete "${personType.label}"? Its ID format is removed as well.`)) return;
+
+    try {
+      await axios.delete(`/api/person-types/${personType.id}`);
+      toast.success('Person type deleted');
+      loadPersonTypes(true);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete person type');
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading person types...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>🏷️ Person Types</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>The kinds of people who get an ID card, such as employees, interns or contractors</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => (showForm ? closeForm() : openForm())}>
+          {showForm ? 'Cancel' : '➕ New Type'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSave}
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+        >
+          <label>
+            Code
+            <input type="text" name="code" value={formState.code} onChange={handleChange} required disabled={Boolean(editingId)} placeholder="contractor" style={inputStyle} />
+            {renderError('code')}
+          </label>
+          <label>
+            Label
+            <input type="text" name="label" value={formState.label} onChange={handleChange} required placeholder="Contractor" style={inputStyle} />
+            {renderError('label')}
+          </label>
+          <label>
+            ID prefix
+            <input type="text" name="id_prefix" value={formState.id_prefix} onChange={handleChange} required placeholder="CON" style={inputStyle} />
+            {renderError('id_prefix')}
+          </label>
+          <label>
+            Default employment type
+            <select name="default_employment_type" value={formState.default_employment_type} onChange={handleChange} style={inputStyle}>
+              {EMPLOYMENT_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            {renderError('default_employment_type')}
+          </label>
+          <label>
+            Card color
+            <input type="color" name="card_color" value={formState.card_color} onChange={handleChange} style={{ ...inputStyle, height: '2.6rem', padding: '0.2rem' }} />
+            {renderError('card_color')}
+          </label>
+          <label>
+            Card style
+            <select name="card_template" value={formState.card_template} onChange={handleChange} style={inputStyle}>
+              <option value="gradient">Gradient</option>
+              <option value="solid">Solid color</option>
+            </select>
+            {renderError('card_template')}
+          </label>
+          <label>
+            Verify page label
+            <input type="text" name="verify_label" value={formState.verify_label} onChange={handleChange} placeholder="Defaults to the label" style={inputStyle} />
+            {renderError('verify_label')}
+          </label>
+          <label>
+            Icon
+            <input type="text" name="icon" value={formState.icon} onChange={handleChange} placeholder="🛠️" style={inputStyle} />
+            {renderError('icon')}
+          </label>
+          <label>
+            Card validity (months)
+            <input type="number" name="default_validity_months" value={formState.default_validity_months} onChange={handleChange} min="1" placeholder="Blank: cards do not expire" style={inputStyle} />
+            {renderError('default_validity_months')}
+          </label>
+          <label>
+            Display order
+            <input type="number" name="sort_order" value={formState.sort_order} onChange={handleChange} style={inputStyle} />
+          </label>
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: '1rem' }}>
+            <div style={{ width: '60px', height: '38px', borderRadius: '6px', background: getCardBackground(formState) }} title="Card preview" />
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Type' : 'Create Type'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>Card</th>
+              <th style={cellStyle}>Label</th>
+              <th style={cellStyle}>Code</th>
+              <th style={cellStyle}>ID Prefix</th>
+              <th style={cellStyle}>Default Employment</th>
+              <th style={cellStyle}>Card Validity</th>
+              <th style={cellStyle}>Verify Label</th>
+              <th style={cellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {personTypes.map(personType => (
+              <tr key={personType.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                <td style={cellStyle}>
+                  <div style={{ width: '48px', height: '30px', borderRadius: '6px', background: getCardBackground(personType) }} />
+                </td>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>{[personType.icon, personType.label].filter(Boolean).join(' ')}</td>
+                <td style={cellStyle}><code>{personType.code}</code></td>
+                <td style={cellStyle}><code>{personType.id_prefix}</code></td>
+                <td style={cellStyle}>
+                  {EMPLOYMENT_TYPES.find(type => type.value === personType.default_employment_type)?.label || personType.default_employment_type}
+                </td>
+                <td style={cellStyle}>{personType.default_validity_months ? `${personType.default_validity_months} months` : 'No expiry'}</td>
+                <td style={cellStyle}>{personType.verify_label || personType.label}</td>
+                <td style={cellStyle}>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn btn-secondary" onClick={() => openForm(personType)}>Edit</button>
+                    <button
+                      onClick={() => deletePersonType(personType)}
+                      style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PersonTypes;
@@ -2,8 +2,8 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, initializing } = useAuth();
+const PrivateRoute = ({ children, permission }) => {
+  const { user, isAuthenticated, initializing, hasPermission } = useAuth();
   const location = useLocation();
 
   if (initializing) {
@@ -19,6 +19,22 @@ const PrivateRoute = ({ children }) => {
     return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
+  // Accounts required to use 2FA can only reach the security page until enrolled
+  if (user.two_factor_setup_required && location.pathname !== '/security') {
+    return <Navigate to="/security" replace />;
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return (
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <h1>Access denied</h1>
+          <p>Your role does not allow access to this page.</p>
+        </div>
+      </div>
+    );
+  }
+
   return children;
 };
 
@@ -1,38 +1,51 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import ExcelJS from 'exceljs';
 import { saveAs } from 'file-saver';
 import { buildVerifyPortalUrl } from '../config';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { appliesToType } from '../utils/customFields';
+import { usePersonTypes } from '../utils/personTypes';
+import ExpiringCards from './ExpiringCards';
+import UpcomingStatusChanges from './UpcomingStatusChanges';
+
+const TYPE_CARD_CLASSES = ['success', 'info'];
 
 const ProfessionalDashboard = () => {
+  const { hasPermission } = useAuth();
+  const personTypes = usePersonTypes();
   const [stats, setStats] = useState({
     total: 0,
-    employees: 0,
-    interns: 0,
+    byType: {},
     active: 0,
     thisMonth: 0
   });
   const [employees, setEmployees] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   const [loading, setLoading] = useState(false);
 
-  useEffect(() => {
-    fetchData();
-  }, []);
+  const fetchData = useCallback(async () => {
+    if (!hasPermission(PERMISSIONS.EMPLOYEES_READ)) {
+      return;
+    }
 
-  const fetchData = async () => {
     try {
-      const response = await axios.get('/api/employees');
+      const [response, customFieldsResponse] = await Promise.all([
+        axios.get('/api/employees'),
+        axios.get('/api/custom-fields')
+      ]);
       const employeeData = response.data;
       setEmployees(employeeData);
+      setCustomFields(customFieldsResponse.data);
       
       const currentMonth = new Date().getMonth();
       const currentYear = new Date().getFullYear();
       
       setStats({
         total: employeeData.length,
-        employees: employeeData.filter(emp => emp.type === 'employee').length,
-        interns: employeeData.filter(emp => emp.type === 'intern').length,
+        byType: employeeData.reduce((counts, emp) => ({ ...counts, [emp.type]: (counts[emp.type] || 0) + 1 }), {}),
         active: employeeData.filter(emp => emp.status === 'active').length,
         thisMonth: employeeData.filter(emp => {
           const createdDate = new Date(emp.created_at);
@@ -42,7 +55,12 @@ const ProfessionalDashboard = () => {
     } catch (error) {
       console.error('Error fetching data:', error);
     }
-  };
+  }, [hasPermission]);
+
+  // Reloads when the signed-in user's permissions change
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
 
   const exportToExcel = async (data, filename) => {
     setLoading(true);
@@ -70,6 +88,10 @@ const ProfessionalDashboard = () => {
     }
   };
 
+  // One column per custom field so every row has the same keys
+  const customFieldColumns = (emp, definitions) =>
+    Object.fromEntries(definitions.map(definition => [definition.label, emp.custom_fields?.[definition.key] ?? '']));
+
   const exportAllEmployees = () => {
     const exportData = employees.map(emp => ({
       'UUID': emp.uuid,
@@ -92,7 +114,8 @@ const ProfessionalDashboard = () => {
       'Aadhar Number': emp.aadhar_number,
       'PAN Number': emp.pan_number,
       'Status': emp.status,
-      'Created Date': new Date(emp.created_at).toLocaleDateString()
+      'Created Date': new Date(emp.created_at).toLocaleDateString(),
+      ...customFieldColumns(emp, customFields)
     }));
     exportToExcel(exportData, 'All_Employees_Report');
   };
@@ -114,6 +137,9 @@ const ProfessionalDashboard = () => {
       filename = `${type.charAt(0).toUpperCase() + type.slice(1)}s_Report`;
     }
     
+    const typeCustomFields = type === 'thisMonth'
+      ? customFields
+      : customFields.filter(definition => appliesToType(definition, type));
     const exportData = filteredData.map(emp => ({
       'UUID': emp.uuid,
       'Employee ID': emp.employee_id,
@@ -125,7 +151,8 @@ const ProfessionalDashboard = () => {
       'Joining Date': emp.joining_date,
       'Manager': emp.manager,
       'Status': emp.status,
-      'Created Date': new Date(emp.created_at).toLocaleDateString()
+      'Created Date': new Date(emp.created_at).toLocaleDateString(),
+      ...customFieldColumns(emp, typeCustomFields)
     }));
     exportToExcel(exportData, filename);
   };
@@ -133,8 +160,7 @@ const ProfessionalDashboard = () => {
   const exportSummaryReport = () => {
     const summaryData = [
       { 'Metric': 'Total Employees', 'Count': stats.total },
-      { 'Metric': 'Employees', 'Count': stats.employees },
-      { 'Metric': 'Interns', 'Count': stats.interns },
+      ...personTypes.map(personType => ({ 'Metric': `${personType.label}s`, 'Count': stats.byType[personType.code] || 0 })),
       { 'Metric': 'Active IDs', 'Count': stats.active },
       { 'Metric': 'Created This Month', 'Count': stats.thisMonth }
     ];
@@ -182,23 +208,28 @@ const ProfessionalDashboard = () => {
   };
 
   const bulkActions = [
-    { label: 'Export All Data', action: exportAllEmployees, icon: '📊', color: '#2ecc71' },
-    { label: 'Employee Report', action: () => exportByType('employee'), icon: '👥', color: '#3498db' },
-    { label: 'Intern Report', action: () => exportByType('intern'), icon: '🎓', color: '#9b59b6' },
-    { label: 'Certificates Report', action: exportCertificates, icon: '📜', color: '#16a085' },
-    { label: 'Offer Letters Report', action: exportOfferLetters, icon: '📄', color: '#f39c12' },
-    { label: 'Summary Report', action: exportSummaryReport, icon: '📈', color: '#e67e22' }
-  ];
+    { label: 'Export All Data', action: exportAllEmployees, icon: '📊', color: '#2ecc71', permission: PERMISSIONS.EMPLOYEES_EXPORT },
+    ...personTypes.map(personType => ({
+      label: `${personType.label} Report`,
+      action: () => exportByType(personType.code),
+      icon: personType.icon || '👥',
+      color: personType.card_color,
+      permission: PERMISSIONS.EMPLOYEES_EXPORT
+    })),
+    { label: 'Certificates Report', action: exportCertificates, icon: '📜', color: '#16a085', permission: PERMISSIONS.CERTIFICATES_READ },
+    { label: 'Offer Letters Report', action: exportOfferLetters, icon: '📄', color: '#f39c12', permission: PERMISSIONS.OFFER_LETTERS_READ },
+    { label: 'Summary Report', action: exportSummaryReport, icon: '📈', color: '#e67e22', permission: PERMISSIONS.ANALYTICS_READ }
+  ].filter(action => hasPermission(action.permission));
 
   const quickActions = [
-    { label: 'Create Employee', path: '/create', icon: '➕', color: '#27ae60' },
-    { label: 'Manage IDs', path: '/employees', icon: '👤', color: '#2980b9' },
-    { label: 'Certificates', path: '/certificates', icon: '📜', color: '#16a085' },
-    { label: 'Offer Letters', path: '/offer-letters', icon: '📄', color: '#f39c12' },
-    { label: 'Print ID Card', path: '/employees?print=true', icon: '🖨️', color: '#e74c3c' },
+    { label: 'Create Employee', path: '/create', icon: '➕', color: '#27ae60', permission: PERMISSIONS.EMPLOYEES_WRITE },
+    { label: 'Manage IDs', path: '/employees', icon: '👤', color: '#2980b9', permission: PERMISSIONS.EMPLOYEES_READ },
+    { label: 'Certificates', path: '/certificates', icon: '📜', color: '#16a085', permission: PERMISSIONS.CERTIFICATES_READ },
+    { label: 'Offer Letters', path: '/offer-letters', icon: '📄', color: '#f39c12', permission: PERMISSIONS.OFFER_LETTERS_READ },
+    { label: 'Print ID Card', path: '/employees?print=true', icon: '🖨️', color: '#e74c3c', permission: PERMISSIONS.EMPLOYEES_READ },
     { label: 'Verify ID', externalUrl: buildVerifyPortalUrl('/verify'), icon: '✅', color: '#8e44ad' },
-    { label: 'Bulk Upload', path: '/bulk-upload', icon: '📤', color: '#d35400' }
-  ];
+    { label: 'Bulk Upload', path: '/bulk-upload', icon: '📤', color: '#d35400', permission: PERMISSIONS.EMPLOYEES_WRITE }
+  ].filter(action => !action.permission || hasPermission(action.permission));
 
   return (
     <div className="professional-dashboard">
@@ -216,20 +247,15 @@ const ProfessionalDashboard = () => {
             <div className="stat-label">Total IDs</div>
           </div>
         </Link>
-        <Link to="/employees?filter=employee" className="stat-card success">
-          <div className="stat-icon">💼</div>
-          <div className="stat-content">
-            <div className="stat-number">{stats.employees}</div>
-            <div className="stat-label">Employees</div>
-          </div>
-        </Link>
-        <Link to="/employees?filter=intern" className="stat-card info">
-          <div className="stat-icon">🎓</div>
-          <div className="stat-content">
-            <div className="stat-number">{stats.interns}</div>
-            <div className="stat-label">Interns</div>
-          </div>
-        </Link>
+        {personTypes.map((personType, index) => (
+          <Link key={personType.code} to={`/employees?type=${personType.code}`} className={`stat-card ${TYPE_CARD_CLASSES[index % TYPE_CARD_CLASSES.length]}`}>
+            <div className="stat-icon">{personType.icon || '👥'}</div>
+            <div className="stat-content">
+              <div className="stat-number">{stats.byType[personType.code] || 0}</div>
+              <div className="stat-label">{personType.label}s</div>
+            </div>
+          </Link>
+        ))}
         <Link to="/employees?status=active" className="stat-card warning">
           <div className="stat-icon">✅</div>
           <div className="stat-content">
@@ -250,6 +276,9 @@ const ProfessionalDashboard = () => {
         </button>
       </div>
 
+      {hasPermission(PERMISSIONS.EMPLOYEES_READ) && <ExpiringCards />}
+      {hasPermission(PERMISSIONS.EMPLOYEES_READ) && <UpcomingStatusChanges />}
+
       {/* Quick Actions */}
       <div className="action-section">
         <h2>🚀 Quick Actions</h2>
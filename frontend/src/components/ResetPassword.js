@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { API_BASE_URL } from '../config';
+
+// Used for both password reset links and invitation links
+const ResetPassword = ({ invite = false }) => {
+  const toast = useToast();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formState, setFormState] = useState({ name: '', password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (formState.password !== formState.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/reset`, {
+        token,
+        password: formState.password,
+        name: invite && formState.name ? formState.name : undefined
+      });
+      toast.success(invite ? 'Account activated. You can now sign in.' : 'Password updated. You can now sign in.');
+      navigate('/login', { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Unable to set password.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <h1>Invalid link</h1>
+          <p>This link is missing its token. Open the link from your email again.</p>
+          <Link to="/login">Back to sign in</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-wrapper">
+      <div className="auth-card">
+        <h1>{invite ? 'Accept invitation' : 'Choose a new password'}</h1>
+        <p>
+          {invite
+            ? 'Set a password to activate your IDSyncro account.'
+            : 'Enter a new password for your IDSyncro account.'}{' '}
+          Use at least 8 characters with letters and numbers.
+        </p>
+        <form onSubmit={handleSubmit}>
+          {invite && (
+            <label>
+              Name
+              <input
+                type="text"
+                name="name"
+                value={formState.name}
+                onChange={handleChange}
+                autoComplete="name"
+                placeholder="Your name (optional)"
+              />
+            </label>
+          )}
+
+          <label>
+            New password
+            <input
+              type="password"
+              name="password"
+              value={formState.password}
+              onChange={handleChange}
+              required
+              minLength={8}
+              autoComplete="new-password"
+            />
+          </label>
+
+          <label>
+            Confirm password
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formState.confirmPassword}
+              onChange={handleChange}
+              required
+              minLength={8}
+              autoComplete="new-password"
+            />
+          </label>
+
+          <button type="submit" className="auth-submit-btn" disabled={submitting}>
+            {submitting ? 'Saving...' : invite ? 'Activate account' : 'Update password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+
+export const SCHEDULABLE_STATUSES = [
+  { value: 'resigned', label: '💼 Resigned' },
+  { value: 'terminated', label: '🚫 Terminated' },
+  { value: 'on_leave', label: '🏖️ On Leave' },
+  { value: 'suspended', label: '⏸️ Suspended' },
+  { value: 'inactive', label: '❌ Inactive' },
+  { value: 'active', label: '✅ Active' }
+];
+
+// Statuses that usually last for a period and then return to the previous one
+const TEMPORARY_STATUSES = ['on_leave', 'suspended'];
+
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+// Schedule a status change (resignation date, leave period) for one or more employees
+const ScheduleStatusChange = ({ employeeIds, title, onClose, onScheduled }) => {
+  const toast = useToast();
+  const [formState, setFormState] = useState({
+    status: 'resigned',
+    effective_date: '',
+    end_date: '',
+    return_status: '',
+    note: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const today = new Date().toISOString().split('T')[0];
+  const isTemporary = TEMPORARY_STATUSES.includes(formState.status);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.post('/api/status-changes', {
+        employeeIds,
+        status: formState.status,
+        effective_date: formState.effective_date,
+        end_date: isTemporary ? formState.end_date : '',
+        return_status: isTemporary && formState.end_date ? formState.return_status : '',
+        note: formState.note
+      });
+      toast.success(response.data.message);
+      onScheduled();
+    } catch (error) {
+      setFormErrors(error.response?.data?.errors || {});
+      toast.error(error.response?.data?.error || 'Failed to schedule status change');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderError = (field) => formErrors[field] && (
+    <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>{formErrors[field]}</span>
+  );
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '640px', maxHeight: '90vh', borderRadius: '20px', overflowY: 'auto', padding: '2rem' }}>
+        <h2 style={{ marginTop: 0 }}>📅 {title}</h2>
+        <p style={{ color: '#6c757d' }}>
+          The status changes automatically at the start of the effective date. Until then the change can be cancelled from the record's history.
+        </p>
+
+        <form onSubmit={handleSubmit} style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem' }}>
+          <label>
+            New status
+            <select name="status" value={formState.status} onChange={handleChange} style={inputStyle}>
+              {SCHEDULABLE_STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+            </select>
+            {renderError('status')}
+          </label>
+          <label>
+            Effective from
+            <input type="date" name="effective_date" value={formState.effective_date} onChange={handleChange} min={today} required style={inputStyle} />
+            {renderError('effective_date')}
+          </label>
+          {isTemporary && (
+            <>
+              <label>
+                Until (last day, optional)
+                <input type="date" name="end_date" value={formState.end_date} onChange={handleChange} min={formState.effective_date || today} style={inputStyle} />
+                {renderError('end_date')}
+              </label>
+              <label>
+                Afterwards
+                <select name="return_status" value={formState.return_status} onChange={handleChange} disabled={!formState.end_date} style={inputStyle}>
+                  <option value="">Back to the status before</option>
+                  {SCHEDULABLE_STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+                </select>
+                {renderError('return_status')}
+              </label>
+            </>
+          )}
+          <label style={{ gridColumn: '1 / -1' }}>
+            Note
+            <input type="text" name="note" value={formState.note} onChange={handleChange} placeholder="e.g. Resignation accepted on 2 Oct" style={inputStyle} />
+            {renderError('note')}
+          </label>
+
+          <div style={{ gridColumn: '1 / -1', display: 'flex', justifyContent: 'flex-end', gap: '0.75rem' }}>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Scheduling...' : 'Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleStatusChange;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+
+const Sessions = () => {
+  const toast = useToast();
+  const { logoutAll } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revokeSession = async (sessionId) => {
+    if (!window.confirm('Sign out this session?')) return;
+
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every session, including this one?')) return;
+
+    try {
+      await logoutAll();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out sessions');
+    }
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading sessions...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>🔐 Active Sessions</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Devices currently signed in to your account</p>
+        </div>
+        <button className="btn btn-secondary" onClick={handleLogoutAll}>
+          Sign out everywhere
+        </button>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>Device</th>
+              <th style={cellStyle}>IP Address</th>
+              <th style={cellStyle}>Signed In</th>
+              <th style={cellStyle}>Last Seen</th>
+              <th style={cellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr key={session.session_id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                <td style={{ ...cellStyle, maxWidth: '420px', wordBreak: 'break-word' }}>
+                  {session.user_agent || 'Unknown device'}
+                  {session.current && (
+                    <span style={{ marginLeft: '0.5rem', padding: '0.15rem 0.5rem', borderRadius: '12px', fontSize: '0.75rem', fontWeight: '600', background: '#d4edda', color: '#155724' }}>
+                      THIS DEVICE
+                    </span>
+                  )}
+                </td>
+                <td style={cellStyle}>{session.ip || '—'}</td>
+                <td style={cellStyle}>{new Date(session.created_at).toLocaleString()}</td>
+                <td style={cellStyle}>{new Date(session.last_seen_at).toLocaleString()}</td>
+                <td style={cellStyle}>
+                  {!session.current && (
+                    <button
+                      onClick={() => revokeSession(session.session_id)}
+                      style={{ padding: '0.5rem 1rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+                    >
+                      Sign out
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
 
 const ToastContext = createContext();
 
@@ -31,9 +31,11 @@ export const ToastProvider = ({ children }) => {
   const error = useCallback((message) => addToast(message, 'error'), [addToast]);
   const info = useCallback((message) => addToast(message, 'info'), [addToast]);
   const warning = useCallback((message) => addToast(message, 'warning'), [addToast]);
+  // Stable across renders so components can list the toast in hook dependencies
+  const value = useMemo(() => ({ success, error, info, warning }), [success, error, info, warning]);
 
   return (
-    <ToastContext.Provider value={{ success, error, info, warning }}>
+    <ToastContext.Provider value={value}>
       {children}
       <ToastContainer toasts={toasts} removeToast={removeToast} />
     </ToastContext.Provider>
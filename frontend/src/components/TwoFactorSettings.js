@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+
+const inputStyle = { padding: '0.75rem', border: '1px solid #ddd', borderRadius: '8px', fontSize: '1rem' };
+
+const TwoFactorSettings = () => {
+  const toast = useToast();
+  const { setUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const startSetup = async () => {
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start setup');
+    }
+  };
+
+  const enable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setUser(response.data.user);
+      setSetup(null);
+      setCode('');
+      toast.success('Two-factor authentication enabled');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const regenerateCodes = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      toast.success('New recovery codes generated');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const disable = async () => {
+    if (!code || !password) {
+      toast.error('Enter your password and a verification code');
+      return;
+    }
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/disable', { password, code });
+      setUser(response.data.user);
+      setCode('');
+      setPassword('');
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading security settings...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '800px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <h1>🛡️ Two-Factor Authentication</h1>
+      <p style={{ color: '#6c757d' }}>
+        Protect your account with a time-based code from an authenticator app such as Google Authenticator or Authy.
+      </p>
+
+      {status?.required && !status?.enabled && (
+        <div style={{ padding: '1rem', background: '#fff3cd', color: '#856404', borderRadius: '8px', marginBottom: '1.5rem' }}>
+          Your role requires two-factor authentication. Set it up to continue using IDSyncro.
+        </div>
+      )}
+
+      <p>
+        Status:{' '}
+        <strong style={{ color: status?.enabled ? '#155724' : '#721c24' }}>
+          {status?.enabled ? 'Enabled' : 'Not enabled'}
+        </strong>
+        {status?.enabled && ` · ${status.recoveryCodesRemaining} recovery codes left`}
+      </p>
+
+      {recoveryCodes && (
+        <div style={{ padding: '1.5rem', background: '#f8f9fa', border: '1px solid #dee2e6', borderRadius: '8px', marginBottom: '1.5rem' }}>
+          <h3 style={{ marginTop: 0 }}>Recovery codes</h3>
+          <p style={{ color: '#6c757d' }}>
+            Store these somewhere safe. Each code can be used once if you lose access to your authenticator app.
+            They will not be shown again.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '0.5rem', fontFamily: 'monospace', fontSize: '1.1rem' }}>
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status?.enabled && !setup && (
+        <button className="btn btn-primary" onClick={startSetup}>
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {!status?.enabled && setup && (
+        <form onSubmit={enable} style={{ display: 'grid', gap: '1rem' }}>
+          <p style={{ margin: 0 }}>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <img src={setup.qrCode} alt="Authenticator QR code" style={{ width: '200px', height: '200px' }} />
+          <p style={{ margin: 0, color: '#6c757d' }}>
+            Can't scan? Enter this key manually: <code>{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            autoComplete="one-time-code"
+            required
+            style={inputStyle}
+          />
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Verifying...' : 'Verify and enable'}
+          </button>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <form onSubmit={regenerateCodes} style={{ display: 'grid', gap: '1rem' }}>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Current verification code"
+            autoComplete="one-time-code"
+            required
+            style={inputStyle}
+          />
+          {!status.required && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password (required to turn off 2FA)"
+              autoComplete="current-password"
+              style={inputStyle}
+            />
+          )}
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            <button type="submit" className="btn btn-primary" disabled={submitting}>
+              Generate new recovery codes
+            </button>
+            {!status.required && (
+              <button type="button" className="btn btn-secondary" onClick={disable} disabled={submitting}>
+                Turn off 2FA
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { SCHEDULABLE_STATUSES } from './ScheduleStatusChange';
+
+const cellStyle = { padding: '0.75rem', textAlign: 'left' };
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+const getStatusLabel = status => SCHEDULABLE_STATUSES.find(item => item.value === status)?.label || status;
+
+// Dashboard widget: scheduled status changes that have not started or not yet ended
+const UpcomingStatusChanges = () => {
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const canCancel = hasPermission(PERMISSIONS.EMPLOYEES_WRITE);
+
+  useEffect(() => {
+    fetchChanges();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchChanges = async () => {
+    try {
+      const response = await axios.get('/api/status-changes');
+      setChanges(response.data.changes);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch scheduled status changes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancel = async (change) => {
+    if (!window.confirm(`Cancel the scheduled change of ${change.employee.name} to ${change.status}?`)) return;
+
+    try {
+      const response = await axios.post(`/api/status-changes/${change.id}/cancel`);
+      toast.success(response.data.message);
+      fetchChanges();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel scheduled change');
+    }
+  };
+
+  return (
+    <div className="action-section">
+      <h2>📅 Scheduled Status Changes</h2>
+      {loading && <p style={{ color: '#6c757d' }}>Loading...</p>}
+      {!loading && changes.length === 0 && <p style={{ color: '#6c757d' }}>No status changes are scheduled.</p>}
+      {!loading && changes.length > 0 && (
+        <div style={{ overflowX: 'auto', background: 'white', borderRadius: '12px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>ID</th>
+                <th style={cellStyle}>New Status</th>
+                <th style={cellStyle}>From</th>
+                <th style={cellStyle}>Until</th>
+                <th style={cellStyle}>Note</th>
+                {canCancel && <th style={cellStyle}></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(change => (
+                <tr key={change.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                  <td style={{ ...cellStyle, fontWeight: '600' }}>{change.employee.name}</td>
+                  <td style={cellStyle}><code>{change.employee.employee_id}</code></td>
+                  <td style={cellStyle}>
+                    {getStatusLabel(change.status)}
+                    {change.state === 'in_effect' && <span style={{ color: '#6c757d', fontSize: '0.8rem' }}> (in effect)</span>}
+                    {change.stuck && (
+                      <span style={{ color: '#dc3545', fontSize: '0.8rem' }}>
+                        {' '}(stuck {change.state === 'applying' ? 'starting' : 'ending'} since {formatDate(change.claimed_at)}; retried on the next run)
+                      </span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{formatDate(change.effective_date)}</td>
+                  <td style={cellStyle}>{formatDate(change.end_date)}</td>
+                  <td style={cellStyle}>{change.note || '—'}</td>
+                  {canCancel && (
+                    <td style={cellStyle}>
+                      {(change.state === 'pending' || (change.stuck && change.state === 'applying')) && (
+                        <button className="btn btn-secondary" onClick={() => cancel(change)}>Cancel</button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpcomingStatusChanges;
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useToast } from './Toast';
+import { useAuth } from '../context/AuthContext';
+import { ROLE_LABELS } from '../utils/permissions';
+
+const EMPTY_FORM = { email: '', name: '', password: '', role: 'viewer', departments: '' };
+
+const cellStyle = { padding: '1rem', textAlign: 'left' };
+const buttonStyle = {
+  padding: '0.5rem 1rem',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+};
+const inputStyle = { padding: '0.6rem', border: '1px solid #ddd', borderRadius: '6px', width: '100%' };
+
+const STATUS_COLORS = {
+  active: { background: '#d4edda', color: '#155724' },
+  invited: { background: '#e7f1ff', color: '#0b5ed7' },
+  disabled: { background: '#f8d7da', color: '#721c24' }
+};
+
+const isLocked = (user) => Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+
+const Users = () => {
+  const toast = useToast();
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [inviteMode, setInviteMode] = useState(false);
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [roles, setRoles] = useState([]);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/roles');
+      setRoles(response.data.map(entry => entry.role));
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUsers();
+    fetchRoles();
+  }, [fetchUsers, fetchRoles]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      if (inviteMode) {
+        const { password, ...invite } = formState;
+        await axios.post('/api/users/invite', invite);
+        toast.success(`Invitation sent to ${formState.email}`);
+      } else {
+        await axios.post('/api/users', formState);
+        toast.success('User created successfully');
+      }
+      setFormState(EMPTY_FORM);
+      setShowForm(false);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || (inviteMode ? 'Failed to send invitation' : 'Failed to create user'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openForm = (invite) => {
+    setInviteMode(invite);
+    setShowForm(true);
+  };
+
+  const resendInvite = async (user) => {
+    try {
+      await axios.post('/api/users/invite', { email: user.email });
+      toast.success(`Invitation re-sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resend invitation');
+    }
+  };
+
+  const toggleStatus = async (user) => {
+    const status = user.status === 'active' ? 'disabled' : 'active';
+    try {
+      await axios.put(`/api/users/${user.id}`, { status });
+      toast.success(`User ${status === 'active' ? 'enabled' : 'disabled'}`);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update user');
+    }
+  };
+
+  const changeRole = async (user, role) => {
+    try {
+      await axios.put(`/api/users/${user.id}`, { role });
+      toast.success(`Role updated to ${ROLE_LABELS[role] || role}`);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update role');
+    }
+  };
+
+  const editDepartments = async (user) => {
+    const input = window.prompt(
+      `Departments ${user.email} may access (comma-separated, leave empty for all):`,
+      (user.departments || []).join(', ')
+    );
+    if (input === null) return;
+
+    try {
+      await axios.put(`/api/users/${user.id}`, { departments: input });
+      toast.success('Department access updated');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update departments');
+    }
+  };
+
+  const resetPassword = async (user) => {
+    const password = window.prompt(`Enter a new password for ${user.email}:`);
+    if (!password) return;
+
+    try {
+      await axios.put(`/api/users/${user.id}`, { password });
+      toast.success('Password updated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update password');
+    }
+  };
+
+  const unlockUser = async (user) => {
+    try {
+      await axios.post(`/api/users/${user.id}/unlock`);
+      toast.success('Account unlocked');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to unlock account');
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    if (!window.confirm(`Remove two-factor authentication for ${user.email}? They will be signed out everywhere.`)) return;
+
+    try {
+      await axios.post(`/api/users/${user.id}/2fa/reset`);
+      toast.success('Two-factor authentication reset');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Are you sure you want to delete ${user.email}?`)) return;
+
+    try {
+      await axios.delete(`/api/users/${user.id}`);
+      toast.success('User deleted successfully');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete user');
+    }
+  };
+
+  if (loading) {
+    return <div style={{ textAlign: 'center', padding: '3rem' }}>Loading users...</div>;
+  }
+
+  return (
+    <div style={{ maxWidth: '1400px', margin: '2rem auto', padding: '2rem', background: 'white', borderRadius: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <div>
+          <h1>👥 Users</h1>
+          <p style={{ color: '#6c757d', margin: 0 }}>Total: {users.length} users</p>
+        </div>
+        {showForm ? (
+          <button className="btn btn-secondary" onClick={() => setShowForm(false)}>Cancel</button>
+        ) : (
+          <div style={{ display: 'flex', gap: '0.75rem' }}>
+            <button className="btn btn-secondary" onClick={() => openForm(true)}>✉️ Invite User</button>
+            <button className="btn btn-primary" onClick={() => openForm(false)}>➕ Add User</button>
+          </div>
+        )}
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '2rem', padding: '1.5rem', background: '#f8f9fa', borderRadius: '8px' }}
+        >
+          <label>
+            Email
+            <input type="email" name="email" value={formState.email} onChange={handleChange} required style={inputStyle} />
+          </label>
+          <label>
+            Name
+            <input type="text" name="name" value={formState.name} onChange={handleChange} style={inputStyle} />
+          </label>
+          {!inviteMode && (
+            <label>
+              Password
+              <input type="password" name="password" value={formState.password} onChange={handleChange} required autoComplete="new-password" style={inputStyle} />
+            </label>
+          )}
+          <label>
+            Role
+            <select name="role" value={formState.role} onChange={handleChange} style={inputStyle}>
+              {roles.map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Departments
+            <input
+              type="text"
+              name="departments"
+              value={formState.departments}
+              onChange={handleChange}
+              placeholder="All departments"
+              style={inputStyle}
+            />
+          </label>
+          <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : inviteMode ? 'Send Invitation' : 'Create User'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+              <th style={cellStyle}>Email</th>
+              <th style={cellStyle}>Name</th>
+              <th style={cellStyle}>Role</th>
+              <th style={cellStyle}>Departments</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>2FA</th>
+              <th style={cellStyle}>Last Login</th>
+              <th style={cellStyle}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>
+                  {user.email}
+                  {user.auth_provider === 'oidc' && (
+                    <span style={{ marginLeft: '0.5rem', padding: '0.15rem 0.5rem', borderRadius: '12px', fontSize: '0.75rem', background: '#e7f1ff', color: '#0b5ed7' }}>
+                      SSO
+                    </span>
+                  )}
+                </td>
+                <td style={cellStyle}>{user.name || '—'}</td>
+                <td style={cellStyle}>
+                  {user.id === currentUser?.id ? (
+                    ROLE_LABELS[user.role] || user.role
+                  ) : (
+                    <select
+                      value={user.role}
+                      onChange={(e) => changeRole(user, e.target.value)}
+                      style={{ padding: '0.4rem', border: '1px solid #ddd', borderRadius: '6px' }}
+                    >
+                      {!roles.includes(user.role) && <option value={user.role}>{user.role}</option>}
+                      {roles.map(role => (
+                        <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+                <td style={cellStyle}>
+                  {user.departments && user.departments.length > 0 ? user.departments.join(', ') : 'All'}
+                </td>
+                <td style={cellStyle}>
+                  <span style={{
+                    padding: '0.25rem 0.75rem',
+                    borderRadius: '12px',
+                    fontSize: '0.85rem',
+                    fontWeight: '600',
+                    ...(STATUS_COLORS[user.status] || STATUS_COLORS.disabled)
+                  }}>
+                    {user.status.toUpperCase()}
+                  </span>
+                  {isLocked(user) && (
+                    <span
+                      title={`Locked until ${new Date(user.locked_until).toLocaleString()}`}
+                      style={{ marginLeft: '0.5rem', padding: '0.25rem 0.75rem', borderRadius: '12px', fontSize: '0.85rem', fontWeight: '600', background: '#fff3cd', color: '#856404' }}
+                    >
+                      LOCKED
+                    </span>
+                  )}
+                </td>
+                <td style={cellStyle}>{user.two_factor_enabled ? 'Enabled' : 'Off'}</td>
+                <td style={cellStyle}>
+                  {user.last_login_at ? new Date(user.last_login_at).toLocaleString() : 'Never'}
+                </td>
+                <td style={cellStyle}>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {isLocked(user) && (
+                      <button onClick={() => unlockUser(user)} style={{ ...buttonStyle, background: '#28a745' }}>
+                        Unlock
+                      </button>
+                    )}
+                    {user.status === 'invited' ? (
+                      <button onClick={() => resendInvite(user)} style={{ ...buttonStyle, background: '#667eea' }}>
+                        Resend Invite
+                      </button>
+                    ) : (
+                      <button onClick={() => resetPassword(user)} style={{ ...buttonStyle, background: '#667eea' }}>
+                        Reset Password
+                      </button>
+                    )}
+                    {user.id !== currentUser?.id && (
+                      <>
+                        <button onClick={() => editDepartments(user)} style={{ ...buttonStyle, background: '#17a2b8' }}>
+                          Departments
+                        </button>
+                        {user.two_factor_enabled && (
+                          <button onClick={() => resetTwoFactor(user)} style={{ ...buttonStyle, background: '#fd7e14' }}>
+                            Reset 2FA
+                          </button>
+                        )}
+                        {user.status !== 'invited' && (
+                          <button onClick={() => toggleStatus(user)} style={{ ...buttonStyle, background: '#6c757d' }}>
+                            {user.status === 'active' ? 'Disable' : 'Enable'}
+                          </button>
+                        )}
+                        <button onClick={() => deleteUser(user)} style={{ ...buttonStyle, background: '#dc3545' }}>
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
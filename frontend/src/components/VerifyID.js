@@ -50,7 +50,24 @@ const VerifyID = () => {
       }
     } catch (error) {
       const typeLabel = activeTab === 'id' ? 'Employee ID' : activeTab === 'certificate' ? 'Certificate Code' : 'Offer Letter Number';
-      setError(`The ${typeLabel} was not found or is invalid. Please check and try again.`);
+      if (error.response?.data?.withdrawn) {
+        setError(`Record withdrawn: ${error.response.data.employee_id} has been withdrawn by the issuer and is no longer valid.`);
+      } else if (error.response?.data?.card_revoked) {
+        const { card_version: version, revocation_reason: reason, employee_id: employeeId, person_status: personStatus } = error.response.data;
+        const cardState = reason === 'superseded' ? 'has been replaced by a newer card' : `was revoked (${reason})`;
+        const personState = personStatus === 'active'
+          ? `The record of ${employeeId} is still valid; ask for their current card.`
+          : `The record of ${employeeId} is ${personStatus}.`;
+        setError(`This card (version ${version}) ${cardState} and is no longer valid. ${personState}`);
+      } else if (error.response?.data?.card_superseded) {
+        const { employee_id: employeeId, person_status: personStatus } = error.response.data;
+        const personState = personStatus === 'active' ? 'The record is still valid.' : `The record is ${personStatus}.`;
+        setError(`This QR code is from an older card of ${employeeId} that has been replaced by a numbered card and is no longer valid. ${personState} Ask for their current card.`);
+      } else if (error.response?.data?.invalid_check_digit) {
+        setError(`The ${typeLabel} has an invalid check digit, so it was probably mistyped. Please compare it with the card and try again.`);
+      } else {
+        setError(`The ${typeLabel} was not found or is invalid. Please check and try again.`);
+      }
       setVerificationData(null);
     } finally {
       setLoading(false);
@@ -286,7 +303,7 @@ const VerifyID = () => {
                     type="text"
                     value={inputUuid}
                     onChange={(e) => setInputUuid(e.target.value)}
-                    placeholder={activeTab === 'id' ? "Enter employee ID or UUID" : activeTab === 'certificate' ? "Enter certificate code or UUID" : "Enter offer letter number (e.g., OL-2024-123456)"}
+                    placeholder={activeTab === 'id' ? "Enter card serial, employee ID or UUID" : activeTab === 'certificate' ? "Enter certificate code or UUID" : "Enter offer letter number (e.g., OL-2024-123456)"}
                     style={{
                       width: '100%',
                       padding: '0.75rem 1rem',
@@ -564,6 +581,22 @@ const VerifyID = () => {
                     </div>
                   </div>
 
+                  {verificationData.superseded && (
+                    <div style={{
+                      padding: '1rem',
+                      marginBottom: '1.5rem',
+                      background: '#FEF3C7',
+                      border: '1px solid #F59E0B',
+                      borderRadius: '8px',
+                      color: '#92400E',
+                      fontSize: '0.9rem'
+                    }}>
+                      ID {verificationData.requested_id} was superseded by <strong>{verificationData.superseded_by}</strong> on{' '}
+                      {new Date(verificationData.superseded_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.
+                      The details below belong to the current ID.
+                    </div>
+                  )}
+
                   {/* Details Grid */}
                   <div style={{ 
                     display: 'grid',
@@ -656,10 +689,10 @@ const VerifyID = () => {
                           border: '1px solid #E5E7EB'
                         }}>
                           <div style={{ fontSize: '0.75rem', color: '#6B7280', fontWeight: '500', marginBottom: '0.25rem' }}>
-                            EMPLOYEE TYPE
+                            ID TYPE
                           </div>
                           <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#111827' }}>
-                            {verificationData.type === 'employee' ? 'Full-time Employee' : 'Intern'}
+                            {verificationData.type_label || verificationData.type}
                           </div>
                         </div>
                         
@@ -690,6 +723,38 @@ const VerifyID = () => {
                             {verificationData.designation}
                           </div>
                         </div>
+
+                        {verificationData.valid_until && (
+                          <div style={{
+                            backgroundColor: verificationData.status === 'expired' ? '#FEF3C7' : '#F9FAFB',
+                            padding: '1rem',
+                            borderRadius: '8px',
+                            border: `1px solid ${verificationData.status === 'expired' ? '#F59E0B' : '#E5E7EB'}`
+                          }}>
+                            <div style={{ fontSize: '0.75rem', color: '#6B7280', fontWeight: '500', marginBottom: '0.25rem' }}>
+                              VALID UNTIL
+                            </div>
+                            <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#111827' }}>
+                              {new Date(verificationData.valid_until).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+                            </div>
+                          </div>
+                        )}
+
+                        {(verificationData.custom_fields || []).map(field => (
+                          <div key={field.label} style={{ 
+                            backgroundColor: '#F9FAFB', 
+                            padding: '1rem',
+                            borderRadius: '8px',
+                            border: '1px solid #E5E7EB'
+                          }}>
+                            <div style={{ fontSize: '0.75rem', color: '#6B7280', fontWeight: '500', marginBottom: '0.25rem', textTransform: 'uppercase' }}>
+                              {field.label}
+                            </div>
+                            <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#111827' }}>
+                              {field.value}
+                            </div>
+                          </div>
+                        ))}
                       </>
                     ) : (
                       <>
@@ -1,9 +1,11 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import axios from 'axios';
 import { API_BASE_URL } from '../config';
 
 const AuthContext = createContext(null);
 const TOKEN_STORAGE_KEY = 'idsyncro_token';
+const REFRESH_TOKEN_STORAGE_KEY = 'idsyncro_refresh_token';
+const UNREFRESHABLE_PATHS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/oidc/exchange'];
 
 function setAxiosAuthHeader(token) {
   if (token) {
@@ -13,15 +15,87 @@ function setAxiosAuthHeader(token) {
   }
 }
 
+function storeTokens(token, refreshToken) {
+  localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+  setAxiosAuthHeader(token);
+}
+
+function clearStoredTokens() {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+  setAxiosAuthHeader(null);
+}
+
+// Shared so that concurrent 401s trigger a single refresh request
+let pendingRefresh = null;
+
+function refreshAccessToken() {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token stored'));
+    }
+
+    pendingRefresh = axios
+      .post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      .then((response) => {
+        storeTokens(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(() => localStorage.getItem(TOKEN_STORAGE_KEY));
   const [initializing, setInitializing] = useState(true);
 
+  const clearSession = useCallback(() => {
+    clearStoredTokens();
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  useEffect(() => {
+    const interceptorId = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+        const isUnrefreshable = UNREFRESHABLE_PATHS.some(path => originalRequest?.url?.includes(path));
+
+        if (error.response?.status !== 401 || !originalRequest || originalRequest._retried || isUnrefreshable) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retried = true;
+        try {
+          const newToken = await refreshAccessToken();
+          setToken(newToken);
+          originalRequest.headers.Authorization = `Bearer ${newToken}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptorId);
+    };
+  }, [clearSession]);
+
   useEffect(() => {
-    setAxiosAuthHeader(token);
+    const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const storedRefreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+    setAxiosAuthHeader(storedToken);
 
-    if (!token) {
+    if (!storedToken && !storedRefreshToken) {
       setUser(null);
       setInitializing(false);
       return;
@@ -38,10 +112,7 @@ export function AuthProvider({ children }) {
       })
       .catch(() => {
         if (isMounted) {
-          localStorage.removeItem(TOKEN_STORAGE_KEY);
-          setToken(null);
-          setUser(null);
-          setAxiosAuthHeader(null);
+          clearSession();
         }
       })
       .finally(() => {
@@ -53,24 +124,63 @@ export function AuthProvider({ children }) {
     return () => {
       isMounted = false;
     };
-  }, [token]);
+  }, [clearSession]);
+
+  const startSession = useCallback((data) => {
+    storeTokens(data.token, data.refreshToken);
+    setToken(data.token);
+    setUser(data.user);
+  }, []);
 
-  const login = async (email, password) => {
+  // Resolves with { twoFactorRequired, challengeToken } when a second step is needed
+  const login = useCallback(async (email, password) => {
     const response = await axios.post(`${API_BASE_URL}/api/auth/login`, { email, password });
-    const authToken = response.data.token;
 
-    localStorage.setItem(TOKEN_STORAGE_KEY, authToken);
-    setToken(authToken);
-    setUser(response.data.user);
-    setAxiosAuthHeader(authToken);
-  };
+    if (response.data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
+    }
 
-  const logout = () => {
-    localStorage.removeItem(TOKEN_STORAGE_KEY);
-    setToken(null);
-    setUser(null);
-    setAxiosAuthHeader(null);
-  };
+    startSession(response.data);
+    return { twoFactorRequired: false };
+  }, [startSession]);
+
+  const verifyTwoFactor = useCallback(async (challengeToken, code) => {
+    const response = await axios.post(`${API_BASE_URL}/api/auth/login/2fa`, { challengeToken, code });
+    startSession(response.data);
+  }, [startSession]);
+
+  // Finish an SSO login with the one-time code the backend put in the login URL;
+  // resolves like login() since accounts with 2FA still need their code
+  const loginWithSso = useCallback(async (code) => {
+    const response = await axios.post(`${API_BASE_URL}/api/auth/oidc/exchange`, { code });
+
+    if (response.data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
+    }
+
+    startSession(response.data);
+    return { twoFactorRequired: false };
+  }, [startSession]);
+
+  const logout = useCallback(async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/logout`);
+    } catch (error) {
+      // The session may already be expired or revoked; local sign-out still proceeds
+    }
+    clearSession();
+  }, [clearSession]);
+
+  const logoutAll = useCallback(async () => {
+    await axios.post(`${API_BASE_URL}/api/auth/logout-all`);
+    clearSession();
+  }, [clearSession]);
+
+  // Stable between token refreshes so callers can list it as a dependency
+  const hasPermission = useCallback(
+    (permission) => Boolean(user?.permissions?.includes(permission)),
+    [user]
+  );
 
   const value = useMemo(
     () => ({
@@ -78,10 +188,15 @@ export function AuthProvider({ children }) {
       token,
       initializing,
       login,
+      verifyTwoFactor,
+      loginWithSso,
+      setUser,
       logout,
-      isAuthenticated: Boolean(user)
+      logoutAll,
+      isAuthenticated: Boolean(user),
+      hasPermission
     }),
-    [user, token, initializing]
+    [user, token, initializing, login, verifyTwoFactor, loginWithSso, logout, logoutAll, hasPermission]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
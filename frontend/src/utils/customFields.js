@@ -0,0 +1,28 @@
+// Helpers for admin-defined custom fields (see /api/custom-fields)
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Dropdown' }
+];
+
+// A definition with no applies_to list is used for every ID type
+export const appliesToType = (definition, type) =>
+  !definition.applies_to || definition.applies_to.length === 0 || definition.applies_to.includes(type);
+
+export const formatCustomFieldValue = (definition, value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (definition.field_type === 'date') {
+    return new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+  return String(value);
+};
+
+// Values for the given definitions only, dropping empty entries
+export const pickCustomFieldValues = (definitions, values = {}) =>
+  Object.fromEntries(
+    definitions
+      .filter(definition => values[definition.key] !== undefined && values[definition.key] !== '')
+      .map(definition => [definition.key, String(values[definition.key])])
+  );
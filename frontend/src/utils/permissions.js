@@ -0,0 +1,29 @@
+// Permission names granted by the backend (see accessControl.js)
+export const PERMISSIONS = {
+  EMPLOYEES_READ: 'employees:read',
+  EMPLOYEES_WRITE: 'employees:write',
+  EMPLOYEES_DELETE: 'employees:delete',
+  EMPLOYEES_PURGE: 'employees:purge',
+  EMPLOYEES_EXPORT: 'employees:export',
+  EMPLOYEES_SENSITIVE: 'employees:sensitive',
+  ANALYTICS_READ: 'analytics:read',
+  CERTIFICATES_READ: 'certificates:read',
+  CERTIFICATES_ISSUE: 'certificates:issue',
+  CERTIFICATES_REVOKE: 'certificates:revoke',
+  OFFER_LETTERS_READ: 'offer_letters:read',
+  OFFER_LETTERS_ISSUE: 'offer_letters:issue',
+  OFFER_LETTERS_MANAGE: 'offer_letters:manage',
+  VERIFY_BULK: 'verify:bulk',
+  MONITORING_READ: 'monitoring:read',
+  AUDIT_READ: 'audit:read',
+  USERS_MANAGE: 'users:manage',
+  SETTINGS_MANAGE: 'settings:manage'
+};
+
+export const ROLE_LABELS = {
+  super_admin: 'Super Admin',
+  hr_manager: 'HR Manager',
+  issuer: 'Issuer',
+  viewer: 'Viewer',
+  auditor: 'Auditor'
+};
@@ -0,0 +1,59 @@
+// Person types are managed on the Person Types page (see /api/person-types)
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+export const EMPLOYMENT_TYPES = [
+  { value: 'full_time', label: '💼 Full-Time' },
+  { value: 'part_time', label: '⏰ Part-Time' },
+  { value: 'contract', label: '📋 Contract' },
+  { value: 'intern', label: '🎓 Intern' }
+];
+
+let personTypesRequest = null;
+
+// Shared across components; pass refresh after the list has been edited
+export const fetchPersonTypes = (refresh = false) => {
+  if (!personTypesRequest || refresh) {
+    personTypesRequest = axios.get('/api/person-types')
+      .then(response => response.data)
+      .catch((error) => {
+        personTypesRequest = null;
+        throw error;
+      });
+  }
+  return personTypesRequest;
+};
+
+export const usePersonTypes = () => {
+  const [personTypes, setPersonTypes] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    fetchPersonTypes()
+      .then(types => active && setPersonTypes(types))
+      .catch(error => console.error('Error fetching person types:', error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return personTypes;
+};
+
+export const findPersonType = (personTypes, code) => personTypes.find(personType => personType.code === code);
+
+export const getPersonTypeLabel = (personTypes, code) => {
+  const personType = findPersonType(personTypes, code);
+  if (personType) return personType.label;
+  return code ? code.charAt(0).toUpperCase() + code.slice(1) : '';
+};
+
+export const formatPersonTypeOption = (personType) => [personType.icon, personType.label].filter(Boolean).join(' ');
+
+// Card background for a type: the standard gradient starting from its color, or the plain color
+export const getCardBackground = (personType) => {
+  if (!personType) return undefined;
+  return personType.card_template === 'solid'
+    ? personType.card_color
+    : `linear-gradient(135deg, ${personType.card_color} 0%, #764ba2 100%)`;
+};
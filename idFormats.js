@@ -0,0 +1,335 @@
+/**
+ * Configurable employee ID number formats.
+ * Each ID type has a template such as `{ORG}-{YY}-{TYPE}-{SEQ:4}` (the original SWT-25-EMP-0001 layout),
+ * a reset policy for its sequence and an optional check digit that lets verification reject typos.
+ *
+ * Template tokens:
+ *   {ORG}   organisation code          {TYPE}  type code (EMP, INT, ...)
+ *   {YY}    two-digit year             {YYYY}  four-digit year
+ *   {DEPT}  department code            {SEQ}   sequence, {SEQ:5} pads it to five digits
+ *   {CHK}   check digit, must be last
+ */
+
+const { IdFormat, EmployeeIdCounter, Employee, PersonType } = require('./database');
+const { sanitizeInput } = require('./validationUtils');
+
+const RESET_POLICIES = ['yearly', 'never', 'per_department'];
+const CHECK_DIGIT_ALGORITHMS = ['none', 'luhn', 'verhoeff'];
+const TEMPLATE_TOKENS = ['ORG', 'TYPE', 'YY', 'YYYY', 'DEPT', 'SEQ', 'CHK'];
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9._-]*$/;
+const CODE_PATTERN = /^[A-Z0-9]{1,10}$/;
+const MAX_TEMPLATE_LENGTH = 60;
+const MAX_SEQUENCE_WIDTH = 10;
+const MAX_DEPARTMENT_CODE_LENGTH = 6;
+const MAX_GENERATE_ATTEMPTS = 50;
+
+const DEFAULT_TEMPLATE = '{ORG}-{YY}-{TYPE}-{SEQ:4}';
+const DEFAULT_ORG_CODE = 'SWT';
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 6, 8, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+// Format used for a type until an admin saves one; matches the IDs issued before formats were configurable
+function defaultIdFormat(type, idPrefix) {
+  return {
+    type,
+    template: DEFAULT_TEMPLATE,
+    org_code: DEFAULT_ORG_CODE,
+    type_code: idPrefix || type.slice(0, 3).toUpperCase(),
+    reset_policy: 'yearly',
+    check_digit: 'none'
+  };
+}
+
+async function getIdFormat(type) {
+  const stored = await IdFormat.findOne({ type }, { _id: 0 }).lean();
+  if (stored) {
+    return stored;
+  }
+  const personType = await PersonType.findOne({ code: type }, { id_prefix: 1 }).lean();
+  return defaultIdFormat(type, personType?.id_prefix);
+}
+
+// Split a template into literal text and { token, width } parts
+function parseTemplate(template) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: template.slice(lastIndex, match.index) });
+    }
+    parts.push({ token: match[1], width: match[2] ? parseInt(match[2], 10) : null });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < template.length) {
+    parts.push({ literal: template.slice(lastIndex) });
+  }
+  return parts;
+}
+
+function departmentCode(department) {
+  const code = String(department || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, MAX_DEPARTMENT_CODE_LENGTH);
+  return code || 'GEN';
+}
+
+// Letters count as their base-36 value (A=10 ... Z=35) so every character is covered by the check digit
+function toCheckDigitInput(body) {
+  return body.toUpperCase().replace(/[^A-Z0-9]/g, '')
+    .split('')
+    .map(char => parseInt(char, 36).toString())
+    .join('');
+}
+
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    // The check digit takes the rightmost position, so doubling starts at the last payload digit
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function verhoeffCheckDigit(digits) {
+  let check = 0;
+  digits.split('').reverse().forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[(i + 1) % 8][Number(digit)]];
+  });
+  return String(VERHOEFF_INV[check]);
+}
+
+function computeCheckDigit(algorithm, body) {
+  const digits = toCheckDigitInput(body);
+  return algorithm === 'verhoeff' ? verhoeffCheckDigit(digits) : luhnCheckDigit(digits);
+}
+
+/**
+ * Build an ID number from a format
+ * @param {object} format - IdFormat record or defaults
+ * @param {{sequence: number, department?: string, date?: Date}} values
+ * @returns {string}
+ */
+function renderIdNumber(format, { sequence, department, date = new Date() }) {
+  const year = String(date.getFullYear());
+  let body = '';
+  for (const part of parseTemplate(format.template)) {
+    if (part.literal !== undefined) {
+      body += part.literal;
+    } else if (part.token === 'ORG') {
+      body += format.org_code;
+    } else if (part.token === 'TYPE') {
+      body += format.type_code;
+    } else if (part.token === 'YY') {
+      body += year.slice(-2);
+    } else if (part.token === 'YYYY') {
+      body += year;
+    } else if (part.token === 'DEPT') {
+      body += departmentCode(department);
+    } else if (part.token === 'SEQ') {
+      body += String(sequence).padStart(part.width || 1, '0');
+    }
+  }
+  return format.check_digit === 'none' ? body : body + computeCheckDigit(format.check_digit, body);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regular expression matching every ID number a format can produce
+function buildIdPattern(format) {
+  const source = parseTemplate(format.template).map((part) => {
+    if (part.literal !== undefined) return escapeRegex(part.literal);
+    switch (part.token) {
+      case 'ORG': return escapeRegex(format.org_code);
+      case 'TYPE': return escapeRegex(format.type_code);
+      case 'YY': return '\\d{2}';
+      case 'YYYY': return '\\d{4}';
+      case 'DEPT': return `[A-Z0-9]{1,${MAX_DEPARTMENT_CODE_LENGTH}}`;
+      case 'SEQ': return `\\d{${part.width || 1},}`;
+      default: return '\\d';
+    }
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Counter the next number is drawn from (stored in EmployeeIdCounter.year)
+function counterScope(format, department, date) {
+  if (format.reset_policy === 'never') return 'all';
+  if (format.reset_policy === 'per_department') return `dept:${department}`;
+  return String(date.getFullYear()).slice(-2);
+}
+
+/**
+ * Issue the next ID number for a type
+ * @param {string} type - ID type
+ * @param {{department?: string, session?: object}} options - department is needed by per-department formats and {DEPT};
+ *   with a session the counter is only advanced if its transaction commits
+ * @returns {Promise<string>}
+ */
+async function generateEmployeeCode(type, { department, session = null } = {}) {
+  const format = await getIdFormat(type);
+  const date = new Date();
+  const scope = counterScope(format, department, date);
+
+  for (let attempt = 1; attempt <= MAX_GENERATE_ATTEMPTS; attempt++) {
+    const counter = await EmployeeIdCounter.findOneAndUpdate(
+      { type, year: scope },
+      { $inc: { counter: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+    const employeeId = renderIdNumber(format, { sequence: counter.counter, department, date });
+
+    // A changed format can produce numbers that were issued before; skip them instead of failing the insert
+    const taken = await Employee.findOne(
+      { $or: [{ employee_id: employeeId }, { 'previous_ids.employee_id': employeeId }] },
+      { _id: 1 }
+    ).withArchived().session(session).lean();
+    if (!taken) {
+      return employeeId;
+    }
+  }
+  throw new Error(`No free ID number found for type ${type}; check its ID format`);
+}
+
+/**
+ * Next ID number a format would issue, without consuming it
+ * @param {object} format - Saved or proposed format
+ * @param {{department?: string}} options
+ * @returns {Promise<{employee_id: string, sequence: number}>}
+ */
+async function previewEmployeeCode(format, { department } = {}) {
+  const date = new Date();
+  const counter = await EmployeeIdCounter.findOne({ type: format.type, year: counterScope(format, department, date) }).lean();
+  const sequence = (counter ? counter.counter : 0) + 1;
+  return { employee_id: renderIdNumber(format, { sequence, department, date }), sequence };
+}
+
+function usesDepartment(format) {
+  return format.reset_policy === 'per_department' || parseTemplate(format.template).some(part => part.token === 'DEPT');
+}
+
+// Saved formats that end in a check digit
+function findCheckDigitFormats() {
+  return IdFormat.find({ check_digit: { $ne: 'none' } }).lean();
+}
+
+/**
+ * True when an identifier has the shape of an ID number with a check digit but the digit is wrong,
+ * which almost always means it was mistyped
+ * @param {string} identifier - Value entered at verification
+ * @param {object[]} formats - Result of findCheckDigitFormats()
+ * @returns {boolean}
+ */
+function isMistypedIdNumber(identifier, formats) {
+  const matching = formats.filter(format => buildIdPattern(format).test(identifier));
+  if (matching.length === 0) {
+    return false;
+  }
+  const body = identifier.slice(0, -1);
+  const digit = identifier.slice(-1);
+  return !matching.some(format => computeCheckDigit(format.check_digit, body) === digit);
+}
+
+/**
+ * Validate an ID format submitted by an admin
+ * @param {object} data - Format fields from the request body
+ * @returns {object} - { valid: boolean, errors: object, format: object }
+ */
+function validateIdFormat(data) {
+  const errors = {};
+  const format = {
+    template: sanitizeInput(data.template),
+    org_code: sanitizeInput(data.org_code).toUpperCase(),
+    type_code: sanitizeInput(data.type_code).toUpperCase(),
+    reset_policy: sanitizeInput(data.reset_policy),
+    check_digit: sanitizeInput(data.check_digit) || 'none'
+  };
+
+  const parts = format.template && format.template.length <= MAX_TEMPLATE_LENGTH ? parseTemplate(format.template) : [];
+  const tokens = parts.filter(part => part.token).map(part => part.token);
+  const sequenceParts = parts.filter(part => part.token === 'SEQ');
+
+  if (parts.length === 0) {
+    errors.template = `Template must be 1-${MAX_TEMPLATE_LENGTH} characters`;
+  } else if (parts.some(part => part.literal !== undefined && !LITERAL_PATTERN.test(part.literal))) {
+    errors.template = 'Text between tokens may only contain letters, digits, "-", "_" and "."';
+  } else if (tokens.some(token => !TEMPLATE_TOKENS.includes(token))) {
+    errors.template = `Unknown token; use ${TEMPLATE_TOKENS.map(token => `{${token}}`).join(', ')}`;
+  } else if (sequenceParts.length !== 1) {
+    errors.template = 'Template must contain {SEQ} exactly once';
+  } else if (sequenceParts[0].width !== null && (sequenceParts[0].width < 1 || sequenceParts[0].width > MAX_SEQUENCE_WIDTH)) {
+    errors.template = `{SEQ} padding must be 1-${MAX_SEQUENCE_WIDTH} digits`;
+  } else if (tokens.includes('CHK') && parts[parts.length - 1].token !== 'CHK') {
+    errors.template = '{CHK} must be the last part of the template';
+  }
+
+  if (tokens.includes('ORG') && !CODE_PATTERN.test(format.org_code)) {
+    errors.org_code = 'Organisation code must be 1-10 letters or digits';
+  }
+  if (tokens.includes('TYPE') && !CODE_PATTERN.test(format.type_code)) {
+    errors.type_code = 'Type code must be 1-10 letters or digits';
+  }
+
+  if (!RESET_POLICIES.includes(format.reset_policy)) {
+    errors.reset_policy = `Reset policy must be one of: ${RESET_POLICIES.join(', ')}`;
+  } else if (format.reset_policy === 'yearly' && !tokens.includes('YY') && !tokens.includes('YYYY')) {
+    errors.reset_policy = 'A sequence that resets yearly needs {YY} or {YYYY} in the template';
+  } else if (format.reset_policy === 'per_department' && !tokens.includes('DEPT')) {
+    errors.reset_policy = 'A sequence per department needs {DEPT} in the template';
+  }
+
+  if (!CHECK_DIGIT_ALGORITHMS.includes(format.check_digit)) {
+    errors.check_digit = `Check digit must be one of: ${CHECK_DIGIT_ALGORITHMS.join(', ')}`;
+  } else if (format.check_digit !== 'none' && !tokens.includes('CHK')) {
+    errors.check_digit = 'Add {CHK} at the end of the template to use a check digit';
+  } else if (format.check_digit === 'none' && tokens.includes('CHK')) {
+    errors.check_digit = 'Pick a check digit algorithm for {CHK}';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    format
+  };
+}
+
+module.exports = {
+  RESET_POLICIES,
+  CHECK_DIGIT_ALGORITHMS,
+  defaultIdFormat,
+  getIdFormat,
+  renderIdNumber,
+  generateEmployeeCode,
+  previewEmployeeCode,
+  usesDepartment,
+  findCheckDigitFormats,
+  isMistypedIdNumber,
+  validateIdFormat
+};
@@ -0,0 +1,166 @@
+/**
+ * Brute-force protection for admin logins.
+ * Account failure counters live on the user document so lockouts survive restarts;
+ * per-IP counters are kept in memory.
+ */
+
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10);
+// Offices share an address behind NAT, so IPs get more slack before delays start
+const IP_DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_IP_DELAY_AFTER_FAILURES || '10', 10);
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '10', 10);
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '30', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const IP_PRUNE_THRESHOLD = 10000;
+
+const ipFailures = new Map();
+
+/**
+ * Wait required before the next attempt after a number of consecutive failures
+ * @param {number} failures - Consecutive failures so far
+ * @param {number} threshold - Failures allowed before delays start
+ * @returns {number} - Delay in milliseconds (doubles with each failure past the threshold)
+ */
+function getProgressiveDelayMs(failures, threshold = DELAY_AFTER_FAILURES) {
+  if (failures < threshold) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - threshold), MAX_DELAY_MS);
+}
+
+function toBlock(until, now, reason) {
+  const retryAfterMs = until - now;
+  return retryAfterMs > 0 ? { blocked: true, reason, retryAfterMs } : { blocked: false };
+}
+
+// Forget failures once they are older than the lockout window
+function getIpEntry(ip, now) {
+  const entry = ipFailures.get(ip);
+  if (entry && now - entry.lastFailureAt > LOCKOUT_MS && (!entry.lockedUntil || entry.lockedUntil <= now)) {
+    ipFailures.delete(ip);
+    return null;
+  }
+  return entry || null;
+}
+
+/**
+ * Check if an IP address may attempt a login right now
+ * @param {string} ip - Client IP
+ * @returns {{blocked: boolean, reason?: string, retryAfterMs?: number}}
+ */
+function checkIp(ip, now = Date.now()) {
+  const entry = getIpEntry(ip, now);
+  if (!entry) {
+    return { blocked: false };
+  }
+  if (entry.lockedUntil) {
+    return toBlock(entry.lockedUntil, now, 'locked');
+  }
+  return toBlock(entry.lastFailureAt + getProgressiveDelayMs(entry.failures, IP_DELAY_AFTER_FAILURES), now, 'delay');
+}
+
+/**
+ * Record a failed login from an IP address
+ * @param {string} ip - Client IP
+ * @returns {{locked: boolean}} - locked is true when this failure triggered a lockout
+ */
+function recordIpFailure(ip, now = Date.now()) {
+  if (ipFailures.size > IP_PRUNE_THRESHOLD) {
+    for (const key of ipFailures.keys()) {
+      getIpEntry(key, now);
+    }
+  }
+
+  const entry = getIpEntry(ip, now) || { failures: 0, lockedUntil: null };
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  const locked = !entry.lockedUntil && entry.failures >= MAX_IP_FAILURES;
+  if (locked) {
+    entry.lockedUntil = now + LOCKOUT_MS;
+  }
+  ipFailures.set(ip, entry);
+  return { locked };
+}
+
+function clearIpFailures(ip) {
+  return ipFailures.delete(ip);
+}
+
+/**
+ * IP addresses currently locked out
+ * @returns {Array<{ip: string, failures: number, locked_until: Date}>}
+ */
+function listIpLockouts(now = Date.now()) {
+  const lockouts = [];
+  for (const ip of ipFailures.keys()) {
+    const entry = getIpEntry(ip, now);
+    if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+      lockouts.push({ ip, failures: entry.failures, locked_until: new Date(entry.lockedUntil) });
+    }
+  }
+  return lockouts;
+}
+
+/**
+ * Check if a user account may attempt a login right now
+ * @param {object} user - User document
+ * @returns {{blocked: boolean, reason?: string, retryAfterMs?: number}}
+ */
+function checkAccount(user, now = Date.now()) {
+  if (user.locked_until && user.locked_until.getTime() > now) {
+    return toBlock(user.locked_until.getTime(), now, 'locked');
+  }
+  if (!user.last_failed_login_at) {
+    return { blocked: false };
+  }
+  const nextAttemptAt = user.last_failed_login_at.getTime() + getProgressiveDelayMs(user.failed_login_count || 0);
+  return toBlock(nextAttemptAt, now, 'delay');
+}
+
+/**
+ * Record a failed login on a user document (caller saves)
+ * @param {object} user - User document
+ * @returns {{locked: boolean}} - locked is true when this failure triggered a lockout
+ */
+function recordAccountFailure(user, now = Date.now()) {
+  const lockExpired = user.locked_until && user.locked_until.getTime() <= now;
+  const failuresStale = user.last_failed_login_at && now - user.last_failed_login_at.getTime() > LOCKOUT_MS;
+  if (lockExpired || failuresStale) {
+    user.failed_login_count = 0;
+    user.locked_until = null;
+  }
+
+  user.failed_login_count = (user.failed_login_count || 0) + 1;
+  user.last_failed_login_at = new Date(now);
+
+  const locked = user.failed_login_count >= MAX_ACCOUNT_FAILURES;
+  if (locked) {
+    user.locked_until = new Date(now + LOCKOUT_MS);
+  }
+  return { locked };
+}
+
+// Clear failure counters on a user document (caller saves)
+function resetAccountFailures(user) {
+  user.failed_login_count = 0;
+  user.last_failed_login_at = null;
+  user.locked_until = null;
+}
+
+module.exports = {
+  getProgressiveDelayMs,
+  checkIp,
+  recordIpFailure,
+  clearIpFailures,
+  listIpLockouts,
+  checkAccount,
+  recordAccountFailure,
+  resetAccountFailures,
+  MAX_ACCOUNT_FAILURES,
+  MAX_IP_FAILURES,
+  LOCKOUT_MINUTES
+};
@@ -0,0 +1,106 @@
+/**
+ * Outgoing mail through a configurable transport.
+ * MAIL_TRANSPORT=smtp sends through SMTP_* settings (use a local SMTP stand-in such as
+ * MailHog on port 1025 for testing), file writes each message as JSON to MAIL_FILE_DIR,
+ * and console (default) only logs the message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'IDSyncro <no-reply@idsyncro.local>';
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport(directory = process.env.MAIL_FILE_DIR || 'mail-outbox') {
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { messageId, filePath };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      logger.info('Outgoing mail (console transport)', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { messageId: null };
+    }
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use smtp, file or console.`);
+  }
+  return factory();
+}
+
+let activeTransport = null;
+
+function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+}
+
+// Replace the transport, e.g. with a stub that records messages
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{messageId: string|null}>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  const transport = getTransport();
+  const result = await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  logger.info('Mail sent', { to, subject, transport: transport.name, messageId: result.messageId });
+  return result;
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
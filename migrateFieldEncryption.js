@@ -0,0 +1,97 @@
+/**
+ * Encrypt sensitive employee fields that are still stored in plaintext, re-encrypt values written
+ * with an older key version, and fill in missing blind indexes.
+ *
+ *   npm run migrate:encrypt-fields              # migrate what needs it
+ *   npm run migrate:encrypt-fields -- --dry-run # only report
+ *   npm run migrate:encrypt-fields -- --all     # rewrite every record (after changing FIELD_BLIND_INDEX_KEY)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  connectDB,
+  Employee,
+  ENCRYPTED_EMPLOYEE_FIELDS,
+  BLIND_INDEXED_EMPLOYEE_FIELDS
+} = require('./database');
+const { isEncryptionConfigured, activeKeyVersion } = require('./fieldEncryption');
+
+// Fields of a loaded employee that must be rewritten
+function getFieldsToMigrate(employee, rewriteAll) {
+  const storedVersions = employee.$locals.storedKeyVersions || {};
+  return ENCRYPTED_EMPLOYEE_FIELDS.filter((field) => {
+    const value = employee.get(field);
+    if (value === null || value === undefined || value === '') {
+      return false;
+    }
+    if (rewriteAll || storedVersions[field] !== activeKeyVersion) {
+      return true;
+    }
+    return BLIND_INDEXED_EMPLOYEE_FIELDS.includes(field) && !employee.get(`${field}_bidx`);
+  });
+}
+
+async function migrate({ dryRun, rewriteAll }) {
+  const stats = { scanned: 0, migrated: 0, fields: 0, failed: 0 };
+  const cursor = Employee.find()
+    .select(BLIND_INDEXED_EMPLOYEE_FIELDS.map(field => `+${field}_bidx`).join(' '))
+    .cursor();
+
+  for await (const employee of cursor) {
+    stats.scanned += 1;
+    const fields = getFieldsToMigrate(employee, rewriteAll);
+    if (fields.length === 0) {
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`Would migrate ${employee.employee_id}: ${fields.join(', ')}`);
+    } else {
+      try {
+        fields.forEach(field => employee.markModified(field));
+        await employee.save({ timestamps: false, validateBeforeSave: false });
+      } catch (error) {
+        stats.failed += 1;
+        console.error(`Failed to migrate ${employee.employee_id}: ${error.message}`);
+        continue;
+      }
+    }
+    stats.migrated += 1;
+    stats.fields += fields.length;
+  }
+
+  return stats;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const rewriteAll = process.argv.includes('--all');
+
+  if (!isEncryptionConfigured()) {
+    throw new Error('Set FIELD_ENCRYPTION_KEYS and FIELD_BLIND_INDEX_KEY before running the migration');
+  }
+
+  await connectDB();
+  console.log(`Encrypting employee fields with key v${activeKeyVersion}${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await migrate({ dryRun, rewriteAll });
+  console.log(`Scanned ${stats.scanned} employees, ${dryRun ? 'would migrate' : 'migrated'} ${stats.migrated} (${stats.fields} fields), ${stats.failed} failed`);
+
+  await mongoose.disconnect();
+  if (stats.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(async (error) => {
+    console.error(error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getFieldsToMigrate
+};
@@ -0,0 +1,153 @@
+/**
+ * Local mock OpenID Connect provider for testing SSO without a real identity provider.
+ * Not for production use: it signs in whoever submits the form.
+ *
+ *   npm run mock-oidc
+ *
+ * Then start the backend with:
+ *   OIDC_ISSUER=http://localhost:9400
+ *   OIDC_CLIENT_ID=idsyncro
+ *   OIDC_REDIRECT_URI=http://localhost:9091/api/auth/oidc/callback
+ *   OIDC_ROLE_MAPPING={"idsyncro-admins":"super_admin","idsyncro-hr":"hr_manager"}
+ */
+
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'idsyncro';
+const CODE_TTL_MS = 60 * 1000;
+const KEY_ID = 'mock-oidc-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const authorizationCodes = new Map();
+
+function escapeHtml(value = '') {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function createApp() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Sign-in form standing in for the identity provider's login page
+  app.get('/authorize', (req, res) => {
+    const hiddenFields = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+
+    res.send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto;">
+    <h1>Mock identity provider</h1>
+    <form method="post" action="/authorize">
+      ${hiddenFields}
+      <p><label>Email<br><input name="email" value="sso.admin@example.com" style="width: 100%"></label></p>
+      <p><label>Name<br><input name="name" value="SSO Admin" style="width: 100%"></label></p>
+      <p><label>Groups (comma separated)<br><input name="groups" value="idsyncro-admins" style="width: 100%"></label></p>
+      <button type="submit">Sign in</button>
+      <button type="submit" name="deny" value="1">Deny</button>
+    </form>
+  </body>
+</html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, client_id: clientId } = req.body;
+    if (clientId !== CLIENT_ID || !redirectUri) {
+      return res.status(400).send('Unknown client');
+    }
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('state', state || '');
+
+    if (req.body.deny) {
+      redirect.searchParams.set('error', 'access_denied');
+      redirect.searchParams.set('error_description', 'The user denied the request');
+      return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    const email = String(req.body.email || '').trim().toLowerCase();
+    authorizationCodes.set(code, {
+      clientId,
+      redirectUri,
+      nonce: req.body.nonce,
+      codeChallenge: req.body.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: true,
+        name: req.body.name,
+        groups: String(req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+      }
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+    const pending = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    if (grantType !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (pending.clientId !== clientId || pending.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createApp().listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER}`);
+  });
+}
+
+module.exports = { createApp };
@@ -12,7 +12,11 @@ const stats = {
   },
   security: {
     rateLimitHits: 0,
-    invalidRequests: 0
+    invalidRequests: 0,
+    failedLogins: 0,
+    throttledLogins: 0,
+    accountLockouts: 0,
+    ipLockouts: 0
   }
 };
 
@@ -79,6 +83,14 @@ function trackSecurityEvent(type) {
     stats.security.rateLimitHits++;
   } else if (type === 'invalid') {
     stats.security.invalidRequests++;
+  } else if (type === 'loginFailure') {
+    stats.security.failedLogins++;
+  } else if (type === 'loginThrottled') {
+    stats.security.throttledLogins++;
+  } else if (type === 'accountLockout') {
+    stats.security.accountLockouts++;
+  } else if (type === 'ipLockout') {
+    stats.security.ipLockouts++;
   }
 }
 
@@ -0,0 +1,117 @@
+/**
+ * Offboarding checklists.
+ * Moving an employee to one of OFFBOARDING_STATUSES opens a checklist copied from the configured
+ * offboarding items. Checking off a step with an action carries it out, e.g. a returned ID card is revoked.
+ */
+
+const { CardIssuance, Employee, Offboarding, OffboardingItem, getNextSequenceValue } = require('./database');
+const { revokeCard } = require('./cardIssuance');
+const { todayString } = require('./cardValidity');
+
+const OFFBOARDING_STATUSES = ['terminated', 'resigned'];
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function findOffboardingItems() {
+  return OffboardingItem.find({}, { _id: 0 }).sort({ sort_order: 1, id: 1 }).lean();
+}
+
+/**
+ * Open an offboarding for each employee now in an offboarding status that has none open yet
+ * @param {object[]} employees - Employees after their status change
+ * @param {string|null} actor
+ * @returns {Promise<object[]>} - Offboardings opened
+ */
+async function openOffboardings(employees, actor = null) {
+  const leaving = employees.filter(employee => OFFBOARDING_STATUSES.includes(employee.status));
+  if (leaving.length === 0) {
+    return [];
+  }
+
+  const alreadyOpen = await Offboarding.find(
+    { employee_row_id: { $in: leaving.map(employee => employee.id) }, status: 'open' },
+    { employee_row_id: 1 }
+  ).lean();
+  const items = await findOffboardingItems();
+  const today = todayString();
+
+  const opened = [];
+  for (const employee of leaving) {
+    if (alreadyOpen.some(offboarding => offboarding.employee_row_id === employee.id)) {
+      continue;
+    }
+    opened.push(await Offboarding.create({
+      id: await getNextSequenceValue('offboardings'),
+      employee_row_id: employee.id,
+      trigger_status: employee.status,
+      // Nothing to do when every step has been removed from the checklist
+      status: items.length > 0 ? 'open' : 'completed',
+      completed_at: items.length > 0 ? null : new Date(),
+      started_by: actor,
+      items: items.map(item => ({
+        key: item.key,
+        label: item.label,
+        action: item.action,
+        assignee: item.default_assignee,
+        due_date: addDays(today, item.due_days)
+      }))
+    }));
+  }
+  return opened;
+}
+
+/**
+ * Revoke the employee's active cards as returned so they stop verifying
+ * @returns {Promise<string[]>} - Serials revoked
+ */
+async function revokeReturnedCards(employeeRowId, actor = null) {
+  const cards = await CardIssuance.find({ employee_row_id: employeeRowId, status: 'active' });
+  for (const card of cards) {
+    await revokeCard(card, { reason: 'returned', actor });
+  }
+
+  const employee = await Employee.findOne({ id: employeeRowId }).withArchived();
+  if (employee && cards.some(card => card.serial === employee.card_serial)) {
+    employee.card_serial = null;
+    employee.qr_code = null;
+    await employee.save();
+  }
+  return cards.map(card => card.serial);
+}
+
+/**
+ * Check off (or reopen) one step. Reopening does not undo its action: a revoked card stays revoked.
+ * The offboarding completes once every step is done.
+ * @param {object} offboarding - Offboarding document
+ * @param {object} item - The step inside offboarding.items
+ * @returns {Promise<{revokedSerials: string[]}>}
+ */
+async function setOffboardingItemDone(offboarding, item, done, actor = null) {
+  let revokedSerials = [];
+  if (done && !item.completed_at) {
+    item.completed_at = new Date();
+    item.completed_by = actor;
+    if (item.action === 'revoke_card') {
+      revokedSerials = await revokeReturnedCards(offboarding.employee_row_id, actor);
+    }
+  } else if (!done) {
+    item.completed_at = null;
+    item.completed_by = null;
+  }
+
+  const allDone = offboarding.items.every(step => step.completed_at);
+  offboarding.status = allDone ? 'completed' : 'open';
+  offboarding.completed_at = allDone ? (offboarding.completed_at || new Date()) : null;
+  return { revokedSerials };
+}
+
+module.exports = {
+  OFFBOARDING_STATUSES,
+  findOffboardingItems,
+  openOffboardings,
+  setOffboardingItemDone
+};
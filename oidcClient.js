@@ -0,0 +1,180 @@
+/**
+ * Minimal OpenID Connect client for the authorization code flow with PKCE
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ROLES, isValidRole } = require('./accessControl');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ALLOWED_ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+function parseRoleMapping(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const mapping = JSON.parse(value);
+    return Object.fromEntries(Object.entries(mapping).filter(([, role]) => isValidRole(role)));
+  } catch (error) {
+    throw new Error('OIDC_ROLE_MAPPING must be a JSON object of group to role');
+  }
+}
+
+const config = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || '',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+  defaultRole: isValidRole(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : null,
+  jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== 'false',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function isOidcEnabled() {
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+}
+
+// Provider metadata from /.well-known/openid-configuration
+async function getDiscoveryDocument() {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_CACHE_MS) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  if (document.issuer.replace(/\/$/, '') !== config.issuer) {
+    throw new Error('OIDC discovery issuer does not match OIDC_ISSUER');
+  }
+  discoveryCache = { document, fetchedAt: Date.now() };
+  return document;
+}
+
+// Signing key for a kid, refetching the JWKS once when the kid is unknown (key rotation)
+async function getSigningKey(kid) {
+  const { jwks_uri: jwksUri } = await getDiscoveryDocument();
+
+  const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+  if (!jwksCache || jwksCache.uri !== jwksUri || !findKey()) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Build the authorization redirect along with the values to keep until the callback
+ * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+ */
+async function createAuthorizationRequest() {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscoveryDocument();
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { url: `${authorizationEndpoint}?${params.toString()}`, state, nonce, codeVerifier };
+}
+
+/**
+ * Exchange an authorization code and return the verified ID token claims
+ * @param {string} code - Authorization code from the callback
+ * @param {{codeVerifier: string, nonce: string}} pending - Values saved when the flow started
+ * @returns {Promise<object>} - ID token claims
+ */
+async function completeAuthorization(code, { codeVerifier, nonce }) {
+  const { token_endpoint: tokenEndpoint } = await getDiscoveryDocument();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC ID token is malformed');
+  }
+
+  const signingKey = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, signingKey, {
+    algorithms: ALLOWED_ID_TOKEN_ALGORITHMS,
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC ID token nonce mismatch');
+  }
+  return claims;
+}
+
+/**
+ * Pick the IDSyncro role for a set of ID token claims
+ * @param {object} claims - ID token claims
+ * @returns {string|null} - Mapped role, or null when no group matches
+ */
+function resolveRoleFromClaims(claims) {
+  const rawGroups = claims[config.groupsClaim];
+  const groups = Array.isArray(rawGroups) ? rawGroups : (rawGroups ? [rawGroups] : []);
+  const mappedRoles = groups.map(group => config.roleMapping[group]).filter(Boolean);
+
+  // When several groups match, the role listed first in ROLES wins
+  return ROLES.find(role => mappedRoles.includes(role)) || null;
+}
+
+module.exports = {
+  config,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveRoleFromClaims
+};
@@ -22,9 +22,26 @@ const {
   OfferLetter,
   OfferLetterBatch,
   OfferLetterStaging,
+  User,
+  Session,
+  ApiKey,
+  OidcLoginState,
+  UserToken,
+  AuditEvent,
+  EmployeeConversion,
+  CardIssuance,
+  ScheduledStatusChange,
+  OffboardingItem,
+  Offboarding,
+  CustomFieldDefinition,
+  IdFormat,
+  PersonType,
   getNextSequenceValue,
-  generateEmployeeCode
+  seedPersonTypes,
+  seedOffboardingItems,
+  backfillOfferLetterSearchFields
 } = require('./database');
+const { isEncryptionConfigured } = require('./fieldEncryption');
 
 // Simple logging function
 function log(level, message, data = null) {
@@ -38,17 +55,111 @@ const DEFAULT_ADMIN_PASSWORD = 'ChangeMe123!';
 const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || DEFAULT_ADMIN_EMAIL).toLowerCase();
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
 const JWT_SECRET = process.env.JWT_SECRET || '';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '12h';
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'IDSyncro';
+const ENFORCE_2FA_FOR_SENSITIVE_ROLES = process.env.ENFORCE_2FA_FOR_SENSITIVE_ROLES === 'true';
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000;
+const API_KEY_HEADER = 'x-api-key';
+const MAX_BULK_VERIFY_IDENTIFIERS = 100;
+const OIDC_LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const OIDC_HANDOFF_TTL_MS = 60 * 1000;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+const PASSWORD_RESET_RESEND_INTERVAL_MS = 60 * 1000;
 
 if (!JWT_SECRET) {
   logger.warn('JWT_SECRET is not configured. Authentication requests will fail until JWT_SECRET is set.');
 }
 
-if (ADMIN_EMAIL === DEFAULT_ADMIN_EMAIL || ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD) {
-  logger.warn('Default admin credentials are in use. Update ADMIN_EMAIL and ADMIN_PASSWORD in your .env file.');
+if (!isEncryptionConfigured()) {
+  logger.warn('FIELD_ENCRYPTION_KEYS / FIELD_BLIND_INDEX_KEY are not configured. Saving Aadhaar, PAN, bank or salary details will fail until they are set.');
 }
 
-const { validateEmployeeData, sanitizeEmployeeData } = require('./validationUtils');
+const {
+  validateField,
+  validateEmployeeData,
+  validateCustomFieldDefinition,
+  validateCustomFieldValues,
+  validatePersonType,
+  validateScheduledStatusChange,
+  validateOffboardingItem,
+  sanitizeEmployeeData,
+  sanitizeInput
+} = require('./validationUtils');
+const {
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  toPublicUser,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  generateUserToken,
+  generateApiKey,
+  parseApiKeyPrefix,
+  toPublicApiKey
+} = require('./authUtils');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('./totpUtils');
+const loginProtection = require('./loginProtection');
+const oidcClient = require('./oidcClient');
+const { sendMail } = require('./mailer');
+const { appendAuditEvent, verifyAuditChain } = require('./auditLog');
+const { appendEmployeeRevision, listEmployeeRevisions, getRevisionSnapshot, deleteEmployeeRevisions } = require('./employeeHistory');
+const {
+  todayString,
+  extendValidity,
+  resolveValidity,
+  isCardExpired,
+  startExpirySweep
+} = require('./cardValidity');
+const {
+  scheduleStatusChange,
+  applyDueStatusChanges,
+  releaseStaleClaims,
+  isStaleClaim,
+  startStatusScheduler
+} = require('./statusSchedule');
+const { findOffboardingItems, openOffboardings, setOffboardingItemDone } = require('./offboarding');
+const {
+  CARD_REVOCATION_REASONS,
+  isCardSerial,
+  issueCard,
+  revokeCard,
+  describeSupersededId,
+  describeLegacyCardLookup
+} = require('./cardIssuance');
+const {
+  getIdFormat,
+  generateEmployeeCode,
+  previewEmployeeCode,
+  usesDepartment,
+  findCheckDigitFormats,
+  isMistypedIdNumber,
+  validateIdFormat
+} = require('./idFormats');
+const {
+  PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+  isValidRole,
+  isValidApiKeyScope,
+  normalizeRole,
+  getPermissionsForRole,
+  roleHasPermission,
+  getDepartmentScope,
+  buildDepartmentFilter,
+  isDepartmentInScope
+} = require('./accessControl');
 const { 
   generateCertificateId, 
   canonicalizeCertificateData, 
@@ -86,11 +197,34 @@ app.use(cors({
   credentials: true
 }));
 
+// Rejected API keys per IP. Keys are resolved before the general limiter so machine clients get their own
+// bucket, so this stops guessed keys from reaching the database without limit
+const apiKeyLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  skip: (req) => extractTokenFromRequest(req)?.type !== 'api_key',
+  // Only lookups that end in 401 count; a valid key is not slowed down
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    logger.warn('API key lookup rate limit exceeded', {
+      ip: req.ip,
+      url: req.url,
+      requestId: req.requestId
+    });
+    monitoring.trackSecurityEvent('rateLimit');
+    res.status(429).json({ error: 'Too many invalid API keys, please try again later' });
+  }
+});
+app.use('/api/', apiKeyLookupLimiter);
+app.use('/api/', resolveApiKey);
+
 // Rate limiting with logging
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   message: 'Too many requests, please try again later',
+  skip: (req) => Boolean(req.apiKey),
   handler: (req, res) => {
     logger.warn('Rate limit exceeded', {
       ip: req.ip,
@@ -103,11 +237,31 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Per-key rate limit for API key clients
+const apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: (req) => req.apiKey.rate_limit || API_KEY_RATE_LIMIT,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  skip: (req) => !req.apiKey,
+  handler: (req, res) => {
+    logger.warn('API key rate limit exceeded', {
+      apiKeyId: req.apiKey.id,
+      prefix: req.apiKey.prefix,
+      ip: req.ip,
+      url: req.url
+    });
+    monitoring.trackSecurityEvent('rateLimit');
+    res.status(429).json({ error: 'Too many requests for this API key, please try again later' });
+  }
+});
+app.use('/api/', apiKeyLimiter);
+
 // Verification endpoint rate limit
 const verifyLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 50,
   message: 'Too many verification requests',
+  skip: (req) => Boolean(req.apiKey),
   handler: (req, res) => {
     logger.warn('Verification rate limit exceeded', {
       ip: req.ip,
@@ -212,6 +366,35 @@ function toPlainList(list = []) {
   return list.map(item => toPlainObject(item));
 }
 
+// Identity and bank numbers are masked in every response; the clear value needs an audited reveal
+const MASKED_EMPLOYEE_FIELDS = ['aadhar_number', 'pan_number', 'bank_account'];
+const VISIBLE_SUFFIX_LENGTH = 4;
+
+// 123456789012 -> XXXX-XXXX-9012
+function maskSensitiveValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+  const compact = String(value).replace(/[\s-]/g, '');
+  const hidden = 'X'.repeat(Math.max(compact.length - VISIBLE_SUFFIX_LENGTH, VISIBLE_SUFFIX_LENGTH));
+  return [...hidden.match(/X{1,4}/g), compact.slice(-VISIBLE_SUFFIX_LENGTH)].join('-');
+}
+
+function toMaskedEmployee(employee) {
+  const plain = toPlainObject(employee);
+  if (!plain) {
+    return plain;
+  }
+  for (const field of MASKED_EMPLOYEE_FIELDS) {
+    plain[field] = maskSensitiveValue(plain[field]);
+  }
+  return plain;
+}
+
+function toMaskedEmployeeList(list = []) {
+  return list.map(item => toMaskedEmployee(item));
+}
+
 function escapeRegex(value = '') {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -226,11 +409,16 @@ function getCurrentMonthRange() {
 }
 
 const PUBLIC_ROUTE_RULES = [
-  { method: 'ALL', pattern: /^\/api\/verify/ },
+  { method: 'GET', pattern: /^\/api\/verify\// },
   { method: 'ALL', pattern: /^\/api\/certificates\/verify/ },
   { method: 'ALL', pattern: /^\/api\/offer-letters\/verify/ },
   { method: 'GET', pattern: /^\/api\/health/ },
-  { method: 'POST', pattern: /^\/api\/auth\/login$/ }
+  { method: 'POST', pattern: /^\/api\/auth\/login$/ },
+  { method: 'POST', pattern: /^\/api\/auth\/login\/2fa$/ },
+  { method: 'POST', pattern: /^\/api\/auth\/refresh$/ },
+  { method: 'POST', pattern: /^\/api\/auth\/(forgot|reset)$/ },
+  { method: 'GET', pattern: /^\/api\/auth\/oidc\/(config|login|callback)$/ },
+  { method: 'POST', pattern: /^\/api\/auth\/oidc\/exchange$/ }
 ];
 
 function routeMatches(rule, req) {
@@ -251,45 +439,452 @@ function isPublicRoute(req) {
   return PUBLIC_ROUTE_RULES.some(rule => routeMatches(rule, req));
 }
 
+// Credentials from an X-API-Key header or an Authorization bearer token
 function extractTokenFromRequest(req) {
+  const apiKey = req.headers?.[API_KEY_HEADER];
+  if (apiKey) {
+    return { type: 'api_key', value: String(apiKey).trim() };
+  }
+
   const header = req.headers?.authorization || '';
   if (header.startsWith('Bearer ')) {
-    return header.slice(7);
+    return { type: 'bearer', value: header.slice(7) };
   }
   return null;
 }
 
-function authenticateRequest(req, res, next) {
+// Look up the API key presented on the request, rejecting unknown, expired or revoked keys
+async function resolveApiKey(req, res, next) {
+  const credentials = extractTokenFromRequest(req);
+  if (!credentials || credentials.type !== 'api_key') {
+    return next();
+  }
+
+  try {
+    const prefix = parseApiKeyPrefix(credentials.value);
+    const apiKey = prefix ? await ApiKey.findOne({ prefix }).lean() : null;
+    const hashMatches = apiKey
+      && crypto.timingSafeEqual(Buffer.from(hashToken(credentials.value)), Buffer.from(apiKey.key_hash));
+
+    if (!hashMatches || apiKey.revoked_at || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+      logger.warn('Invalid API key', { prefix, ip: req.ip, url: req.url });
+      monitoring.trackSecurityEvent('invalid');
+      return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      ApiKey.updateOne({ id: apiKey.id }, { $set: { last_used_at: new Date(), last_used_ip: req.ip } })
+        .catch(error => logger.error('Failed to update API key usage', { error: error.message }));
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error('Failed to resolve API key', { error: error.message });
+    return res.status(500).json({ error: 'Unable to authenticate request' });
+  }
+}
+
+// Principal for a request made with an API key: its scopes act as permissions
+function toApiKeyUser(apiKey) {
+  return {
+    id: null,
+    email: `api-key:${apiKey.name}`,
+    name: apiKey.name,
+    role: null,
+    departments: [],
+    permissions: [...apiKey.scopes],
+    api_key_id: apiKey.id
+  };
+}
+
+async function authenticateRequest(req, res, next) {
   if (isPublicRoute(req)) {
     return next();
   }
 
-  const token = extractTokenFromRequest(req);
-  if (!token) {
+  const credentials = extractTokenFromRequest(req);
+  if (!credentials) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  if (credentials.type === 'api_key') {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+    req.user = toApiKeyUser(req.apiKey);
+    return next();
+  }
+
+  const token = credentials.value;
+
   if (!JWT_SECRET) {
     logger.error('Authentication attempted without JWT_SECRET configured');
     return res.status(500).json({ error: 'Authentication not configured' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  // Two-factor challenge tokens carry no session and must not grant API access
+  if (decoded.purpose || !decoded.sid) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const userId = parseInt(decoded.sub, 10);
+    const [user, session] = await Promise.all([
+      User.findOne({ id: userId, status: 'active' }).lean(),
+      Session.findOne({ session_id: decoded.sid, user_id: userId, revoked_at: null }).lean()
+    ]);
+    if (!user) {
+      return res.status(401).json({ error: 'Account is no longer active' });
+    }
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been signed out' });
+    }
+
+    if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      Session.updateOne({ session_id: session.session_id }, { $set: { last_seen_at: new Date(), ip: req.ip } })
+        .catch(error => logger.error('Failed to update session activity', { error: error.message }));
+    }
+
+    req.user = toSessionUser(user);
+    req.sessionId = session.session_id;
+
+    if (req.user.two_factor_setup_required && !req.path.startsWith('/api/auth/')) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be set up before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Failed to load authenticated user', { error: error.message, requestId: req.requestId });
+    return res.status(500).json({ error: 'Unable to authenticate request' });
+  }
 }
 
+// Routes for signed-in people only; API keys are rejected
 function requireAuth(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
   }
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint is not available to API keys' });
+  }
   next();
 }
 
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!req.user.permissions.includes(permission)) {
+      logger.warn('Permission denied', {
+        userId: req.user.id,
+        apiKeyId: req.user.api_key_id,
+        role: req.user.role,
+        permission,
+        method: req.method,
+        url: req.url,
+        requestId: req.requestId
+      });
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+// Reject the request when any of the given employees falls outside the user's departments
+async function ensureEmployeesInScope(req, res, rowIds) {
+  const scope = getDepartmentScope(req.user);
+  if (!scope) {
+    return true;
+  }
+  // Archived records count too, otherwise restore and purge would skip the scope check
+  const outOfScope = await Employee.countDocuments({ id: { $in: rowIds }, department: { $nin: scope } }).withArchived();
+  if (outOfScope > 0) {
+    res.status(403).json({ error: 'One or more employees are outside your departments' });
+    return false;
+  }
+  return true;
+}
+
+function sendOutOfScope(res) {
+  return res.status(403).json({ error: 'This department is outside your access scope' });
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRY }
+  );
+}
+
+// Open a server-side session and return its first refresh token
+async function createSession(user, req) {
+  const sessionId = uuidv4();
+  const refreshToken = generateRefreshToken(sessionId);
+  await Session.create({
+    session_id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: (req.get('user-agent') || '').substring(0, 300) || null,
+    ip: req.ip,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { sessionId, refreshToken };
+}
+
+function revokeSessions(filter, reason) {
+  return Session.updateMany(
+    { ...filter, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+}
+
+function toPublicSession(session, currentSessionId) {
+  return {
+    session_id: session.session_id,
+    user_agent: session.user_agent,
+    ip: session.ip,
+    created_at: session.created_at,
+    last_seen_at: session.last_seen_at,
+    expires_at: session.expires_at,
+    current: session.session_id === currentSessionId
+  };
+}
+
+// Roles that can see sensitive employee fields may be forced to use 2FA
+function isTwoFactorRequired(user) {
+  return ENFORCE_2FA_FOR_SENSITIVE_ROLES && roleHasPermission(user.role, PERMISSIONS.EMPLOYEES_SENSITIVE);
+}
+
+// Check a TOTP or recovery code, recording its use on the user document (caller saves)
+async function verifySecondFactor(user, code) {
+  const step = verifyTotp(user.totp_secret, code, { lastUsedStep: user.totp_last_used_step });
+  if (step !== null) {
+    user.totp_last_used_step = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  const recoveryHash = hashRecoveryCode(code);
+  if (user.recovery_code_hashes.includes(recoveryHash)) {
+    user.recovery_code_hashes = user.recovery_code_hashes.filter(hash => hash !== recoveryHash);
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false };
+}
+
+// Reject a login attempt that is delayed or locked out
+function sendLoginBlocked(req, res, block, subject) {
+  monitoring.trackSecurityEvent('loginThrottled');
+  logger.warn('Login attempt blocked', { ...subject, reason: block.reason, ip: req.ip, requestId: req.requestId });
+
+  const retryAfter = Math.ceil(block.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: block.reason === 'locked'
+      ? 'Too many failed login attempts. Try again later.'
+      : `Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+}
+
+// Check the per-IP and per-account counters; sends a 429 and returns false when blocked
+function ensureLoginAllowed(req, res, user, subject) {
+  const ipBlock = loginProtection.checkIp(req.ip);
+  if (ipBlock.blocked) {
+    sendLoginBlocked(req, res, ipBlock, subject);
+    return false;
+  }
+
+  const accountBlock = user ? loginProtection.checkAccount(user) : { blocked: false };
+  if (accountBlock.blocked) {
+    sendLoginBlocked(req, res, accountBlock, subject);
+    return false;
+  }
+  return true;
+}
+
+// Count a failed password or second-factor attempt against the IP and the account
+async function recordLoginFailure(req, user, subject) {
+  monitoring.trackSecurityEvent('loginFailure');
+
+  if (loginProtection.recordIpFailure(req.ip).locked) {
+    monitoring.trackSecurityEvent('ipLockout');
+    logger.warn('IP locked out after repeated login failures', { ip: req.ip, requestId: req.requestId });
+  }
+
+  if (user) {
+    if (loginProtection.recordAccountFailure(user).locked) {
+      monitoring.trackSecurityEvent('accountLockout');
+      logger.warn('Account locked after repeated login failures', {
+        userId: user.id,
+        lockedUntil: user.locked_until,
+        ip: req.ip,
+        requestId: req.requestId
+      });
+    }
+    await user.save();
+  }
+
+  logger.warn('Failed login attempt', { ...subject, ip: req.ip, requestId: req.requestId });
+}
+
+// Open a session for a fully authenticated user and send the tokens
+async function completeLogin(user, req, res) {
+  user.last_login_at = new Date();
+  loginProtection.resetAccountFailures(user);
+  loginProtection.clearIpFailures(req.ip);
+  await user.save();
+
+  const { sessionId, refreshToken } = await createSession(user, req);
+  const token = signAccessToken(user, sessionId);
+  logger.info('Login successful', { userId: user.id, email: user.email, sessionId, requestId: req.requestId });
+
+  res.json({
+    token,
+    refreshToken,
+    user: toSessionUser(user)
+  });
+}
+
+// Public user fields plus the resolved role, its permissions and 2FA policy state
+function toSessionUser(user) {
+  const twoFactorRequired = isTwoFactorRequired(user);
+  return {
+    ...toPublicUser(user),
+    role: normalizeRole(user.role),
+    permissions: getPermissionsForRole(user.role),
+    two_factor_required: twoFactorRequired,
+    two_factor_setup_required: twoFactorRequired && !user.totp_enabled
+  };
+}
+
+// Identifier recorded in created_by / generated_by fields
+function getActor(req) {
+  if (!req.user) {
+    return null;
+  }
+  // The numeric ID keeps the record attributable after the email changes or is reused; API keys use their key ID
+  const id = req.user.api_key_id || req.user.id;
+  return id ? `${req.user.email} (#${id})` : req.user.email;
+}
+
+// Append to the audit trail without failing the request that made the change; resolves to false on error
+async function recordAudit(req, entry) {
+  try {
+    await appendAuditEvent({
+      actor: getActor(req),
+      actorType: req.apiKey ? 'api_key' : 'user',
+      requestId: req.requestId,
+      ip: req.ip,
+      ...entry
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to write audit event', {
+      action: entry.action,
+      entityId: entry.entityId,
+      error: error.message,
+      requestId: req.requestId
+    });
+    return false;
+  }
+}
+
+// Open offboardings for employees that just became terminated or resigned; a failure does not undo the status change
+async function startOffboardings(req, employees) {
+  try {
+    for (const offboarding of await openOffboardings(employees, getActor(req))) {
+      await recordAudit(req, {
+        action: 'offboarding.open',
+        entityType: 'offboarding',
+        entityId: offboarding.id,
+        after: toPlainObject(offboarding),
+        metadata: { employee_row_id: offboarding.employee_row_id, trigger_status: offboarding.trigger_status }
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to open offboarding', { error: error.message, requestId: req.requestId });
+  }
+}
+
+// Save an employee revision without failing the request; the audit trail still records the change
+async function recordEmployeeRevision(req, employee, action, options = {}) {
+  try {
+    await appendEmployeeRevision(employee, { action, actor: getActor(req), ...options });
+  } catch (error) {
+    logger.error('Failed to save employee revision', {
+      employeeId: employee.id,
+      action,
+      error: error.message,
+      requestId: req.requestId
+    });
+  }
+}
+
+// Revisions for employees changed by a bulk update, given their state before it
+async function recordBulkRevisions(req, action, recordsBefore) {
+  const after = await Employee.find({ id: { $in: recordsBefore.map(record => record.id) } }).lean();
+  for (const employee of after) {
+    const before = recordsBefore.find(record => record.id === employee.id);
+    await recordEmployeeRevision(req, employee, action, { before, metadata: { bulk: true } });
+  }
+}
+
+// One audit event per record touched by a bulk update
+async function recordBulkAudit(req, action, entityType, recordsBefore, updates) {
+  for (const before of recordsBefore) {
+    const fields = Object.keys(updates);
+    const previous = Object.fromEntries(fields.map(field => [field, before[field]]));
+    if (fields.every(field => previous[field] === updates[field])) {
+      continue;
+    }
+    await recordAudit(req, {
+      action,
+      entityType,
+      entityId: before.id,
+      before: previous,
+      after: updates,
+      metadata: { bulk: true, count: recordsBefore.length }
+    });
+  }
+}
+
+// Seed the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD on an empty users collection
+async function ensureBootstrapAdmin() {
+  const userCount = await User.countDocuments();
+  if (userCount > 0) {
+    return;
+  }
+
+  if (ADMIN_EMAIL === DEFAULT_ADMIN_EMAIL || ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD) {
+    logger.warn('Default admin credentials are in use for the initial account. Update ADMIN_EMAIL and ADMIN_PASSWORD in your .env file, or change the password after first login.');
+  }
+
+  const numericId = await getNextUserRowId();
+  await User.create({
+    id: numericId,
+    email: ADMIN_EMAIL,
+    name: 'Administrator',
+    password_hash: await hashPassword(ADMIN_PASSWORD),
+    role: 'super_admin',
+    created_by: 'bootstrap'
+  });
+  logger.info('Bootstrap admin account created', { email: ADMIN_EMAIL });
+}
+
 async function getNextEmployeeRowId() {
   return getNextSequenceValue('employees');
 }
@@ -302,13 +897,30 @@ async function getNextOfferLetterRowId() {
   return getNextSequenceValue('offer_letters');
 }
 
-async function generateIdNumber(type) {
-  return generateEmployeeCode(type);
+async function getNextUserRowId() {
+  return getNextSequenceValue('users');
+}
+
+async function generateIdNumber(type, department, session = null) {
+  return generateEmployeeCode(type, { department, session });
+}
+
+// Keep an employee's current ID number as an alias before a new one replaces it, so it still verifies
+function retireEmployeeId(employee, reason) {
+  const previousIds = employee.previous_ids || [];
+  const lastRetired = previousIds[previousIds.length - 1];
+  employee.previous_ids = [...previousIds, {
+    employee_id: employee.employee_id,
+    type: employee.type,
+    valid_from: lastRetired?.valid_until || employee.created_at || null,
+    valid_until: new Date(),
+    reason
+  }];
 }
 
-// Generate QR Code
-async function generateQRCode(employeeId, uuid) {
-  const verifyUrl = `${NORMALIZED_VERIFY_PORTAL_URL}/verify/${uuid}`;
+// Generate QR Code pointing at the verify page for a card serial (or, for older cards, an employee uuid)
+async function generateQRCode(identifier) {
+  const verifyUrl = `${NORMALIZED_VERIFY_PORTAL_URL}/verify/${identifier}`;
   const qrCodeDataUrl = await QRCode.toDataURL(verifyUrl, {
     width: 200,
     margin: 2,
@@ -320,6 +932,51 @@ async function generateQRCode(employeeId, uuid) {
   return qrCodeDataUrl;
 }
 
+// Issue a new physical card and point the employee's QR code at it; the caller saves the employee
+async function issueEmployeeCard(req, employee, reason) {
+  const card = await issueCard(employee, { reason, actor: getActor(req) });
+  employee.card_serial = card.serial;
+  employee.card_version = card.version;
+  employee.qr_code = await generateQRCode(card.serial);
+  return card;
+}
+
+// Create and fingerprint a single certificate; callers record their own audit event
+async function issueCertificate(req, certificateData) {
+  const issueDate = new Date().toISOString().split('T')[0];
+  const canonical = canonicalizeCertificateData({
+    ...certificateData,
+    issue_date: issueDate,
+    schema_version: 1
+  });
+  const fingerprint = generateFingerprint(canonical);
+
+  return Certificate.create({
+    id: await getNextCertificateRowId(),
+    certificate_uuid: uuidv4(),
+    certificate_code: generateCertificateId(certificateData.certificate_type || 'intern'),
+    person_uuid: certificateData.person_uuid,
+    name: certificateData.name,
+    certificate_type: certificateData.certificate_type || 'Internship',
+    certificate_data: canonical,
+    fingerprint,
+    signature: crypto.createHash('sha256').update(fingerprint).digest('hex'),
+    issue_date: issueDate,
+    schema_version: 1,
+    created_by: getActor(req)
+  });
+}
+
+// Ask for the second factor; /api/auth/login/2fa finishes the login
+function sendTwoFactorChallenge(user, res) {
+  const challengeToken = jwt.sign(
+    { sub: String(user.id), purpose: 'two_factor' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+  return res.json({ twoFactorRequired: true, challengeToken });
+}
+
 app.post('/api/auth/login', async (req, res) => {
   try {
     const { email, password } = req.body || {};
@@ -332,82 +989,1948 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    const normalizedEmail = email.trim().toLowerCase();
-    if (normalizedEmail !== ADMIN_EMAIL || password !== ADMIN_PASSWORD) {
-      logger.warn('Failed login attempt', { email: normalizedEmail, requestId: req.requestId });
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    if (!ensureLoginAllowed(req, res, user, { email: normalizedEmail })) {
+      return;
+    }
+
+    // Unknown emails and accounts without a password still run scrypt, so timing does not reveal which accounts exist
+    const passwordMatches = await verifyPassword(password, user?.password_hash || DUMMY_PASSWORD_HASH) && Boolean(user?.password_hash);
+
+    if (!user || !passwordMatches || user.status !== 'active') {
+      await recordLoginFailure(req, user, { email: normalizedEmail });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ email: ADMIN_EMAIL, role: 'admin' }, JWT_SECRET, { expiresIn: JWT_EXPIRY });
-    logger.info('Admin login successful', { email: ADMIN_EMAIL, requestId: req.requestId });
+    if (user.totp_enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
 
-    res.json({
-      token,
-      user: { email: ADMIN_EMAIL, role: 'admin' }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     logger.error('Login failed', { error: error.message, requestId: req.requestId });
     res.status(500).json({ error: 'Unable to process login' });
   }
 });
 
-app.use(authenticateRequest);
+// Second login step for accounts with two-factor authentication
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
 
-app.get('/api/auth/me', requireAuth, (req, res) => {
-  res.json({ user: { email: req.user.email, role: req.user.role || 'admin' } });
-});
+    if (!JWT_SECRET) {
+      return res.status(500).json({ error: 'Authentication is not configured on this server' });
+    }
 
-// Routes
-app.post('/api/employees', (req, res) => {
-  uploadImage.single('photo')(req, res, async (err) => {
-    if (err) {
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
-      }
-      return res.status(400).json({ error: err.message });
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Verification code is required' });
     }
 
+    let decoded;
     try {
-      const {
-        name, designation, department, type, employment_type, work_location, email, phone, address,
-        emergency_contact, emergency_phone, date_of_birth, joining_date,
-        salary, bank_account, aadhar_number, pan_number, blood_group, manager
-      } = req.body;
+      decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Sign-in attempt expired. Please start again.' });
+    }
+    if (decoded.purpose !== 'two_factor') {
+      return res.status(401).json({ error: 'Sign-in attempt expired. Please start again.' });
+    }
 
-      const sanitizedData = sanitizeEmployeeData({
-        name, designation, department, type, employment_type, work_location, email, phone, address,
-        emergency_contact, emergency_phone, date_of_birth, joining_date,
-        salary, bank_account, aadhar_number, pan_number, blood_group, manager
+    const user = await User.findOne({ id: parseInt(decoded.sub, 10), status: 'active' });
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Sign-in attempt expired. Please start again.' });
+    }
+
+    if (!ensureLoginAllowed(req, res, user, { userId: user.id })) {
+      return;
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.valid) {
+      await recordLoginFailure(req, user, { userId: user.id, step: 'two_factor' });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    if (result.method === 'recovery_code') {
+      logger.warn('Recovery code used for login', {
+        userId: user.id,
+        remaining: user.recovery_code_hashes.length,
+        requestId: req.requestId
       });
+    }
 
-      const validation = validateEmployeeData(sanitizedData);
-      if (!validation.valid) {
-        return res.status(400).json({
-          error: 'Validation failed',
-          errors: validation.errors
-        });
-      }
+    await completeLogin(user, req, res);
+  } catch (error) {
+    logger.error('Two-factor login failed', { error: error.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Unable to process login' });
+  }
+});
 
-      const uuid = uuidv4();
-      const employeeType = sanitizedData.type || 'employee';
-      const employeeId = await generateIdNumber(employeeType);
-      const numericId = await getNextEmployeeRowId();
+// ============ SINGLE SIGN-ON (OIDC) ============
 
-      const photo = req.file ? req.file.filename : null;
-      const qrCode = await generateQRCode(employeeId, uuid);
+// Send the browser back to the admin portal login page with a result in the URL fragment
+function redirectToLogin(res, params) {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${FRONTEND_BASE_URL.replace(/\/$/, '')}/login#${fragment}`);
+}
 
-      const employee = await Employee.create({
-        id: numericId,
-        uuid,
-        employee_id: employeeId,
-        name: sanitizedData.name,
-        designation: sanitizedData.designation,
-        department: sanitizedData.department,
-        type: employeeType,
-        employment_type: sanitizedData.employment_type,
+// Find or create the IDSyncro user for verified ID token claims, syncing the mapped role
+async function provisionOidcUser(claims) {
+  const { issuer, jitProvisioning, defaultRole } = oidcClient.config;
+  const email = String(claims.email || '').trim().toLowerCase();
+  const mappedRole = oidcClient.resolveRoleFromClaims(claims);
+
+  let user = await User.findOne({ oidc_issuer: issuer, oidc_subject: claims.sub });
+
+  // Link an existing account with the same verified email on first SSO login
+  if (!user && email && claims.email_verified === true) {
+    user = await User.findOne({ email });
+    if (user && user.oidc_subject) {
+      return { error: 'This email is already linked to a different SSO identity' };
+    }
+    if (user) {
+      user.oidc_issuer = issuer;
+      user.oidc_subject = claims.sub;
+    }
+  }
+
+  if (!user) {
+    const role = mappedRole || defaultRole;
+    if (!jitProvisioning) {
+      return { error: 'No IDSyncro account exists for this identity' };
+    }
+    if (!role) {
+      return { error: 'Your account is not assigned to an IDSyncro role' };
+    }
+    if (!email) {
+      return { error: 'The identity provider did not return an email address' };
+    }
+
+    user = new User({
+      id: await getNextUserRowId(),
+      email,
+      name: sanitizeInput(claims.name || ''),
+      role,
+      auth_provider: 'oidc',
+      oidc_issuer: issuer,
+      oidc_subject: claims.sub,
+      created_by: 'sso'
+    });
+    logger.info('SSO user provisioned', { email, role });
+  } else if (mappedRole && normalizeRole(user.role) !== mappedRole) {
+    logger.warn('SSO role updated from identity provider groups', { userId: user.id, from: user.role, to: mappedRole });
+    user.role = mappedRole;
+  }
+
+  if (user.status !== 'active') {
+    return { error: 'Your IDSyncro account is disabled' };
+  }
+
+  await user.save();
+  return { user };
+}
+
+// Whether SSO is configured, for the login page
+app.get('/api/auth/oidc/config', (req, res) => {
+  res.json({
+    enabled: oidcClient.isOidcEnabled(),
+    providerName: oidcClient.config.providerName
+  });
+});
+
+// Start an SSO login by redirecting to the identity provider
+app.get('/api/auth/oidc/login', async (req, res) => {
+  if (!oidcClient.isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, state, nonce, codeVerifier } = await oidcClient.createAuthorizationRequest();
+    await OidcLoginState.create({
+      state,
+      nonce,
+      code_verifier: codeVerifier,
+      expires_at: new Date(Date.now() + OIDC_LOGIN_STATE_TTL_MS)
+    });
+    res.redirect(url);
+  } catch (error) {
+    logger.error('Failed to start SSO login', { error: error.message, requestId: req.requestId });
+    redirectToLogin(res, { sso_error: 'Single sign-on is currently unavailable' });
+  }
+});
+
+// Identity provider callback: verify the code, provision the user and hand off to the frontend
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+  if (!oidcClient.isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  if (providerError) {
+    logger.warn('SSO login rejected by identity provider', { error: providerError, requestId: req.requestId });
+    return redirectToLogin(res, { sso_error: providerErrorDescription || 'Sign-in was cancelled' });
+  }
+
+  try {
+    const pending = state && code
+      ? await OidcLoginState.findOne({ state: String(state), handoff_code_hash: null, expires_at: { $gt: new Date() } })
+      : null;
+    if (!pending) {
+      monitoring.trackSecurityEvent('invalid');
+      return redirectToLogin(res, { sso_error: 'Sign-in attempt expired. Please try again.' });
+    }
+
+    const claims = await oidcClient.completeAuthorization(String(code), {
+      codeVerifier: pending.code_verifier,
+      nonce: pending.nonce
+    });
+
+    const { user, error } = await provisionOidcUser(claims);
+    if (error) {
+      await OidcLoginState.deleteOne({ _id: pending._id });
+      logger.warn('SSO login denied', { subject: claims.sub, email: claims.email, reason: error, requestId: req.requestId });
+      return redirectToLogin(res, { sso_error: error });
+    }
+
+    const handoffCode = crypto.randomBytes(32).toString('base64url');
+    pending.handoff_code_hash = hashToken(handoffCode);
+    pending.user_id = user.id;
+    pending.expires_at = new Date(Date.now() + OIDC_HANDOFF_TTL_MS);
+    await pending.save();
+
+    redirectToLogin(res, { sso_code: handoffCode });
+  } catch (error) {
+    logger.error('SSO callback failed', { error: error.message, requestId: req.requestId });
+    redirectToLogin(res, { sso_error: 'Unable to complete single sign-on' });
+  }
+});
+
+// Exchange the one-time SSO handoff code for access and refresh tokens
+app.post('/api/auth/oidc/exchange', async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const pending = await OidcLoginState.findOneAndDelete({
+      handoff_code_hash: hashToken(code),
+      expires_at: { $gt: new Date() }
+    });
+    const user = pending ? await User.findOne({ id: pending.user_id, status: 'active' }) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in attempt expired. Please try again.' });
+    }
+
+    // The identity provider's own MFA is not trusted in place of the account's authenticator
+    if (user.totp_enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    logger.error('SSO exchange failed', { error: error.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Unable to process login' });
+  }
+});
+
+// ============ PASSWORD RESET & INVITATIONS ============
+
+function buildFrontendUrl(pathname, params) {
+  return `${FRONTEND_BASE_URL.replace(/\/$/, '')}${pathname}?${new URLSearchParams(params).toString()}`;
+}
+
+// Create a single-use token for a user, replacing any unused token with the same purpose
+async function issueUserToken(user, purpose, ttlMs, createdBy = null) {
+  await UserToken.deleteMany({ user_id: user.id, purpose, used_at: null });
+
+  const token = generateUserToken();
+  await UserToken.create({
+    token_hash: hashToken(token),
+    user_id: user.id,
+    purpose,
+    expires_at: new Date(Date.now() + ttlMs),
+    created_by: createdBy
+  });
+  return token;
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = buildFrontendUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your IDSyncro password',
+    text: [
+      `Hello ${user.name || user.email},`,
+      '',
+      'We received a request to reset your IDSyncro password. Open the link below to choose a new one:',
+      link,
+      '',
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendInviteEmail(user, invitedBy) {
+  const token = await issueUserToken(user, 'invite', INVITE_TTL_HOURS * 60 * 60 * 1000, invitedBy);
+  const link = buildFrontendUrl('/accept-invite', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'You have been invited to IDSyncro',
+    text: [
+      `Hello ${user.name || user.email},`,
+      '',
+      `${invitedBy || 'An administrator'} invited you to the IDSyncro admin portal. Open the link below to set your password:`,
+      link,
+      '',
+      `The invitation expires in ${INVITE_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+}
+
+// Request a password reset email; the response never reveals whether the account exists
+app.post('/api/auth/forgot', async (req, res) => {
+  const { email } = req.body || {};
+  const genericResponse = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+    const user = await User.findOne({ email: normalizedEmail, status: 'active' });
+
+    if (user && user.auth_provider === 'oidc') {
+      logger.warn('Password reset requested for SSO account', { userId: user.id, ip: req.ip, requestId: req.requestId });
+    } else if (user) {
+      const recentlySent = await UserToken.exists({
+        user_id: user.id,
+        purpose: 'password_reset',
+        created_at: { $gt: new Date(Date.now() - PASSWORD_RESET_RESEND_INTERVAL_MS) }
+      });
+      if (!recentlySent) {
+        await sendPasswordResetEmail(user);
+      }
+      logger.warn('Password reset requested', { userId: user.id, emailSent: !recentlySent, ip: req.ip, requestId: req.requestId });
+    } else {
+      logger.warn('Password reset requested for unknown account', { email: normalizedEmail, ip: req.ip, requestId: req.requestId });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error('Password reset request failed', { error: error.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Unable to send reset email' });
+  }
+});
+
+// Set a new password with a reset or invitation token
+app.post('/api/auth/reset', async (req, res) => {
+  const { token, password, name } = req.body || {};
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Token is required' });
+  }
+
+  const passwordCheck = validatePassword(password);
+  if (!passwordCheck.valid) {
+    return res.status(400).json({ error: passwordCheck.error });
+  }
+
+  try {
+    const userToken = await UserToken.findOneAndUpdate(
+      { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+      { $set: { used_at: new Date() } },
+      { new: true }
+    );
+    if (!userToken) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    const user = await User.findOne({ id: userToken.user_id });
+    const expectedStatus = userToken.purpose === 'invite' ? 'invited' : 'active';
+    if (!user || user.status !== expectedStatus) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    user.password_hash = await hashPassword(password);
+    loginProtection.resetAccountFailures(user);
+    if (userToken.purpose === 'invite') {
+      user.status = 'active';
+      if (name) {
+        user.name = String(name).trim().substring(0, 100);
+      }
+    }
+    await user.save();
+
+    await revokeSessions({ user_id: user.id }, 'password_reset');
+    logger.warn(userToken.purpose === 'invite' ? 'Invitation accepted' : 'Password reset completed', {
+      userId: user.id,
+      ip: req.ip,
+      requestId: req.requestId
+    });
+
+    res.json({ message: 'Password updated. You can now sign in.' });
+  } catch (error) {
+    logger.error('Password reset failed', { error: error.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Unable to reset password' });
+  }
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!JWT_SECRET) {
+      return res.status(500).json({ error: 'Authentication is not configured on this server' });
+    }
+
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await Session.findOne({ session_id: parsed.sessionId });
+    if (!session || session.revoked_at || session.expires_at <= new Date()) {
+      return res.status(401).json({ error: 'Session expired or signed out' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    if (tokenHash !== session.refresh_token_hash) {
+      if (tokenHash === session.previous_token_hash) {
+        // A rotated-out token was replayed, so treat the session as compromised
+        await revokeSessions({ session_id: session.session_id }, 'refresh_token_reuse');
+        logger.warn('Refresh token reuse detected', {
+          sessionId: session.session_id,
+          userId: session.user_id,
+          ip: req.ip,
+          requestId: req.requestId
+        });
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findOne({ id: session.user_id, status: 'active' });
+    if (!user) {
+      await revokeSessions({ session_id: session.session_id }, 'account_inactive');
+      return res.status(401).json({ error: 'Account is no longer active' });
+    }
+
+    const nextRefreshToken = generateRefreshToken(session.session_id);
+    const rotated = await Session.findOneAndUpdate(
+      { session_id: session.session_id, refresh_token_hash: tokenHash, revoked_at: null },
+      {
+        $set: {
+          refresh_token_hash: hashToken(nextRefreshToken),
+          previous_token_hash: tokenHash,
+          last_seen_at: new Date(),
+          ip: req.ip
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: signAccessToken(user, session.session_id),
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    logger.error('Token refresh failed', { error: error.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Unable to refresh session' });
+  }
+});
+
+app.use(authenticateRequest);
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// ============ TWO-FACTOR AUTHENTICATION ============
+
+// Two-factor status for the current user
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id }).lean();
+    res.json({
+      enabled: Boolean(user.totp_enabled),
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: (user.recovery_code_hashes || []).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start enrollment: create a pending secret and its QR code
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.totp_pending_secret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email, TWO_FACTOR_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { width: 200, margin: 2 });
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findOne({ id: req.user.id });
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.totp_pending_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_pending_secret = null;
+    user.totp_enabled = true;
+    user.totp_last_used_step = step;
+    user.recovery_code_hashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    logger.info('Two-factor authentication enabled', { userId: user.id, requestId: req.requestId });
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes, user: toSessionUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace recovery codes after confirming a current code
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findOne({ id: req.user.id });
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.recovery_code_hashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    logger.info('Recovery codes regenerated', { userId: user.id, requestId: req.requestId });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn off two-factor authentication (password and code required)
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    const user = await User.findOne({ id: req.user.id });
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const passwordMatches = await verifyPassword(password, user.password_hash);
+    const result = passwordMatches ? await verifySecondFactor(user, code) : { valid: false };
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid password or verification code' });
+    }
+
+    user.totp_enabled = false;
+    user.totp_secret = null;
+    user.totp_last_used_step = null;
+    user.recovery_code_hashes = [];
+    await user.save();
+
+    logger.warn('Two-factor authentication disabled', { userId: user.id, requestId: req.requestId });
+    res.json({ message: 'Two-factor authentication disabled', user: toSessionUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out the current session
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSessions({ session_id: req.sessionId }, 'logout');
+    logger.info('User logged out', { userId: req.user.id, sessionId: req.sessionId, requestId: req.requestId });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out every session of the current user
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const result = await revokeSessions({ user_id: req.user.id }, 'logout_all');
+    logger.info('User logged out of all sessions', {
+      userId: req.user.id,
+      revokedCount: result.modifiedCount,
+      requestId: req.requestId
+    });
+    res.json({ message: 'Logged out of all sessions', revokedCount: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active sessions of the current user
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user.id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }).sort({ last_seen_at: -1 }).lean();
+    res.json(sessions.map(session => toPublicSession(session, req.sessionId)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out one session of the current user
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const result = await revokeSessions({ session_id: req.params.sessionId, user_id: req.user.id }, 'revoked_by_user');
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ USER ROUTES ============
+
+const USER_UPDATABLE_STATUSES = ['active', 'disabled'];
+
+function parseUserId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Accepts an array or comma-separated string; returns null when the input is malformed
+function parseDepartmentList(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const departments = list.map(item => sanitizeInput(item)).filter(Boolean);
+  if (departments.some(department => department.length > 50)) {
+    return null;
+  }
+  return [...new Set(departments)];
+}
+
+// Roles and the permissions they grant
+app.get('/api/roles', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: getPermissionsForRole(role) })));
+});
+
+// List admin users
+app.get('/api/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const users = await User.find().sort({ created_at: 1 }).lean();
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single admin user
+app.get('/api/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findOne({ id }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create admin user
+app.post('/api/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { email, name, password, role, departments } = req.body || {};
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: passwordCheck.error });
+    }
+
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role value' });
+    }
+
+    const departmentList = departments === undefined ? [] : parseDepartmentList(departments);
+    if (!departmentList) {
+      return res.status(400).json({ error: 'Invalid departments value' });
+    }
+
+    const numericId = await getNextUserRowId();
+    const user = await User.create({
+      id: numericId,
+      email: String(email).trim().toLowerCase(),
+      name: name ? String(name).trim().substring(0, 100) : null,
+      password_hash: await hashPassword(password),
+      role: role || 'viewer',
+      departments: departmentList,
+      created_by: getActor(req)
+    });
+
+    logger.info('User created', { userId: user.id, email: user.email, by: getActor(req), requestId: req.requestId });
+    res.status(201).json(toPublicUser(user));
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a user by email; they choose their own password from the link.
+// Inviting an address that is still pending sends a fresh link.
+app.post('/api/users/invite', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { email, name, role, departments } = req.body || {};
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role value' });
+    }
+
+    const departmentList = departments === undefined ? [] : parseDepartmentList(departments);
+    if (!departmentList) {
+      return res.status(400).json({ error: 'Invalid departments value' });
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    let user = await User.findOne({ email: normalizedEmail });
+    if (user && user.status !== 'invited') {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    if (!user) {
+      user = await User.create({
+        id: await getNextUserRowId(),
+        email: normalizedEmail,
+        name: name ? String(name).trim().substring(0, 100) : null,
+        role: role || 'viewer',
+        departments: departmentList,
+        status: 'invited',
+        created_by: getActor(req)
+      });
+    }
+
+    await sendInviteEmail(user, getActor(req));
+
+    logger.info('User invited', { userId: user.id, email: user.email, by: getActor(req), requestId: req.requestId });
+    res.status(201).json(toPublicUser(user));
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update admin user (name, role, status, password)
+app.put('/api/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const { name, role, status, password, departments } = req.body || {};
+    const user = await User.findOne({ id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (status !== undefined) {
+      if (!USER_UPDATABLE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status value' });
+      }
+      if (status !== 'active' && user.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot disable your own account' });
+      }
+      user.status = status;
+    }
+
+    if (password !== undefined && password !== '') {
+      const passwordCheck = validatePassword(password);
+      if (!passwordCheck.valid) {
+        return res.status(400).json({ error: passwordCheck.error });
+      }
+      user.password_hash = await hashPassword(password);
+    }
+
+    if (name !== undefined) {
+      user.name = name ? String(name).trim().substring(0, 100) : null;
+    }
+    if (role !== undefined) {
+      if (!isValidRole(role)) {
+        return res.status(400).json({ error: 'Invalid role value' });
+      }
+      if (role !== normalizeRole(user.role) && user.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+      user.role = role;
+    }
+
+    if (departments !== undefined) {
+      const departmentList = parseDepartmentList(departments);
+      if (!departmentList) {
+        return res.status(400).json({ error: 'Invalid departments value' });
+      }
+      user.departments = departmentList;
+    }
+
+    const credentialsChanged = user.isModified('password_hash') || user.isModified('status');
+    await user.save();
+
+    if (credentialsChanged && user.id !== req.user.id) {
+      await revokeSessions({ user_id: user.id }, 'account_updated');
+    }
+    logger.info('User updated', { userId: user.id, by: getActor(req), requestId: req.requestId });
+    res.json(toPublicUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear a user's two-factor enrollment (lost device)
+app.post('/api/users/:id/2fa/reset', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { id },
+      {
+        $set: {
+          totp_enabled: false,
+          totp_secret: null,
+          totp_pending_secret: null,
+          totp_last_used_step: null,
+          recovery_code_hashes: []
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await revokeSessions({ user_id: id }, 'two_factor_reset');
+    logger.warn('Two-factor authentication reset by admin', { userId: id, by: getActor(req), requestId: req.requestId });
+    res.json(toPublicUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear failed-login counters and any lockout on a user
+app.post('/api/users/:id/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findOne({ id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    loginProtection.resetAccountFailures(user);
+    await user.save();
+
+    logger.warn('Account unlocked by admin', { userId: id, by: getActor(req), requestId: req.requestId });
+    res.json(toPublicUser(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accounts and IP addresses currently locked out of login
+app.get('/api/lockouts', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const users = await User.find({ locked_until: { $gt: new Date() } }).sort({ locked_until: -1 }).lean();
+    res.json({
+      accounts: users.map(toPublicUser),
+      ips: loginProtection.listIpLockouts()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a lockout on an IP address
+app.delete('/api/lockouts/ip/:ip', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  const { ip } = req.params;
+  if (!loginProtection.clearIpFailures(ip)) {
+    return res.status(404).json({ error: 'No failed logins recorded for this IP address' });
+  }
+
+  logger.warn('IP lockout cleared by admin', { ip, by: getActor(req), requestId: req.requestId });
+  res.json({ message: 'IP address unlocked' });
+});
+
+// Delete admin user
+app.delete('/api/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  if (id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  try {
+    const result = await User.deleteOne({ id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await Session.deleteMany({ user_id: id });
+    logger.info('User deleted', { userId: id, by: getActor(req), requestId: req.requestId });
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ API KEY ROUTES ============
+
+const MAX_API_KEY_RATE_LIMIT = 100000;
+
+// Scopes that can be granted to API keys
+app.get('/api/api-keys/scopes', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  res.json(API_KEY_SCOPES);
+});
+
+// List API keys
+app.get('/api/api-keys', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ created_at: -1 }).lean();
+    res.json(apiKeys.map(toPublicApiKey));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a new API key; the full key is only returned in this response
+app.post('/api/api-keys', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const { name, scopes, expires_at, rate_limit } = req.body || {};
+
+  const cleanName = sanitizeInput(name || '');
+  if (!cleanName || cleanName.length > 100) {
+    return res.status(400).json({ error: 'Name is required (max 100 characters)' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'At least one scope is required' });
+  }
+  const invalidScope = scopes.find(scope => !isValidApiKeyScope(scope));
+  if (invalidScope) {
+    return res.status(400).json({ error: `Invalid scope: ${invalidScope}` });
+  }
+
+  let expiresAt = null;
+  if (expires_at) {
+    expiresAt = new Date(expires_at);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'Expiry must be a future date' });
+    }
+  }
+
+  let rateLimitValue = null;
+  if (rate_limit !== undefined && rate_limit !== null && rate_limit !== '') {
+    rateLimitValue = parseInt(rate_limit, 10);
+    if (!Number.isInteger(rateLimitValue) || rateLimitValue <= 0 || rateLimitValue > MAX_API_KEY_RATE_LIMIT) {
+      return res.status(400).json({ error: `Rate limit must be between 1 and ${MAX_API_KEY_RATE_LIMIT} requests per 15 minutes` });
+    }
+  }
+
+  try {
+    const { prefix, key } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      id: await getNextSequenceValue('api_keys'),
+      name: cleanName,
+      prefix,
+      key_hash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      rate_limit: rateLimitValue,
+      expires_at: expiresAt,
+      created_by: getActor(req)
+    });
+
+    logger.warn('API key issued', { apiKeyId: apiKey.id, prefix, scopes: apiKey.scopes, by: getActor(req), requestId: req.requestId });
+    res.status(201).json({ ...toPublicApiKey(apiKey), key });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/api-keys/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid API key ID' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { id, revoked_at: null },
+      { $set: { revoked_at: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    logger.warn('API key revoked', { apiKeyId: id, prefix: apiKey.prefix, by: getActor(req), requestId: req.requestId });
+    res.json(toPublicApiKey(apiKey));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ PERSON TYPES ============
+
+// Person types in display order
+function findPersonTypes() {
+  return PersonType.find({}, { _id: 0 }).sort({ sort_order: 1, id: 1 }).lean();
+}
+
+function findPersonType(code) {
+  return PersonType.findOne({ code }, { _id: 0 }).lean();
+}
+
+async function findPersonTypeCodes() {
+  return (await findPersonTypes()).map(personType => personType.code);
+}
+
+// Wording of a type on the public verify page
+function getVerifyLabel(personType, code) {
+  return personType?.verify_label || personType?.label || code;
+}
+
+// List person types
+app.get('/api/person-types', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    res.json(await findPersonTypes());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a person type
+app.post('/api/person-types', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const validation = validatePersonType(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+  }
+
+  try {
+    if (await PersonType.exists({ code: validation.personType.code })) {
+      return res.status(409).json({ error: 'A person type with this code already exists' });
+    }
+
+    const personType = await PersonType.create({
+      id: await getNextSequenceValue('person_types'),
+      ...validation.personType,
+      created_by: getActor(req)
+    });
+    await recordAudit(req, {
+      action: 'person_type.create',
+      entityType: 'person_type',
+      entityId: personType.id,
+      after: personType.toObject()
+    });
+    res.status(201).json(toPlainObject(personType));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a person type; the code is fixed because employees, formats and custom fields refer to it
+app.put('/api/person-types/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid person type ID' });
+  }
+
+  try {
+    const personType = await PersonType.findOne({ id });
+    if (!personType) {
+      return res.status(404).json({ error: 'Person type not found' });
+    }
+    if (req.body?.code && req.body.code !== personType.code) {
+      return res.status(400).json({ error: 'The code of a person type cannot be changed' });
+    }
+
+    const validation = validatePersonType({ ...req.body, code: personType.code });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+
+    const before = personType.toObject();
+    personType.set(validation.personType);
+    await personType.save();
+    await recordAudit(req, {
+      action: 'person_type.update',
+      entityType: 'person_type',
+      entityId: id,
+      before,
+      after: personType.toObject()
+    });
+    res.json(toPlainObject(personType));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a person type that no employee record (archived included) uses
+app.delete('/api/person-types/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid person type ID' });
+  }
+
+  try {
+    const personType = await PersonType.findOne({ id }).lean();
+    if (!personType) {
+      return res.status(404).json({ error: 'Person type not found' });
+    }
+
+    const inUse = await Employee.countDocuments({ type: personType.code }).withArchived();
+    if (inUse > 0) {
+      return res.status(409).json({ error: `${inUse} ID(s) still use this type; change their type first` });
+    }
+    if ((await PersonType.countDocuments()) === 1) {
+      return res.status(409).json({ error: 'At least one person type is required' });
+    }
+
+    await PersonType.deleteOne({ id });
+    await IdFormat.deleteOne({ type: personType.code });
+    await recordAudit(req, {
+      action: 'person_type.delete',
+      entityType: 'person_type',
+      entityId: id,
+      before: personType
+    });
+    res.json({ message: 'Person type deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ OFFBOARDING ============
+
+// Offboarding checklist steps in order
+app.get('/api/offboarding-items', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    res.json(await findOffboardingItems());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a checklist step; offboardings already open keep the list they were opened with
+app.post('/api/offboarding-items', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const validation = validateOffboardingItem(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+  }
+
+  try {
+    if (await OffboardingItem.exists({ key: validation.item.key })) {
+      return res.status(409).json({ error: 'A checklist step with this key already exists' });
+    }
+
+    const item = await OffboardingItem.create({
+      id: await getNextSequenceValue('offboarding_items'),
+      ...validation.item,
+      created_by: getActor(req)
+    });
+    await recordAudit(req, {
+      action: 'offboarding_item.create',
+      entityType: 'offboarding_item',
+      entityId: item.id,
+      after: item.toObject()
+    });
+    res.status(201).json(toPlainObject(item));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a checklist step; the key is fixed because open offboardings refer to it
+app.put('/api/offboarding-items/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid checklist step ID' });
+  }
+
+  try {
+    const item = await OffboardingItem.findOne({ id });
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist step not found' });
+    }
+    if (req.body?.key && req.body.key !== item.key) {
+      return res.status(400).json({ error: 'The key of a checklist step cannot be changed' });
+    }
+
+    const validation = validateOffboardingItem({ ...req.body, key: item.key });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+
+    const before = item.toObject();
+    item.set(validation.item);
+    await item.save();
+    await recordAudit(req, {
+      action: 'offboarding_item.update',
+      entityType: 'offboarding_item',
+      entityId: id,
+      before,
+      after: item.toObject()
+    });
+    res.json(toPlainObject(item));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a checklist step from future offboardings
+app.delete('/api/offboarding-items/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid checklist step ID' });
+  }
+
+  try {
+    const item = await OffboardingItem.findOne({ id }).lean();
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist step not found' });
+    }
+
+    await OffboardingItem.deleteOne({ id });
+    await recordAudit(req, {
+      action: 'offboarding_item.delete',
+      entityType: 'offboarding_item',
+      entityId: id,
+      before: item
+    });
+    res.json({ message: 'Checklist step deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const OFFBOARDING_STATES = ['open', 'completed', 'cancelled'];
+
+// Steps done, steps in total and steps past their due date
+function summarizeOffboarding(offboarding, today = todayString()) {
+  const pending = offboarding.items.filter(item => !item.completed_at);
+  return {
+    done: offboarding.items.length - pending.length,
+    total: offboarding.items.length,
+    overdue: pending.filter(item => item.due_date && item.due_date < today).length,
+    next_due: pending.map(item => item.due_date).filter(Boolean).sort()[0] || null
+  };
+}
+
+// Offboardings with their employee and progress, oldest first; open ones unless ?status= says otherwise
+app.get('/api/offboardings', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const status = req.query.status || 'open';
+  if (!OFFBOARDING_STATES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${OFFBOARDING_STATES.join(', ')}` });
+  }
+
+  try {
+    const offboardings = await Offboarding.find({ status }, { _id: 0 }).sort({ created_at: 1 }).lean();
+    const employees = await Employee.find(
+      { id: { $in: offboardings.map(offboarding => offboarding.employee_row_id) }, ...buildDepartmentFilter(req.user) },
+      { _id: 0, id: 1, name: 1, employee_id: 1, department: 1, designation: 1, type: 1, status: 1 }
+    ).withArchived().lean();
+
+    const today = todayString();
+    const results = offboardings
+      .map(offboarding => ({
+        ...offboarding,
+        employee: employees.find(employee => employee.id === offboarding.employee_row_id),
+        progress: summarizeOffboarding(offboarding, today)
+      }))
+      .filter(offboarding => offboarding.employee);
+    res.json({ count: results.length, offboardings: results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Offboardings of an employee, newest first
+app.get('/api/employees/:id/offboardings', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).withArchived().lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const offboardings = await Offboarding.find({ employee_row_id: id }, { _id: 0 }).sort({ created_at: -1 }).lean();
+    res.json(offboardings.map(offboarding => ({ ...offboarding, progress: summarizeOffboarding(offboarding) })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check off a step or change its assignee, due date or note; checking off a card return revokes the card
+app.patch('/api/offboardings/:id/items/:key', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid offboarding ID' });
+  }
+
+  const { done, assignee, due_date: dueDate, note } = req.body || {};
+  if (done !== undefined && typeof done !== 'boolean') {
+    return res.status(400).json({ error: 'Validation failed', errors: { done: 'Done must be true or false' } });
+  }
+  if (dueDate && !DATE_ONLY_PATTERN.test(dueDate)) {
+    return res.status(400).json({ error: 'Validation failed', errors: { due_date: 'Due date must be a date (YYYY-MM-DD)' } });
+  }
+
+  try {
+    const offboarding = await Offboarding.findOne({ id });
+    if (!offboarding) {
+      return res.status(404).json({ error: 'Offboarding not found' });
+    }
+    if (!(await ensureEmployeesInScope(req, res, [offboarding.employee_row_id]))) {
+      return;
+    }
+    if (offboarding.status === 'cancelled') {
+      return res.status(409).json({ error: 'This offboarding was cancelled' });
+    }
+    const item = offboarding.items.find(step => step.key === req.params.key);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist step not found' });
+    }
+
+    const before = item.toObject();
+    const previousStatus = offboarding.status;
+    if (assignee !== undefined) {
+      item.assignee = sanitizeInput(assignee) || null;
+    }
+    if (dueDate !== undefined) {
+      item.due_date = dueDate || null;
+    }
+    if (note !== undefined) {
+      item.note = sanitizeInput(note) || null;
+    }
+    const { revokedSerials } = done === undefined
+      ? { revokedSerials: [] }
+      : await setOffboardingItemDone(offboarding, item, done, getActor(req));
+    await offboarding.save();
+
+    await recordAudit(req, {
+      action: 'offboarding.update_item',
+      entityType: 'offboarding',
+      entityId: offboarding.id,
+      before,
+      after: item.toObject(),
+      metadata: { employee_row_id: offboarding.employee_row_id, key: item.key, revoked_cards: revokedSerials }
+    });
+    if (offboarding.status !== previousStatus) {
+      await recordAudit(req, {
+        action: offboarding.status === 'completed' ? 'offboarding.complete' : 'offboarding.reopen',
+        entityType: 'offboarding',
+        entityId: offboarding.id,
+        before: { status: previousStatus },
+        after: { status: offboarding.status },
+        metadata: { employee_row_id: offboarding.employee_row_id }
+      });
+    }
+
+    const plain = toPlainObject(offboarding);
+    res.json({
+      message: revokedSerials.length > 0 ? `${item.label}: ${revokedSerials.length} card(s) revoked` : `${item.label} updated`,
+      offboarding: { ...plain, progress: summarizeOffboarding(plain) },
+      revoked_cards: revokedSerials
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Close an offboarding that is no longer needed, e.g. the resignation was withdrawn
+app.post('/api/offboardings/:id/cancel', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid offboarding ID' });
+  }
+
+  try {
+    const offboarding = await Offboarding.findOne({ id });
+    if (!offboarding) {
+      return res.status(404).json({ error: 'Offboarding not found' });
+    }
+    if (!(await ensureEmployeesInScope(req, res, [offboarding.employee_row_id]))) {
+      return;
+    }
+    if (offboarding.status !== 'open') {
+      return res.status(409).json({ error: `Cannot cancel an offboarding that is ${offboarding.status}` });
+    }
+
+    offboarding.status = 'cancelled';
+    offboarding.cancelled_at = new Date();
+    offboarding.cancelled_by = getActor(req);
+    await offboarding.save();
+
+    await recordAudit(req, {
+      action: 'offboarding.cancel',
+      entityType: 'offboarding',
+      entityId: offboarding.id,
+      before: { status: 'open' },
+      after: { status: offboarding.status },
+      metadata: { employee_row_id: offboarding.employee_row_id }
+    });
+    res.json({ message: 'Offboarding cancelled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ CUSTOM FIELDS ============
+
+// Custom field definitions that apply to an ID type, in display order
+function findCustomFieldDefinitions(type) {
+  return CustomFieldDefinition.find({ $or: [{ applies_to: { $size: 0 } }, { applies_to: type }] })
+    .sort({ sort_order: 1, id: 1 })
+    .lean();
+}
+
+// Multipart forms send custom_fields as a JSON string; undefined when absent, null when malformed
+function parseCustomFieldInput(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+// Custom field values marked public, as label/value pairs for the verify page
+async function getPublicCustomFields(employee) {
+  const values = employee.custom_fields || {};
+  const definitions = await findCustomFieldDefinitions(employee.type);
+  return definitions
+    .filter(definition => definition.public_on_verify && values[definition.key])
+    .map(definition => ({ label: definition.label, value: values[definition.key] }));
+}
+
+// List custom field definitions, optionally only those for one ID type
+app.get('/api/custom-fields', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const { type } = req.query;
+
+  try {
+    if (type && !(await findPersonType(type))) {
+      return res.status(400).json({ error: 'Invalid type parameter' });
+    }
+
+    const definitions = type
+      ? await findCustomFieldDefinitions(type)
+      : await CustomFieldDefinition.find().sort({ sort_order: 1, id: 1 }).lean();
+    res.json(toPlainList(definitions));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Define a new custom field
+app.post('/api/custom-fields', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const validation = validateCustomFieldDefinition(req.body || {}, await findPersonTypeCodes());
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+
+    if (await CustomFieldDefinition.exists({ key: validation.definition.key })) {
+      return res.status(409).json({ error: `A custom field with key ${validation.definition.key} already exists` });
+    }
+
+    const definition = await CustomFieldDefinition.create({
+      id: await getNextSequenceValue('custom_fields'),
+      ...validation.definition,
+      created_by: getActor(req)
+    });
+    await recordAudit(req, {
+      action: 'custom_field.create',
+      entityType: 'custom_field',
+      entityId: definition.id,
+      after: definition.toObject()
+    });
+    res.status(201).json(toPlainObject(definition.toObject()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a custom field; the key is fixed because stored values are filed under it
+app.put('/api/custom-fields/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid custom field ID' });
+  }
+
+  try {
+    const definition = await CustomFieldDefinition.findOne({ id });
+    if (!definition) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const validation = validateCustomFieldDefinition({ ...req.body, key: definition.key }, await findPersonTypeCodes());
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+    if (req.body?.key && req.body.key !== definition.key) {
+      return res.status(400).json({ error: 'The key of a custom field cannot be changed' });
+    }
+
+    const before = definition.toObject();
+    definition.set(validation.definition);
+    await definition.save();
+    await recordAudit(req, {
+      action: 'custom_field.update',
+      entityType: 'custom_field',
+      entityId: id,
+      before,
+      after: definition.toObject()
+    });
+    res.json(toPlainObject(definition.toObject()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a custom field; values already saved on employees are kept but no longer shown
+app.delete('/api/custom-fields/:id', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid custom field ID' });
+  }
+
+  try {
+    const definition = await CustomFieldDefinition.findOneAndDelete({ id }).lean();
+    if (!definition) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    await recordAudit(req, {
+      action: 'custom_field.delete',
+      entityType: 'custom_field',
+      entityId: id,
+      before: definition
+    });
+    res.json({ message: 'Custom field deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ ID FORMATS ============
+
+const ID_FORMAT_FIELDS = ['template', 'org_code', 'type_code', 'reset_policy', 'check_digit'];
+
+// Saved (or default) ID number format of every type
+app.get('/api/id-formats', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const formats = await Promise.all((await findPersonTypeCodes()).map(type => getIdFormat(type)));
+    res.json(toPlainList(formats));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Next ID number for a type without consuming it; query fields preview an unsaved format
+app.get('/api/id-formats/:type/preview', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const { type } = req.params;
+
+  try {
+    if (!(await findPersonType(type))) {
+      return res.status(404).json({ error: 'Unknown ID type' });
+    }
+
+    const saved = await getIdFormat(type);
+    const proposed = { ...saved };
+    ID_FORMAT_FIELDS.filter(field => typeof req.query[field] === 'string').forEach((field) => {
+      proposed[field] = req.query[field];
+    });
+    const validation = validateIdFormat(proposed);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+
+    const format = { type, ...validation.format };
+    const department = typeof req.query.department === 'string' ? req.query.department.trim() : '';
+    if (usesDepartment(format) && !department) {
+      return res.status(400).json({ error: 'department is required to preview this format' });
+    }
+
+    res.json(await previewEmployeeCode(format, { department }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save the ID number format of a type; numbers already issued keep their old format
+app.put('/api/id-formats/:type', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  const { type } = req.params;
+  const validation = validateIdFormat(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+  }
+
+  try {
+    if (!(await findPersonType(type))) {
+      return res.status(404).json({ error: 'Unknown ID type' });
+    }
+
+    const before = await getIdFormat(type);
+    const format = await IdFormat.findOneAndUpdate(
+      { type },
+      { $set: { ...validation.format, updated_by: getActor(req) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, projection: { _id: 0 } }
+    ).lean();
+    await recordAudit(req, {
+      action: 'id_format.update',
+      entityType: 'id_format',
+      entityId: type,
+      before,
+      after: format
+    });
+    res.json(toPlainObject(format));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ GLOBAL SEARCH ============
+
+const SEARCH_RESULTS_PER_GROUP = 5;
+const MAX_SEARCH_RESULTS_PER_GROUP = 25;
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Exact identifier match first, then text index hits ranked by relevance
+async function searchCollection(Model, { q, identifierField, filter, projection, limit }) {
+  const exact = await Model.findOne({ ...filter, [identifierField]: q.toUpperCase() }, projection).lean();
+  // Quotes and leading dashes are text search operators; user input is searched as plain words
+  const terms = q.replace(/["-]/g, ' ').trim();
+  const ranked = terms
+    ? await Model.find({ ...filter, $text: { $search: terms } }, { ...projection, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean()
+    : [];
+
+  const hits = exact ? [exact, ...ranked.filter(item => item.id !== exact.id)] : ranked;
+  return hits.slice(0, limit).map(({ _id, ...hit }) => hit);
+}
+
+// Search employees, certificates and offer letters the caller is allowed to read
+app.get('/api/search', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q || q.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Search query must be 1-${MAX_SEARCH_QUERY_LENGTH} characters` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_RESULTS_PER_GROUP, 1), MAX_SEARCH_RESULTS_PER_GROUP);
+  const canRead = permission => req.user.permissions.includes(permission);
+
+  try {
+    const [employees, certificates, offerLetters] = await Promise.all([
+      canRead(PERMISSIONS.EMPLOYEES_READ)
+        ? searchCollection(Employee, {
+          q,
+          limit,
+          identifierField: 'employee_id',
+          filter: buildDepartmentFilter(req.user),
+          projection: { id: 1, employee_id: 1, name: 1, designation: 1, department: 1, type: 1, status: 1 }
+        })
+        : null,
+      canRead(PERMISSIONS.CERTIFICATES_READ)
+        ? searchCollection(Certificate, {
+          q,
+          limit,
+          identifierField: 'certificate_code',
+          filter: {},
+          projection: { id: 1, certificate_code: 1, name: 1, certificate_type: 1, status: 1 }
+        })
+        : null,
+      canRead(PERMISSIONS.OFFER_LETTERS_READ)
+        ? searchCollection(OfferLetter, {
+          q,
+          limit,
+          identifierField: 'offer_letter_number',
+          filter: {},
+          projection: { id: 1, offer_letter_number: 1, candidate_name: 1, designation: 1, status: 1 }
+        })
+        : null
+    ]);
+
+    // Groups the caller cannot read are left out rather than returned empty
+    const groups = { employees, certificates, offer_letters: offerLetters };
+    res.json(Object.fromEntries(Object.entries(groups).filter(([, hits]) => hits !== null)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ AUDIT TRAIL ============
+
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+function parseDateParam(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// Search audit events, newest first
+app.get('/api/audit', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  const { actor, action, entity_type, entity_id, from, to } = req.query;
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || AUDIT_PAGE_SIZE, 1), MAX_AUDIT_PAGE_SIZE);
+
+  const fromDate = parseDateParam(from);
+  const toDate = parseDateParam(to, true);
+  if (fromDate === undefined || toDate === undefined) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const query = {};
+  if (actor) {
+    query.actor = new RegExp(escapeRegex(String(actor).trim()), 'i');
+  }
+  if (action) {
+    query.action = String(action);
+  }
+  if (entity_type) {
+    query.entity_type = String(entity_type);
+  }
+  if (entity_id) {
+    query.entity_id = String(entity_id);
+  }
+  if (fromDate || toDate) {
+    query.timestamp = {};
+    if (fromDate) query.timestamp.$gte = fromDate;
+    if (toDate) query.timestamp.$lte = toDate;
+  }
+
+  try {
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events: toPlainList(events),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute the hash chain to detect edited or deleted events
+app.get('/api/audit/verify', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    if (!result.valid) {
+      logger.warn('Audit chain verification failed', { ...result, by: getActor(req), requestId: req.requestId });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Another employee already holding this Aadhaar number (looked up through the blind index)
+async function findDuplicateAadhaar(aadharNumber, excludeId = null) {
+  if (!aadharNumber) {
+    return null;
+  }
+  const filter = { aadhar_number: aadharNumber };
+  if (excludeId) {
+    filter.id = { $ne: excludeId };
+  }
+  return Employee.findOne(filter, { id: 1, employee_id: 1 }).lean();
+}
+
+function sendDuplicateAadhaar(res, duplicate) {
+  return res.status(409).json({
+    error: 'Another employee already has this Aadhaar number',
+    employeeId: duplicate.employee_id
+  });
+}
+
+// Routes
+app.post('/api/employees', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), (req, res) => {
+  uploadImage.single('photo')(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
+      }
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const {
+        name, designation, department, type, employment_type, work_location, email, phone, address,
+        emergency_contact, emergency_phone, date_of_birth, joining_date,
+        salary, bank_account, aadhar_number, pan_number, blood_group, manager, valid_from, valid_until
+      } = req.body;
+
+      const sanitizedData = sanitizeEmployeeData({
+        name, designation, department, type, employment_type, work_location, email, phone, address,
+        emergency_contact, emergency_phone, date_of_birth, joining_date,
+        salary, bank_account, aadhar_number, pan_number, blood_group, manager, valid_from, valid_until
+      });
+
+      const employeeType = sanitizedData.type || 'employee';
+      const customFieldInput = parseCustomFieldInput(req.body.custom_fields);
+      if (customFieldInput === null) {
+        return res.status(400).json({ error: 'custom_fields must be an object' });
+      }
+
+      const personType = await findPersonType(employeeType);
+      if (personType && !sanitizedData.employment_type) {
+        sanitizedData.employment_type = personType.default_employment_type;
+      }
+
+      const validation = validateEmployeeData(sanitizedData);
+      const customFields = validateCustomFieldValues(await findCustomFieldDefinitions(employeeType), customFieldInput);
+      if (!validation.valid || !customFields.valid || !personType) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          errors: {
+            ...(personType ? {} : { type: `Unknown person type: ${employeeType}` }),
+            ...validation.errors,
+            ...customFields.errors
+          }
+        });
+      }
+
+      if (!isDepartmentInScope(req.user, sanitizedData.department)) {
+        return sendOutOfScope(res);
+      }
+
+      const duplicate = await findDuplicateAadhaar(sanitizedData.aadhar_number);
+      if (duplicate) {
+        return sendDuplicateAadhaar(res, duplicate);
+      }
+
+      const uuid = uuidv4();
+      const employeeId = await generateIdNumber(employeeType, sanitizedData.department);
+      const numericId = await getNextEmployeeRowId();
+
+      const photo = req.file ? req.file.filename : null;
+      const validity = resolveValidity(personType, {
+        validFrom: sanitizedData.valid_from,
+        validUntil: sanitizedData.valid_until
+      });
+
+      const employee = await Employee.create({
+        id: numericId,
+        uuid,
+        employee_id: employeeId,
+        name: sanitizedData.name,
+        designation: sanitizedData.designation,
+        department: sanitizedData.department,
+        type: employeeType,
+        employment_type: sanitizedData.employment_type,
         work_location: sanitizedData.work_location,
         photo,
-        qr_code: qrCode,
         email: sanitizedData.email,
         phone: sanitizedData.phone,
         address: sanitizedData.address,
@@ -420,150 +2943,1211 @@ app.post('/api/employees', (req, res) => {
         aadhar_number: sanitizedData.aadhar_number,
         pan_number: sanitizedData.pan_number,
         blood_group: sanitizedData.blood_group,
-        manager: sanitizedData.manager
+        manager: sanitizedData.manager,
+        valid_from: validity.valid_from,
+        valid_until: validity.valid_until,
+        custom_fields: customFields.values
+      });
+      await issueEmployeeCard(req, employee, 'new');
+      await employee.save();
+
+      log('info', 'Employee created successfully', {
+        id: employee.id,
+        employeeId,
+        name: sanitizedData.name,
+        requestId: req.requestId
+      });
+      await recordAudit(req, {
+        action: 'employee.create',
+        entityType: 'employee',
+        entityId: employee.id,
+        after: employee.toObject()
+      });
+      await recordEmployeeRevision(req, employee, 'create');
+
+      res.json({
+        id: employee.id,
+        uuid,
+        employeeId,
+        message: 'Employee created successfully'
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res.status(409).json({
+          error: 'Employee ID conflict. Please try again.',
+          details: 'Duplicate key detected while saving employee. Retrying will issue a fresh ID.'
+        });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+app.get('/api/employees', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    const employees = await Employee.find(buildDepartmentFilter(req.user)).sort({ created_at: -1 }).lean();
+    res.json(toMaskedEmployeeList(employees));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List archived employees, most recently archived first
+app.get('/api/employees/archived', requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
+  try {
+    const employees = await Employee.find({ deleted_at: { $ne: null }, ...buildDepartmentFilter(req.user) })
+      .sort({ deleted_at: -1 })
+      .lean();
+    res.json(toMaskedEmployeeList(employees));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const DEFAULT_EXPIRING_WITHIN_DAYS = 30;
+const MAX_EXPIRING_WITHIN_DAYS = 365;
+const MAX_EXPIRING_RESULTS = 200;
+
+// Cards whose validity ends within the next ?days= days (default 30), soonest first
+app.get('/api/employees/expiring', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_EXPIRING_WITHIN_DAYS, 1), MAX_EXPIRING_WITHIN_DAYS);
+  const today = todayString();
+  const until = new Date();
+  until.setUTCDate(until.getUTCDate() + days);
+
+  try {
+    const employees = await Employee.find(
+      {
+        ...buildDepartmentFilter(req.user),
+        status: 'active',
+        valid_until: { $gte: today, $lte: until.toISOString().split('T')[0] }
+      },
+      { id: 1, employee_id: 1, name: 1, department: 1, designation: 1, type: 1, valid_from: 1, valid_until: 1 }
+    ).sort({ valid_until: 1 }).limit(MAX_EXPIRING_RESULTS).lean();
+    res.json({ days, employees: toPlainList(employees) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const EMPLOYEE_PAGE_SIZE = 24;
+const MAX_EMPLOYEE_PAGE_SIZE = 200;
+const MAX_SORT_FIELDS = 3;
+const SORTABLE_EMPLOYEE_FIELDS = ['name', 'employee_id', 'department', 'designation', 'status', 'type', 'joining_date', 'created_at'];
+// Older clients send sortBy=name|date|id
+const LEGACY_EMPLOYEE_SORTS = { name: 'name', date: '-created_at', id: 'employee_id' };
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "department,-joining_date" -> { department: 1, joining_date: -1, id: 1 }; null when a field is not sortable
+function parseEmployeeSort(value) {
+  const fields = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  if (fields.length === 0 || fields.length > MAX_SORT_FIELDS) {
+    return null;
+  }
+  const sort = {};
+  for (const item of fields) {
+    const field = item.replace(/^-/, '');
+    if (!SORTABLE_EMPLOYEE_FIELDS.includes(field) || field in sort) {
+      return null;
+    }
+    sort[field] = item.startsWith('-') ? -1 : 1;
+  }
+  // Tie-breaker so pages never overlap
+  sort.id = 1;
+  return sort;
+}
+
+// Search employees with filters, sorting and pagination
+app.get('/api/employees/search', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    const {
+      q, type, status, department, employment_type, work_location, blood_group,
+      joining_from, joining_to, created_from, created_to, sortBy
+    } = req.query;
+
+    if (q && (typeof q !== 'string' || q.length > 100)) {
+      return res.status(400).json({ error: 'Invalid search query' });
+    }
+
+    const validStatuses = ['all', 'active', 'inactive', 'terminated', 'resigned', 'on_leave', 'suspended', 'expired'];
+
+    if (type && type !== 'all' && !(await findPersonType(type))) {
+      return res.status(400).json({ error: 'Invalid type parameter' });
+    }
+
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status parameter' });
+    }
+
+    if (sortBy && !LEGACY_EMPLOYEE_SORTS[sortBy]) {
+      return res.status(400).json({ error: 'Invalid sortBy parameter' });
+    }
+
+    const sort = parseEmployeeSort(req.query.sort || LEGACY_EMPLOYEE_SORTS[sortBy] || '-created_at');
+    if (!sort) {
+      return res.status(400).json({ error: `Invalid sort parameter. Sortable fields: ${SORTABLE_EMPLOYEE_FIELDS.join(', ')}` });
+    }
+
+    for (const [name, value] of Object.entries({ department, employment_type, work_location, blood_group })) {
+      if (value && (typeof value !== 'string' || value.length > 50)) {
+        return res.status(400).json({ error: `Invalid ${name} parameter` });
+      }
+    }
+
+    for (const value of [joining_from, joining_to]) {
+      if (value && !DATE_ONLY_PATTERN.test(value)) {
+        return res.status(400).json({ error: 'Joining dates must be YYYY-MM-DD' });
+      }
+    }
+
+    const createdFrom = parseDateParam(created_from);
+    const createdTo = parseDateParam(created_to, true);
+    if (createdFrom === undefined || createdTo === undefined) {
+      return res.status(400).json({ error: 'Invalid created date range' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || EMPLOYEE_PAGE_SIZE, 1), MAX_EMPLOYEE_PAGE_SIZE);
+
+    const filter = buildDepartmentFilter(req.user);
+
+    if (q && q.trim()) {
+      const regex = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [
+        { name: regex },
+        { employee_id: regex },
+        { 'previous_ids.employee_id': regex },
+        { department: regex },
+        { designation: regex },
+        { email: regex },
+        { phone: regex }
+      ];
+      // Encrypted fields only support exact matches through their blind index
+      if (isEncryptionConfigured()) {
+        filter.$or.push(
+          { aadhar_number: q.trim() },
+          { pan_number: q.trim() },
+          { bank_account: q.trim() }
+        );
+      }
+    }
+
+    if (type && type !== 'all') {
+      filter.type = type;
+    }
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (department && department !== 'all') {
+      if (!isDepartmentInScope(req.user, department.trim())) {
+        return res.json({ employees: [], total: 0, page, limit, pages: 0 });
+      }
+      filter.department = department.trim();
+    }
+
+    if (employment_type && employment_type !== 'all') {
+      filter.employment_type = employment_type.trim();
+    }
+
+    if (work_location && work_location !== 'all') {
+      filter.work_location = new RegExp(`^${escapeRegex(work_location.trim())}$`, 'i');
+    }
+
+    if (blood_group && blood_group !== 'all') {
+      filter.blood_group = blood_group.trim();
+    }
+
+    // Date inputs store joining_date as YYYY-MM-DD, so string comparison orders it correctly
+    if (joining_from || joining_to) {
+      filter.joining_date = {};
+      if (joining_from) filter.joining_date.$gte = joining_from;
+      if (joining_to) filter.joining_date.$lte = joining_to;
+    }
+
+    if (createdFrom || createdTo) {
+      filter.created_at = {};
+      if (createdFrom) filter.created_at.$gte = createdFrom;
+      if (createdTo) filter.created_at.$lte = createdTo;
+    }
+
+    const [employees, total] = await Promise.all([
+      Employee.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      Employee.countDocuments(filter)
+    ]);
+
+    res.json({
+      employees: toMaskedEmployeeList(employees),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bulk status update endpoint
+app.put('/api/employees/bulk-status', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const { employeeIds, status } = req.body;
+
+  if (!employeeIds || !Array.isArray(employeeIds) || employeeIds.length === 0) {
+    return res.status(400).json({ error: 'Employee IDs are required' });
+  }
+
+  if (!status) {
+    return res.status(400).json({ error: 'Status is required' });
+  }
+
+  const validIds = employeeIds
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isInteger(id) && id > 0);
+
+  if (validIds.length === 0) {
+    return res.status(400).json({ error: 'No valid employee IDs provided' });
+  }
+
+  const validStatuses = ['active', 'inactive', 'terminated', 'resigned', 'on_leave', 'suspended', 'expired'];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status value' });
+  }
+
+  try {
+    if (!(await ensureEmployeesInScope(req, res, validIds))) {
+      return;
+    }
+    const before = await Employee.find({ id: { $in: validIds } }).lean();
+    const result = await Employee.updateMany({ id: { $in: validIds } }, { $set: { status } });
+    await recordBulkAudit(req, 'employee.bulk_status', 'employee', before, { status });
+    await recordBulkRevisions(req, 'bulk_status', before);
+    await startOffboardings(req, before.filter(record => record.status !== status).map(record => ({ ...record, status })));
+    res.json({
+      message: `Successfully updated ${result.modifiedCount} employee(s)`,
+      updatedCount: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/employees/:id', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(toMaskedEmployee(employee));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_ARCHIVE_REASON_LENGTH = 500;
+
+// Archive an employee; the record stays so printed QR codes and certificates still resolve
+app.delete('/api/employees/:id', requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  const reason = sanitizeInput(req.body?.reason || '');
+  if (reason.length > MAX_ARCHIVE_REASON_LENGTH) {
+    return res.status(400).json({ error: `Reason must be at most ${MAX_ARCHIVE_REASON_LENGTH} characters` });
+  }
+
+  try {
+    if (!(await ensureEmployeesInScope(req, res, [id]))) {
+      return;
+    }
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const before = employee.toObject();
+    employee.deleted_at = new Date();
+    employee.deleted_by = getActor(req);
+    employee.deletion_reason = reason || null;
+    await employee.save();
+
+    await recordAudit(req, {
+      action: 'employee.archive',
+      entityType: 'employee',
+      entityId: id,
+      before,
+      after: employee.toObject()
+    });
+    await recordEmployeeRevision(req, employee, 'archive', { before, metadata: reason ? { reason } : null });
+    res.json({ message: 'Employee archived successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bring an archived employee back
+app.post('/api/employees/:id/restore', requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, deleted_at: { $ne: null } });
+    if (!employee) {
+      return res.status(404).json({ error: 'Archived employee not found' });
+    }
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+
+    const duplicate = await findDuplicateAadhaar(employee.aadhar_number, employee.id);
+    if (duplicate) {
+      return sendDuplicateAadhaar(res, duplicate);
+    }
+
+    const before = employee.toObject();
+    employee.deleted_at = null;
+    employee.deleted_by = null;
+    employee.deletion_reason = null;
+    await employee.save();
+
+    await recordAudit(req, {
+      action: 'employee.restore',
+      entityType: 'employee',
+      entityId: id,
+      before,
+      after: employee.toObject()
+    });
+    await recordEmployeeRevision(req, employee, 'restore', { before });
+    res.json({ message: 'Employee restored successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Permanently delete an archived employee
+app.delete('/api/employees/:id/purge', requirePermission(PERMISSIONS.EMPLOYEES_PURGE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    // Revisions hold full snapshots of the record, so they and every row tied to the employee go with it
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let employee;
+    const removed = {};
+    try {
+      employee = await Employee.findOneAndDelete({ id, deleted_at: { $ne: null } }, { session }).lean();
+      if (!employee) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({ error: 'Archived employee not found. Archive it before purging.' });
+      }
+
+      removed.revisions = (await deleteEmployeeRevisions(id, { session })).deletedCount;
+      removed.cards = (await CardIssuance.deleteMany({ employee_row_id: id }, { session })).deletedCount;
+      removed.scheduled_status_changes = (await ScheduledStatusChange.deleteMany({ employee_row_id: id }, { session })).deletedCount;
+      removed.offboardings = (await Offboarding.deleteMany({ employee_row_id: id }, { session })).deletedCount;
+      removed.conversions = (await EmployeeConversion.deleteMany({ employee_row_id: id }, { session })).deletedCount;
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'employee.purge',
+      entityType: 'employee',
+      entityId: id,
+      before: employee,
+      metadata: { removed }
+    });
+    logger.warn('Employee purged', { employeeId: employee.employee_id, by: getActor(req), requestId: req.requestId });
+    res.json({ message: 'Employee permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/employees/:id', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), uploadImage.single('photo'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid employee ID' });
+    }
+
+    const {
+      name, designation, department, type, employment_type, work_location, status, email, phone, address,
+      emergency_contact, emergency_phone, date_of_birth, joining_date,
+      salary, bank_account, aadhar_number, pan_number, blood_group, manager, valid_from, valid_until, existingPhoto
+    } = req.body;
+
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+    const before = employee.toObject();
+
+    const sanitizedData = sanitizeEmployeeData({
+      name, designation, department, type, employment_type, work_location, status, email, phone, address,
+      emergency_contact, emergency_phone, date_of_birth, joining_date,
+      salary, bank_account, aadhar_number, pan_number, blood_group, manager, valid_from, valid_until
+    });
+    // Validity dates are only changed when sent; an empty valid_until removes the expiry
+    sanitizedData.valid_from = valid_from === undefined ? employee.valid_from : sanitizedData.valid_from || null;
+    sanitizedData.valid_until = valid_until === undefined ? employee.valid_until : sanitizedData.valid_until || null;
+
+    // The edit form sends masked values back untouched; those mean "keep the stored value"
+    for (const field of MASKED_EMPLOYEE_FIELDS) {
+      if (sanitizedData[field] && sanitizedData[field] === maskSensitiveValue(employee[field])) {
+        sanitizedData[field] = employee[field];
+      }
+    }
+
+    // Custom fields are only replaced when the form sends them; they are checked against the new type
+    const customFieldInput = parseCustomFieldInput(req.body.custom_fields);
+    if (customFieldInput === null) {
+      return res.status(400).json({ error: 'custom_fields must be an object' });
+    }
+
+    const validation = validateEmployeeData(sanitizedData);
+    const customFields = customFieldInput === undefined
+      ? { valid: true, errors: {}, values: employee.custom_fields }
+      : validateCustomFieldValues(await findCustomFieldDefinitions(sanitizedData.type || employee.type), customFieldInput);
+    const typeKnown = !sanitizedData.type || sanitizedData.type === employee.type || Boolean(await findPersonType(sanitizedData.type));
+    if (!validation.valid || !customFields.valid || !typeKnown) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: {
+          ...(typeKnown ? {} : { type: `Unknown person type: ${sanitizedData.type}` }),
+          ...validation.errors,
+          ...customFields.errors
+        }
       });
+    }
+
+    if (sanitizedData.department && !isDepartmentInScope(req.user, sanitizedData.department)) {
+      return sendOutOfScope(res);
+    }
+
+    const duplicate = await findDuplicateAadhaar(sanitizedData.aadhar_number, employee.id);
+    if (duplicate) {
+      return sendDuplicateAadhaar(res, duplicate);
+    }
+
+    let photo = employee.photo;
+    if (req.file) {
+      photo = req.file.filename;
+    } else if (existingPhoto) {
+      photo = existingPhoto;
+    }
+
+    let employeeId = employee.employee_id;
+    if (sanitizedData.type && sanitizedData.type !== employee.type) {
+      employeeId = await generateIdNumber(sanitizedData.type, sanitizedData.department ?? employee.department);
+      retireEmployeeId(employee, 'type_change');
+    }
+
+    employee.name = sanitizedData.name ?? employee.name;
+    employee.designation = sanitizedData.designation ?? employee.designation;
+    employee.department = sanitizedData.department ?? employee.department;
+    employee.type = sanitizedData.type ?? employee.type;
+    employee.employment_type = sanitizedData.employment_type ?? employee.employment_type;
+    employee.work_location = sanitizedData.work_location ?? employee.work_location;
+    employee.status = sanitizedData.status ?? employee.status;
+    employee.photo = photo;
+    employee.employee_id = employeeId;
+    employee.email = sanitizedData.email ?? employee.email;
+    employee.phone = sanitizedData.phone ?? employee.phone;
+    employee.address = sanitizedData.address ?? employee.address;
+    employee.emergency_contact = sanitizedData.emergency_contact ?? employee.emergency_contact;
+    employee.emergency_phone = sanitizedData.emergency_phone ?? employee.emergency_phone;
+    employee.date_of_birth = sanitizedData.date_of_birth ?? employee.date_of_birth;
+    employee.joining_date = sanitizedData.joining_date ?? employee.joining_date;
+    employee.salary = sanitizedData.salary ?? employee.salary;
+    employee.bank_account = sanitizedData.bank_account ?? employee.bank_account;
+    employee.aadhar_number = sanitizedData.aadhar_number ?? employee.aadhar_number;
+    employee.pan_number = sanitizedData.pan_number ?? employee.pan_number;
+    employee.blood_group = sanitizedData.blood_group ?? employee.blood_group;
+    employee.manager = sanitizedData.manager ?? employee.manager;
+    employee.valid_from = sanitizedData.valid_from;
+    employee.valid_until = sanitizedData.valid_until;
+    employee.custom_fields = customFields.values;
+    // A new ID number needs a newly printed card
+    if (employeeId !== before.employee_id) {
+      await issueEmployeeCard(req, employee, 'id_change');
+    }
 
-      log('info', 'Employee created successfully', {
-        id: employee.id,
-        employeeId,
-        name: sanitizedData.name,
-        requestId: req.requestId
-      });
+    await employee.save();
+    await recordAudit(req, {
+      action: 'employee.update',
+      entityType: 'employee',
+      entityId: employee.id,
+      before,
+      after: employee.toObject()
+    });
+    await recordEmployeeRevision(req, employee, 'update', { before });
+    if (employee.status !== before.status) {
+      await startOffboardings(req, [employee]);
+    }
 
-      res.json({
-        id: employee.id,
-        uuid,
-        employeeId,
-        message: 'Employee created successfully'
-      });
-    } catch (error) {
-      if (error?.code === 11000) {
-        return res.status(409).json({
-          error: 'Employee ID conflict. Please try again.',
-          details: 'Duplicate key detected while saving employee. Retrying will issue a fresh ID.'
-        });
+    res.json({ message: 'Employee updated successfully', employeeId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fields a rollback copies back from a revision snapshot; archive state and the photo file are left alone
+const ROLLBACK_FIELDS = [
+  'employee_id', 'name', 'designation', 'department', 'type', 'employment_type', 'work_location', 'status',
+  'email', 'phone', 'address', 'emergency_contact', 'emergency_phone', 'date_of_birth', 'joining_date',
+  'salary', 'bank_account', 'aadhar_number', 'pan_number', 'blood_group', 'manager', 'valid_from', 'valid_until',
+  'custom_fields'
+];
+
+// Revision history of an employee, newest first
+app.get('/api/employees/:id/history', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).withArchived().lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(await listEmployeeRevisions(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an employee's fields to the state saved in an earlier revision
+app.post('/api/employees/:id/rollback/:revision', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const revision = parseInt(req.params.revision, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+  if (!Number.isInteger(revision) || revision <= 0) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+
+    const snapshot = await getRevisionSnapshot(id, revision);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (!isDepartmentInScope(req.user, snapshot.department)) {
+      return sendOutOfScope(res);
+    }
+    if (snapshot.type !== employee.type && !(await findPersonType(snapshot.type))) {
+      return res.status(409).json({ error: `Person type ${snapshot.type} no longer exists` });
+    }
+
+    const duplicate = await findDuplicateAadhaar(snapshot.aadhar_number, employee.id);
+    if (duplicate) {
+      return sendDuplicateAadhaar(res, duplicate);
+    }
+
+    const before = employee.toObject();
+    if (snapshot.employee_id !== employee.employee_id) {
+      const idTaken = await Employee.exists({
+        $or: [{ employee_id: snapshot.employee_id }, { 'previous_ids.employee_id': snapshot.employee_id }],
+        id: { $ne: employee.id }
+      }).withArchived();
+      if (idTaken) {
+        return res.status(409).json({ error: `ID ${snapshot.employee_id} now belongs to another record` });
       }
-      res.status(500).json({ error: error.message });
+      // The restored number becomes current again and the one being replaced turns into an alias
+      retireEmployeeId(employee, 'rollback');
+      employee.previous_ids = employee.previous_ids.filter(previous => previous.employee_id !== snapshot.employee_id);
+    }
+
+    ROLLBACK_FIELDS.forEach((field) => {
+      if (field in snapshot) {
+        employee[field] = snapshot[field];
+      }
+    });
+    if (employee.employee_id !== before.employee_id) {
+      await issueEmployeeCard(req, employee, 'id_change');
+    }
+    await employee.save();
+
+    await recordAudit(req, {
+      action: 'employee.rollback',
+      entityType: 'employee',
+      entityId: employee.id,
+      before,
+      after: employee.toObject(),
+      metadata: { revision }
+    });
+    await recordEmployeeRevision(req, employee, 'rollback', { before, metadata: { from_revision: revision } });
+    if (employee.status !== before.status) {
+      await startOffboardings(req, [employee]);
     }
+
+    res.json({ message: `Employee rolled back to revision ${revision}`, employeeId: employee.employee_id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Role details kept on a conversion record for before and after
+const CONVERSION_ROLE_FIELDS = ['employee_id', 'type', 'designation', 'department', 'employment_type', 'joining_date'];
+
+function pickConversionRole(employee) {
+  return Object.fromEntries(CONVERSION_ROLE_FIELDS.map(field => [field, employee[field] ?? null]));
+}
+
+// Move a person to another type, e.g. hire an intern: new ID number and role, optional completion certificate
+app.post('/api/employees/:id/convert', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  const { designation, employment_type, joining_date, salary, issue_certificate, certificate } = req.body || {};
+  const issueCompletionCertificate = issue_certificate === true || issue_certificate === 'true';
+  if (issueCompletionCertificate && !req.user.permissions.includes(PERMISSIONS.CERTIFICATES_ISSUE)) {
+    return res.status(403).json({ error: 'You do not have permission to issue certificates' });
+  }
+
+  const sanitizedData = sanitizeEmployeeData({
+    type: req.body?.type || 'employee',
+    designation,
+    employment_type,
+    joining_date,
+    salary
   });
+  const customFieldInput = parseCustomFieldInput(req.body?.custom_fields);
+  if (customFieldInput === null) {
+    return res.status(400).json({ error: 'custom_fields must be an object' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+
+    // Only the submitted role fields are checked; a blank employment type falls back to the type's default
+    const errors = {};
+    Object.entries(sanitizedData).forEach(([field, value]) => {
+      const result = validateField(field, value);
+      if (!result.valid && !(field === 'employment_type' && !value)) {
+        errors[field] = result.error;
+      }
+    });
+    if (!sanitizedData.joining_date) {
+      errors.joining_date = 'joining_date is required';
+    }
+
+    const personType = await findPersonType(sanitizedData.type);
+    if (!personType) {
+      errors.type = `Unknown person type: ${sanitizedData.type}`;
+    } else if (sanitizedData.type === employee.type) {
+      errors.type = `Already of type ${sanitizedData.type}`;
+    }
+
+    // Checked against the new type like on create; kept values of fields the new type also has count as given
+    const definitions = personType ? await findCustomFieldDefinitions(sanitizedData.type) : [];
+    const keptValues = Object.fromEntries(
+      Object.entries(employee.custom_fields || {}).filter(([key]) => definitions.some(definition => definition.key === key))
+    );
+    const customFields = validateCustomFieldValues(definitions, { ...keptValues, ...customFieldInput });
+    Object.assign(errors, customFields.errors);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const before = employee.toObject();
+    const previousRole = pickConversionRole(employee);
+
+    // The new ID number, role and conversion record are saved together or not at all,
+    // so a failed conversion does not use up a number
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let employeeId;
+    let conversion;
+    try {
+      employeeId = await generateIdNumber(sanitizedData.type, employee.department, session);
+
+      retireEmployeeId(employee, 'conversion');
+      employee.type = sanitizedData.type;
+      employee.employee_id = employeeId;
+      employee.designation = sanitizedData.designation;
+      employee.employment_type = sanitizedData.employment_type || personType.default_employment_type;
+      employee.joining_date = sanitizedData.joining_date;
+      employee.salary = sanitizedData.salary || employee.salary;
+      employee.custom_fields = customFields.values;
+      // The new card runs on the new type's validity, e.g. an intern's end date no longer applies
+      Object.assign(employee, resolveValidity(personType));
+
+      await employee.save({ session });
+      [conversion] = await EmployeeConversion.create([
+        {
+          id: await getNextSequenceValue('employee_conversions'),
+          employee_row_id: employee.id,
+          from_type: previousRole.type,
+          to_type: employee.type,
+          previous: previousRole,
+          current: pickConversionRole(employee),
+          converted_by: getActor(req)
+        }
+      ], { session });
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
+    }
+
+    // Printing the card for the new ID number revokes the old one, so it waits until the conversion is saved
+    await issueEmployeeCard(req, employee, 'id_change');
+    await employee.save();
+
+    // The conversion stands even if the certificate fails; it can still be issued from the certificates page
+    let certificateCode = null;
+    let certificateError = null;
+    if (issueCompletionCertificate) {
+      try {
+        const issued = await issueCertificate(req, {
+          person_uuid: employee.uuid,
+          name: employee.name,
+          certificate_type: sanitizeInput(certificate?.certificate_type) || 'Internship',
+          domain: sanitizeInput(certificate?.domain) || previousRole.department,
+          technology: sanitizeInput(certificate?.technology),
+          mentor: sanitizeInput(certificate?.mentor),
+          designation: previousRole.designation,
+          start_date: previousRole.joining_date,
+          end_date: new Date().toISOString().split('T')[0]
+        });
+        certificateCode = issued.certificate_code;
+        conversion.certificate_code = certificateCode;
+        await conversion.save();
+      } catch (error) {
+        certificateError = error.message;
+        logger.error('Failed to issue completion certificate', { employeeId: employee.id, error: error.message, requestId: req.requestId });
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'employee.convert',
+      entityType: 'employee',
+      entityId: employee.id,
+      before,
+      after: employee.toObject(),
+      metadata: {
+        conversion_id: conversion.id,
+        from_type: previousRole.type,
+        to_type: employee.type,
+        previous_employee_id: previousRole.employee_id,
+        certificate_code: certificateCode
+      }
+    });
+    await recordEmployeeRevision(req, employee, 'convert', { before, metadata: { conversion_id: conversion.id } });
+
+    res.status(201).json({
+      message: `Converted to ${personType.label}`,
+      employeeId,
+      certificateCode,
+      ...(certificateError ? { certificate_error: certificateError } : {}),
+      conversion: toPlainObject(conversion)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/api/employees', async (req, res) => {
+// Extend a card's validity and print a new card version; an expired card becomes active again
+app.post('/api/employees/:id/renew', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  const validUntil = sanitizeInput(req.body?.valid_until);
+  const months = req.body?.months === undefined ? null : Number(req.body.months);
+  const today = todayString();
+  if (validUntil && (!validateField('valid_until', validUntil).valid || validUntil < today)) {
+    return res.status(400).json({ error: 'Validation failed', errors: { valid_until: 'Valid until must be a date (YYYY-MM-DD) from today on' } });
+  }
+  if (months !== null && !(Number.isInteger(months) && months > 0)) {
+    return res.status(400).json({ error: 'Validation failed', errors: { months: 'Months must be a positive whole number' } });
+  }
+
   try {
-    const employees = await Employee.find().sort({ created_at: -1 }).lean();
-    res.json(toPlainList(employees));
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+    if (!['active', 'expired'].includes(employee.status)) {
+      return res.status(409).json({ error: `Cannot renew the card of a record with status ${employee.status}` });
+    }
+
+    // Without an explicit date the card is extended by the given months, or the type's default period
+    let newValidUntil = validUntil;
+    if (!newValidUntil) {
+      const personType = await findPersonType(employee.type);
+      const period = months || personType?.default_validity_months;
+      if (!period) {
+        return res.status(400).json({ error: 'This type has no default card validity; pass valid_until or months' });
+      }
+      newValidUntil = extendValidity(employee.valid_until, period, today);
+    }
+
+    const before = employee.toObject();
+    employee.valid_from = today;
+    employee.valid_until = newValidUntil;
+    employee.status = 'active';
+    await issueEmployeeCard(req, employee, 'renewal');
+    await employee.save();
+
+    await recordAudit(req, {
+      action: 'employee.renew',
+      entityType: 'employee',
+      entityId: employee.id,
+      before,
+      after: employee.toObject(),
+      metadata: { previous_valid_until: before.valid_until }
+    });
+    await recordEmployeeRevision(req, employee, 'renew', { before });
+
+    res.json({
+      message: `Card renewed until ${newValidUntil}`,
+      valid_from: employee.valid_from,
+      valid_until: employee.valid_until
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/employees/:id', async (req, res) => {
+// Type conversions of an employee, newest first
+app.get('/api/employees/:id/conversions', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid employee ID' });
   }
 
   try {
-    const employee = await Employee.findOne({ id }).lean();
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).withArchived().lean();
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
-    res.json(toPlainObject(employee));
+    const conversions = await EmployeeConversion.find({ employee_row_id: id }, { _id: 0 }).sort({ created_at: -1 }).lean();
+    res.json(conversions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/employees/:id', async (req, res) => {
+// Scheduled status changes of an employee, latest effective date first
+app.get('/api/employees/:id/status-changes', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid employee ID' });
   }
 
   try {
-    const result = await Employee.deleteOne({ id });
-    if (result.deletedCount === 0) {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).withArchived().lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const changes = await ScheduledStatusChange.find({ employee_row_id: id }, { _id: 0 }).sort({ effective_date: -1, id: -1 }).lean();
+    res.json(changes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// applying and ending are held by the scheduler; they are listed so a claim left by a crashed run shows up
+const OPEN_SCHEDULE_STATES = ['pending', 'applying', 'in_effect', 'ending'];
+
+// Pending and running scheduled status changes across the caller's departments, soonest first;
+// `stuck` marks changes whose scheduler claim has gone stale
+app.get('/api/status-changes', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  try {
+    const changes = await ScheduledStatusChange.find({ state: { $in: OPEN_SCHEDULE_STATES } }, { _id: 0 })
+      .sort({ effective_date: 1, id: 1 })
+      .lean();
+    const employees = await Employee.find(
+      { id: { $in: changes.map(change => change.employee_row_id) }, ...buildDepartmentFilter(req.user) },
+      { _id: 0, id: 1, name: 1, employee_id: 1, department: 1, type: 1, status: 1 }
+    ).lean();
+
+    const results = changes
+      .map(change => ({
+        ...change,
+        stuck: isStaleClaim(change),
+        employee: employees.find(employee => employee.id === change.employee_row_id)
+      }))
+      .filter(change => change.employee);
+    res.json({ count: results.length, changes: results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a status change for one or more employees; a change effective today is applied straight away
+app.post('/api/status-changes', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const { employeeIds } = req.body || {};
+  if (!Array.isArray(employeeIds) || employeeIds.length === 0) {
+    return res.status(400).json({ error: 'Employee IDs are required' });
+  }
+  const validIds = [...new Set(employeeIds.map(id => parseInt(id, 10)).filter(id => Number.isInteger(id) && id > 0))];
+  if (validIds.length === 0) {
+    return res.status(400).json({ error: 'No valid employee IDs provided' });
+  }
+
+  const validation = validateScheduledStatusChange(req.body, todayString());
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+  }
+
+  try {
+    if (!(await ensureEmployeesInScope(req, res, validIds))) {
+      return;
+    }
+    const employees = await Employee.find({ id: { $in: validIds } });
+    if (employees.length !== validIds.length) {
+      return res.status(404).json({ error: 'One or more employees were not found' });
+    }
+
+    const scheduled = [];
+    for (const employee of employees) {
+      const change = await scheduleStatusChange(employee, validation.change, getActor(req));
+      await recordAudit(req, {
+        action: 'employee.schedule_status',
+        entityType: 'employee',
+        entityId: employee.id,
+        after: toPlainObject(change),
+        metadata: { schedule_id: change.id, bulk: validIds.length > 1 }
+      });
+      scheduled.push(toPlainObject(change));
+    }
+
+    if (validation.change.effective_date <= todayString()) {
+      await applyDueStatusChanges();
+    }
+
+    res.status(201).json({
+      message: `Scheduled ${validation.change.status} from ${validation.change.effective_date} for ${scheduled.length} employee(s)`,
+      changes: scheduled
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled status change that has not started yet
+app.post('/api/status-changes/:id/cancel', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid scheduled change ID' });
+  }
+
+  try {
+    // A change still held by a crashed scheduler run goes back to pending first, so it can be cancelled
+    await releaseStaleClaims();
+    const change = await ScheduledStatusChange.findOne({ id });
+    if (!change) {
+      return res.status(404).json({ error: 'Scheduled change not found' });
+    }
+    if (!(await ensureEmployeesInScope(req, res, [change.employee_row_id]))) {
+      return;
+    }
+    if (change.state !== 'pending') {
+      return res.status(409).json({
+        error: change.state === 'in_effect'
+          ? 'This change is already in effect; set the status directly to end it early'
+          : `Cannot cancel a change that is ${change.state}`
+      });
+    }
+
+    const before = toPlainObject(change);
+    // The scheduler may have claimed the change since it was read
+    const cancelled = await ScheduledStatusChange.findOneAndUpdate(
+      { id, state: 'pending' },
+      { $set: { state: 'cancelled', cancelled_at: new Date(), cancelled_by: getActor(req) } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ error: 'This change is being applied right now' });
+    }
+
+    await recordAudit(req, {
+      action: 'employee.cancel_scheduled_status',
+      entityType: 'employee',
+      entityId: change.employee_row_id,
+      before,
+      after: toPlainObject(cancelled),
+      metadata: { schedule_id: change.id }
+    });
+
+    res.json({ message: 'Scheduled change cancelled', change: toPlainObject(cancelled) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reasons a replacement card can be printed without an ID change or renewal
+const CARD_REISSUE_REASONS = ['new', 'lost', 'damaged'];
+
+// Printed cards of an employee, newest first
+app.get('/api/employees/:id/cards', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).withArchived().lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const cards = await CardIssuance.find({ employee_row_id: id }, { _id: 0 }).sort({ version: -1 }).lean();
+    res.json(cards);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Print a replacement card; the previous card stops verifying
+app.post('/api/employees/:id/cards', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  const reason = sanitizeInput(req.body?.reason) || 'new';
+  if (!CARD_REISSUE_REASONS.includes(reason)) {
+    return res.status(400).json({ error: 'Validation failed', errors: { reason: `Reason must be one of: ${CARD_REISSUE_REASONS.join(', ')}` } });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id });
+    if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
-    res.json({ message: 'Employee deleted successfully' });
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
+    }
+
+    const previousSerial = employee.card_serial;
+    const card = await issueEmployeeCard(req, employee, reason);
+    await employee.save();
+
+    await recordAudit(req, {
+      action: 'card.issue',
+      entityType: 'card',
+      entityId: card.id,
+      after: toPlainObject(card),
+      metadata: { employee_id: employee.employee_id, employee_row_id: employee.id, replaces: previousSerial }
+    });
+
+    res.status(201).json({ message: `Card version ${card.version} issued`, card: toPlainObject(card) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/employees/:id', uploadImage.single('photo'), async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    if (!Number.isInteger(id) || id <= 0) {
-      return res.status(400).json({ error: 'Invalid employee ID' });
-    }
+// Revoke one card (e.g. reported lost) without touching the person's record, optionally printing a replacement
+app.post('/api/cards/:serial/revoke', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const serial = String(req.params.serial || '').trim().toUpperCase();
+  if (!isCardSerial(serial)) {
+    return res.status(400).json({ error: 'Invalid card serial' });
+  }
 
-    const {
-      name, designation, department, type, employment_type, work_location, status, email, phone, address,
-      emergency_contact, emergency_phone, date_of_birth, joining_date,
-      salary, bank_account, aadhar_number, pan_number, blood_group, manager, existingPhoto
-    } = req.body;
+  const reason = sanitizeInput(req.body?.reason);
+  const note = sanitizeInput(req.body?.note) || null;
+  const reissue = req.body?.reissue === true;
+  if (!CARD_REVOCATION_REASONS.includes(reason)) {
+    return res.status(400).json({ error: 'Validation failed', errors: { reason: `Reason must be one of: ${CARD_REVOCATION_REASONS.join(', ')}` } });
+  }
+  if (reissue && reason === 'returned') {
+    return res.status(400).json({ error: 'A returned card is not replaced' });
+  }
 
-    const employee = await Employee.findOne({ id });
+  try {
+    const card = await CardIssuance.findOne({ serial });
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    if (card.status === 'revoked') {
+      return res.status(409).json({ error: 'Card is already revoked' });
+    }
+    const employee = await Employee.findOne({ id: card.employee_row_id }).withArchived();
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
-
-    const sanitizedData = sanitizeEmployeeData({
-      name, designation, department, type, employment_type, work_location, status, email, phone, address,
-      emergency_contact, emergency_phone, date_of_birth, joining_date,
-      salary, bank_account, aadhar_number, pan_number, blood_group, manager
-    });
-
-    const validation = validateEmployeeData(sanitizedData);
-    if (!validation.valid) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        errors: validation.errors
-      });
+    if (!isDepartmentInScope(req.user, employee.department)) {
+      return sendOutOfScope(res);
     }
 
-    let photo = employee.photo;
-    if (req.file) {
-      photo = req.file.filename;
-    } else if (existingPhoto) {
-      photo = existingPhoto;
-    }
+    const before = toPlainObject(card);
+    await revokeCard(card, { reason, note, actor: getActor(req) });
 
-    let employeeId = employee.employee_id;
-    if (sanitizedData.type && sanitizedData.type !== employee.type) {
-      employeeId = await generateIdNumber(sanitizedData.type);
+    let replacement = null;
+    if (employee.card_serial === card.serial) {
+      if (reissue) {
+        replacement = await issueEmployeeCard(req, employee, reason === 'damaged' ? 'damaged' : 'lost');
+      } else {
+        employee.card_serial = null;
+        employee.qr_code = null;
+      }
+      await employee.save();
     }
 
-    const qrCode = await generateQRCode(employeeId, employee.uuid);
-
-    employee.name = sanitizedData.name ?? employee.name;
-    employee.designation = sanitizedData.designation ?? employee.designation;
-    employee.department = sanitizedData.department ?? employee.department;
-    employee.type = sanitizedData.type ?? employee.type;
-    employee.employment_type = sanitizedData.employment_type ?? employee.employment_type;
-    employee.work_location = sanitizedData.work_location ?? employee.work_location;
-    employee.status = sanitizedData.status ?? employee.status;
-    employee.photo = photo;
-    employee.employee_id = employeeId;
-    employee.qr_code = qrCode;
-    employee.email = sanitizedData.email ?? employee.email;
-    employee.phone = sanitizedData.phone ?? employee.phone;
-    employee.address = sanitizedData.address ?? employee.address;
-    employee.emergency_contact = sanitizedData.emergency_contact ?? employee.emergency_contact;
-    employee.emergency_phone = sanitizedData.emergency_phone ?? employee.emergency_phone;
-    employee.date_of_birth = sanitizedData.date_of_birth ?? employee.date_of_birth;
-    employee.joining_date = sanitizedData.joining_date ?? employee.joining_date;
-    employee.salary = sanitizedData.salary ?? employee.salary;
-    employee.bank_account = sanitizedData.bank_account ?? employee.bank_account;
-    employee.aadhar_number = sanitizedData.aadhar_number ?? employee.aadhar_number;
-    employee.pan_number = sanitizedData.pan_number ?? employee.pan_number;
-    employee.blood_group = sanitizedData.blood_group ?? employee.blood_group;
-    employee.manager = sanitizedData.manager ?? employee.manager;
-
-    await employee.save();
+    await recordAudit(req, {
+      action: 'card.revoke',
+      entityType: 'card',
+      entityId: card.id,
+      before,
+      after: toPlainObject(card),
+      metadata: { employee_id: employee.employee_id, employee_row_id: employee.id, reason, replacement: replacement?.serial || null }
+    });
 
-    res.json({ message: 'Employee updated successfully', employeeId });
+    res.json({
+      message: replacement ? `Card revoked; version ${replacement.version} issued` : 'Card revoked',
+      card: toPlainObject(card),
+      replacement: replacement ? toPlainObject(replacement) : null
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -581,14 +4165,49 @@ app.get('/api/verify/:uuid', async (req, res) => {
   const sanitizedUuid = uuid.trim().substring(0, 100);
 
   try {
-    const employee = await Employee.findOne({
-      $or: [{ uuid: sanitizedUuid }, { employee_id: sanitizedUuid }]
-    }).lean();
+    // Cards carry their own serial; older cards and typed-in IDs resolve to the person directly
+    const card = isCardSerial(sanitizedUuid) ? await CardIssuance.findOne({ serial: sanitizedUuid }).lean() : null;
+    const employee = await Employee.findOne(card
+      ? { id: card.employee_row_id }
+      : { $or: [{ uuid: sanitizedUuid }, { employee_id: sanitizedUuid }, { 'previous_ids.employee_id': sanitizedUuid }] }
+    ).withArchived().lean();
 
     if (!employee) {
+      if (isMistypedIdNumber(sanitizedUuid, await findCheckDigitFormats())) {
+        return res.status(404).json({ error: 'ID not found', invalid_check_digit: true });
+      }
       return res.status(404).json({ error: 'ID not found' });
     }
 
+    if (employee.deleted_at) {
+      return res.status(410).json({
+        error: 'Record withdrawn',
+        withdrawn: true,
+        employee_id: employee.employee_id,
+        withdrawn_at: employee.deleted_at
+      });
+    }
+
+    const legacyLookup = describeLegacyCardLookup(employee, card, sanitizedUuid);
+    if (legacyLookup) {
+      return res.status(410).json({ error: 'Card superseded', ...legacyLookup });
+    }
+
+    if (card?.status === 'revoked') {
+      return res.status(410).json({
+        error: 'Card revoked',
+        card_revoked: true,
+        card_version: card.version,
+        revocation_reason: card.revocation_reason,
+        revoked_at: card.revoked_at,
+        employee_id: employee.employee_id,
+        // Revoking a card says nothing about the person; their record may still be valid with a newer card
+        person_status: isCardExpired(employee) ? 'expired' : employee.status,
+        current_card_version: employee.card_version || null
+      });
+    }
+
+    const personType = await findPersonType(employee.type);
     const publicData = {
       name: employee.name,
       employee_id: employee.employee_id,
@@ -597,7 +4216,15 @@ app.get('/api/verify/:uuid', async (req, res) => {
       type: employee.type,
       photo: employee.photo,
       created_at: employee.created_at,
-      status: employee.status
+      // Reported as expired from the day after valid_until even before the expiry sweep has run
+      status: isCardExpired(employee) ? 'expired' : employee.status,
+      valid_from: employee.valid_from,
+      valid_until: employee.valid_until,
+      type_label: getVerifyLabel(personType, employee.type),
+      card_color: personType?.card_color || null,
+      custom_fields: await getPublicCustomFields(employee),
+      card: card ? { serial: card.serial, version: card.version, issued_at: card.issued_at } : null,
+      ...describeSupersededId(employee, sanitizedUuid)
     };
 
     res.json(publicData);
@@ -606,19 +4233,148 @@ app.get('/api/verify/:uuid', async (req, res) => {
   }
 });
 
-// Admin-only endpoint for full employee details
-app.get('/api/admin/employees/:id', async (req, res) => {
+// Verify many IDs in one call (background-check integrations)
+app.post('/api/verify/bulk', requirePermission(PERMISSIONS.VERIFY_BULK), async (req, res) => {
+  const { identifiers } = req.body || {};
+
+  if (!Array.isArray(identifiers) || identifiers.length === 0) {
+    return res.status(400).json({ error: 'identifiers must be a non-empty array' });
+  }
+  if (identifiers.length > MAX_BULK_VERIFY_IDENTIFIERS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_VERIFY_IDENTIFIERS} identifiers per request` });
+  }
+
+  const sanitized = identifiers.map(value => String(value || '').trim().substring(0, 100));
+
+  try {
+    const cards = await CardIssuance.find({ serial: { $in: sanitized.filter(isCardSerial) } }).lean();
+    const employees = await Employee.find({
+      $or: [
+        { uuid: { $in: sanitized } },
+        { employee_id: { $in: sanitized } },
+        { 'previous_ids.employee_id': { $in: sanitized } },
+        { id: { $in: cards.map(card => card.employee_row_id) } }
+      ]
+    }).withArchived().lean();
+
+    const checkDigitFormats = await findCheckDigitFormats();
+    const personTypes = await findPersonTypes();
+
+    const results = sanitized.map(identifier => {
+      const card = cards.find(item => item.serial === identifier);
+      const employee = card
+        ? employees.find(item => item.id === card.employee_row_id)
+        : employees.find(item => item.uuid === identifier
+          || item.employee_id === identifier
+          || (item.previous_ids || []).some(previous => previous.employee_id === identifier));
+      if (!identifier) {
+        return { identifier, found: false };
+      }
+      if (!employee) {
+        return isMistypedIdNumber(identifier, checkDigitFormats)
+          ? { identifier, found: false, invalid_check_digit: true }
+          : { identifier, found: false };
+      }
+      if (employee.deleted_at) {
+        return { identifier, found: true, withdrawn: true, employee_id: employee.employee_id, status: 'withdrawn' };
+      }
+      const legacyLookup = describeLegacyCardLookup(employee, card, identifier);
+      if (legacyLookup) {
+        return { identifier, found: true, ...legacyLookup };
+      }
+      if (card?.status === 'revoked') {
+        return {
+          identifier,
+          found: true,
+          card_revoked: true,
+          card_version: card.version,
+          revocation_reason: card.revocation_reason,
+          employee_id: employee.employee_id,
+          person_status: isCardExpired(employee) ? 'expired' : employee.status
+        };
+      }
+      return {
+        identifier,
+        found: true,
+        name: employee.name,
+        employee_id: employee.employee_id,
+        designation: employee.designation,
+        department: employee.department,
+        type: employee.type,
+        type_label: getVerifyLabel(personTypes.find(personType => personType.code === employee.type), employee.type),
+        created_at: employee.created_at,
+        status: isCardExpired(employee) ? 'expired' : employee.status,
+        valid_until: employee.valid_until,
+        ...describeSupersededId(employee, identifier)
+      };
+    });
+
+    res.json({ count: results.length, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin-only endpoint for employee details; identity numbers stay masked (see /reveal)
+app.get('/api/admin/employees/:id', requirePermission(PERMISSIONS.EMPLOYEES_SENSITIVE), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid employee ID' });
+  }
+
+  try {
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).lean();
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(toMaskedEmployee(employee));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_REVEAL_REASON_LENGTH = 500;
+
+// Return one sensitive field in clear; the reason is kept in the audit trail
+app.post('/api/employees/:id/reveal', requirePermission(PERMISSIONS.EMPLOYEES_SENSITIVE), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid employee ID' });
   }
 
+  const { field } = req.body || {};
+  const reason = sanitizeInput(req.body?.reason || '');
+  if (!MASKED_EMPLOYEE_FIELDS.includes(field)) {
+    return res.status(400).json({ error: `Field must be one of: ${MASKED_EMPLOYEE_FIELDS.join(', ')}` });
+  }
+  if (!reason || reason.length > MAX_REVEAL_REASON_LENGTH) {
+    return res.status(400).json({ error: `A reason is required (max ${MAX_REVEAL_REASON_LENGTH} characters)` });
+  }
+
   try {
-    const employee = await Employee.findOne({ id }).lean();
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }, { id: 1, employee_id: 1, [field]: 1 }).lean();
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
-    res.json(toPlainObject(employee));
+
+    const audited = await recordAudit(req, {
+      action: 'employee.reveal',
+      entityType: 'employee',
+      entityId: employee.id,
+      changes: {},
+      metadata: { field, reason }
+    });
+    if (!audited) {
+      return res.status(503).json({ error: 'Could not record the audit entry, so the value was not revealed' });
+    }
+    logger.warn('Sensitive employee field revealed', {
+      employeeId: employee.employee_id,
+      field,
+      by: getActor(req),
+      requestId: req.requestId
+    });
+
+    res.json({ field, value: employee[field] ?? null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -626,28 +4382,28 @@ app.get('/api/admin/employees/:id', async (req, res) => {
 
 // Generate ID Card HTML for download
 // Generate PDF for single employee
-app.get('/api/print-pdf/:id', async (req, res) => {
+app.get('/api/print-pdf/:id', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid employee ID' });
   }
 
   try {
-    const employee = await Employee.findOne({ id }).lean();
+    const employee = await Employee.findOne({ id, ...buildDepartmentFilter(req.user) }).lean();
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
 
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="${employee.name.replace(/[^a-zA-Z0-9]/g, '_')}_ID.json"`);
-    res.json(toPlainObject(employee));
+    res.json(toMaskedEmployee(employee));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Generate PDF for multiple employees
-app.post('/api/print-pdf-bulk', async (req, res) => {
+app.post('/api/print-pdf-bulk', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   const { ids } = req.body;
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
     return res.status(400).json({ error: 'Invalid IDs array' });
@@ -662,10 +4418,10 @@ app.post('/api/print-pdf-bulk', async (req, res) => {
   }
 
   try {
-    const employees = await Employee.find({ id: { $in: validIds } }).lean();
+    const employees = await Employee.find({ id: { $in: validIds }, ...buildDepartmentFilter(req.user) }).lean();
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', 'attachment; filename="Bulk_Employee_IDs.json"');
-    res.json(toPlainList(employees));
+    res.json(toMaskedEmployeeList(employees));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -673,81 +4429,35 @@ app.post('/api/print-pdf-bulk', async (req, res) => {
 
 
 
-// Search employees with advanced filters
-app.get('/api/employees/search', async (req, res) => {
-  try {
-    const { q, type, status, department, sortBy } = req.query;
-
-    if (q && (typeof q !== 'string' || q.length > 100)) {
-      return res.status(400).json({ error: 'Invalid search query' });
-    }
-
-    const validTypes = ['all', 'employee', 'intern'];
-    const validStatuses = ['all', 'active', 'inactive', 'terminated', 'resigned', 'on_leave', 'suspended'];
-    const validSortBy = ['name', 'date', 'id'];
-
-    if (type && !validTypes.includes(type)) {
-      return res.status(400).json({ error: 'Invalid type parameter' });
-    }
-
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status parameter' });
-    }
-
-    if (sortBy && !validSortBy.includes(sortBy)) {
-      return res.status(400).json({ error: 'Invalid sortBy parameter' });
-    }
-
-    if (department && (typeof department !== 'string' || department.length > 50)) {
-      return res.status(400).json({ error: 'Invalid department parameter' });
-    }
-
-    const filter = {};
-
-    if (q && q.trim()) {
-      const regex = new RegExp(escapeRegex(q.trim()), 'i');
-      filter.$or = [
-        { name: regex },
-        { employee_id: regex },
-        { department: regex },
-        { designation: regex },
-        { email: regex },
-        { phone: regex }
-      ];
-    }
-
-    if (type && type !== 'all') {
-      filter.type = type;
-    }
-
-    if (status && status !== 'all') {
-      filter.status = status;
-    }
-
-    if (department && department !== 'all') {
-      filter.department = department.trim();
-    }
-
-    let sort = { created_at: -1 };
-    if (sortBy === 'name') {
-      sort = { name: 1 };
-    } else if (sortBy === 'id') {
-      sort = { employee_id: 1 };
-    }
-
-    const employees = await Employee.find(filter).sort(sort).lean();
-    res.json(toPlainList(employees));
-  } catch (error) {
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Total, active and inactive counts for every person type (aggregate skips the archived-record hook)
+async function countEmployeesByType(filter) {
+  const [personTypes, groups] = await Promise.all([
+    findPersonTypes(),
+    Employee.aggregate([
+      { $match: { ...filter, deleted_at: null } },
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return personTypes.map((personType) => {
+    const rows = groups.filter(group => group._id.type === personType.code);
+    const sum = list => list.reduce((total, group) => total + group.count, 0);
+    return {
+      type: personType.code,
+      label: personType.label,
+      total: sum(rows),
+      active: sum(rows.filter(group => group._id.status === 'active')),
+      inactive: sum(rows.filter(group => group._id.status === 'inactive'))
+    };
+  });
+}
 
 // Summary report endpoint for Excel export
-app.get('/api/summary-report', async (req, res) => {
+app.get('/api/summary-report', requirePermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
   try {
     const { period } = req.query;
     const isMonthly = period === 'month';
-    const baseFilter = {};
+    const baseFilter = buildDepartmentFilter(req.user);
     const monthRange = getCurrentMonthRange();
 
     if (isMonthly) {
@@ -756,15 +4466,10 @@ app.get('/api/summary-report', async (req, res) => {
 
     const count = (extra = {}) => Employee.countDocuments({ ...baseFilter, ...extra });
 
+    // Per-type counts come from countEmployeesByType so every configured person type is included
     const [
       totalEmployees,
-      employees,
-      interns,
       activeIDs,
-      activeEmployees,
-      activeInterns,
-      inactiveEmployees,
-      inactiveInterns,
       suspendedIDs,
       onLeaveIDs,
       terminatedIDs,
@@ -772,29 +4477,25 @@ app.get('/api/summary-report', async (req, res) => {
       createdThisMonth
     ] = await Promise.all([
       count(),
-      count({ type: 'employee' }),
-      count({ type: 'intern' }),
       count({ status: 'active' }),
-      count({ type: 'employee', status: 'active' }),
-      count({ type: 'intern', status: 'active' }),
-      count({ type: 'employee', status: 'inactive' }),
-      count({ type: 'intern', status: 'inactive' }),
       count({ status: 'suspended' }),
       count({ status: 'on_leave' }),
       count({ status: 'terminated' }),
       count({ status: 'resigned' }),
-      Employee.countDocuments({ created_at: { $gte: monthRange.start, $lt: monthRange.end } })
+      Employee.countDocuments({
+        ...buildDepartmentFilter(req.user),
+        created_at: { $gte: monthRange.start, $lt: monthRange.end }
+      })
     ]);
 
+    const byType = await countEmployeesByType(baseFilter);
+
     const summaryData = [
       { Metric: 'Total Employees', Count: totalEmployees },
-      { Metric: 'Employees', Count: employees },
-      { Metric: 'Interns', Count: interns },
+      ...byType.map(group => ({ Metric: `${group.label} IDs`, Count: group.total })),
       { Metric: 'Active IDs', Count: activeIDs },
-      { Metric: 'Active Employees', Count: activeEmployees },
-      { Metric: 'Active Interns', Count: activeInterns },
-      { Metric: 'Inactive Employees', Count: inactiveEmployees },
-      { Metric: 'Inactive Interns', Count: inactiveInterns },
+      ...byType.map(group => ({ Metric: `Active ${group.label} IDs`, Count: group.active })),
+      ...byType.map(group => ({ Metric: `Inactive ${group.label} IDs`, Count: group.inactive })),
       { Metric: 'Suspended IDs', Count: suspendedIDs },
       { Metric: 'IDs On Leave', Count: onLeaveIDs },
       { Metric: 'Terminated IDs', Count: terminatedIDs },
@@ -807,18 +4508,13 @@ app.get('/api/summary-report', async (req, res) => {
       data: summaryData,
       raw: {
         totalEmployees,
-        employees,
-        interns,
         activeIDs,
-        activeEmployees,
-        activeInterns,
-        inactiveEmployees,
-        inactiveInterns,
         suspendedIDs,
         onLeaveIDs,
         terminatedIDs,
         resignedIDs,
-        createdThisMonth
+        createdThisMonth,
+        by_type: byType
       }
     });
   } catch (error) {
@@ -827,9 +4523,12 @@ app.get('/api/summary-report', async (req, res) => {
 });
 
 // Get unique departments
-app.get('/api/departments', async (req, res) => {
+app.get('/api/departments', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
   try {
-    const departments = await Employee.distinct('department', { department: { $nin: [null, ''] } });
+    const scope = getDepartmentScope(req.user);
+    const departments = await Employee.distinct('department', {
+      department: scope ? { $in: scope } : { $nin: [null, ''] }
+    });
     res.json(departments.sort());
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -837,11 +4536,11 @@ app.get('/api/departments', async (req, res) => {
 });
 
 // Analytics endpoint
-app.get('/api/analytics', async (req, res) => {
+app.get('/api/analytics', requirePermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
   try {
     const { month } = req.query;
     const isMonthly = month === 'current';
-    const baseFilter = {};
+    const baseFilter = buildDepartmentFilter(req.user);
     const monthRange = getCurrentMonthRange();
 
     if (isMonthly) {
@@ -852,42 +4551,28 @@ app.get('/api/analytics', async (req, res) => {
 
     const [
       total,
-      employees,
-      interns,
       active,
-      activeEmployees,
-      activeInterns,
-      inactiveEmployees,
-      inactiveInterns,
       suspended,
       onLeave,
       thisMonth
     ] = await Promise.all([
       count(),
-      count({ type: 'employee' }),
-      count({ type: 'intern' }),
       count({ status: 'active' }),
-      count({ type: 'employee', status: 'active' }),
-      count({ type: 'intern', status: 'active' }),
-      count({ type: 'employee', status: 'inactive' }),
-      count({ type: 'intern', status: 'inactive' }),
       count({ status: 'suspended' }),
       count({ status: 'on_leave' }),
-      Employee.countDocuments({ created_at: { $gte: monthRange.start, $lt: monthRange.end } })
+      Employee.countDocuments({
+        ...buildDepartmentFilter(req.user),
+        created_at: { $gte: monthRange.start, $lt: monthRange.end }
+      })
     ]);
 
     res.json({
       total,
-      employees,
-      interns,
       active,
-      activeEmployees,
-      activeInterns,
-      inactiveEmployees,
-      inactiveInterns,
       suspended,
       onLeave,
-      thisMonth
+      thisMonth,
+      by_type: await countEmployeesByType(baseFilter)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -895,62 +4580,24 @@ app.get('/api/analytics', async (req, res) => {
 });
 
 // Export data endpoint
-app.get('/api/export/:type', async (req, res) => {
+app.get('/api/export/:type', requirePermission(PERMISSIONS.EMPLOYEES_EXPORT), async (req, res) => {
   const { type } = req.params;
-  const validTypes = ['all', 'employee', 'intern'];
-
-  if (!validTypes.includes(type)) {
-    return res.status(400).json({ error: 'Invalid export type. Must be: all, employee, or intern' });
-  }
-
-  const filter = type === 'all' ? {} : { type };
+  const filter = type === 'all' ? buildDepartmentFilter(req.user) : { type, ...buildDepartmentFilter(req.user) };
 
   try {
-    const employees = await Employee.find(filter).sort({ created_at: -1 }).lean();
-    res.json(toPlainList(employees));
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Bulk status update endpoint
-app.put('/api/employees/bulk-status', async (req, res) => {
-  const { employeeIds, status } = req.body;
-
-  if (!employeeIds || !Array.isArray(employeeIds) || employeeIds.length === 0) {
-    return res.status(400).json({ error: 'Employee IDs are required' });
-  }
-
-  if (!status) {
-    return res.status(400).json({ error: 'Status is required' });
-  }
-
-  const validIds = employeeIds
-    .map(id => parseInt(id, 10))
-    .filter(id => Number.isInteger(id) && id > 0);
-
-  if (validIds.length === 0) {
-    return res.status(400).json({ error: 'No valid employee IDs provided' });
-  }
-
-  const validStatuses = ['active', 'inactive', 'terminated', 'resigned', 'on_leave', 'suspended'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status value' });
-  }
+    if (type !== 'all' && !(await findPersonType(type))) {
+      return res.status(400).json({ error: 'Invalid export type. Must be all or a person type code' });
+    }
 
-  try {
-    const result = await Employee.updateMany({ id: { $in: validIds } }, { $set: { status } });
-    res.json({
-      message: `Successfully updated ${result.modifiedCount} employee(s)`,
-      updatedCount: result.modifiedCount
-    });
+    const employees = await Employee.find(filter).sort({ created_at: -1 }).lean();
+    res.json(toMaskedEmployeeList(employees));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Simple bulk status update endpoint (no validation)
-app.patch('/api/bulk-status-update', async (req, res) => {
+app.patch('/api/bulk-status-update', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
   const { employeeIds, status } = req.body;
 
   if (!employeeIds || !Array.isArray(employeeIds) || employeeIds.length === 0) {
@@ -970,7 +4617,14 @@ app.patch('/api/bulk-status-update', async (req, res) => {
   }
 
   try {
+    if (!(await ensureEmployeesInScope(req, res, validIds))) {
+      return;
+    }
+    const before = await Employee.find({ id: { $in: validIds } }).lean();
     const result = await Employee.updateMany({ id: { $in: validIds } }, { $set: { status } });
+    await recordBulkAudit(req, 'employee.bulk_status', 'employee', before, { status });
+    await recordBulkRevisions(req, 'bulk_status', before);
+    await startOffboardings(req, before.filter(record => record.status !== status).map(record => ({ ...record, status })));
     res.json({
       message: `Successfully updated ${result.modifiedCount} employee(s)`,
       updatedCount: result.modifiedCount
@@ -980,16 +4634,16 @@ app.patch('/api/bulk-status-update', async (req, res) => {
   }
 });
 
-// Bulk type update endpoint with ID regeneration
-app.patch('/api/bulk-type-update', async (req, res) => {
+// Bulk type update endpoint with ID regeneration; hiring an intern goes through /api/employees/:id/convert instead
+app.patch('/api/bulk-type-update', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
   const { employeeIds, type } = req.body;
 
   if (!employeeIds || !Array.isArray(employeeIds) || employeeIds.length === 0) {
     return res.status(400).json({ error: 'Employee IDs are required' });
   }
 
-  if (!type || !['employee', 'intern'].includes(type)) {
-    return res.status(400).json({ error: 'Valid type is required (employee or intern)' });
+  if (!type || typeof type !== 'string') {
+    return res.status(400).json({ error: 'Valid type is required' });
   }
 
   const validIds = employeeIds
@@ -1001,19 +4655,38 @@ app.patch('/api/bulk-type-update', async (req, res) => {
   }
 
   try {
+    if (!(await findPersonType(type))) {
+      return res.status(400).json({ error: `Unknown person type: ${type}` });
+    }
+
+    if (!(await ensureEmployeesInScope(req, res, validIds))) {
+      return;
+    }
+
     let updatedCount = 0;
 
     for (const rowId of validIds) {
       const employee = await Employee.findOne({ id: rowId });
       if (employee && employee.type !== type) {
-        const newEmployeeId = await generateIdNumber(type);
-        const newQrCode = await generateQRCode(newEmployeeId, employee.uuid);
+        const newEmployeeId = await generateIdNumber(type, employee.department);
+        const previous = employee.toObject();
 
+        retireEmployeeId(employee, 'type_change');
         employee.type = type;
         employee.employee_id = newEmployeeId;
-        employee.qr_code = newQrCode;
+        await issueEmployeeCard(req, employee, 'id_change');
         await employee.save();
         updatedCount++;
+
+        await recordAudit(req, {
+          action: 'employee.bulk_type',
+          entityType: 'employee',
+          entityId: employee.id,
+          before: { type: previous.type, employee_id: previous.employee_id },
+          after: { type, employee_id: newEmployeeId },
+          metadata: { bulk: true, count: validIds.length }
+        });
+        await recordEmployeeRevision(req, employee, 'bulk_type', { before: previous, metadata: { bulk: true } });
       }
     }
 
@@ -1029,7 +4702,7 @@ app.patch('/api/bulk-type-update', async (req, res) => {
 // ============ CERTIFICATE ROUTES ============
 
 // Upload and parse Excel for bulk certificate generation
-app.post('/api/certificates/upload-excel', uploadExcel.single('excel'), (req, res) => {
+app.post('/api/certificates/upload-excel', requirePermission(PERMISSIONS.CERTIFICATES_ISSUE), uploadExcel.single('excel'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -1066,7 +4739,7 @@ app.post('/api/certificates/upload-excel', uploadExcel.single('excel'), (req, re
 });
 
 // Create single certificate
-app.post('/api/certificates/create-single', async (req, res) => {
+app.post('/api/certificates/create-single', requirePermission(PERMISSIONS.CERTIFICATES_ISSUE), async (req, res) => {
   try {
     const { certificateData } = req.body;
 
@@ -1074,32 +4747,13 @@ app.post('/api/certificates/create-single', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const certificateUuid = uuidv4();
-    const certificateCode = generateCertificateId(certificateData.certificate_type || 'intern');
-    const issueDate = new Date().toISOString().split('T')[0];
-
-    const canonical = canonicalizeCertificateData({
-      ...certificateData,
-      issue_date: issueDate,
-      schema_version: 1
-    });
-
-    const fingerprint = generateFingerprint(canonical);
-    const signature = crypto.createHash('sha256').update(fingerprint).digest('hex');
-    const numericId = await getNextCertificateRowId();
-
-    await Certificate.create({
-      id: numericId,
-      certificate_uuid: certificateUuid,
-      certificate_code: certificateCode,
-      person_uuid: certificateData.person_uuid,
-      name: certificateData.name,
-      certificate_type: certificateData.certificate_type || 'Internship',
-      certificate_data: canonical,
-      fingerprint,
-      signature,
-      issue_date: issueDate,
-      schema_version: 1
+    const certificate = await issueCertificate(req, certificateData);
+    const { certificate_code: certificateCode, certificate_uuid: certificateUuid } = certificate;
+    await recordAudit(req, {
+      action: 'certificate.create',
+      entityType: 'certificate',
+      entityId: certificate.id,
+      after: certificate.toObject()
     });
 
     res.json({
@@ -1114,7 +4768,7 @@ app.post('/api/certificates/create-single', async (req, res) => {
 });
 
 // Bulk certificate generation
-app.post('/api/certificates/create-bulk', async (req, res) => {
+app.post('/api/certificates/create-bulk', requirePermission(PERMISSIONS.CERTIFICATES_ISSUE), async (req, res) => {
   try {
     const { schema, excelData, excelHash } = req.body;
 
@@ -1130,7 +4784,8 @@ app.post('/api/certificates/create-bulk', async (req, res) => {
       certificate_type: 'Bulk',
       schema: JSON.stringify(schema),
       excel_hash: excelHash,
-      certificate_count: excelData.length
+      certificate_count: excelData.length,
+      created_by: getActor(req)
     });
 
     const certificatesToInsert = [];
@@ -1174,13 +4829,23 @@ app.post('/api/certificates/create-bulk', async (req, res) => {
         signature,
         issue_date: issueDate,
         batch_id: batchId,
-        schema_version: 1
+        schema_version: 1,
+        created_by: getActor(req)
       });
 
       results.push({ certificateCode, name: certificateData.name });
     }
 
     await Certificate.insertMany(certificatesToInsert);
+    for (const certificate of certificatesToInsert) {
+      await recordAudit(req, {
+        action: 'certificate.create',
+        entityType: 'certificate',
+        entityId: certificate.id,
+        after: certificate,
+        metadata: { bulk: true, batch_id: batchId }
+      });
+    }
 
     res.json({
       success: true,
@@ -1195,7 +4860,7 @@ app.post('/api/certificates/create-bulk', async (req, res) => {
 });
 
 // Get all certificates
-app.get('/api/certificates', async (req, res) => {
+app.get('/api/certificates', requirePermission(PERMISSIONS.CERTIFICATES_READ), async (req, res) => {
   try {
     const certificates = await Certificate.find().sort({ created_at: -1 }).lean();
     res.json(toPlainList(certificates));
@@ -1250,26 +4915,34 @@ app.get('/api/certificates/verify/:identifier', async (req, res) => {
 });
 
 // Revoke certificate
-app.post('/api/certificates/revoke/:id', async (req, res) => {
+app.post('/api/certificates/revoke/:id', requirePermission(PERMISSIONS.CERTIFICATES_REVOKE), async (req, res) => {
   const numericId = parseInt(req.params.id, 10);
   if (!Number.isInteger(numericId) || numericId <= 0) {
     return res.status(400).json({ error: 'Invalid certificate ID' });
   }
 
   try {
-    const updated = await Certificate.findOneAndUpdate(
+    const previous = await Certificate.findOneAndUpdate(
       { id: numericId },
       {
         status: 'revoked',
         revoked_at: new Date(),
         revocation_reason: req.body.reason || 'No reason provided'
       },
-      { new: true }
-    );
+      { new: false }
+    ).lean();
 
-    if (!updated) {
+    if (!previous) {
       return res.status(404).json({ error: 'Certificate not found' });
     }
+    const updated = await Certificate.findOne({ id: numericId }).lean();
+    await recordAudit(req, {
+      action: 'certificate.revoke',
+      entityType: 'certificate',
+      entityId: numericId,
+      before: previous,
+      after: updated
+    });
 
     res.json({ message: 'Certificate revoked successfully' });
   } catch (error) {
@@ -1278,7 +4951,7 @@ app.post('/api/certificates/revoke/:id', async (req, res) => {
 });
 
 // Export certificates endpoint
-app.get('/api/certificates/export', async (req, res) => {
+app.get('/api/certificates/export', requirePermission(PERMISSIONS.CERTIFICATES_READ), async (req, res) => {
   try {
     const certificates = await Certificate.find().sort({ created_at: -1 }).lean();
     res.json(toPlainList(certificates));
@@ -1298,7 +4971,7 @@ function generateOfferLetterNumber() {
 }
 
 // Upload Excel for offer letters (staging)
-app.post('/api/offer-letters/upload-excel', uploadExcel.single('excel'), async (req, res) => {
+app.post('/api/offer-letters/upload-excel', requirePermission(PERMISSIONS.OFFER_LETTERS_ISSUE), uploadExcel.single('excel'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -1348,7 +5021,7 @@ app.post('/api/offer-letters/upload-excel', uploadExcel.single('excel'), async (
 });
 
 // Get staged offer letters
-app.get('/api/offer-letters/staging', async (req, res) => {
+app.get('/api/offer-letters/staging', requirePermission(PERMISSIONS.OFFER_LETTERS_ISSUE), async (req, res) => {
   try {
     const rows = await OfferLetterStaging.find().sort({ row_number: 1 }).lean();
     const data = rows.map(row => ({
@@ -1362,7 +5035,7 @@ app.get('/api/offer-letters/staging', async (req, res) => {
 });
 
 // Generate offer letters from staging
-app.post('/api/offer-letters/generate', async (req, res) => {
+app.post('/api/offer-letters/generate', requirePermission(PERMISSIONS.OFFER_LETTERS_ISSUE), async (req, res) => {
   try {
     const { issueDate, validityDays, offerType } = req.body;
 
@@ -1393,7 +5066,8 @@ app.post('/api/offer-letters/generate', async (req, res) => {
           excel_hash: stagingData[0].excel_hash,
           offer_count: stagingData.length,
           import_timestamp: stagingData[0].import_timestamp,
-          generated_timestamp: generatedTimestamp
+          generated_timestamp: generatedTimestamp,
+          generated_by: getActor(req)
         }
       ], { session });
 
@@ -1422,7 +5096,8 @@ app.post('/api/offer-letters/generate', async (req, res) => {
           excel_hash: staged.excel_hash,
           row_number: staged.row_number,
           import_timestamp: staged.import_timestamp,
-          generated_timestamp: generatedTimestamp
+          generated_timestamp: generatedTimestamp,
+          generated_by: getActor(req)
         });
 
         results.push({ offerLetterNumber, row: staged.row_number });
@@ -1434,6 +5109,16 @@ app.post('/api/offer-letters/generate', async (req, res) => {
       await session.commitTransaction();
       session.endSession();
 
+      for (const offerDoc of offerDocs) {
+        await recordAudit(req, {
+          action: 'offer_letter.create',
+          entityType: 'offer_letter',
+          entityId: offerDoc.id,
+          after: offerDoc,
+          metadata: { bulk: true, batch_id: batchId }
+        });
+      }
+
       res.json({
         success: true,
         batchId,
@@ -1453,7 +5138,7 @@ app.post('/api/offer-letters/generate', async (req, res) => {
 });
 
 // Create single offer letter
-app.post('/api/offer-letters/create-single', async (req, res) => {
+app.post('/api/offer-letters/create-single', requirePermission(PERMISSIONS.OFFER_LETTERS_ISSUE), async (req, res) => {
   try {
     const { offerData } = req.body;
 
@@ -1465,11 +5150,18 @@ app.post('/api/offer-letters/create-single', async (req, res) => {
     const generatedTimestamp = new Date().toISOString();
     const numericId = await getNextOfferLetterRowId();
 
-    await OfferLetter.create({
+    const offerLetter = await OfferLetter.create({
       id: numericId,
       offer_letter_number: offerLetterNumber,
       offer_data: JSON.stringify(offerData),
-      generated_timestamp: generatedTimestamp
+      generated_timestamp: generatedTimestamp,
+      generated_by: getActor(req)
+    });
+    await recordAudit(req, {
+      action: 'offer_letter.create',
+      entityType: 'offer_letter',
+      entityId: offerLetter.id,
+      after: offerLetter.toObject()
     });
 
     res.json({
@@ -1483,7 +5175,7 @@ app.post('/api/offer-letters/create-single', async (req, res) => {
 });
 
 // Get all offer letters
-app.get('/api/offer-letters', async (req, res) => {
+app.get('/api/offer-letters', requirePermission(PERMISSIONS.OFFER_LETTERS_READ), async (req, res) => {
   try {
     const rows = await OfferLetter.find().sort({ generated_timestamp: -1 }).lean();
     const data = rows.map(row => ({
@@ -1530,7 +5222,7 @@ app.get('/api/offer-letters/verify/:offerNumber', async (req, res) => {
 });
 
 // Export offer letters
-app.get('/api/offer-letters/export', async (req, res) => {
+app.get('/api/offer-letters/export', requirePermission(PERMISSIONS.OFFER_LETTERS_READ), async (req, res) => {
   try {
     const rows = await OfferLetter.find().sort({ generated_timestamp: -1 }).lean();
     const exportData = rows.map(row => {
@@ -1550,7 +5242,7 @@ app.get('/api/offer-letters/export', async (req, res) => {
 });
 
 // Get offer letter batches
-app.get('/api/offer-letters/batches', async (req, res) => {
+app.get('/api/offer-letters/batches', requirePermission(PERMISSIONS.OFFER_LETTERS_READ), async (req, res) => {
   try {
     const rows = await OfferLetterBatch.find().sort({ generated_timestamp: -1 }).lean();
     res.json(toPlainList(rows));
@@ -1579,12 +5271,23 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Monitoring dashboard endpoint
-app.get('/api/monitoring/stats', (req, res) => {
-  res.json(monitoring.getStats());
+app.get('/api/monitoring/stats', requirePermission(PERMISSIONS.MONITORING_READ), async (req, res) => {
+  try {
+    const lockedAccounts = await User.countDocuments({ locked_until: { $gt: new Date() } });
+    res.json({
+      ...monitoring.getStats(),
+      lockouts: {
+        accounts: lockedAccounts,
+        ips: loginProtection.listIpLockouts().length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Recent logs endpoint
-app.get('/api/monitoring/logs/:type?', (req, res) => {
+app.get('/api/monitoring/logs/:type?', requirePermission(PERMISSIONS.MONITORING_READ), (req, res) => {
   const { type = 'combined' } = req.params;
   const { lines = 50 } = req.query;
   
@@ -1616,6 +5319,15 @@ async function startServer() {
     await connectDB();
     logger.info('Connected to MongoDB Atlas cluster');
     console.log('Database connected successfully');
+    await ensureBootstrapAdmin();
+    await seedPersonTypes();
+    await seedOffboardingItems();
+    startExpirySweep();
+    startStatusScheduler();
+    const backfilled = await backfillOfferLetterSearchFields();
+    if (backfilled > 0) {
+      logger.info('Copied search fields onto existing offer letters', { count: backfilled });
+    }
 
     app.listen(PORT, () => {
       logger.info(`Server started on port ${PORT}`);
@@ -1633,7 +5345,7 @@ async function startServer() {
 startServer();
 
 // Update offer letter
-app.put('/api/offer-letters/:id', async (req, res) => {
+app.put('/api/offer-letters/:id', requirePermission(PERMISSIONS.OFFER_LETTERS_MANAGE), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (!Number.isInteger(id) || id <= 0) {
@@ -1646,14 +5358,19 @@ app.put('/api/offer-letters/:id', async (req, res) => {
       return res.status(400).json({ error: 'Offer data is required' });
     }
 
-    const updated = await OfferLetter.findOneAndUpdate(
-      { id },
-      { offer_data: JSON.stringify(offerData), status: status || 'active' }
-    );
+    const changes = { offer_data: JSON.stringify(offerData), status: status || 'active' };
+    const previous = await OfferLetter.findOneAndUpdate({ id }, changes).lean();
 
-    if (!updated) {
+    if (!previous) {
       return res.status(404).json({ error: 'Offer letter not found' });
     }
+    await recordAudit(req, {
+      action: 'offer_letter.update',
+      entityType: 'offer_letter',
+      entityId: id,
+      before: previous,
+      after: { ...previous, ...changes }
+    });
 
     res.json({ message: 'Offer letter updated successfully' });
   } catch (error) {
@@ -1662,17 +5379,23 @@ app.put('/api/offer-letters/:id', async (req, res) => {
 });
 
 // Delete offer letter
-app.delete('/api/offer-letters/:id', async (req, res) => {
+app.delete('/api/offer-letters/:id', requirePermission(PERMISSIONS.OFFER_LETTERS_MANAGE), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid offer letter ID' });
   }
 
   try {
-    const result = await OfferLetter.deleteOne({ id });
-    if (result.deletedCount === 0) {
+    const offerLetter = await OfferLetter.findOneAndDelete({ id }).lean();
+    if (!offerLetter) {
       return res.status(404).json({ error: 'Offer letter not found' });
     }
+    await recordAudit(req, {
+      action: 'offer_letter.delete',
+      entityType: 'offer_letter',
+      entityId: id,
+      before: offerLetter
+    });
     res.json({ message: 'Offer letter deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1680,7 +5403,7 @@ app.delete('/api/offer-letters/:id', async (req, res) => {
 });
 
 // Get single offer letter by ID
-app.get('/api/offer-letters/:id', async (req, res) => {
+app.get('/api/offer-letters/:id', requirePermission(PERMISSIONS.OFFER_LETTERS_READ), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isInteger(id) || id <= 0) {
     return res.status(400).json({ error: 'Invalid offer letter ID' });
@@ -0,0 +1,201 @@
+/**
+ * Status changes decided ahead of time, such as a resignation date or a leave period.
+ * Dates are YYYY-MM-DD strings like valid_until: a change applies from the start of its effective_date,
+ * and a temporary status (one with an end_date) is lifted the day after end_date.
+ */
+
+const { Employee, ScheduledStatusChange, getNextSequenceValue } = require('./database');
+const { appendAuditEvent } = require('./auditLog');
+const { appendEmployeeRevision } = require('./employeeHistory');
+const { todayString } = require('./cardValidity');
+const { openOffboardings } = require('./offboarding');
+const logger = require('./logger');
+
+const STATUS_SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+// A claim older than this was left by a run that stopped part-way (e.g. the server restarted) and is handed back
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+// Transient states the scheduler claims changes into, and the states a dropped claim returns to
+const CLAIM_RELEASE_STATES = { applying: 'pending', ending: 'in_effect' };
+
+/**
+ * Store a pending status change for an employee
+ * @param {object} employee - Employee with id
+ * @param {{status: string, effective_date: string, end_date?: string, return_status?: string, note?: string}} change
+ * @param {string|null} actor
+ * @returns {Promise<object>} - New ScheduledStatusChange document
+ */
+async function scheduleStatusChange(employee, change, actor = null) {
+  return ScheduledStatusChange.create({
+    id: await getNextSequenceValue('scheduled_status_changes'),
+    employee_row_id: employee.id,
+    status: change.status,
+    effective_date: change.effective_date,
+    end_date: change.end_date || null,
+    return_status: change.return_status || null,
+    note: change.note || null,
+    created_by: actor
+  });
+}
+
+async function setScheduledStatus(employee, status, change, phase) {
+  const before = employee.toObject();
+  employee.status = status;
+  await employee.save();
+
+  try {
+    const metadata = { schedule_id: change.id, phase, effective_date: change.effective_date, end_date: change.end_date, scheduled_by: change.created_by };
+    await appendAuditEvent({
+      actor: 'system',
+      actorType: 'system',
+      action: 'employee.scheduled_status',
+      entityType: 'employee',
+      entityId: employee.id,
+      before: { status: before.status },
+      after: { status },
+      metadata
+    });
+    await appendEmployeeRevision(employee, { action: 'scheduled_status', actor: 'system', before, metadata });
+  } catch (error) {
+    logger.error('Failed to record scheduled status change', { employeeId: employee.id, scheduleId: change.id, error: error.message });
+  }
+
+  try {
+    for (const offboarding of await openOffboardings([employee], 'system')) {
+      await appendAuditEvent({
+        actor: 'system',
+        actorType: 'system',
+        action: 'offboarding.open',
+        entityType: 'offboarding',
+        entityId: offboarding.id,
+        after: offboarding.toObject(),
+        metadata: { employee_row_id: employee.id, trigger_status: offboarding.trigger_status, schedule_id: change.id }
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to open offboarding', { employeeId: employee.id, scheduleId: change.id, error: error.message });
+  }
+}
+
+/**
+ * Move one due change from `from` to the transient `to` state. The update is atomic, so when several
+ * server instances run the scheduler (or a change is cancelled meanwhile) only one of them gets the change.
+ * @returns {Promise<object|null>} - Claimed ScheduledStatusChange document, or null when none is left
+ */
+function claimDueChange(filter, from, to, sort) {
+  return ScheduledStatusChange.findOneAndUpdate(
+    { ...filter, state: from },
+    { $set: { state: to, claimed_at: new Date() } },
+    { sort, new: true }
+  );
+}
+
+// Whether a change is held by a claim that its run never finished
+function isStaleClaim(change, now = new Date()) {
+  return change.state in CLAIM_RELEASE_STATES
+    && (!change.claimed_at || now - new Date(change.claimed_at) > STALE_CLAIM_MS);
+}
+
+/**
+ * Hand changes whose claim has gone stale back to the state they were claimed from, so they are retried
+ * @returns {Promise<number>} - Number of changes released
+ */
+async function releaseStaleClaims(now = new Date()) {
+  const cutoff = new Date(now.getTime() - STALE_CLAIM_MS);
+  let released = 0;
+  for (const [claimedState, state] of Object.entries(CLAIM_RELEASE_STATES)) {
+    const result = await ScheduledStatusChange.updateMany(
+      { state: claimedState, $or: [{ claimed_at: { $lt: cutoff } }, { claimed_at: null }] },
+      { $set: { state, claimed_at: null } }
+    );
+    released += result.modifiedCount;
+  }
+  if (released > 0) {
+    logger.warn('Released stale scheduled status change claims', { count: released });
+  }
+  return released;
+}
+
+// Hand a claimed change back to its previous state when processing it fails, so the next run retries it
+async function releaseOnError(change, state, work) {
+  try {
+    await work();
+  } catch (error) {
+    await ScheduledStatusChange.updateOne({ _id: change._id }, { $set: { state, claimed_at: null } });
+    throw error;
+  }
+}
+
+/**
+ * Lift temporary statuses whose end_date has passed, then apply changes whose effective_date has come
+ * @returns {Promise<number>} - Number of scheduled changes processed
+ */
+async function applyDueStatusChanges(today = todayString()) {
+  await releaseStaleClaims();
+  let processed = 0;
+
+  let change;
+  while ((change = await claimDueChange({ end_date: { $lt: today } }, 'in_effect', 'ending', { end_date: 1, id: 1 }))) {
+    await releaseOnError(change, 'in_effect', async () => {
+      const employee = await Employee.findOne({ id: change.employee_row_id });
+      // A status changed by hand in the meantime is left alone
+      if (employee && employee.status === change.status) {
+        await setScheduledStatus(employee, change.return_status || change.previous_status || 'active', change, 'end');
+      }
+      change.state = 'completed';
+      change.ended_at = new Date();
+      await change.save();
+    });
+    processed++;
+  }
+
+  while ((change = await claimDueChange({ effective_date: { $lte: today } }, 'pending', 'applying', { effective_date: 1, id: 1 }))) {
+    await releaseOnError(change, 'pending', async () => {
+      const employee = await Employee.findOne({ id: change.employee_row_id });
+      if (!employee) {
+        // Archived since it was scheduled
+        change.state = 'skipped';
+        await change.save();
+        return;
+      }
+
+      change.previous_status = employee.status;
+      change.applied_at = new Date();
+      // A period that was already over when the scheduler got to it (e.g. the server was down) changes nothing
+      if (change.end_date && change.end_date < today) {
+        change.state = 'completed';
+        change.ended_at = change.applied_at;
+      } else {
+        await setScheduledStatus(employee, change.status, change, 'start');
+        change.state = change.end_date ? 'in_effect' : 'completed';
+      }
+      await change.save();
+    });
+    if (change.state !== 'skipped') {
+      processed++;
+    }
+  }
+
+  return processed;
+}
+
+// Runs the scheduler now and then hourly; the timer does not keep the process alive
+function startStatusScheduler() {
+  const run = () => applyDueStatusChanges()
+    .then((count) => {
+      if (count > 0) {
+        logger.info('Applied scheduled status changes', { count });
+      }
+    })
+    .catch(error => logger.error('Status scheduler failed', { error: error.message }));
+
+  run();
+  return setInterval(run, STATUS_SCHEDULER_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  scheduleStatusChange,
+  applyDueStatusChanges,
+  releaseStaleClaims,
+  isStaleClaim,
+  startStatusScheduler
+};
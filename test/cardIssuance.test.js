@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isCardSerial, describeSupersededId, describeLegacyCardLookup } = require('../cardIssuance');
+
+const employee = {
+  id: 7,
+  uuid: '3f0c8a52-5d1e-4c1b-9a7e-2b6f1d0c9e11',
+  employee_id: 'SWT-25-EMP-0002',
+  status: 'active',
+  valid_until: null,
+  card_version: 2,
+  previous_ids: [{ employee_id: 'SWT-25-INT-0001', valid_until: new Date('2025-03-10T00:00:00Z') }]
+};
+
+test('card serials have a fixed shape', () => {
+  assert.equal(isCardSerial('CRD-0A1B2C3D4E'), true);
+  assert.equal(isCardSerial('CRD-0a1b2c3d4e'), false);
+  assert.equal(isCardSerial(employee.employee_id), false);
+});
+
+test('a previous ID number still verifies after a card is issued', () => {
+  assert.equal(describeLegacyCardLookup(employee, null, 'SWT-25-INT-0001'), null);
+  assert.deepEqual(describeSupersededId(employee, 'SWT-25-INT-0001'), {
+    superseded: true,
+    requested_id: 'SWT-25-INT-0001',
+    superseded_by: 'SWT-25-EMP-0002',
+    superseded_at: employee.previous_ids[0].valid_until
+  });
+});
+
+test('a typed-in current ID number still verifies after a card is issued', () => {
+  assert.equal(describeLegacyCardLookup(employee, null, employee.employee_id), null);
+  assert.deepEqual(describeSupersededId(employee, employee.employee_id), {});
+});
+
+test('a UUID from a card printed before serials is superseded once a numbered card exists', () => {
+  assert.deepEqual(describeLegacyCardLookup(employee, null, employee.uuid), {
+    card_superseded: true,
+    employee_id: 'SWT-25-EMP-0002',
+    person_status: 'active',
+    current_card_version: 2
+  });
+  assert.equal(describeLegacyCardLookup({ ...employee, card_version: null }, null, employee.uuid), null);
+  assert.equal(describeLegacyCardLookup(employee, { serial: 'CRD-0A1B2C3D4E' }, 'CRD-0A1B2C3D4E'), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addValidityMonths, extendValidity, resolveValidity, isCardExpired, todayString } = require('../cardValidity');
+
+test('a period of whole months ends the day before the same date', () => {
+  assert.equal(addValidityMonths('2025-01-15', 6), '2025-07-14');
+  assert.equal(addValidityMonths('2025-01-01', 12), '2025-12-31');
+  assert.equal(addValidityMonths('2025-03-01', 1), '2025-03-31');
+});
+
+test('periods run across year ends and leap days', () => {
+  assert.equal(addValidityMonths('2025-11-10', 3), '2026-02-09');
+  assert.equal(addValidityMonths('2024-02-29', 12), '2025-02-28');
+  assert.equal(addValidityMonths('2024-03-01', 1), '2024-03-31');
+  assert.equal(addValidityMonths('2024-02-01', 1), '2024-02-29');
+});
+
+test('a card still running is extended from the day after it ends', () => {
+  assert.equal(extendValidity('2025-06-30', 6, '2025-03-10'), '2025-12-31');
+  // The last day itself still counts as running
+  assert.equal(extendValidity('2025-03-10', 1, '2025-03-10'), '2025-04-10');
+});
+
+test('a lapsed or open-ended card is extended from today', () => {
+  assert.equal(extendValidity('2025-01-31', 6, '2025-03-10'), '2025-09-09');
+  assert.equal(extendValidity(null, 6, '2025-03-10'), '2025-09-09');
+});
+
+test('resolveValidity prefers given dates over the type default', () => {
+  const intern = { default_validity_months: 6 };
+
+  assert.deepEqual(resolveValidity(intern, { validFrom: '2025-01-15' }), { valid_from: '2025-01-15', valid_until: '2025-07-14' });
+  assert.deepEqual(
+    resolveValidity(intern, { validFrom: '2025-01-15', validUntil: '2025-04-30' }),
+    { valid_from: '2025-01-15', valid_until: '2025-04-30' }
+  );
+  assert.deepEqual(resolveValidity({ default_validity_months: null }, { validFrom: '2025-01-15' }), { valid_from: '2025-01-15', valid_until: null });
+  assert.equal(resolveValidity(null).valid_from, todayString());
+});
+
+test('a card expires the day after valid_until', () => {
+  assert.equal(isCardExpired({ valid_until: '2025-03-10' }, '2025-03-10'), false);
+  assert.equal(isCardExpired({ valid_until: '2025-03-10' }, '2025-03-11'), true);
+  assert.equal(isCardExpired({ valid_until: null }, '2099-01-01'), false);
+});
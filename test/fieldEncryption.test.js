@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const KEY_V1 = '11'.repeat(32);
+const KEY_V2 = Buffer.alloc(32, 2).toString('base64');
+const BLIND_INDEX_KEY = 'aa'.repeat(32);
+
+// The keyring is read from the environment when the module loads, so each configuration gets a fresh copy
+function loadFieldEncryption(env) {
+  const names = ['FIELD_ENCRYPTION_KEYS', 'FIELD_ENCRYPTION_KEY_VERSION', 'FIELD_BLIND_INDEX_KEY'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  names.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  try {
+    delete require.cache[require.resolve('../fieldEncryption')];
+    return require('../fieldEncryption');
+  } finally {
+    names.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  }
+}
+
+const fieldEncryption = loadFieldEncryption({
+  FIELD_ENCRYPTION_KEYS: `1:${KEY_V1}`,
+  FIELD_BLIND_INDEX_KEY: BLIND_INDEX_KEY
+});
+
+test('encrypted values round-trip and never repeat', () => {
+  const first = fieldEncryption.encryptValue('1234 5678 9012');
+  const second = fieldEncryption.encryptValue('1234 5678 9012');
+
+  assert.match(first, /^enc:v1:/);
+  assert.notEqual(first, second);
+  assert.equal(fieldEncryption.decryptValue(first), '1234 5678 9012');
+  assert.equal(fieldEncryption.decryptValue(second), '1234 5678 9012');
+});
+
+test('empty values and leftover plaintext pass through unchanged', () => {
+  assert.equal(fieldEncryption.encryptValue(''), '');
+  assert.equal(fieldEncryption.encryptValue(null), null);
+  assert.equal(fieldEncryption.decryptValue('ABCDE1234F'), 'ABCDE1234F');
+  assert.equal(fieldEncryption.getKeyVersion('ABCDE1234F'), null);
+});
+
+test('a tampered ciphertext is rejected', () => {
+  const stored = fieldEncryption.encryptValue('50000');
+  const parts = stored.split(':');
+  parts[4] = Buffer.from('60000').toString('base64url');
+
+  assert.throws(() => fieldEncryption.decryptValue(parts.join(':')));
+});
+
+test('values written with an older key still decrypt after rotation', () => {
+  const oldValue = fieldEncryption.encryptValue('ABCDE1234F');
+  const rotated = loadFieldEncryption({
+    FIELD_ENCRYPTION_KEYS: `1:${KEY_V1},2:${KEY_V2}`,
+    FIELD_ENCRYPTION_KEY_VERSION: '2',
+    FIELD_BLIND_INDEX_KEY: BLIND_INDEX_KEY
+  });
+  const newValue = rotated.encryptValue('ABCDE1234F');
+
+  assert.equal(rotated.activeKeyVersion, 2);
+  assert.equal(rotated.getKeyVersion(oldValue), 1);
+  assert.equal(rotated.getKeyVersion(newValue), 2);
+  assert.equal(rotated.decryptValue(oldValue), 'ABCDE1234F');
+  assert.equal(rotated.decryptValue(newValue), 'ABCDE1234F');
+});
+
+test('a value whose key was removed from the keyring cannot be read', () => {
+  const oldValue = fieldEncryption.encryptValue('ABCDE1234F');
+  const withoutV1 = loadFieldEncryption({ FIELD_ENCRYPTION_KEYS: `2:${KEY_V2}`, FIELD_BLIND_INDEX_KEY: BLIND_INDEX_KEY });
+
+  assert.throws(() => withoutV1.decryptValue(oldValue), /key v1 is not configured/);
+});
+
+test('an active key version missing from the keyring fails at startup', () => {
+  assert.throws(
+    () => loadFieldEncryption({ FIELD_ENCRYPTION_KEYS: `1:${KEY_V1}`, FIELD_ENCRYPTION_KEY_VERSION: '3' }),
+    /FIELD_ENCRYPTION_KEY_VERSION 3 is not in FIELD_ENCRYPTION_KEYS/
+  );
+});
+
+test('blind indexes ignore formatting differences', () => {
+  const { computeBlindIndex } = fieldEncryption;
+
+  assert.equal(computeBlindIndex('aadhar_number', '1234 5678 9012'), computeBlindIndex('aadhar_number', '1234-5678-9012'));
+  assert.equal(computeBlindIndex('pan_number', 'abcde 1234f'), computeBlindIndex('pan_number', 'ABCDE1234F'));
+  assert.equal(computeBlindIndex('bank_account', '0012 3456 789'), computeBlindIndex('bank_account', '00123456789'));
+  assert.notEqual(computeBlindIndex('aadhar_number', '123456789012'), computeBlindIndex('aadhar_number', '123456789013'));
+  assert.equal(computeBlindIndex('pan_number', ''), null);
+});
+
+test('the same value hashes differently in different fields', () => {
+  const { computeBlindIndex } = fieldEncryption;
+
+  assert.notEqual(computeBlindIndex('bank_account', '123456789012'), computeBlindIndex('aadhar_number', '123456789012'));
+});
+
+test('rewriteFilter turns exact matches inside $or into blind index lookups', () => {
+  const { computeBlindIndex, rewriteFilter } = fieldEncryption;
+  const filter = { $or: [{ pan_number: 'ABCDE1234F' }, { employee_id: 'SWT-25-EMP-0001' }] };
+
+  rewriteFilter(filter, ['pan_number']);
+
+  assert.deepEqual(filter, {
+    $or: [{ pan_number_bidx: computeBlindIndex('pan_number', 'ABCDE1234F') }, { employee_id: 'SWT-25-EMP-0001' }]
+  });
+});
+
+test('rewriteFilter hashes every value of an $in list', () => {
+  const { computeBlindIndex, rewriteFilter } = fieldEncryption;
+  const filter = { aadhar_number: { $in: ['1234 5678 9012', '999988887777'] }, status: 'active' };
+
+  rewriteFilter(filter, ['aadhar_number']);
+
+  assert.deepEqual(filter, {
+    status: 'active',
+    aadhar_number_bidx: { $in: [computeBlindIndex('aadhar_number', '123456789012'), computeBlindIndex('aadhar_number', '999988887777')] }
+  });
+});
+
+test('rewriteFilter keeps null lookups for records without a value', () => {
+  const filter = { bank_account: null };
+
+  fieldEncryption.rewriteFilter(filter, ['bank_account']);
+
+  assert.deepEqual(filter, { bank_account_bidx: null });
+});
+
+test('rewriteFilter rejects queries that are not exact matches', () => {
+  const { rewriteFilter } = fieldEncryption;
+
+  assert.throws(() => rewriteFilter({ pan_number: /^ABC/ }, ['pan_number']), /Only exact-match queries/);
+  assert.throws(() => rewriteFilter({ pan_number: { $regex: 'ABC' } }, ['pan_number']), /Only exact-match queries/);
+  assert.throws(() => rewriteFilter({ $and: [{ aadhar_number: { $ne: '1' } }] }, ['aadhar_number']), /Only exact-match queries/);
+});
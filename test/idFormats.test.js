@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IdFormat, EmployeeIdCounter, Employee, PersonType } = require('../database');
+const { defaultIdFormat, renderIdNumber, isMistypedIdNumber, validateIdFormat, generateEmployeeCode } = require('../idFormats');
+
+const date = new Date('2025-03-10T00:00:00Z');
+
+function format(overrides) {
+  return { ...defaultIdFormat('employee', 'EMP'), ...overrides };
+}
+
+test('the default format renders the original ID layout', () => {
+  assert.equal(renderIdNumber(format({}), { sequence: 1, date }), 'SWT-25-EMP-0001');
+  assert.equal(renderIdNumber(format({}), { sequence: 12345, date }), 'SWT-25-EMP-12345');
+});
+
+test('department and four-digit year tokens', () => {
+  const deptFormat = format({ template: '{ORG}/{YYYY}/{DEPT}/{SEQ:3}' });
+
+  assert.equal(renderIdNumber(deptFormat, { sequence: 7, department: 'Human Resources', date }), 'SWT/2025/HUMANR/007');
+  assert.equal(renderIdNumber(deptFormat, { sequence: 7, department: '', date }), 'SWT/2025/GEN/007');
+});
+
+test('Luhn check digits match the standard algorithm', () => {
+  const luhn = format({ template: '{SEQ:10}{CHK}', check_digit: 'luhn' });
+
+  // 7992739871 is the textbook Luhn example; its check digit is 3
+  assert.equal(renderIdNumber(luhn, { sequence: 7992739871, date }), '79927398713');
+});
+
+test('Verhoeff check digits match the standard algorithm', () => {
+  const verhoeff = format({ template: '{SEQ:3}{CHK}', check_digit: 'verhoeff' });
+
+  // 236 is the textbook Verhoeff example; its check digit is 3
+  assert.equal(renderIdNumber(verhoeff, { sequence: 236, date }), '2363');
+});
+
+test('letters in the ID are covered by the check digit', () => {
+  const withPrefix = format({ template: '{TYPE}-{SEQ:4}{CHK}', check_digit: 'luhn' });
+  const otherPrefix = { ...withPrefix, type_code: 'INT' };
+
+  const employeeId = renderIdNumber(withPrefix, { sequence: 42, date });
+  const internId = renderIdNumber(otherPrefix, { sequence: 42, date });
+
+  assert.match(employeeId, /^EMP-0042\d$/);
+  assert.notEqual(employeeId.slice(-1), internId.slice(-1));
+});
+
+for (const algorithm of ['luhn', 'verhoeff']) {
+  test(`a mistyped ${algorithm} ID is recognised`, () => {
+    const checked = format({ template: '{ORG}-{YY}-{TYPE}-{SEQ:4}{CHK}', check_digit: algorithm });
+    const employeeId = renderIdNumber(checked, { sequence: 1234, date });
+    const wrongDigit = `${employeeId.slice(0, -1)}${(Number(employeeId.slice(-1)) + 1) % 10}`;
+    const swapped = employeeId.replace('1234', '1324');
+
+    assert.equal(isMistypedIdNumber(employeeId, [checked]), false);
+    assert.equal(isMistypedIdNumber(wrongDigit, [checked]), true);
+    assert.equal(isMistypedIdNumber(swapped, [checked]), true);
+  });
+}
+
+test('identifiers that do not have the shape of a checked format are not called mistyped', () => {
+  const checked = format({ template: '{ORG}-{YY}-{TYPE}-{SEQ:4}{CHK}', check_digit: 'luhn' });
+
+  assert.equal(isMistypedIdNumber('SWT-25-EMP-0001', [checked]), false);
+  assert.equal(isMistypedIdNumber('3f0c8a52-uuid', [checked]), false);
+  assert.equal(isMistypedIdNumber('SWT-25-EMP-00011', []), false);
+});
+
+test('validateIdFormat accepts a format with a trailing check digit', () => {
+  const result = validateIdFormat({
+    template: '{ORG}-{YY}-{TYPE}-{SEQ:4}{CHK}',
+    org_code: 'swt',
+    type_code: 'emp',
+    reset_policy: 'yearly',
+    check_digit: 'verhoeff'
+  });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.format.org_code, 'SWT');
+});
+
+test('validateIdFormat rejects a check digit that is not last or has no algorithm', () => {
+  const base = { org_code: 'SWT', type_code: 'EMP', reset_policy: 'never' };
+
+  assert.match(validateIdFormat({ ...base, template: '{CHK}{SEQ}', check_digit: 'luhn' }).errors.template, /must be the last part/);
+  assert.match(validateIdFormat({ ...base, template: '{SEQ}{CHK}', check_digit: 'none' }).errors.check_digit, /Pick a check digit algorithm/);
+  assert.match(validateIdFormat({ ...base, template: '{SEQ}', check_digit: 'luhn' }).errors.check_digit, /Add \{CHK\}/);
+});
+
+test('a number drawn inside a transaction uses its session for the counter and the taken check', async (t) => {
+  const session = { transaction: 'conversion' };
+  const used = [];
+  const query = result => ({
+    withArchived() {
+      return this;
+    },
+    session(value) {
+      used.push(value);
+      return this;
+    },
+    lean: async () => result
+  });
+  t.mock.method(IdFormat, 'findOne', () => query(null));
+  t.mock.method(PersonType, 'findOne', () => query({ id_prefix: 'EMP' }));
+  t.mock.method(EmployeeIdCounter, 'findOneAndUpdate', async (filter, update, options) => {
+    used.push(options.session);
+    return { counter: 5 };
+  });
+  t.mock.method(Employee, 'findOne', () => query(null));
+
+  const employeeId = await generateEmployeeCode('employee', { session });
+
+  assert.match(employeeId, /^SWT-\d{2}-EMP-0005$/);
+  assert.deepEqual(used, [session, session]);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const loginProtection = require('../loginProtection');
+
+const { MAX_ACCOUNT_FAILURES, MAX_IP_FAILURES, LOCKOUT_MINUTES } = loginProtection;
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+const START = Date.UTC(2025, 0, 1);
+
+test('delays start at the threshold, double each time and are capped at a minute', () => {
+  const { getProgressiveDelayMs } = loginProtection;
+
+  assert.equal(getProgressiveDelayMs(2, 3), 0);
+  assert.equal(getProgressiveDelayMs(3, 3), 1000);
+  assert.equal(getProgressiveDelayMs(4, 3), 2000);
+  assert.equal(getProgressiveDelayMs(6, 3), 8000);
+  assert.equal(getProgressiveDelayMs(20, 3), 60000);
+});
+
+test('an account is delayed after a few failures and locked after the maximum', () => {
+  const user = {};
+  for (let attempt = 1; attempt < MAX_ACCOUNT_FAILURES; attempt++) {
+    assert.equal(loginProtection.recordAccountFailure(user, START).locked, false);
+  }
+
+  assert.equal(loginProtection.checkAccount(user, START).reason, 'delay');
+  assert.equal(loginProtection.recordAccountFailure(user, START).locked, true);
+  assert.deepEqual(loginProtection.checkAccount(user, START + 1000), { blocked: true, reason: 'locked', retryAfterMs: LOCKOUT_MS - 1000 });
+  assert.equal(loginProtection.checkAccount(user, START + LOCKOUT_MS + 60000).blocked, false);
+});
+
+test('the account counter starts over once a lockout has expired', () => {
+  const user = {};
+  for (let attempt = 0; attempt < MAX_ACCOUNT_FAILURES; attempt++) {
+    loginProtection.recordAccountFailure(user, START);
+  }
+
+  loginProtection.recordAccountFailure(user, START + LOCKOUT_MS + 1);
+
+  assert.equal(user.failed_login_count, 1);
+  assert.equal(user.locked_until, null);
+});
+
+test('old account failures are forgotten', () => {
+  const user = {};
+  loginProtection.recordAccountFailure(user, START);
+  loginProtection.recordAccountFailure(user, START);
+
+  loginProtection.recordAccountFailure(user, START + LOCKOUT_MS + 1);
+
+  assert.equal(user.failed_login_count, 1);
+});
+
+test('resetAccountFailures clears a lockout', () => {
+  const user = {};
+  for (let attempt = 0; attempt < MAX_ACCOUNT_FAILURES; attempt++) {
+    loginProtection.recordAccountFailure(user, START);
+  }
+
+  loginProtection.resetAccountFailures(user);
+
+  assert.deepEqual(loginProtection.checkAccount(user, START), { blocked: false });
+});
+
+test('an IP is locked after the maximum failures and listed until the lockout ends', () => {
+  const ip = '203.0.113.10';
+  let result;
+  for (let attempt = 0; attempt < MAX_IP_FAILURES; attempt++) {
+    result = loginProtection.recordIpFailure(ip, START);
+  }
+
+  assert.equal(result.locked, true);
+  assert.equal(loginProtection.checkIp(ip, START).reason, 'locked');
+  assert.deepEqual(loginProtection.listIpLockouts(START).map(lockout => lockout.ip), [ip]);
+  assert.equal(loginProtection.checkIp(ip, START + LOCKOUT_MS + 1).blocked, false);
+  assert.deepEqual(loginProtection.listIpLockouts(START + LOCKOUT_MS + 1), []);
+});
+
+test('an IP gets more failures than an account before delays start', () => {
+  const ip = '203.0.113.20';
+  for (let attempt = 0; attempt < 9; attempt++) {
+    loginProtection.recordIpFailure(ip, START);
+  }
+  assert.equal(loginProtection.checkIp(ip, START).blocked, false);
+
+  loginProtection.recordIpFailure(ip, START);
+  assert.equal(loginProtection.checkIp(ip, START).reason, 'delay');
+  assert.equal(loginProtection.checkIp(ip, START + 1000).blocked, false);
+});
+
+test('clearIpFailures lifts an IP lockout', () => {
+  const ip = '203.0.113.30';
+  for (let attempt = 0; attempt < MAX_IP_FAILURES; attempt++) {
+    loginProtection.recordIpFailure(ip, START);
+  }
+
+  assert.equal(loginProtection.clearIpFailures(ip), true);
+  assert.deepEqual(loginProtection.checkIp(ip, START), { blocked: false });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FIELD_ENCRYPTION_KEYS = `1:${'11'.repeat(32)},2:${'22'.repeat(32)}`;
+process.env.FIELD_ENCRYPTION_KEY_VERSION = '2';
+process.env.FIELD_BLIND_INDEX_KEY = 'aa'.repeat(32);
+
+const { getFieldsToMigrate } = require('../migrateFieldEncryption');
+
+// Stand-in for a loaded employee: plaintext values plus the key versions they were stored with
+function loadedEmployee(values, storedKeyVersions) {
+  return {
+    $locals: { storedKeyVersions },
+    get: field => values[field]
+  };
+}
+
+test('plaintext and older-key fields are migrated, empty ones are not', () => {
+  const employee = loadedEmployee(
+    { aadhar_number: '123456789012', pan_number: 'ABCDE1234F', bank_account: '', salary: '50000', pan_number_bidx: 'x', aadhar_number_bidx: 'x' },
+    { aadhar_number: null, pan_number: 1, bank_account: null, salary: 2 }
+  );
+
+  assert.deepEqual(getFieldsToMigrate(employee, false), ['aadhar_number', 'pan_number']);
+});
+
+test('a current field without its blind index is migrated', () => {
+  const employee = loadedEmployee(
+    { pan_number: 'ABCDE1234F', salary: '50000' },
+    { pan_number: 2, salary: 2 }
+  );
+
+  assert.deepEqual(getFieldsToMigrate(employee, false), ['pan_number']);
+});
+
+test('nothing is migrated once every field is current', () => {
+  const employee = loadedEmployee(
+    { aadhar_number: '123456789012', aadhar_number_bidx: 'x', salary: '50000' },
+    { aadhar_number: 2, salary: 2 }
+  );
+
+  assert.deepEqual(getFieldsToMigrate(employee, false), []);
+});
+
+test('--all rewrites every field with a value', () => {
+  const employee = loadedEmployee(
+    { aadhar_number: '123456789012', aadhar_number_bidx: 'x', bank_account: null, salary: '50000' },
+    { aadhar_number: 2, salary: 2 }
+  );
+
+  assert.deepEqual(getFieldsToMigrate(employee, true), ['aadhar_number', 'salary']);
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Employee, ScheduledStatusChange } = require('../database');
+const auditLog = require('../auditLog');
+const employeeHistory = require('../employeeHistory');
+const offboarding = require('../offboarding');
+const { validateScheduledStatusChange } = require('../validationUtils');
+
+// statusSchedule takes these at load time, so they are replaced before it is required
+test.mock.method(auditLog, 'appendAuditEvent', async () => {});
+test.mock.method(employeeHistory, 'appendEmployeeRevision', async () => {});
+test.mock.method(offboarding, 'openOffboardings', async () => []);
+
+const { applyDueStatusChanges, isStaleClaim } = require('../statusSchedule');
+
+let employees;
+let changes;
+
+function fakeEmployee(id, status) {
+  return {
+    id,
+    status,
+    saves: 0,
+    toObject() {
+      return { id: this.id, status: this.status };
+    },
+    async save() {
+      this.saves++;
+    }
+  };
+}
+
+function fakeChange(fields) {
+  return {
+    _id: fields.id,
+    end_date: null,
+    return_status: null,
+    previous_status: null,
+    state: 'pending',
+    async save() {},
+    ...fields
+  };
+}
+
+function matches(change, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(alternative => matches(change, alternative));
+    }
+    if (condition === null) {
+      return change[field] == null;
+    }
+    if (condition && typeof condition === 'object') {
+      const value = change[field];
+      return value !== null && ('$lt' in condition ? value < condition.$lt : value <= condition.$lte);
+    }
+    return change[field] === condition;
+  });
+}
+
+// In-memory stand-ins for the queries the scheduler makes
+test.mock.method(Employee, 'findOne', async ({ id }) => employees.find(employee => employee.id === id) || null);
+test.mock.method(ScheduledStatusChange, 'findOneAndUpdate', async (filter, update, { sort }) => {
+  const [field] = Object.keys(sort);
+  const due = changes
+    .filter(change => matches(change, filter))
+    .sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : a.id - b.id));
+  if (due.length === 0) {
+    return null;
+  }
+  Object.assign(due[0], update.$set);
+  return due[0];
+});
+test.mock.method(ScheduledStatusChange, 'updateOne', async ({ _id }, update) => {
+  Object.assign(changes.find(change => change._id === _id), update.$set);
+});
+test.mock.method(ScheduledStatusChange, 'updateMany', async (filter, update) => {
+  const matched = changes.filter(change => matches(change, filter));
+  matched.forEach(change => Object.assign(change, update.$set));
+  return { modifiedCount: matched.length };
+});
+
+test.beforeEach(() => {
+  employees = [];
+  changes = [];
+});
+
+test('a change whose effective date has come is applied', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  changes.push(fakeChange({ id: 10, employee_row_id: 1, status: 'resigned', effective_date: '2025-03-10' }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 1);
+  assert.equal(employees[0].status, 'resigned');
+  assert.equal(changes[0].state, 'completed');
+  assert.equal(changes[0].previous_status, 'active');
+});
+
+test('future changes are left pending', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  changes.push(fakeChange({ id: 10, employee_row_id: 1, status: 'resigned', effective_date: '2025-03-11' }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 0);
+  assert.equal(employees[0].status, 'active');
+  assert.equal(changes[0].state, 'pending');
+});
+
+test('a temporary status stays in effect through its end date and is lifted the day after', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  changes.push(fakeChange({ id: 10, employee_row_id: 1, status: 'on_leave', effective_date: '2025-03-10', end_date: '2025-03-20' }));
+
+  await applyDueStatusChanges('2025-03-10');
+  assert.equal(employees[0].status, 'on_leave');
+  assert.equal(changes[0].state, 'in_effect');
+
+  assert.equal(await applyDueStatusChanges('2025-03-20'), 0);
+  assert.equal(employees[0].status, 'on_leave');
+
+  assert.equal(await applyDueStatusChanges('2025-03-21'), 1);
+  assert.equal(employees[0].status, 'active');
+  assert.equal(changes[0].state, 'completed');
+});
+
+test('a temporary status ends with its return status when one is given', async () => {
+  employees.push(fakeEmployee(1, 'on_leave'));
+  changes.push(fakeChange({
+    id: 10, employee_row_id: 1, status: 'on_leave', effective_date: '2025-03-01', end_date: '2025-03-09',
+    return_status: 'resigned', previous_status: 'active', state: 'in_effect'
+  }));
+
+  await applyDueStatusChanges('2025-03-10');
+
+  assert.equal(employees[0].status, 'resigned');
+});
+
+test('a status changed by hand during the period is not reverted', async () => {
+  employees.push(fakeEmployee(1, 'terminated'));
+  changes.push(fakeChange({
+    id: 10, employee_row_id: 1, status: 'suspended', effective_date: '2025-03-01', end_date: '2025-03-09',
+    previous_status: 'active', state: 'in_effect'
+  }));
+
+  await applyDueStatusChanges('2025-03-10');
+
+  assert.equal(employees[0].status, 'terminated');
+  assert.equal(employees[0].saves, 0);
+  assert.equal(changes[0].state, 'completed');
+});
+
+test('a period that was over before the scheduler ran changes nothing', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  changes.push(fakeChange({ id: 10, employee_row_id: 1, status: 'on_leave', effective_date: '2025-03-01', end_date: '2025-03-05' }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 1);
+  assert.equal(employees[0].status, 'active');
+  assert.equal(changes[0].state, 'completed');
+});
+
+test('changes of archived employees are skipped', async () => {
+  changes.push(fakeChange({ id: 10, employee_row_id: 99, status: 'resigned', effective_date: '2025-03-10' }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 0);
+  assert.equal(changes[0].state, 'skipped');
+});
+
+test('a change claimed by another run is not applied twice', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  changes.push(fakeChange({
+    id: 10, employee_row_id: 1, status: 'resigned', effective_date: '2025-03-10', state: 'applying', claimed_at: new Date()
+  }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 0);
+  assert.equal(employees[0].saves, 0);
+  assert.equal(isStaleClaim(changes[0]), false);
+});
+
+test('a claim left by a run that stopped part-way is taken back and applied', async () => {
+  employees.push(fakeEmployee(1, 'active'));
+  const claimedAt = new Date(Date.now() - 60 * 60 * 1000);
+  changes.push(fakeChange({
+    id: 10, employee_row_id: 1, status: 'resigned', effective_date: '2025-03-10', state: 'applying', claimed_at: claimedAt
+  }));
+  assert.equal(isStaleClaim(changes[0]), true);
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 1);
+  assert.equal(employees[0].status, 'resigned');
+  assert.equal(changes[0].state, 'completed');
+});
+
+test('a stale claim on an ending period goes back to in effect and is lifted', async () => {
+  employees.push(fakeEmployee(1, 'on_leave'));
+  changes.push(fakeChange({
+    id: 10, employee_row_id: 1, status: 'on_leave', effective_date: '2025-03-01', end_date: '2025-03-09',
+    previous_status: 'active', state: 'ending', claimed_at: null
+  }));
+
+  assert.equal(await applyDueStatusChanges('2025-03-10'), 1);
+  assert.equal(employees[0].status, 'active');
+  assert.equal(changes[0].state, 'completed');
+});
+
+test('a change that fails to apply goes back to pending', async () => {
+  const employee = fakeEmployee(1, 'active');
+  employee.save = async () => {
+    throw new Error('write conflict');
+  };
+  employees.push(employee);
+  changes.push(fakeChange({ id: 10, employee_row_id: 1, status: 'resigned', effective_date: '2025-03-10' }));
+
+  await assert.rejects(applyDueStatusChanges('2025-03-10'), /write conflict/);
+  assert.equal(changes[0].state, 'pending');
+  assert.equal(changes[0].claimed_at, null);
+});
+
+test('validateScheduledStatusChange checks dates and statuses', () => {
+  const valid = validateScheduledStatusChange(
+    { status: 'on_leave', effective_date: '2025-03-10', end_date: '2025-03-20', return_status: 'active' },
+    '2025-03-10'
+  );
+  assert.equal(valid.valid, true);
+
+  const { errors } = validateScheduledStatusChange(
+    { status: 'expired', effective_date: '2025-03-09', end_date: '2025-03-01', return_status: 'active' },
+    '2025-03-10'
+  );
+  assert.deepEqual(Object.keys(errors).sort(), ['effective_date', 'end_date', 'status']);
+
+  const noEnd = validateScheduledStatusChange({ status: 'on_leave', effective_date: '2025-03-10', return_status: 'active' }, '2025-03-10');
+  assert.match(noEnd.errors.return_status, /needs an end date/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../totpUtils');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 follows RFC 4648', () => {
+  assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+});
+
+test('generated secrets are 160 bits', () => {
+  assert.equal(base32Decode(generateTotpSecret()).length, 20);
+});
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC lists 8-digit codes; authenticator apps show their last 6 digits
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), '005924');
+  assert.equal(generateTotp(RFC_SECRET, 2000000000 * 1000), '279037');
+});
+
+test('verifyTotp allows one step of clock drift either way', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now), { timestamp: now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), { timestamp: now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { timestamp: now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), { timestamp: now }), null);
+});
+
+test('verifyTotp refuses a code from a step that was already used', () => {
+  const now = 1234567890 * 1000;
+  const code = generateTotp(RFC_SECRET, now);
+  const step = verifyTotp(RFC_SECRET, code, { timestamp: now });
+
+  assert.equal(verifyTotp(RFC_SECRET, code, { timestamp: now, lastUsedStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { timestamp: now, lastUsedStep: step }), step + 1);
+});
+
+test('verifyTotp ignores spaces and rejects malformed codes', () => {
+  const now = 1234567890 * 1000;
+
+  assert.notEqual(verifyTotp(RFC_SECRET, '005 924', { timestamp: now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '5924', { timestamp: now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { timestamp: now }), null);
+  assert.equal(verifyTotp(null, '005924', { timestamp: now }), null);
+});
+
+test('the otpauth URL carries the secret, issuer and parameters', () => {
+  const url = new URL(buildOtpauthUrl('JBSWY3DPEHPK3PXP', 'hr@example.com', 'IDSyncro'));
+
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/IDSyncro:hr@example.com');
+  assert.equal(url.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+  assert.equal(url.searchParams.get('issuer'), 'IDSyncro');
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
+
+test('recovery codes are unique and hash the same however they are typed', () => {
+  const codes = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  assert.equal(hashRecoveryCode('ab12c-de34f'), hashRecoveryCode(' AB12C DE34F '));
+  assert.notEqual(hashRecoveryCode('ab12c-de34f'), hashRecoveryCode('ab12c-de34e'));
+});
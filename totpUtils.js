@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+// Encode bytes as RFC 4648 base32 without padding
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Decode an RFC 4648 base32 string, ignoring case, spaces and padding
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Generate a random 160-bit shared secret
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a counter
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// Generate the TOTP code for a point in time
+function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @returns {number|null} - Matched time step, or null when the code is invalid or already used
+ */
+function verifyTotp(secret, code, { window = 1, timestamp = Date.now(), lastUsedStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// otpauth:// URI for QR provisioning
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Generate one-time recovery codes; only their hashes should be stored
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS
+};
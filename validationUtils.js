@@ -83,10 +83,21 @@ const VALIDATION_RULES = {
     pattern: /^[6-9][0-9]{9}$/,
     message: 'Emergency phone must start with 6-9 and be exactly 10 digits'
   },
+  valid_from: {
+    required: false,
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    message: 'Valid from must be a date (YYYY-MM-DD)'
+  },
+  valid_until: {
+    required: false,
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    message: 'Valid until must be a date (YYYY-MM-DD)'
+  },
+  // Whether the code belongs to a configured person type is checked against the database
   type: {
     required: true,
-    pattern: /^(employee|intern)$/,
-    message: 'Type must be either employee or intern'
+    pattern: /^[a-z][a-z0-9_]{1,29}$/,
+    message: 'Type must be a person type code'
   },
   employment_type: {
     required: true,
@@ -157,7 +168,7 @@ function validateEmployeeData(employeeData) {
   const fieldsToValidate = [
     'name', 'designation', 'department', 'type', 'employment_type', 'work_location',
     'email', 'phone', 'date_of_birth', 'joining_date', 'aadhar_number', 'pan_number',
-    'bank_account', 'salary', 'emergency_phone'
+    'bank_account', 'salary', 'emergency_phone', 'valid_from', 'valid_until'
   ];
 
   fieldsToValidate.forEach(field => {
@@ -167,6 +178,11 @@ function validateEmployeeData(employeeData) {
     }
   });
 
+  if (!errors.valid_from && !errors.valid_until && employeeData.valid_from && employeeData.valid_until
+    && employeeData.valid_until < employeeData.valid_from) {
+    errors.valid_until = 'Valid until cannot be before valid from';
+  }
+
   return {
     valid: Object.keys(errors).length === 0,
     errors
@@ -204,10 +220,334 @@ function sanitizeEmployeeData(data) {
   return sanitized;
 }
 
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_CUSTOM_FIELD_LABEL_LENGTH = 60;
+const MAX_CUSTOM_FIELD_REGEX_LENGTH = 200;
+const MAX_CUSTOM_FIELD_OPTIONS = 50;
+// Bounds the work a validation pattern can do on one value
+const MAX_CUSTOM_FIELD_VALUE_LENGTH = 200;
+
+// Whether the pattern at index repeats an open-ended number of times: *, +, {n,} or {n,m}
+function isRepeatAt(pattern, index) {
+  return pattern[index] === '*' || pattern[index] === '+' || /^\{\d+,\d*\}/.test(pattern.slice(index));
+}
+
+/**
+ * Detect a repeated group that itself contains a repeat, e.g. (a+)+ or (\w+\s?)*,
+ * the usual cause of catastrophic backtracking
+ * @param {string} pattern - Regular expression source that compiles
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  // One entry per open group: whether something inside it repeats
+  const groups = [];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const innerRepeats = groups.pop();
+      const repeated = isRepeatAt(pattern, index + 1);
+      if (innerRepeats && repeated) {
+        return true;
+      }
+      if (groups.length > 0 && innerRepeats) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (groups.length > 0 && isRepeatAt(pattern, index)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a custom field definition submitted by an admin
+ * @param {object} data - Definition fields from the request body
+ * @param {string[]} idTypes - ID types the field may apply to
+ * @returns {object} - { valid: boolean, errors: object, definition: object }
+ */
+function validateCustomFieldDefinition(data, idTypes) {
+  const errors = {};
+  const definition = {
+    key: sanitizeInput(data.key).toLowerCase(),
+    label: sanitizeInput(data.label),
+    field_type: sanitizeInput(data.field_type),
+    options: Array.isArray(data.options) ? data.options.map(option => sanitizeInput(option)).filter(Boolean) : [],
+    required: data.required === true,
+    validation_regex: typeof data.validation_regex === 'string' && data.validation_regex.trim() ? data.validation_regex.trim() : null,
+    applies_to: Array.isArray(data.applies_to) ? [...new Set(data.applies_to.map(type => sanitizeInput(type)))] : [],
+    show_on_card: data.show_on_card === true,
+    public_on_verify: data.public_on_verify === true,
+    sort_order: Number.isInteger(data.sort_order) ? data.sort_order : 0
+  };
+
+  if (!CUSTOM_FIELD_KEY_PATTERN.test(definition.key)) {
+    errors.key = 'Key must be 2-40 lowercase letters, digits or underscores, starting with a letter';
+  }
+  if (!definition.label || definition.label.length > MAX_CUSTOM_FIELD_LABEL_LENGTH) {
+    errors.label = `Label must be 1-${MAX_CUSTOM_FIELD_LABEL_LENGTH} characters`;
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(definition.field_type)) {
+    errors.field_type = `Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+  if (definition.field_type === 'select' && (definition.options.length === 0 || definition.options.length > MAX_CUSTOM_FIELD_OPTIONS)) {
+    errors.options = `Select fields need 1-${MAX_CUSTOM_FIELD_OPTIONS} options`;
+  }
+  if (definition.field_type !== 'select') {
+    definition.options = [];
+  }
+  if (definition.validation_regex) {
+    try {
+      if (definition.validation_regex.length > MAX_CUSTOM_FIELD_REGEX_LENGTH) {
+        throw new Error('too long');
+      }
+      new RegExp(definition.validation_regex);
+      if (hasNestedQuantifier(definition.validation_regex)) {
+        errors.validation_regex = 'Validation pattern must not repeat a group that already repeats, e.g. (a+)+';
+      }
+    } catch (error) {
+      errors.validation_regex = `Validation pattern must be a valid regular expression of at most ${MAX_CUSTOM_FIELD_REGEX_LENGTH} characters`;
+    }
+  }
+  const unknownTypes = definition.applies_to.filter(type => !idTypes.includes(type));
+  if (unknownTypes.length > 0) {
+    errors.applies_to = `Unknown ID type: ${unknownTypes.join(', ')}`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    definition
+  };
+}
+
+/**
+ * Validate custom field values against the definitions that apply to an employee's ID type
+ * @param {object[]} definitions - Applicable CustomFieldDefinition records
+ * @param {object} values - Submitted values keyed by definition key
+ * @returns {object} - { valid: boolean, errors: object, values: object } errors are keyed custom_fields.<key>
+ */
+function validateCustomFieldValues(definitions, values = {}) {
+  const errors = {};
+  const cleaned = {};
+  const knownKeys = definitions.map(definition => definition.key);
+
+  Object.keys(values).filter(key => !knownKeys.includes(key)).forEach((key) => {
+    errors[`custom_fields.${key}`] = `${key} is not a field for this ID type`;
+  });
+
+  definitions.forEach((definition) => {
+    const errorKey = `custom_fields.${definition.key}`;
+    const value = sanitizeInput(values[definition.key]);
+
+    if (!value) {
+      if (definition.required) {
+        errors[errorKey] = `${definition.label} is required`;
+      }
+      return;
+    }
+
+    if (definition.field_type === 'number' && !/^-?\d+(\.\d+)?$/.test(value)) {
+      errors[errorKey] = `${definition.label} must be a number`;
+    } else if (definition.field_type === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime()))) {
+      errors[errorKey] = `${definition.label} must be a date (YYYY-MM-DD)`;
+    } else if (definition.field_type === 'select' && !definition.options.includes(value)) {
+      errors[errorKey] = `${definition.label} must be one of: ${definition.options.join(', ')}`;
+    } else if (value.length > MAX_CUSTOM_FIELD_VALUE_LENGTH) {
+      errors[errorKey] = `${definition.label} must be at most ${MAX_CUSTOM_FIELD_VALUE_LENGTH} characters`;
+    } else if (definition.validation_regex && !new RegExp(definition.validation_regex).test(value)) {
+      errors[errorKey] = `${definition.label} is not in the expected format`;
+    } else {
+      cleaned[definition.key] = value;
+    }
+  });
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    values: cleaned
+  };
+}
+
+const PERSON_TYPE_CODE_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+const PERSON_TYPE_PREFIX_PATTERN = /^[A-Z0-9]{1,10}$/;
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'intern'];
+const CARD_TEMPLATES = ['gradient', 'solid'];
+const CARD_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_PERSON_TYPE_LABEL_LENGTH = 40;
+const MAX_VERIFY_LABEL_LENGTH = 60;
+const MAX_ICON_LENGTH = 8;
+const MAX_VALIDITY_MONTHS = 120;
+
+/**
+ * Validate a person type submitted by an admin
+ * @param {object} data - Person type fields from the request body
+ * @returns {object} - { valid: boolean, errors: object, personType: object }
+ */
+function validatePersonType(data) {
+  const errors = {};
+  const personType = {
+    code: sanitizeInput(data.code).toLowerCase(),
+    label: sanitizeInput(data.label),
+    id_prefix: sanitizeInput(data.id_prefix).toUpperCase(),
+    default_employment_type: sanitizeInput(data.default_employment_type) || 'full_time',
+    card_color: sanitizeInput(data.card_color) || '#667eea',
+    card_template: sanitizeInput(data.card_template) || 'gradient',
+    verify_label: sanitizeInput(data.verify_label) || null,
+    icon: sanitizeInput(data.icon) || null,
+    default_validity_months: data.default_validity_months === null || data.default_validity_months === undefined || data.default_validity_months === ''
+      ? null
+      : Number(data.default_validity_months),
+    sort_order: Number.isInteger(data.sort_order) ? data.sort_order : 0
+  };
+
+  if (!PERSON_TYPE_CODE_PATTERN.test(personType.code)) {
+    errors.code = 'Code must be 2-30 lowercase letters, digits or underscores, starting with a letter';
+  }
+  if (!personType.label || personType.label.length > MAX_PERSON_TYPE_LABEL_LENGTH) {
+    errors.label = `Label must be 1-${MAX_PERSON_TYPE_LABEL_LENGTH} characters`;
+  }
+  if (!PERSON_TYPE_PREFIX_PATTERN.test(personType.id_prefix)) {
+    errors.id_prefix = 'ID prefix must be 1-10 letters or digits';
+  }
+  if (!EMPLOYMENT_TYPES.includes(personType.default_employment_type)) {
+    errors.default_employment_type = `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}`;
+  }
+  if (!CARD_COLOR_PATTERN.test(personType.card_color)) {
+    errors.card_color = 'Card color must be a hex color such as #667eea';
+  }
+  if (!CARD_TEMPLATES.includes(personType.card_template)) {
+    errors.card_template = `Card template must be one of: ${CARD_TEMPLATES.join(', ')}`;
+  }
+  if (personType.verify_label && personType.verify_label.length > MAX_VERIFY_LABEL_LENGTH) {
+    errors.verify_label = `Verify label must be at most ${MAX_VERIFY_LABEL_LENGTH} characters`;
+  }
+  if (personType.icon && personType.icon.length > MAX_ICON_LENGTH) {
+    errors.icon = 'Icon must be a single emoji';
+  }
+  if (personType.default_validity_months !== null
+    && !(Number.isInteger(personType.default_validity_months) && personType.default_validity_months >= 1 && personType.default_validity_months <= MAX_VALIDITY_MONTHS)) {
+    errors.default_validity_months = `Card validity must be 1-${MAX_VALIDITY_MONTHS} months, or empty for cards that do not expire`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    personType
+  };
+}
+
+// expired follows from the card validity and is never scheduled
+const SCHEDULABLE_STATUSES = ['active', 'inactive', 'terminated', 'resigned', 'on_leave', 'suspended'];
+const SCHEDULE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isScheduleDate = value => SCHEDULE_DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Validate a status change scheduled for a later date
+ * @param {object} data - status, effective_date, end_date, return_status and note from the request body
+ * @param {string} today - YYYY-MM-DD
+ * @returns {object} - { valid: boolean, errors: object, change: object }
+ */
+function validateScheduledStatusChange(data, today) {
+  const errors = {};
+  const change = {
+    status: sanitizeInput(data.status),
+    effective_date: sanitizeInput(data.effective_date),
+    end_date: sanitizeInput(data.end_date) || null,
+    return_status: sanitizeInput(data.return_status) || null,
+    note: sanitizeInput(data.note) || null
+  };
+
+  if (!SCHEDULABLE_STATUSES.includes(change.status)) {
+    errors.status = `Status must be one of: ${SCHEDULABLE_STATUSES.join(', ')}`;
+  }
+  if (!isScheduleDate(change.effective_date) || change.effective_date < today) {
+    errors.effective_date = 'Effective date must be a date (YYYY-MM-DD) from today on';
+  }
+  if (change.end_date && (!isScheduleDate(change.end_date) || change.end_date < change.effective_date)) {
+    errors.end_date = 'End date must be a date (YYYY-MM-DD) on or after the effective date';
+  }
+  if (change.return_status && !SCHEDULABLE_STATUSES.includes(change.return_status)) {
+    errors.return_status = `Return status must be one of: ${SCHEDULABLE_STATUSES.join(', ')}`;
+  }
+  if (change.return_status && !change.end_date) {
+    errors.return_status = 'A return status needs an end date';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    change
+  };
+}
+
+const OFFBOARDING_ITEM_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const OFFBOARDING_ACTIONS = ['revoke_card'];
+const MAX_OFFBOARDING_LABEL_LENGTH = 80;
+const MAX_ASSIGNEE_LENGTH = 100;
+const MAX_OFFBOARDING_DUE_DAYS = 365;
+
+/**
+ * Validate an offboarding checklist step submitted by an admin
+ * @param {object} data - Step fields from the request body
+ * @returns {object} - { valid: boolean, errors: object, item: object }
+ */
+function validateOffboardingItem(data) {
+  const errors = {};
+  const item = {
+    key: sanitizeInput(data.key).toLowerCase(),
+    label: sanitizeInput(data.label),
+    action: sanitizeInput(data.action) || null,
+    default_assignee: sanitizeInput(data.default_assignee) || null,
+    due_days: data.due_days === undefined || data.due_days === '' ? 7 : Number(data.due_days),
+    sort_order: Number.isInteger(data.sort_order) ? data.sort_order : 0
+  };
+
+  if (!OFFBOARDING_ITEM_KEY_PATTERN.test(item.key)) {
+    errors.key = 'Key must be 2-40 lowercase letters, digits or underscores, starting with a letter';
+  }
+  if (!item.label || item.label.length > MAX_OFFBOARDING_LABEL_LENGTH) {
+    errors.label = `Label must be 1-${MAX_OFFBOARDING_LABEL_LENGTH} characters`;
+  }
+  if (item.action && !OFFBOARDING_ACTIONS.includes(item.action)) {
+    errors.action = `Action must be one of: ${OFFBOARDING_ACTIONS.join(', ')}`;
+  }
+  if (item.default_assignee && item.default_assignee.length > MAX_ASSIGNEE_LENGTH) {
+    errors.default_assignee = `Assignee must be at most ${MAX_ASSIGNEE_LENGTH} characters`;
+  }
+  if (!(Number.isInteger(item.due_days) && item.due_days >= 0 && item.due_days <= MAX_OFFBOARDING_DUE_DAYS)) {
+    errors.due_days = `Due days must be a whole number from 0 to ${MAX_OFFBOARDING_DUE_DAYS}`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    item
+  };
+}
+
 module.exports = {
   validateField,
   validateEmployeeData,
+  validateCustomFieldDefinition,
+  validateCustomFieldValues,
+  validatePersonType,
+  validateScheduledStatusChange,
+  validateOffboardingItem,
   sanitizeInput,
   sanitizeEmployeeData,
-  VALIDATION_RULES
+  VALIDATION_RULES,
+  CUSTOM_FIELD_TYPES,
+  SCHEDULABLE_STATUSES
 };